@@ -0,0 +1,9 @@
+-- CreateTable
+-- Tracks the last fully processed block per indexer so the bot can replay gaps after downtime
+CREATE TABLE IF NOT EXISTS "indexer_cursors" (
+    "id" VARCHAR(64) NOT NULL,
+    "blockNumber" BIGINT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "indexer_cursors_pkey" PRIMARY KEY ("id")
+);
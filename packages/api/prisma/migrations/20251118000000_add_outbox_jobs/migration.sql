@@ -0,0 +1,24 @@
+-- CreateTable
+-- Side effects of a deployment save (broadcasts, notifications, contract data refresh), written in the same transaction
+CREATE TABLE IF NOT EXISTS "outbox_jobs" (
+    "id" SERIAL NOT NULL,
+    "type" VARCHAR(64) NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 10,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "outbox_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "outbox_jobs_status_runAt_idx" ON "outbox_jobs"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "outbox_jobs_type_idx" ON "outbox_jobs"("type");
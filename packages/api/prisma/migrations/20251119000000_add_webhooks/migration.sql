@@ -0,0 +1,55 @@
+-- CreateTable
+-- Integrator-registered webhook endpoints for deployment events
+CREATE TABLE IF NOT EXISTS "webhook_subscriptions" (
+    "id" SERIAL NOT NULL,
+    "url" TEXT NOT NULL,
+    "secret" VARCHAR(128) NOT NULL,
+    "description" VARCHAR(255),
+    "deployer" VARCHAR(42),
+    "verifiedOnly" BOOLEAN NOT NULL DEFAULT false,
+    "minDevBuyPercent" DOUBLE PRECISION,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "consecutiveFailures" INTEGER NOT NULL DEFAULT 0,
+    "disabledAt" TIMESTAMP(3),
+    "disabledReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "webhook_subscriptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+-- One row per event per subscription, retried until delivered or failed
+CREATE TABLE IF NOT EXISTS "webhook_deliveries" (
+    "id" SERIAL NOT NULL,
+    "subscriptionId" INTEGER NOT NULL,
+    "event" VARCHAR(64) NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "lastStatusCode" INTEGER,
+    "lastError" TEXT,
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "webhook_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "webhook_subscriptions_enabled_idx" ON "webhook_subscriptions"("enabled");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "webhook_deliveries_status_nextAttemptAt_idx" ON "webhook_deliveries"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "webhook_deliveries_subscriptionId_createdAt_idx" ON "webhook_deliveries"("subscriptionId", "createdAt" DESC);
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "webhook_deliveries" ADD CONSTRAINT "webhook_deliveries_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "webhook_subscriptions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
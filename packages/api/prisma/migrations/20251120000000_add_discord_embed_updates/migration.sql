@@ -0,0 +1,30 @@
+-- AlterTable
+-- Discord post for each deployment, so its embed can be edited as enrichment arrives
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "discordMessageId" VARCHAR(32);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "discordChannelId" VARCHAR(32);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "discordEditedAt" TIMESTAMP(3);
+
+-- CreateTable
+-- Market cap / liquidity captured at fixed times after a deployment (e.g., +5m, +1h)
+CREATE TABLE IF NOT EXISTS "market_snapshots" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "label" VARCHAR(16) NOT NULL,
+    "price" DOUBLE PRECISION,
+    "marketCap" DOUBLE PRECISION,
+    "liquidity" DOUBLE PRECISION,
+    "volume24h" DOUBLE PRECISION,
+    "takenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "market_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "market_snapshots_tokenAddress_label_key" ON "market_snapshots"("tokenAddress", "label");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "market_snapshots" ADD CONSTRAINT "market_snapshots_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
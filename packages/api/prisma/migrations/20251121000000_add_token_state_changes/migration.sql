@@ -0,0 +1,30 @@
+-- CreateTable
+-- Admin, image, metadata and verification changes emitted by token contracts after deployment
+CREATE TABLE IF NOT EXISTS "token_state_changes" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "field" VARCHAR(20) NOT NULL,
+    "oldValue" TEXT,
+    "newValue" TEXT,
+    "blockNumber" BIGINT NOT NULL,
+    "blockHash" VARCHAR(66) NOT NULL,
+    "transactionHash" VARCHAR(66) NOT NULL,
+    "logIndex" INTEGER NOT NULL,
+    "changedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "token_state_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "token_state_changes_transactionHash_logIndex_key" ON "token_state_changes"("transactionHash", "logIndex");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "token_state_changes_tokenAddress_blockNumber_idx" ON "token_state_changes"("tokenAddress", "blockNumber");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "token_state_changes" ADD CONSTRAINT "token_state_changes_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
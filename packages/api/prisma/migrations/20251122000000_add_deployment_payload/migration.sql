@@ -0,0 +1,22 @@
+-- AlterTable
+-- Full TokenCreated payload and the initial dev buy (backfilled by the data integrity script)
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "msgSender" VARCHAR(42);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "startingTick" INTEGER;
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "poolHook" VARCHAR(42);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "pairedToken" VARCHAR(42);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "locker" VARCHAR(42);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "mevModule" VARCHAR(42);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "extensionsSupply" VARCHAR(78);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "extensions" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "tokensReceived" VARCHAR(78);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "tokensSpent" VARCHAR(78);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "devBuyPercent" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "deployments_devBuyPercent_idx" ON "deployments"("devBuyPercent");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "deployments_poolHook_idx" ON "deployments"("poolHook");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "deployments_locker_idx" ON "deployments"("locker");
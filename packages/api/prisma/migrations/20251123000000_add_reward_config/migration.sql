@@ -0,0 +1,48 @@
+-- CreateTable
+-- Every reward recipient from TokenRewardAdded, not just the creator / FEY stakers split
+CREATE TABLE IF NOT EXISTS "fee_recipients" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "slot" INTEGER NOT NULL,
+    "recipient" VARCHAR(42) NOT NULL,
+    "admin" VARCHAR(42) NOT NULL,
+    "bps" INTEGER NOT NULL,
+
+    CONSTRAINT "fee_recipients_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+-- Initial LP position layout from TokenRewardAdded
+CREATE TABLE IF NOT EXISTS "liquidity_positions" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "slot" INTEGER NOT NULL,
+    "tickLower" INTEGER NOT NULL,
+    "tickUpper" INTEGER NOT NULL,
+    "positionBps" INTEGER NOT NULL,
+
+    CONSTRAINT "liquidity_positions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "fee_recipients_tokenAddress_slot_key" ON "fee_recipients"("tokenAddress", "slot");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "fee_recipients_recipient_idx" ON "fee_recipients"("recipient");
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "liquidity_positions_tokenAddress_slot_key" ON "liquidity_positions"("tokenAddress", "slot");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "fee_recipients" ADD CONSTRAINT "fee_recipients_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "liquidity_positions" ADD CONSTRAINT "liquidity_positions_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
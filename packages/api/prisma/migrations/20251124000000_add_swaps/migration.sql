@@ -0,0 +1,41 @@
+-- AlterTable
+-- Time from which a deployment's swaps are complete
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "swapsIndexedFrom" TIMESTAMP(3);
+
+-- CreateTable
+-- Trades on FEY Uniswap v4 pools, from PoolManager Swap events
+CREATE TABLE IF NOT EXISTS "swaps" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "poolId" VARCHAR(66) NOT NULL,
+    "side" VARCHAR(4) NOT NULL,
+    "trader" VARCHAR(42) NOT NULL,
+    "tokenAmount" VARCHAR(78) NOT NULL,
+    "pairedAmount" VARCHAR(78) NOT NULL,
+    "pairedValue" DOUBLE PRECISION NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "blockNumber" BIGINT NOT NULL,
+    "blockHash" VARCHAR(66) NOT NULL,
+    "transactionHash" VARCHAR(66) NOT NULL,
+    "logIndex" INTEGER NOT NULL,
+    "swappedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "swaps_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "swaps_transactionHash_logIndex_key" ON "swaps"("transactionHash", "logIndex");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "swaps_tokenAddress_swappedAt_idx" ON "swaps"("tokenAddress", "swappedAt");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "swaps_trader_idx" ON "swaps"("trader");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "swaps" ADD CONSTRAINT "swaps_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
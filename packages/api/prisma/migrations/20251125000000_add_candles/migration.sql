@@ -0,0 +1,29 @@
+-- CreateTable
+-- OHLCV per token and interval, aggregated from indexed swaps
+CREATE TABLE IF NOT EXISTS "candles" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "interval" VARCHAR(3) NOT NULL,
+    "openTime" TIMESTAMP(3) NOT NULL,
+    "open" DOUBLE PRECISION NOT NULL,
+    "high" DOUBLE PRECISION NOT NULL,
+    "low" DOUBLE PRECISION NOT NULL,
+    "close" DOUBLE PRECISION NOT NULL,
+    "volume" DOUBLE PRECISION NOT NULL,
+    "trades" INTEGER NOT NULL,
+    "pairedUsd" DOUBLE PRECISION,
+    "pairedFey" DOUBLE PRECISION,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "candles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "candles_tokenAddress_interval_openTime_key" ON "candles"("tokenAddress", "interval", "openTime");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "candles" ADD CONSTRAINT "candles_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
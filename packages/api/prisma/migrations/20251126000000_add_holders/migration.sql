@@ -0,0 +1,51 @@
+-- AlterTable
+-- Per-token progress of the holder indexer and the deployer's launch balance
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "holdersSyncedBlock" BIGINT;
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "holdersIndexedFrom" TIMESTAMP(3);
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "deployerLaunchBalance" VARCHAR(78);
+
+-- CreateTable
+-- Running token balances from ERC-20 Transfer events
+CREATE TABLE IF NOT EXISTS "token_holders" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "holder" VARCHAR(42) NOT NULL,
+    "balance" DECIMAL(78,0) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "token_holders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+-- Hourly holder counts per token
+CREATE TABLE IF NOT EXISTS "holder_counts" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "hour" TIMESTAMP(3) NOT NULL,
+    "holders" INTEGER NOT NULL,
+
+    CONSTRAINT "holder_counts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "token_holders_tokenAddress_holder_key" ON "token_holders"("tokenAddress", "holder");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "token_holders_tokenAddress_balance_idx" ON "token_holders"("tokenAddress", "balance" DESC);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "holder_counts_tokenAddress_hour_key" ON "holder_counts"("tokenAddress", "hour");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "token_holders" ADD CONSTRAINT "token_holders_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "holder_counts" ADD CONSTRAINT "holder_counts_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
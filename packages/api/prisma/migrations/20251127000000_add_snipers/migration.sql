@@ -0,0 +1,34 @@
+-- AlterTable
+-- Launch sniping summary
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "sniperCount" INTEGER;
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "snipedPercent" DOUBLE PRECISION;
+
+-- CreateTable
+-- Wallets buying in the launch block or the few blocks after it
+CREATE TABLE IF NOT EXISTS "snipers" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "wallet" VARCHAR(42) NOT NULL,
+    "blockOffset" INTEGER NOT NULL,
+    "tokenAmount" VARCHAR(78) NOT NULL,
+    "pairedAmount" VARCHAR(78) NOT NULL,
+    "supplyPercent" DOUBLE PRECISION NOT NULL,
+    "buys" INTEGER NOT NULL,
+    "priorSnipes" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "snipers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "snipers_tokenAddress_wallet_key" ON "snipers"("tokenAddress", "wallet");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "snipers_wallet_idx" ON "snipers"("wallet");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "snipers" ADD CONSTRAINT "snipers_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
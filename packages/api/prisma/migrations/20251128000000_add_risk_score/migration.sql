@@ -0,0 +1,7 @@
+-- AlterTable
+-- Launch risk score and its per-factor breakdown
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "riskScore" INTEGER;
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "riskFactors" JSONB;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "deployments_riskScore_idx" ON "deployments"("riskScore");
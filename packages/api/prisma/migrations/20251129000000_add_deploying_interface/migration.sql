@@ -0,0 +1,22 @@
+-- AlterTable
+-- Interface the token was launched from, parsed out of the context JSON
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "deployingInterface" VARCHAR(100);
+
+-- Backfill from stored context, skipping rows whose context isn't valid JSON
+DO $$
+DECLARE
+    row RECORD;
+BEGIN
+    FOR row IN SELECT "id", "context" FROM "deployments" WHERE "context" IS NOT NULL AND "deployingInterface" IS NULL LOOP
+        BEGIN
+            UPDATE "deployments"
+            SET "deployingInterface" = LEFT(NULLIF(TRIM(row."context"::jsonb ->> 'interface'), ''), 100)
+            WHERE "id" = row."id";
+        EXCEPTION
+            WHEN others THEN null;
+        END;
+    END LOOP;
+END $$;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "deployments_deployingInterface_idx" ON "deployments"("deployingInterface");
@@ -0,0 +1,24 @@
+-- CreateTable
+-- Basename / ENS lookups per address, re-resolved in the background once they expire
+CREATE TABLE IF NOT EXISTS "resolved_names" (
+    "address" VARCHAR(42) NOT NULL,
+    "basename" VARCHAR(255),
+    "ens" VARCHAR(255),
+    "resolvedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "resolved_names_pkey" PRIMARY KEY ("address")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "resolved_names_expiresAt_idx" ON "resolved_names"("expiresAt");
+
+-- Seed every past deployer with the names stored at launch, due for a lookup straight away
+INSERT INTO "resolved_names" ("address", "basename", "ens", "updatedAt")
+SELECT LOWER("deployer"), MAX("deployerBasename"), MAX("deployerENS"), CURRENT_TIMESTAMP
+FROM "deployments"
+GROUP BY LOWER("deployer")
+ON CONFLICT ("address") DO NOTHING;
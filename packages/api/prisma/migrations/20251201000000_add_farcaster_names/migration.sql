@@ -0,0 +1,13 @@
+-- AlterTable
+-- Farcaster account each address is a verified address of
+ALTER TABLE "resolved_names" ADD COLUMN IF NOT EXISTS "farcasterFid" INTEGER;
+ALTER TABLE "resolved_names" ADD COLUMN IF NOT EXISTS "farcasterUsername" VARCHAR(255);
+ALTER TABLE "resolved_names" ADD COLUMN IF NOT EXISTS "farcasterDisplayName" VARCHAR(255);
+ALTER TABLE "resolved_names" ADD COLUMN IF NOT EXISTS "farcasterPfpUrl" TEXT;
+ALTER TABLE "resolved_names" ADD COLUMN IF NOT EXISTS "farcasterFollowers" INTEGER;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "resolved_names_farcasterFid_idx" ON "resolved_names"("farcasterFid");
+
+-- Every cached address is due for a lookup, so existing deployers get their Farcaster accounts
+UPDATE "resolved_names" SET "expiresAt" = CURRENT_TIMESTAMP;
@@ -0,0 +1,12 @@
+-- CreateTable
+-- Resume points for interrupted data integrity runs
+CREATE TABLE IF NOT EXISTS "integrity_checkpoints" (
+    "id" VARCHAR(64) NOT NULL,
+    "fromBlock" BIGINT NOT NULL,
+    "toBlock" BIGINT NOT NULL,
+    "nextBlock" BIGINT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "integrity_checkpoints_pkey" PRIMARY KEY ("id")
+);
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "webhook_deliveries" ADD COLUMN IF NOT EXISTS "tokenAddress" VARCHAR(42);
+
+-- Backfill from the payload - only the first delivery per subscription and deployment gets the key,
+-- so duplicates queued before this migration stay in the log without breaking the unique index
+UPDATE "webhook_deliveries" AS d
+SET "tokenAddress" = LOWER(d."payload"->>'tokenAddress')
+WHERE d."tokenAddress" IS NULL
+  AND d."payload"->>'tokenAddress' IS NOT NULL
+  AND d."id" = (
+    SELECT MIN(o."id") FROM "webhook_deliveries" AS o
+    WHERE o."subscriptionId" = d."subscriptionId"
+      AND o."event" = d."event"
+      AND LOWER(o."payload"->>'tokenAddress') = LOWER(d."payload"->>'tokenAddress')
+  );
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "webhook_deliveries_subscriptionId_event_tokenAddress_key" ON "webhook_deliveries"("subscriptionId", "event", "tokenAddress");
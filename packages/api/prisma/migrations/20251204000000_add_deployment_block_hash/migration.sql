@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "deployments" ADD COLUMN IF NOT EXISTS "blockHash" VARCHAR(66);
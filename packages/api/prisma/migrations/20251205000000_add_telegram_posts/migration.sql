@@ -0,0 +1,21 @@
+-- CreateTable
+-- Telegram chats each deployment has been posted to
+CREATE TABLE IF NOT EXISTS "telegram_posts" (
+    "id" SERIAL NOT NULL,
+    "tokenAddress" VARCHAR(42) NOT NULL,
+    "chatId" VARCHAR(64) NOT NULL,
+    "messageId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "telegram_posts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "telegram_posts_tokenAddress_chatId_key" ON "telegram_posts"("tokenAddress", "chatId");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "telegram_posts" ADD CONSTRAINT "telegram_posts_tokenAddress_fkey" FOREIGN KEY ("tokenAddress") REFERENCES "deployments"("tokenAddress") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
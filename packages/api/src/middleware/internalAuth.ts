@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+import { Request, Response, NextFunction } from 'express';
+
+/**
+ * Guards the routes only the bot calls (broadcasts, webhook dispatch, notifications)
+ * Requires `Authorization: Bearer <INTERNAL_API_TOKEN>` - closed while the token isn't configured
+ */
+export function requireInternalToken(req: Request, res: Response, next: NextFunction) {
+  const internalToken = process.env.INTERNAL_API_TOKEN;
+  if (!internalToken) {
+    console.error('[Internal] INTERNAL_API_TOKEN is not set - rejecting internal request');
+    return res.status(503).json({ error: 'Internal API is not configured' });
+  }
+
+  const header = req.headers.authorization;
+  const token = header?.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+  const expected = Buffer.from(internalToken);
+  const provided = Buffer.from(token);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({ error: 'Invalid internal token' });
+  }
+  next();
+}
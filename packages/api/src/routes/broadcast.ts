@@ -1,6 +1,9 @@
 import { Router } from 'express';
-import { broadcastDeployment } from './websocket';
-import { TokenDeployment } from '@feydar/shared/types';
+import { broadcastDeployment, broadcastRetraction, broadcastTokenStateChange } from './websocket';
+import { queueDeploymentWebhooks } from '../services/webhooks';
+import { getFarcasterProfiles } from '../services/names';
+import { prisma } from '../db/client';
+import { TokenDeployment, DeploymentRetraction, TokenStateChange } from '@feydar/shared/types';
 
 const router = Router();
 
@@ -24,5 +27,111 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/broadcast/retraction
+ * Internal endpoint for bot to retract a deployment that was reorged out
+ */
+router.post('/retraction', async (req, res) => {
+  try {
+    const retraction = req.body as DeploymentRetraction;
+
+    if (!retraction.tokenAddress || !retraction.transactionHash) {
+      return res.status(400).json({ error: 'Invalid retraction data' });
+    }
+
+    broadcastRetraction(retraction);
+    res.json({ success: true });
+  } catch (error: any) {
+    console.error('Error broadcasting retraction:', error);
+    res.status(500).json({ error: 'Failed to broadcast retraction' });
+  }
+});
+
+/**
+ * POST /api/broadcast/state-change
+ * Internal endpoint for bot to push a token admin/image/metadata/verification change
+ */
+router.post('/state-change', async (req, res) => {
+  try {
+    const change = req.body as TokenStateChange;
+
+    if (!change.tokenAddress || !change.field || !change.transactionHash) {
+      return res.status(400).json({ error: 'Invalid state change data' });
+    }
+
+    broadcastTokenStateChange(change);
+    res.json({ success: true });
+  } catch (error: any) {
+    console.error('Error broadcasting state change:', error);
+    res.status(500).json({ error: 'Failed to broadcast state change' });
+  }
+});
+
+/**
+ * POST /api/broadcast/webhooks
+ * Internal endpoint for bot to queue webhook deliveries for a saved deployment
+ * Sent once contract data (verification) has been refreshed, so filters see the final state
+ * Body: { tokenAddress, tokensReceived, tokensSpent }
+ */
+router.post('/webhooks', async (req, res) => {
+  try {
+    const { tokenAddress, tokensReceived = null, tokensSpent = null } = req.body || {};
+
+    if (!tokenAddress) {
+      return res.status(400).json({ error: 'Invalid webhook dispatch data' });
+    }
+
+    const d = await prisma.deployment.findUnique({
+      where: { tokenAddress: String(tokenAddress).toLowerCase() },
+    });
+    if (!d) {
+      // Retracted before dispatch - nothing to deliver
+      return res.json({ success: true, queued: 0 });
+    }
+    const farcaster = await getFarcasterProfiles([d.deployer]);
+
+    const deployment: TokenDeployment = {
+      id: d.id,
+      tokenAddress: d.tokenAddress,
+      name: d.name,
+      symbol: d.symbol,
+      deployer: d.deployer,
+      deployerBasename: d.deployerBasename ?? undefined,
+      deployerENS: d.deployerENS ?? undefined,
+      deployerFarcaster: farcaster.get(d.deployer.toLowerCase()) ?? null,
+      transactionHash: d.transactionHash,
+      tokenImage: d.tokenImage ?? undefined,
+      currentAdmin: d.currentAdmin ?? undefined,
+      currentImageUrl: d.currentImageUrl ?? undefined,
+      metadata: d.metadata ?? undefined,
+      context: d.context ?? undefined,
+      isVerified: d.isVerified ?? undefined,
+      creatorBps: d.creatorBps ?? undefined,
+      feyStakersBps: d.feyStakersBps ?? undefined,
+      poolId: d.poolId ?? undefined,
+      blockNumber: Number(d.blockNumber),
+      createdAt: d.createdAt,
+      msgSender: d.msgSender,
+      startingTick: d.startingTick,
+      poolHook: d.poolHook,
+      pairedToken: d.pairedToken,
+      locker: d.locker,
+      mevModule: d.mevModule,
+      extensionsSupply: d.extensionsSupply,
+      extensions: d.extensions,
+    };
+
+    // Dev buy is stored with the deployment; the body only carries it for deployments saved before that column existed
+    const queued = await queueDeploymentWebhooks(deployment, {
+      tokensReceived: d.tokensReceived ?? tokensReceived,
+      tokensSpent: d.tokensSpent ?? tokensSpent,
+    });
+    res.json({ success: true, queued });
+  } catch (error: any) {
+    console.error('Error queueing webhooks:', error);
+    res.status(500).json({ error: 'Failed to queue webhooks' });
+  }
+});
+
 export { router as broadcastRouter };
 
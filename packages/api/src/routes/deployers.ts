@@ -0,0 +1,31 @@
+import { Router } from 'express';
+import { getDeployerProfile } from '../services/deployers';
+
+const router = Router();
+
+/**
+ * GET /deployer/:address
+ * Deployer profile: resolved names, launch count and dates, verified share, average dev buy
+ * and the current combined market cap of their tokens
+ */
+router.get('/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({ error: 'Invalid deployer address' });
+    }
+
+    const profile = await getDeployerProfile(address);
+    if (!profile) {
+      return res.status(404).json({ error: 'Deployer not found' });
+    }
+
+    res.json(profile);
+  } catch (error: any) {
+    console.error('Error fetching deployer profile:', error);
+    res.status(500).json({ error: 'Failed to fetch deployer profile' });
+  }
+});
+
+export { router as deployersRouter };
@@ -1,12 +1,71 @@
 import { Router } from 'express';
 import { prisma } from '../db/client';
-import { DeploymentsQuery } from '@feydar/shared/types';
+import { DeploymentsQuery, FarcasterProfile } from '@feydar/shared/types';
+import { getHolders } from '../services/holders';
+import { getFarcasterProfiles } from '../services/names';
+import { parseTokenMetadata } from '@feydar/shared/utils';
 
 const router = Router();
 
+/**
+ * Formats a stored deployment for API responses
+ * @param farcaster - Deployer's cached Farcaster account, if any
+ */
+function formatDeployment(d: any, farcaster: FarcasterProfile | null = null) {
+  return {
+    id: d.id,
+    tokenAddress: d.tokenAddress,
+    name: d.name,
+    symbol: d.symbol,
+    deployer: d.deployer,
+    deployerBasename: d.deployerBasename,
+    deployerENS: d.deployerENS,
+    deployerFarcaster: farcaster,
+    transactionHash: d.transactionHash,
+    tokenImage: d.tokenImage,
+    currentAdmin: d.currentAdmin,
+    currentImageUrl: d.currentImageUrl,
+    metadata: d.metadata,
+    context: d.context,
+    parsedMetadata: parseTokenMetadata(d.metadata, d.context),
+    deployingInterface: d.deployingInterface,
+    isVerified: d.isVerified,
+    creatorBps: d.creatorBps,
+    feyStakersBps: d.feyStakersBps,
+    poolId: d.poolId,
+    blockNumber: Number(d.blockNumber),
+    createdAt: d.createdAt,
+    msgSender: d.msgSender,
+    startingTick: d.startingTick,
+    poolHook: d.poolHook,
+    pairedToken: d.pairedToken,
+    locker: d.locker,
+    mevModule: d.mevModule,
+    extensionsSupply: d.extensionsSupply,
+    extensions: d.extensions ?? [],
+    tokensReceived: d.tokensReceived,
+    tokensSpent: d.tokensSpent,
+    devBuyPercent: d.devBuyPercent,
+    sniperCount: d.sniperCount,
+    snipedPercent: d.snipedPercent,
+    riskScore: d.riskScore,
+    riskFactors: d.riskFactors,
+  };
+}
+
+/**
+ * Formats a page of deployments, with their deployers' Farcaster accounts loaded in one query
+ */
+async function formatDeployments(deployments: any[]) {
+  const farcaster = await getFarcasterProfiles(deployments.map((d) => d.deployer));
+  return deployments.map((d) => formatDeployment(d, farcaster.get(d.deployer.toLowerCase()) ?? null));
+}
+
 /**
  * GET /token
  * List tokens with pagination and filters
+ * Query: page, pageSize, deployer, search, minDevBuy (% of supply), minRisk / maxRisk (0-100), poolHook, locker,
+ * interface (deploying interface, case-insensitive), sort (newest | devBuy)
  */
 router.get('/', async (req, res) => {
   try {
@@ -15,8 +74,19 @@ router.get('/', async (req, res) => {
       pageSize = '20',
       deployer,
       search,
+      minDevBuy,
+      minRisk,
+      maxRisk,
+      poolHook,
+      locker,
+      interface: deployingInterface,
+      sort = 'newest',
     } = req.query as Record<string, string | undefined>;
 
+    if (sort !== 'newest' && sort !== 'devBuy') {
+      return res.status(400).json({ error: 'sort must be newest or devBuy' });
+    }
+
     const pageNum = Math.max(1, parseInt(page, 10));
     const pageSizeNum = Math.min(100, Math.max(1, parseInt(pageSize, 10)));
     const skip = (pageNum - 1) * pageSizeNum;
@@ -33,12 +103,42 @@ router.get('/', async (req, res) => {
         { tokenAddress: { contains: search, mode: 'insensitive' } },
       ];
     }
+    if (minDevBuy !== undefined) {
+      const minDevBuyPercent = parseFloat(minDevBuy);
+      if (isNaN(minDevBuyPercent)) {
+        return res.status(400).json({ error: 'minDevBuy must be a number' });
+      }
+      where.devBuyPercent = { gte: minDevBuyPercent };
+    }
+    // Unscored tokens are left out of a risk filter
+    if (minRisk !== undefined || maxRisk !== undefined) {
+      const minRiskScore = minRisk !== undefined ? parseInt(minRisk, 10) : 0;
+      const maxRiskScore = maxRisk !== undefined ? parseInt(maxRisk, 10) : 100;
+      if (isNaN(minRiskScore) || isNaN(maxRiskScore)) {
+        return res.status(400).json({ error: 'minRisk and maxRisk must be numbers' });
+      }
+      where.riskScore = { gte: minRiskScore, lte: maxRiskScore };
+    }
+    if (poolHook) {
+      where.poolHook = { equals: poolHook, mode: 'insensitive' };
+    }
+    if (locker) {
+      where.locker = { equals: locker, mode: 'insensitive' };
+    }
+    if (deployingInterface) {
+      where.deployingInterface = { equals: deployingInterface, mode: 'insensitive' };
+    }
+
+    // Tokens without a decoded dev buy sort last
+    const orderBy: any = sort === 'devBuy'
+      ? [{ devBuyPercent: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }]
+      : { createdAt: 'desc' };
 
     // Get deployments and total count
     const [deployments, total] = await Promise.all([
       prisma.deployment.findMany({
         where,
-        orderBy: { createdAt: 'desc' },
+        orderBy,
         skip,
         take: pageSizeNum,
       }),
@@ -46,27 +146,7 @@ router.get('/', async (req, res) => {
     ]);
 
     res.json({
-      deployments: deployments.map((d) => ({
-        id: d.id,
-        tokenAddress: d.tokenAddress,
-        name: d.name,
-        symbol: d.symbol,
-        deployer: d.deployer,
-        deployerBasename: d.deployerBasename,
-        deployerENS: d.deployerENS,
-        transactionHash: d.transactionHash,
-        tokenImage: d.tokenImage,
-        currentAdmin: d.currentAdmin,
-        currentImageUrl: d.currentImageUrl,
-        metadata: d.metadata,
-        context: d.context,
-        isVerified: d.isVerified,
-        creatorBps: d.creatorBps,
-        feyStakersBps: d.feyStakersBps,
-        poolId: d.poolId,
-        blockNumber: Number(d.blockNumber),
-        createdAt: d.createdAt,
-      })),
+      deployments: await formatDeployments(deployments),
       total,
       page: pageNum,
       pageSize: pageSizeNum,
@@ -92,27 +172,7 @@ router.get('/latest', async (req, res) => {
     });
 
     res.json({
-      deployments: deployments.map((d) => ({
-        id: d.id,
-        tokenAddress: d.tokenAddress,
-        name: d.name,
-        symbol: d.symbol,
-        deployer: d.deployer,
-        deployerBasename: d.deployerBasename,
-        deployerENS: d.deployerENS,
-        transactionHash: d.transactionHash,
-        tokenImage: d.tokenImage,
-        currentAdmin: d.currentAdmin,
-        currentImageUrl: d.currentImageUrl,
-        metadata: d.metadata,
-        context: d.context,
-        isVerified: d.isVerified,
-        creatorBps: d.creatorBps,
-        feyStakersBps: d.feyStakersBps,
-        poolId: d.poolId,
-        blockNumber: Number(d.blockNumber),
-        createdAt: d.createdAt,
-      })),
+      deployments: await formatDeployments(deployments),
     });
   } catch (error: any) {
     console.error('Error fetching latest deployments:', error);
@@ -159,42 +219,84 @@ router.get('/:address/adjacent', async (req, res) => {
       take: 1,
     });
 
-    // Format response
-    const formatDeployment = (d: any) => ({
-      id: d.id,
-      tokenAddress: d.tokenAddress,
-      name: d.name,
-      symbol: d.symbol,
-      deployer: d.deployer,
-      deployerBasename: d.deployerBasename,
-      deployerENS: d.deployerENS,
-      transactionHash: d.transactionHash,
-      tokenImage: d.tokenImage,
-      currentAdmin: d.currentAdmin,
-      currentImageUrl: d.currentImageUrl,
-      metadata: d.metadata,
-      context: d.context,
-      isVerified: d.isVerified,
-      creatorBps: d.creatorBps,
-      feyStakersBps: d.feyStakersBps,
-      poolId: d.poolId,
-      blockNumber: Number(d.blockNumber),
-      createdAt: d.createdAt,
+    const [older = null, newer = null] = await formatDeployments([olderDeployment, newerDeployment].filter(Boolean))
+      .then((formatted) => olderDeployment ? formatted : [null, ...formatted]);
+
+    res.json({ older, newer });
+  } catch (error: any) {
+    console.error('Error fetching adjacent tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch adjacent tokens' });
+  }
+});
+
+/**
+ * GET /token/:address/history
+ * Admin, image, metadata and verification changes for a token, oldest first
+ * Must be defined before /:address route
+ */
+router.get('/:address/history', async (req, res) => {
+  try {
+    const tokenAddress = req.params.address.toLowerCase();
+
+    const deployment = await prisma.deployment.findUnique({
+      where: { tokenAddress },
+      select: { id: true },
+    });
+
+    if (!deployment) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const changes = await prisma.tokenStateChange.findMany({
+      where: { tokenAddress },
+      orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }],
     });
 
     res.json({
-      older: olderDeployment ? formatDeployment(olderDeployment) : null,
-      newer: newerDeployment ? formatDeployment(newerDeployment) : null,
+      tokenAddress,
+      changes: changes.map((change) => ({
+        id: change.id,
+        tokenAddress: change.tokenAddress,
+        field: change.field,
+        oldValue: change.oldValue,
+        newValue: change.newValue,
+        blockNumber: Number(change.blockNumber),
+        transactionHash: change.transactionHash,
+        logIndex: change.logIndex,
+        changedAt: change.changedAt,
+      })),
     });
   } catch (error: any) {
-    console.error('Error fetching adjacent tokens:', error);
-    res.status(500).json({ error: 'Failed to fetch adjacent tokens' });
+    console.error('Error fetching token history:', error);
+    res.status(500).json({ error: 'Failed to fetch token history' });
+  }
+});
+
+/**
+ * GET /token/:address/holders
+ * Holder count over time, top holders and concentration, from indexed Transfer events
+ * Query: limit (top holders, default 20, max 100)
+ * Must be defined before /:address route
+ */
+router.get('/:address/holders', async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit as string || '20', 10) || 20));
+
+    const holders = await getHolders(req.params.address.toLowerCase(), limit);
+    if (!holders) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    res.json(holders);
+  } catch (error: any) {
+    console.error('Error fetching token holders:', error);
+    res.status(500).json({ error: 'Failed to fetch token holders' });
   }
 });
 
 /**
  * GET /token/:address
- * Get single token by address
+ * Get single token by address, including every fee recipient, the initial LP positions and launch snipers
  */
 router.get('/:address', async (req, res) => {
   try {
@@ -217,11 +319,27 @@ router.get('/:address', async (req, res) => {
       metadata: string | null;
       context: string | null;
       isVerified: boolean | null;
+      deployingInterface: string | null;
       creatorBps: number | null;
       feyStakersBps: number | null;
       poolId: string | null;
       blockNumber: bigint;
       createdAt: Date;
+      msgSender: string | null;
+      startingTick: number | null;
+      poolHook: string | null;
+      pairedToken: string | null;
+      locker: string | null;
+      mevModule: string | null;
+      extensionsSupply: string | null;
+      extensions: string[] | null;
+      tokensReceived: string | null;
+      tokensSpent: string | null;
+      devBuyPercent: number | null;
+      sniperCount: number | null;
+      snipedPercent: number | null;
+      riskScore: number | null;
+      riskFactors: unknown;
     }>>`
       SELECT * FROM deployments WHERE LOWER("tokenAddress") = LOWER(${address}) LIMIT 1
     `;
@@ -231,28 +349,31 @@ router.get('/:address', async (req, res) => {
     }
 
     const rawDeployment = result[0];
+
+    const [feeRecipients, liquidityPositions, snipers, farcaster] = await Promise.all([
+      prisma.feeRecipient.findMany({
+        where: { tokenAddress: rawDeployment.tokenAddress },
+        orderBy: { slot: 'asc' },
+      }),
+      prisma.liquidityPosition.findMany({
+        where: { tokenAddress: rawDeployment.tokenAddress },
+        orderBy: { slot: 'asc' },
+      }),
+      prisma.sniper.findMany({
+        where: { tokenAddress: rawDeployment.tokenAddress },
+        orderBy: { supplyPercent: 'desc' },
+      }),
+      getFarcasterProfiles([rawDeployment.deployer]),
+    ]);
     
-    // Return in the same format as before
+    // Return in the same format as before, plus the full reward configuration and snipers
     res.json({
-      id: rawDeployment.id,
-      tokenAddress: rawDeployment.tokenAddress,
-      name: rawDeployment.name,
-      symbol: rawDeployment.symbol,
-      deployer: rawDeployment.deployer,
-      deployerBasename: rawDeployment.deployerBasename,
-      deployerENS: rawDeployment.deployerENS,
-      transactionHash: rawDeployment.transactionHash,
-      tokenImage: rawDeployment.tokenImage,
-      currentAdmin: rawDeployment.currentAdmin,
-      currentImageUrl: rawDeployment.currentImageUrl,
-      metadata: rawDeployment.metadata,
-      context: rawDeployment.context,
-      isVerified: rawDeployment.isVerified,
-      creatorBps: rawDeployment.creatorBps,
-      feyStakersBps: rawDeployment.feyStakersBps,
-      poolId: rawDeployment.poolId,
-      blockNumber: Number(rawDeployment.blockNumber),
-      createdAt: rawDeployment.createdAt,
+      ...formatDeployment(rawDeployment, farcaster.get(rawDeployment.deployer.toLowerCase()) ?? null),
+      feeRecipients: feeRecipients.map(({ slot, recipient, admin, bps }) => ({ slot, recipient, admin, bps })),
+      liquidityPositions: liquidityPositions.map(({ slot, tickLower, tickUpper, positionBps }) => ({ slot, tickLower, tickUpper, positionBps })),
+      snipers: snipers.map(({ wallet, blockOffset, tokenAmount, pairedAmount, supplyPercent, buys, priorSnipes }) => ({
+        wallet, blockOffset, tokenAmount, pairedAmount, supplyPercent, buys, priorSnipes,
+      })),
     });
   } catch (error: any) {
     console.error('Error fetching deployment:', error);
@@ -0,0 +1,112 @@
+import { Request, Response, Router } from 'express';
+import { prisma } from '../db/client';
+import { DEFAULT_IMAGE_WIDTH } from '@feydar/shared/constants';
+import { getImageWidth, hasTokenImage } from '@feydar/shared/utils';
+import { getProxiedImage, ProxiedImage } from '../services/imageProxy';
+
+const router = Router();
+
+function parseWidth(req: Request): number | null {
+  const requestedWidth = req.query.w ? parseInt(req.query.w as string, 10) : DEFAULT_IMAGE_WIDTH;
+  return isNaN(requestedWidth) || requestedWidth <= 0 ? null : requestedWidth;
+}
+
+/**
+ * Sends a rendered variant with an ETag - versioned requests (`v` in the query) are cached by browsers indefinitely
+ */
+function sendImage(req: Request, res: Response, image: ProxiedImage) {
+  const etag = `"${image.hash.substring(0, 16)}-${image.width}"`;
+  res.set({
+    'Content-Type': 'image/webp',
+    'Cache-Control': req.query.v ? 'public, max-age=31536000, immutable' : 'public, max-age=3600',
+    'X-Content-Type-Options': 'nosniff',
+    ETag: etag,
+  });
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+  res.send(image.data);
+}
+
+/**
+ * GET /img/farcaster/:fid?w=64&v=<version>
+ * Profile picture of a deployer's Farcaster account (from the name cache) as WebP
+ * createFarcasterPfpUrl adds `v` from the picture's URL, so a changed picture gets a new URL
+ */
+router.get('/farcaster/:fid', async (req, res) => {
+  try {
+    const fid = parseInt(req.params.fid, 10);
+    if (!/^\d+$/.test(req.params.fid) || fid <= 0) {
+      return res.status(400).json({ error: 'Invalid fid' });
+    }
+
+    const requestedWidth = parseWidth(req);
+    if (requestedWidth === null) {
+      return res.status(400).json({ error: 'Invalid width' });
+    }
+
+    const profile = await prisma.resolvedName.findFirst({
+      where: { farcasterFid: fid, farcasterPfpUrl: { not: null } },
+      orderBy: { updatedAt: 'desc' },
+      select: { farcasterPfpUrl: true },
+    });
+    if (!profile?.farcasterPfpUrl) {
+      return res.status(404).json({ error: 'Profile picture not found' });
+    }
+
+    const image = await getProxiedImage(profile.farcasterPfpUrl.trim(), getImageWidth(requestedWidth));
+    if (!image) {
+      res.set('Cache-Control', 'public, max-age=60');
+      return res.status(502).json({ error: 'Profile picture unavailable' });
+    }
+    sendImage(req, res, image);
+  } catch (error: any) {
+    console.error('Error serving Farcaster profile picture:', error);
+    res.status(500).json({ error: 'Failed to serve profile picture' });
+  }
+});
+
+/**
+ * GET /img/:tokenAddress?w=256&v=<version>
+ * Token image as WebP, fetched through the IPFS gateways and resized to the nearest width in IMAGE_WIDTHS
+ * createTokenImageUrl adds `v` from the image URL
+ */
+router.get('/:tokenAddress', async (req, res) => {
+  try {
+    const { tokenAddress } = req.params;
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(tokenAddress)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+
+    const requestedWidth = parseWidth(req);
+    if (requestedWidth === null) {
+      return res.status(400).json({ error: 'Invalid width' });
+    }
+
+    const deployment = await prisma.deployment.findFirst({
+      where: { tokenAddress: { equals: tokenAddress, mode: 'insensitive' } },
+      select: { currentImageUrl: true, tokenImage: true },
+    });
+    if (!deployment) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const imageUrl = deployment.currentImageUrl || deployment.tokenImage;
+    if (!hasTokenImage(imageUrl)) {
+      return res.status(404).json({ error: 'Token has no image' });
+    }
+
+    const image = await getProxiedImage(imageUrl.trim(), getImageWidth(requestedWidth));
+    if (!image) {
+      res.set('Cache-Control', 'public, max-age=60');
+      return res.status(502).json({ error: 'Token image unavailable' });
+    }
+    sendImage(req, res, image);
+  } catch (error: any) {
+    console.error('Error serving token image:', error);
+    res.status(500).json({ error: 'Failed to serve token image' });
+  }
+});
+
+export { router as imagesRouter };
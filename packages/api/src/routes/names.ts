@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { getResolvedNames, MAX_NAME_ADDRESSES } from '../services/names';
+
+const router = Router();
+
+/**
+ * GET /names?addresses=0x...,0x...
+ * Cached Basename / ENS names for up to 100 addresses
+ * Cached addresses, deployers and snipers without a completed lookup come back pending and are resolved by the
+ * bot within a few minutes; other addresses come back unresolved
+ */
+router.get('/', async (req, res) => {
+  try {
+    const addresses = typeof req.query.addresses === 'string'
+      ? req.query.addresses.split(',').map((address) => address.trim()).filter(Boolean)
+      : [];
+
+    if (addresses.length === 0) {
+      return res.status(400).json({ error: 'addresses is required' });
+    }
+    if (addresses.length > MAX_NAME_ADDRESSES) {
+      return res.status(400).json({ error: `At most ${MAX_NAME_ADDRESSES} addresses per request` });
+    }
+    const invalid = addresses.find((address) => !/^0x[a-fA-F0-9]{40}$/.test(address));
+    if (invalid) {
+      return res.status(400).json({ error: `Invalid address: ${invalid}` });
+    }
+
+    res.json({ names: await getResolvedNames(addresses) });
+  } catch (error: any) {
+    console.error('Error fetching names:', error);
+    res.status(500).json({ error: 'Failed to fetch names' });
+  }
+});
+
+export { router as namesRouter };
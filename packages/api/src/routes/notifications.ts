@@ -24,6 +24,7 @@ router.post('/send', async (req, res) => {
       deployer: deployment.deployer,
       deployerBasename: deployment.deployerBasename,
       deployerENS: deployment.deployerENS,
+      deployerFarcaster: deployment.deployerFarcaster,
     });
 
     res.json({
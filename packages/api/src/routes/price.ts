@@ -1,5 +1,9 @@
 import { Router } from 'express';
 import { getExternalPriceData } from '../services/externalPrice';
+import { getSwapActivity } from '../services/swapActivity';
+import { getCandles } from '../services/candles';
+import { CandleInterval, CandlesResponse } from '@feydar/shared/types';
+import { CANDLE_INTERVALS, MAX_CANDLES } from '@feydar/shared/constants';
 
 const router = Router();
 
@@ -15,6 +19,7 @@ if (!FEY_TOKEN_ADDRESS) {
 /**
  * GET /api/price/:tokenAddress
  * Get token price data from external APIs (Dexscreener/Codex/CoinGecko)
+ * 24h activity comes from indexed on-chain swaps when they cover the window
  */
 router.get('/:tokenAddress', async (req, res) => {
   try {
@@ -34,6 +39,12 @@ router.get('/:tokenAddress', async (req, res) => {
 
     console.log(`[PriceRoute] Price data for ${tokenAddress}: price=${priceData.price}, priceInFEY=${priceData.priceInFEY}`);
 
+    // Aggregators lag for the first minutes after a launch - indexed swaps don't
+    const swapActivity = await getSwapActivity(tokenAddress.toLowerCase()).catch((error) => {
+      console.error(`[PriceRoute] Error loading swap activity for ${tokenAddress}:`, error);
+      return null;
+    });
+
     // Return data in the same format as before (no breaking changes)
     res.json({
       price: priceData.price,
@@ -44,15 +55,15 @@ router.get('/:tokenAddress', async (req, res) => {
       priceChange24h: priceData.priceChange24h,
       marketCap: priceData.marketCap,
       liquidity: priceData.liquidity,
-      volume24h: priceData.volume24h,
-      txns24h: priceData.txns24h,
-      buys24h: priceData.buys24h,
-      sells24h: priceData.sells24h,
-      buyVolume24h: priceData.buyVolume24h,
-      sellVolume24h: priceData.sellVolume24h,
-      buyers24h: priceData.buyers24h,
-      sellers24h: priceData.sellers24h,
-      makers24h: priceData.makers24h,
+      volume24h: swapActivity?.volume24h ?? priceData.volume24h,
+      txns24h: swapActivity?.txns24h ?? priceData.txns24h,
+      buys24h: swapActivity?.buys24h ?? priceData.buys24h,
+      sells24h: swapActivity?.sells24h ?? priceData.sells24h,
+      buyVolume24h: swapActivity?.buyVolume24h ?? priceData.buyVolume24h,
+      sellVolume24h: swapActivity?.sellVolume24h ?? priceData.sellVolume24h,
+      buyers24h: swapActivity?.buyers24h ?? priceData.buyers24h,
+      sellers24h: swapActivity?.sellers24h ?? priceData.sellers24h,
+      makers24h: swapActivity?.makers24h ?? priceData.makers24h,
     });
   } catch (error: any) {
     console.error('Error fetching token price:', error);
@@ -78,5 +89,59 @@ router.get('/:tokenAddress', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/price/:tokenAddress/candles
+ * OHLCV candles built from indexed on-chain swaps
+ * Query: interval (1m, 5m, 15m, 1h, 4h, 1d - default 5m), quote (usd or fey - default usd),
+ * from / to (unix seconds - default the last 300 candles). At most MAX_CANDLES per request.
+ */
+router.get('/:tokenAddress/candles', async (req, res) => {
+  try {
+    const { tokenAddress } = req.params;
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(tokenAddress)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+
+    const interval = ((req.query.interval as string) || '5m') as CandleInterval;
+    // Own keys only - `in` would also accept inherited names like toString
+    if (!Object.prototype.hasOwnProperty.call(CANDLE_INTERVALS, interval)) {
+      return res.status(400).json({ error: `Invalid interval. Use one of: ${Object.keys(CANDLE_INTERVALS).join(', ')}` });
+    }
+
+    const quote = ((req.query.quote as string) || 'usd').toLowerCase();
+    if (quote !== 'usd' && quote !== 'fey') {
+      return res.status(400).json({ error: 'Invalid quote. Use usd or fey' });
+    }
+
+    const seconds = CANDLE_INTERVALS[interval];
+    const toParam = req.query.to ? parseInt(req.query.to as string, 10) : Math.floor(Date.now() / 1000);
+    const fromParam = req.query.from ? parseInt(req.query.from as string, 10) : toParam - 299 * seconds;
+    if (isNaN(fromParam) || isNaN(toParam) || fromParam > toParam) {
+      return res.status(400).json({ error: 'from and to must be unix seconds with from <= to' });
+    }
+
+    // Align to bucket starts and keep the most recent MAX_CANDLES
+    const to = Math.floor(toParam / seconds) * seconds;
+    const from = Math.max(Math.floor(fromParam / seconds) * seconds, to - (MAX_CANDLES - 1) * seconds);
+
+    const candles = await getCandles(tokenAddress.toLowerCase(), { interval, quote, from, to });
+    if (!candles) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const response: CandlesResponse = {
+      tokenAddress: tokenAddress.toLowerCase(),
+      interval,
+      quote,
+      candles,
+    };
+    res.json(response);
+  } catch (error: any) {
+    console.error('[PriceRoute] Error fetching candles:', error);
+    res.status(500).json({ error: 'Failed to fetch candles' });
+  }
+});
+
 export { router as priceRouter };
 
@@ -0,0 +1,256 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { prisma } from '../db/client';
+import { generateWebhookSecret } from '../services/webhooks';
+import { resolvePublicAddress } from '../services/publicAddress';
+import { WebhookSubscriptionInfo } from '@feydar/shared/types';
+
+const router = Router();
+
+const MAX_DELIVERIES_PAGE_SIZE = 100;
+
+function toSubscriptionInfo(subscription: any): WebhookSubscriptionInfo {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    description: subscription.description,
+    deployer: subscription.deployer,
+    verifiedOnly: subscription.verifiedOnly,
+    minDevBuyPercent: subscription.minDevBuyPercent,
+    enabled: subscription.enabled,
+    consecutiveFailures: subscription.consecutiveFailures,
+    disabledAt: subscription.disabledAt ? subscription.disabledAt.toISOString() : null,
+    disabledReason: subscription.disabledReason,
+    createdAt: subscription.createdAt.toISOString(),
+  };
+}
+
+function getBearerToken(req: Request): string | null {
+  const header = req.headers.authorization;
+  return header?.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+}
+
+function safeEqual(a: string, b: string): boolean {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Validates and normalizes the editable subscription fields
+ * Returns an error message instead of throwing so routes can send a 400
+ * The url's host must resolve to public addresses - deliveries check it again when they connect
+ */
+async function parseSubscriptionFields(body: any): Promise<{ data: Record<string, any> } | { error: string }> {
+  const data: Record<string, any> = {};
+
+  if (body.url !== undefined) {
+    let url: URL;
+    try {
+      url = new URL(body.url);
+    } catch {
+      return { error: 'url must be a valid URL' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return { error: 'url must be an http(s) URL' };
+    }
+    try {
+      await resolvePublicAddress(url.hostname);
+    } catch {
+      return { error: 'url must point to a public host' };
+    }
+    data.url = url.toString();
+  }
+
+  if (body.description !== undefined) {
+    data.description = body.description ? String(body.description).substring(0, 255) : null;
+  }
+
+  if (body.deployer !== undefined) {
+    if (body.deployer && !ethers.isAddress(body.deployer)) {
+      return { error: 'deployer must be an address' };
+    }
+    data.deployer = body.deployer ? String(body.deployer).toLowerCase() : null;
+  }
+
+  if (body.verifiedOnly !== undefined) {
+    data.verifiedOnly = Boolean(body.verifiedOnly);
+  }
+
+  if (body.minDevBuyPercent !== undefined) {
+    const minDevBuyPercent = body.minDevBuyPercent === null ? null : Number(body.minDevBuyPercent);
+    if (minDevBuyPercent !== null && (isNaN(minDevBuyPercent) || minDevBuyPercent < 0 || minDevBuyPercent > 100)) {
+      return { error: 'minDevBuyPercent must be between 0 and 100' };
+    }
+    data.minDevBuyPercent = minDevBuyPercent;
+  }
+
+  return { data };
+}
+
+/**
+ * Loads the subscription in :id and checks the bearer token is its secret
+ */
+async function requireSubscription(req: Request, res: Response, next: NextFunction) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const token = getBearerToken(req);
+    if (!id || !token) {
+      return res.status(401).json({ error: 'Authorization: Bearer <webhook secret> required' });
+    }
+
+    const subscription = await prisma.webhookSubscription.findUnique({ where: { id } });
+    if (!subscription || !safeEqual(subscription.secret, token)) {
+      // Same response for unknown ids and wrong secrets
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.locals.subscription = subscription;
+    next();
+  } catch (error: any) {
+    console.error('Error loading webhook:', error);
+    res.status(500).json({ error: 'Failed to load webhook' });
+  }
+}
+
+/**
+ * POST /api/webhooks
+ * Register a webhook for new deployments
+ * Body: { url, description?, deployer?, verifiedOnly?, minDevBuyPercent?, secret? }
+ * Returns the subscription and its signing secret (only shown once)
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Closed unless a registration token is configured
+    const registrationToken = process.env.WEBHOOK_REGISTRATION_TOKEN;
+    if (!registrationToken) {
+      return res.status(503).json({ error: 'Webhook registration is not enabled' });
+    }
+    if (!safeEqual(getBearerToken(req) || '', registrationToken)) {
+      return res.status(401).json({ error: 'Invalid registration token' });
+    }
+
+    if (!req.body?.url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const parsed = await parseSubscriptionFields(req.body);
+    if ('error' in parsed) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const secret = req.body.secret ? String(req.body.secret) : generateWebhookSecret();
+    if (secret.length < 16 || secret.length > 128) {
+      return res.status(400).json({ error: 'secret must be 16-128 characters' });
+    }
+
+    const subscription = await prisma.webhookSubscription.create({
+      data: { ...parsed.data, url: parsed.data.url, secret },
+    });
+
+    console.log(`[Webhooks] Registered subscription ${subscription.id}`);
+    res.status(201).json({ ...toSubscriptionInfo(subscription), secret });
+  } catch (error: any) {
+    console.error('Error registering webhook:', error);
+    res.status(500).json({ error: 'Failed to register webhook' });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook subscription (Authorization: Bearer <secret>)
+ */
+router.get('/:id', requireSubscription, (req, res) => {
+  res.json(toSubscriptionInfo(res.locals.subscription));
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Update url, filters or enabled (Authorization: Bearer <secret>)
+ * Re-enabling a subscription resets its failure count
+ */
+router.patch('/:id', requireSubscription, async (req, res) => {
+  try {
+    const parsed = await parseSubscriptionFields(req.body || {});
+    if ('error' in parsed) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const data: Record<string, any> = { ...parsed.data };
+    if (req.body?.enabled !== undefined) {
+      data.enabled = Boolean(req.body.enabled);
+      if (data.enabled) {
+        data.consecutiveFailures = 0;
+        data.disabledAt = null;
+        data.disabledReason = null;
+      }
+    }
+
+    const subscription = await prisma.webhookSubscription.update({
+      where: { id: res.locals.subscription.id },
+      data,
+    });
+    res.json(toSubscriptionInfo(subscription));
+  } catch (error: any) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook subscription and its delivery log (Authorization: Bearer <secret>)
+ */
+router.delete('/:id', requireSubscription, async (req, res) => {
+  try {
+    await prisma.webhookSubscription.delete({ where: { id: res.locals.subscription.id } });
+    res.json({ success: true });
+  } catch (error: any) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log, newest first (Authorization: Bearer <secret>)
+ * Query: status (pending | delivering | delivered | failed), limit (default 20, max 100), before (delivery id, for paging)
+ */
+router.get('/:id/deliveries', requireSubscription, async (req, res) => {
+  try {
+    const { status, limit = '20', before } = req.query;
+    const take = Math.min(Math.max(parseInt(limit as string, 10) || 20, 1), MAX_DELIVERIES_PAGE_SIZE);
+
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: {
+        subscriptionId: res.locals.subscription.id,
+        ...(status ? { status: status as string } : {}),
+        ...(before ? { id: { lt: parseInt(before as string, 10) } } : {}),
+      },
+      orderBy: { id: 'desc' },
+      take,
+    });
+
+    res.json({
+      deliveries: deliveries.map((delivery) => ({
+        id: delivery.id,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+        lastStatusCode: delivery.lastStatusCode,
+        lastError: delivery.lastError,
+        deliveredAt: delivery.deliveredAt,
+        createdAt: delivery.createdAt,
+        tokenAddress: (delivery.payload as any)?.tokenAddress ?? null,
+      })),
+      hasMore: deliveries.length === take,
+    });
+  } catch (error: any) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+export { router as webhookSubscriptionsRouter };
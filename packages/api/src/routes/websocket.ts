@@ -1,10 +1,29 @@
 import { WebSocketServer, WebSocket } from 'ws';
 import { prisma } from '../db/client';
-import { WebSocketMessage } from '@feydar/shared/types';
+import { WebSocketMessage, DeploymentRetraction, TokenStateChange } from '@feydar/shared/types';
 
 // Store connected clients
 const clients = new Set<WebSocket>();
 
+/**
+ * Send a message to all open clients, returning how many received it
+ */
+function sendToClients(message: WebSocketMessage): number {
+  const payload = JSON.stringify(message);
+  let sentCount = 0;
+  clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      try {
+        client.send(payload);
+        sentCount++;
+      } catch (error) {
+        console.error('Error sending WebSocket message to client:', error);
+      }
+    }
+  });
+  return sentCount;
+}
+
 /**
  * Broadcast a deployment to all connected clients
  */
@@ -19,6 +38,7 @@ export function broadcastDeployment(deployment: any) {
       deployer: deployment.deployer,
       deployerBasename: deployment.deployerBasename,
       deployerENS: deployment.deployerENS,
+      deployerFarcaster: deployment.deployerFarcaster ?? null,
       transactionHash: deployment.transactionHash,
       tokenImage: deployment.tokenImage,
       creatorBps: deployment.creatorBps,
@@ -26,21 +46,21 @@ export function broadcastDeployment(deployment: any) {
       poolId: deployment.poolId,
       blockNumber: Number(deployment.blockNumber),
       createdAt: deployment.createdAt,
+      msgSender: deployment.msgSender,
+      startingTick: deployment.startingTick,
+      poolHook: deployment.poolHook,
+      pairedToken: deployment.pairedToken,
+      locker: deployment.locker,
+      mevModule: deployment.mevModule,
+      extensionsSupply: deployment.extensionsSupply,
+      extensions: deployment.extensions,
+      tokensReceived: deployment.tokensReceived,
+      tokensSpent: deployment.tokensSpent,
+      devBuyPercent: deployment.devBuyPercent,
     },
   };
 
-  const payload = JSON.stringify(message);
-  let sentCount = 0;
-  clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(payload);
-        sentCount++;
-      } catch (error) {
-        console.error('Error sending WebSocket message to client:', error);
-      }
-    }
-  });
+  const sentCount = sendToClients(message);
   
   if (sentCount > 0) {
     console.log(`[WebSocket] Broadcasted deployment ${deployment.tokenAddress} to ${sentCount} client(s)`);
@@ -49,6 +69,44 @@ export function broadcastDeployment(deployment: any) {
   }
 }
 
+/**
+ * Tell connected clients to drop a deployment that was reorged out
+ */
+export function broadcastRetraction(retraction: DeploymentRetraction) {
+  const sentCount = sendToClients({
+    type: 'retraction',
+    data: {
+      tokenAddress: retraction.tokenAddress,
+      transactionHash: retraction.transactionHash,
+      blockNumber: Number(retraction.blockNumber),
+      blockHash: retraction.blockHash,
+    },
+  });
+
+  console.log(`[WebSocket] Broadcasted retraction for ${retraction.tokenAddress} to ${sentCount} client(s)`);
+}
+
+/**
+ * Push a token admin/image/metadata/verification change to all connected clients
+ */
+export function broadcastTokenStateChange(change: TokenStateChange) {
+  const sentCount = sendToClients({
+    type: 'tokenStateChange',
+    data: {
+      tokenAddress: change.tokenAddress,
+      field: change.field,
+      oldValue: change.oldValue,
+      newValue: change.newValue,
+      blockNumber: Number(change.blockNumber),
+      transactionHash: change.transactionHash,
+      logIndex: change.logIndex,
+      changedAt: change.changedAt,
+    },
+  });
+
+  console.log(`[WebSocket] Broadcasted ${change.field} change for ${change.tokenAddress} to ${sentCount} client(s)`);
+}
+
 /**
  * WebSocket handler
  */
@@ -5,11 +5,18 @@ import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 import { prisma } from './db/client';
 import { deploymentsRouter } from './routes/deployments';
+import { deployersRouter } from './routes/deployers';
+import { imagesRouter } from './routes/images';
+import { namesRouter } from './routes/names';
 import { broadcastRouter } from './routes/broadcast';
+import { requireInternalToken } from './middleware/internalAuth';
 import { priceRouter } from './routes/price';
 import { webhookRouter } from './routes/webhook';
 import { notificationsRouter } from './routes/notifications';
+import { webhookSubscriptionsRouter } from './routes/webhookSubscriptions';
 import { websocketHandler } from './routes/websocket';
+import { getProviderStats } from './services/provider';
+import { startWebhookWorker, stopWebhookWorker } from './services/webhooks';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -25,15 +32,19 @@ app.use(express.json());
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), rpc: getProviderStats() });
 });
 
 // API routes
 app.use('/token', deploymentsRouter);
-app.use('/api/broadcast', broadcastRouter);
+app.use('/deployer', deployersRouter);
+app.use('/img', imagesRouter);
+app.use('/names', namesRouter);
+app.use('/api/broadcast', requireInternalToken, broadcastRouter);
 app.use('/api/price', priceRouter);
 app.use('/api/webhook', webhookRouter);
-app.use('/api/notifications', notificationsRouter);
+app.use('/api/notifications', requireInternalToken, notificationsRouter);
+app.use('/api/webhooks', webhookSubscriptionsRouter);
 
 // Create HTTP server
 const server = createServer(app);
@@ -46,11 +57,13 @@ websocketHandler(wss);
 server.listen(PORT, () => {
   console.log(`🚀 API server running on port ${PORT}`);
   console.log(`📡 WebSocket server available at ws://localhost:${PORT}/ws/deployments`);
+  startWebhookWorker();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  stopWebhookWorker();
   await prisma.$disconnect();
   server.close(() => {
     console.log('Server closed');
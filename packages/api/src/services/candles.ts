@@ -0,0 +1,94 @@
+/**
+ * Candles Service
+ * OHLCV candles from the bot's candle table, converted to USD or FEY and gap-filled
+ */
+
+import { Candle, CandleInterval } from '@feydar/shared/types';
+import { CANDLE_INTERVALS } from '@feydar/shared/constants';
+import { prisma } from '../db/client';
+
+export type CandleQuote = 'usd' | 'fey';
+
+interface CandleRange {
+  interval: CandleInterval;
+  quote: CandleQuote;
+  from: number;
+  to: number;
+}
+
+/**
+ * Candles for a token between from and to (unix seconds, bucket aligned by the caller)
+ * Stored candles are in paired token units and carry the paired token's USD / FEY rate from
+ * when they were built - candles without a rate for the quote are treated as empty buckets.
+ * Empty buckets carry the previous close with zero volume, starting from the first trade.
+ * @returns null if the token isn't known
+ */
+export async function getCandles(
+  tokenAddress: string,
+  { interval, quote, from, to }: CandleRange
+): Promise<Candle[] | null> {
+  const deployment = await prisma.deployment.findFirst({
+    where: { tokenAddress: { equals: tokenAddress, mode: 'insensitive' } },
+    select: { tokenAddress: true },
+  });
+  if (!deployment) {
+    return null;
+  }
+
+  const [stored, previous] = await Promise.all([
+    prisma.candle.findMany({
+      where: {
+        tokenAddress: deployment.tokenAddress,
+        interval,
+        openTime: { gte: new Date(from * 1000), lte: new Date(to * 1000) },
+      },
+      orderBy: { openTime: 'asc' },
+    }),
+    // Seeds the close for empty buckets at the start of the range
+    prisma.candle.findFirst({
+      where: {
+        tokenAddress: deployment.tokenAddress,
+        interval,
+        openTime: { lt: new Date(from * 1000) },
+        ...(quote === 'usd' ? { pairedUsd: { not: null } } : { pairedFey: { not: null } }),
+      },
+      orderBy: { openTime: 'desc' },
+    }),
+  ]);
+
+  const rateOf = (candle: { pairedUsd: number | null; pairedFey: number | null }) =>
+    quote === 'usd' ? candle.pairedUsd : candle.pairedFey;
+
+  const byTime = new Map<number, Candle>();
+  for (const candle of stored) {
+    const rate = rateOf(candle);
+    if (rate === null) continue;
+    const time = Math.floor(candle.openTime.getTime() / 1000);
+    byTime.set(time, {
+      time,
+      open: candle.open * rate,
+      high: candle.high * rate,
+      low: candle.low * rate,
+      close: candle.close * rate,
+      volume: candle.volume * rate,
+      trades: candle.trades,
+    });
+  }
+
+  const seconds = CANDLE_INTERVALS[interval];
+  const previousRate = previous ? rateOf(previous) : null;
+  let lastClose = previous && previousRate !== null ? previous.close * previousRate : null;
+  const candles: Candle[] = [];
+
+  for (let time = from; time <= to; time += seconds) {
+    const candle = byTime.get(time);
+    if (candle) {
+      candles.push(candle);
+      lastClose = candle.close;
+    } else if (lastClose !== null) {
+      candles.push({ time, open: lastClose, high: lastClose, low: lastClose, close: lastClose, volume: 0, trades: 0 });
+    }
+  }
+
+  return candles;
+}
@@ -0,0 +1,102 @@
+/**
+ * Deployers Service
+ * A deployer's launch history and the current value of their tokens
+ */
+
+import { DeployerProfile } from '@feydar/shared/types';
+import { prisma } from '../db/client';
+import { getExternalPriceData } from './externalPrice';
+import { toFarcasterProfile } from './names';
+
+// All FEY tokens have a fixed 100b supply
+const TOTAL_SUPPLY_TOKENS = 100_000_000_000;
+
+/**
+ * Sum of the USD market caps of a deployer's tokens, priced from each token's latest indexed close
+ * Closes are in paired token units - the paired token's live USD price is used, falling back to the
+ * rate stored with the candle. Tokens that have never traded are left out.
+ */
+async function getMarketCap(address: string): Promise<{ marketCap: number | null; pricedTokens: number }> {
+  // Every interval shares the latest close, 1d has the fewest rows to scan
+  const closes = await prisma.$queryRaw<Array<{
+    tokenAddress: string;
+    close: number;
+    pairedUsd: number | null;
+    pairedToken: string | null;
+  }>>`
+    SELECT DISTINCT ON (c."tokenAddress") c."tokenAddress", c.close, c."pairedUsd", d."pairedToken"
+    FROM candles c
+    JOIN deployments d ON d."tokenAddress" = c."tokenAddress"
+    WHERE LOWER(d.deployer) = ${address} AND c.interval = '1d'
+    ORDER BY c."tokenAddress", c."openTime" DESC
+  `;
+
+  // Nearly every token shares a paired token, so this is usually a single (cached) lookup
+  const pairedTokens = [...new Set<string>(
+    closes.map((close) => close.pairedToken?.toLowerCase()).filter((token): token is string => !!token)
+  )];
+  const pairedPrices = new Map(await Promise.all(pairedTokens.map(async (token) => {
+    const price = await getExternalPriceData(token, null)
+      .then((data) => data.price)
+      .catch(() => null);
+    return [token, price] as const;
+  })));
+
+  let marketCap = 0;
+  let pricedTokens = 0;
+  for (const close of closes) {
+    const pairedUsd = (close.pairedToken && pairedPrices.get(close.pairedToken.toLowerCase())) ?? close.pairedUsd;
+    if (!pairedUsd || !(close.close > 0)) continue;
+    marketCap += close.close * pairedUsd * TOTAL_SUPPLY_TOKENS;
+    pricedTokens++;
+  }
+
+  return { marketCap: pricedTokens > 0 ? marketCap : null, pricedTokens };
+}
+
+/**
+ * Launch stats for a deployer
+ * @returns null if the address has never launched a token
+ */
+export async function getDeployerProfile(address: string): Promise<DeployerProfile | null> {
+  const deployer = address.toLowerCase();
+  const where = { deployer: { equals: deployer, mode: 'insensitive' as const } };
+
+  const [stats, verified, cachedNames, named] = await Promise.all([
+    prisma.deployment.aggregate({
+      where,
+      _count: { _all: true },
+      _min: { createdAt: true },
+      _max: { createdAt: true },
+      _avg: { devBuyPercent: true },
+    }),
+    prisma.deployment.count({ where: { ...where, isVerified: true } }),
+    prisma.resolvedName.findUnique({ where: { address: deployer } }),
+    prisma.deployment.findFirst({
+      where: { ...where, OR: [{ deployerBasename: { not: null } }, { deployerENS: { not: null } }] },
+      orderBy: { createdAt: 'desc' },
+      select: { deployerBasename: true, deployerENS: true },
+    }),
+  ]);
+
+  const totalLaunches = stats._count._all;
+  if (totalLaunches === 0 || !stats._min.createdAt || !stats._max.createdAt) {
+    return null;
+  }
+
+  const { marketCap, pricedTokens } = await getMarketCap(deployer);
+
+  return {
+    address: deployer,
+    basename: cachedNames?.basename ?? named?.deployerBasename ?? null,
+    ens: cachedNames?.ens ?? named?.deployerENS ?? null,
+    farcaster: toFarcasterProfile(cachedNames),
+    totalLaunches,
+    firstLaunchAt: stats._min.createdAt.toISOString(),
+    lastLaunchAt: stats._max.createdAt.toISOString(),
+    verifiedPercent: (verified / totalLaunches) * 100,
+    avgDevBuyPercent: stats._avg.devBuyPercent,
+    marketCap,
+    pricedTokens,
+  };
+}
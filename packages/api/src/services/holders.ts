@@ -0,0 +1,81 @@
+/**
+ * Holders Service
+ * Holder counts, top holders and concentration from the bot's Transfer-based balances
+ */
+
+import { HoldersResponse, TokenHolder } from '@feydar/shared/types';
+import { DEAD_ADDRESS, UNISWAP_V4_POOL_MANAGER } from '@feydar/shared/constants';
+import { getSupplyPercent } from '@feydar/shared/utils';
+import { prisma } from '../db/client';
+
+// Same override as the bot's swap indexer
+const POOL_MANAGER = (process.env.UNISWAP_V4_POOL_MANAGER || UNISWAP_V4_POOL_MANAGER).toLowerCase();
+const HISTORY_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+function getLabel(holder: string, deployer: string): TokenHolder['label'] {
+  if (holder === POOL_MANAGER) return 'pool';
+  if (holder === DEAD_ADDRESS) return 'burn';
+  if (holder === deployer) return 'deployer';
+  return null;
+}
+
+/**
+ * Holders of a token
+ * @param limit Top holders to return
+ * @returns null if the token isn't known
+ */
+export async function getHolders(tokenAddress: string, limit: number): Promise<HoldersResponse | null> {
+  const deployment = await prisma.deployment.findFirst({
+    where: { tokenAddress: { equals: tokenAddress, mode: 'insensitive' } },
+    select: { tokenAddress: true, deployer: true, holdersIndexedFrom: true, deployerLaunchBalance: true },
+  });
+  if (!deployment) {
+    return null;
+  }
+
+  const deployer = deployment.deployer.toLowerCase();
+  const where = { tokenAddress: deployment.tokenAddress, balance: { gt: 0 } };
+
+  const [holderCount, topHolders, top10, deployerHolding, history] = await Promise.all([
+    prisma.tokenHolder.count({ where }),
+    prisma.tokenHolder.findMany({ where, orderBy: { balance: 'desc' }, take: limit }),
+    // The pool's tokens are liquidity and burned tokens are gone - neither is concentration
+    prisma.tokenHolder.findMany({
+      where: { ...where, holder: { notIn: [POOL_MANAGER, DEAD_ADDRESS] } },
+      orderBy: { balance: 'desc' },
+      take: 10,
+      select: { balance: true },
+    }),
+    prisma.tokenHolder.findUnique({
+      where: { tokenAddress_holder: { tokenAddress: deployment.tokenAddress, holder: deployer } },
+      select: { balance: true },
+    }),
+    prisma.holderCount.findMany({
+      where: { tokenAddress: deployment.tokenAddress, hour: { gte: new Date(Date.now() - HISTORY_WINDOW_MS) } },
+      orderBy: { hour: 'asc' },
+    }),
+  ]);
+
+  const top10Balance = top10.reduce((sum, holder) => sum + BigInt(holder.balance.toFixed(0)), 0n);
+
+  return {
+    tokenAddress: deployment.tokenAddress,
+    indexedFrom: deployment.holdersIndexedFrom ? deployment.holdersIndexedFrom.toISOString() : null,
+    holderCount,
+    topHolders: topHolders.map((holder) => {
+      const balance = holder.balance.toFixed(0);
+      return {
+        address: holder.holder,
+        balance,
+        percent: getSupplyPercent(balance) ?? 0,
+        label: getLabel(holder.holder, deployer),
+      };
+    }),
+    concentration: {
+      top10Percent: getSupplyPercent(top10Balance) ?? 0,
+      deployerPercent: getSupplyPercent(deployerHolding ? deployerHolding.balance.toFixed(0) : 0n) ?? 0,
+      deployerLaunchPercent: getSupplyPercent(deployment.deployerLaunchBalance),
+    },
+    history: history.map((point) => ({ time: point.hour.toISOString(), holders: point.holders })),
+  };
+}
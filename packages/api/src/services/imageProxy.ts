@@ -0,0 +1,267 @@
+/**
+ * Image Proxy Service
+ * Fetches token images through an ordered list of IPFS gateways (or the image's own host),
+ * renders resized WebP variants and caches them on disk by content hash, so browsers and
+ * Discord only ever load images from the API
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import { sanitizeUrl } from '@feydar/shared/utils';
+import { pinnedLookup, resolvePublicAddress } from './publicAddress';
+
+const DEFAULT_GATEWAYS = [
+  'https://ipfs.io/ipfs/',
+  'https://dweb.link/ipfs/',
+  'https://gateway.pinata.cloud/ipfs/',
+];
+
+const MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES || '', 10) || 10 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS || '', 10) || 10_000;
+const CACHE_DIR = path.resolve(process.env.IMAGE_CACHE_DIR || '.cache/images');
+const MAX_REDIRECTS = 3;
+// Decoding is refused past this many pixels (a 6000x6000 image), whatever the file size
+const MAX_INPUT_PIXELS = 36_000_000;
+// A source that failed on every gateway isn't retried for this long
+const FAILURE_TTL = 10 * 60 * 1000;
+
+// Gateways often serve IPFS content as octet-stream, so that's let through and the decoded format is checked instead
+const ALLOWED_CONTENT_TYPES = new Set([
+  'image/png',
+  'image/jpeg',
+  'image/jpg',
+  'image/gif',
+  'image/webp',
+  'image/avif',
+  'image/svg+xml',
+  'application/octet-stream',
+]);
+const ALLOWED_FORMATS = new Set(['png', 'jpeg', 'gif', 'webp', 'heif', 'svg']);
+
+export interface ProxiedImage {
+  data: Buffer;
+  // sha256 of the source image, shared by every width rendered from it
+  hash: string;
+  width: number;
+}
+
+const failedSources = new Map<string, number>();
+const pending = new Map<string, Promise<ProxiedImage | null>>();
+
+function getGateways(): string[] {
+  const configured = process.env.IPFS_GATEWAYS
+    ? process.env.IPFS_GATEWAYS.split(',').map((gateway) => gateway.trim()).filter(Boolean)
+    : DEFAULT_GATEWAYS;
+  return configured.map((gateway) => (gateway.endsWith('/') ? gateway : `${gateway}/`));
+}
+
+/**
+ * The CID and path of an IPFS image, from ipfs:// URLs and path (/ipfs/<cid>) or subdomain (<cid>.ipfs.host) gateway URLs
+ */
+function getIpfsPath(imageUrl: string): string | null {
+  if (imageUrl.startsWith('ipfs://')) {
+    return imageUrl.slice('ipfs://'.length).replace(/^ipfs\//, '') || null;
+  }
+  const pathMatch = imageUrl.match(/^https?:\/\/[^/]+\/ipfs\/([^?#]+)/i);
+  if (pathMatch) {
+    return pathMatch[1];
+  }
+  const subdomainMatch = imageUrl.match(/^https?:\/\/([a-z0-9]+)\.ipfs\.[^/?#]+(\/[^?#]*)?/i);
+  if (subdomainMatch) {
+    return `${subdomainMatch[1]}${subdomainMatch[2] && subdomainMatch[2] !== '/' ? subdomainMatch[2] : ''}`;
+  }
+  return null;
+}
+
+/**
+ * URLs to try for an image, in order - every gateway for IPFS content (then the original gateway), otherwise just the URL
+ */
+function getSourceUrls(imageUrl: string): string[] {
+  const trimmed = imageUrl.trim();
+  const ipfsPath = getIpfsPath(trimmed);
+  const original = sanitizeUrl(trimmed);
+  const urls = ipfsPath ? getGateways().map((gateway) => `${gateway}${ipfsPath}`) : [];
+  if (original) {
+    urls.push(original);
+  }
+  return [...new Set(urls)];
+}
+
+/**
+ * Downloads an image, following redirects and giving up past the size limit, the timeout
+ * or an unexpected content type
+ */
+async function download(url: string, redirectsLeft = MAX_REDIRECTS): Promise<Buffer> {
+  const target = new URL(url);
+  const { address, family } = await resolvePublicAddress(target.hostname);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise<Buffer>((resolve, reject) => {
+    const request = client.get(target, {
+      headers: { Accept: 'image/*', 'User-Agent': 'feydar-image-proxy' },
+      lookup: pinnedLookup(address, family),
+    }, (response) => {
+      const status = response.statusCode || 0;
+
+      if (status >= 300 && status < 400 && response.headers.location) {
+        response.resume();
+        const next = sanitizeUrl(new URL(response.headers.location, target).toString());
+        if (!next || redirectsLeft <= 0) {
+          reject(new Error(`Bad redirect from ${target.hostname}`));
+          return;
+        }
+        download(next, redirectsLeft - 1).then(resolve, reject);
+        return;
+      }
+
+      if (status !== 200) {
+        response.resume();
+        reject(new Error(`HTTP ${status} from ${target.hostname}`));
+        return;
+      }
+
+      const contentType = (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+      if (!ALLOWED_CONTENT_TYPES.has(contentType)) {
+        request.destroy();
+        reject(new Error(`Unsupported content type ${contentType}`));
+        return;
+      }
+
+      if (parseInt(response.headers['content-length'] || '0', 10) > MAX_BYTES) {
+        request.destroy();
+        reject(new Error(`Image is larger than ${MAX_BYTES} bytes`));
+        return;
+      }
+
+      const chunks: Buffer[] = [];
+      let size = 0;
+      response.on('data', (chunk: Buffer) => {
+        size += chunk.length;
+        if (size > MAX_BYTES) {
+          request.destroy(new Error(`Image is larger than ${MAX_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    });
+
+    // Covers slow responses as well as stalled connections
+    const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${FETCH_TIMEOUT_MS}ms`)), FETCH_TIMEOUT_MS);
+    request.on('close', () => clearTimeout(timer));
+    request.on('error', reject);
+  });
+}
+
+function sha256(value: string | Buffer): string {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+async function readCached(file: string): Promise<Buffer | null> {
+  try {
+    return await fs.readFile(file);
+  } catch {
+    return null;
+  }
+}
+
+// Written to a temp file first, so a concurrent reader never sees a partial image
+async function writeCached(file: string, data: Buffer | string): Promise<void> {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(temp, data);
+  await fs.rename(temp, file);
+}
+
+/**
+ * The source image for a URL: from the disk cache, or downloaded through each source in turn
+ * Cache layout: sources/<sha256(url)> holds the content hash, originals/<hash> the downloaded bytes
+ */
+async function getOriginal(imageUrl: string): Promise<{ hash: string; data: Buffer } | null> {
+  const sourceFile = path.join(CACHE_DIR, 'sources', sha256(imageUrl));
+  const cachedHash = (await readCached(sourceFile))?.toString().trim();
+  if (cachedHash) {
+    const data = await readCached(path.join(CACHE_DIR, 'originals', cachedHash));
+    if (data) {
+      return { hash: cachedHash, data };
+    }
+  }
+
+  const failedAt = failedSources.get(imageUrl);
+  if (failedAt && Date.now() - failedAt < FAILURE_TTL) {
+    return null;
+  }
+
+  for (const url of getSourceUrls(imageUrl)) {
+    try {
+      const data = await download(url);
+      const metadata = await sharp(data, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+      if (!metadata.format || !ALLOWED_FORMATS.has(metadata.format)) {
+        throw new Error(`Unsupported image format ${metadata.format ?? 'unknown'}`);
+      }
+
+      const hash = sha256(data);
+      await writeCached(path.join(CACHE_DIR, 'originals', hash), data);
+      await writeCached(sourceFile, hash);
+      failedSources.delete(imageUrl);
+      return { hash, data };
+    } catch (error: any) {
+      console.warn(`[ImageProxy] ${url} failed: ${error.message}`);
+    }
+  }
+
+  for (const [url, at] of failedSources) {
+    if (Date.now() - at >= FAILURE_TTL) failedSources.delete(url);
+  }
+  failedSources.set(imageUrl, Date.now());
+  return null;
+}
+
+async function renderVariant(imageUrl: string, width: number): Promise<ProxiedImage | null> {
+  const original = await getOriginal(imageUrl);
+  if (!original) {
+    return null;
+  }
+
+  const variantFile = path.join(CACHE_DIR, 'variants', `${original.hash}-${width}.webp`);
+  const cached = await readCached(variantFile);
+  if (cached) {
+    return { data: cached, hash: original.hash, width };
+  }
+
+  // Fits within a width x width box, never upscaled - animated images keep their first frame
+  const data = await sharp(original.data, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+  await writeCached(variantFile, data);
+  return { data, hash: original.hash, width };
+}
+
+/**
+ * A token image as WebP at the given width (one of IMAGE_WIDTHS)
+ * @returns null if the image couldn't be fetched from any source or isn't a supported image
+ */
+export async function getProxiedImage(imageUrl: string, width: number): Promise<ProxiedImage | null> {
+  // Concurrent requests for the same variant share one download and render
+  const key = `${width}:${imageUrl}`;
+  const inFlight = pending.get(key);
+  if (inFlight) {
+    return inFlight;
+  }
+
+  const promise = renderVariant(imageUrl, width)
+    .catch((error: any) => {
+      console.warn(`[ImageProxy] Failed to render ${imageUrl}: ${error.message}`);
+      return null;
+    })
+    .finally(() => pending.delete(key));
+  pending.set(key, promise);
+  return promise;
+}
@@ -0,0 +1,111 @@
+/**
+ * Names Service
+ * Basename / ENS names and Farcaster accounts from the resolved_names cache - the bot does the
+ * lookups, so deployers and snipers seen here for the first time are queued for its name refresher
+ */
+
+import { FarcasterProfile, ResolvedName } from '@feydar/shared/types';
+import { prisma } from '../db/client';
+
+export const MAX_NAME_ADDRESSES = 100;
+
+interface CachedName {
+  address: string;
+  basename: string | null;
+  ens: string | null;
+  farcasterFid: number | null;
+  farcasterUsername: string | null;
+  farcasterDisplayName: string | null;
+  farcasterPfpUrl: string | null;
+  farcasterFollowers: number | null;
+  resolvedAt: Date | null;
+}
+
+export function toFarcasterProfile(entry: CachedName | null | undefined): FarcasterProfile | null {
+  if (!entry?.farcasterFid || !entry.farcasterUsername) {
+    return null;
+  }
+  return {
+    fid: entry.farcasterFid,
+    username: entry.farcasterUsername,
+    displayName: entry.farcasterDisplayName,
+    pfpUrl: entry.farcasterPfpUrl,
+    followerCount: entry.farcasterFollowers ?? 0,
+  };
+}
+
+async function getCachedNames(addresses: string[]): Promise<Map<string, CachedName>> {
+  const cached: CachedName[] = await prisma.resolvedName.findMany({ where: { address: { in: addresses } } });
+  return new Map(cached.map((entry) => [entry.address, entry]));
+}
+
+/**
+ * The lowercase addresses among `addresses` that have launched or sniped a token
+ */
+async function getKnownAddresses(addresses: string[]): Promise<Set<string>> {
+  const [deployments, snipers] = await Promise.all([
+    prisma.deployment.findMany({
+      where: { deployer: { in: addresses, mode: 'insensitive' } },
+      select: { deployer: true },
+      distinct: ['deployer'],
+    }),
+    // Sniper wallets are stored lowercase
+    prisma.sniper.findMany({
+      where: { wallet: { in: addresses } },
+      select: { wallet: true },
+      distinct: ['wallet'],
+    }),
+  ]);
+  return new Set([
+    ...deployments.map(({ deployer }) => deployer.toLowerCase()),
+    ...snipers.map(({ wallet }) => wallet),
+  ]);
+}
+
+/**
+ * Cached names for a set of addresses, in the order given
+ * Uncached deployers and snipers are added to the cache due immediately and returned as pending. Any other
+ * uncached address is returned unresolved without being queued, so requests can't fill the refresher's queue
+ */
+export async function getResolvedNames(addresses: string[]): Promise<ResolvedName[]> {
+  const keys = [...new Set(addresses.map((address) => address.toLowerCase()))];
+  const byAddress = await getCachedNames(keys);
+
+  const missing = keys.filter((address) => !byAddress.has(address));
+  const queued = missing.length > 0 ? await getKnownAddresses(missing) : new Set<string>();
+  if (queued.size > 0) {
+    await prisma.resolvedName.createMany({
+      data: [...queued].map((address) => ({ address })),
+      skipDuplicates: true,
+    });
+  }
+
+  return keys.map((address) => {
+    const entry = byAddress.get(address);
+    return {
+      address,
+      basename: entry?.basename ?? null,
+      ens: entry?.ens ?? null,
+      farcaster: toFarcasterProfile(entry),
+      resolvedAt: entry?.resolvedAt?.toISOString() ?? null,
+      pending: entry ? !entry.resolvedAt : queued.has(address),
+    };
+  });
+}
+
+/**
+ * Cached Farcaster accounts for a set of addresses (deployers of a page of tokens), keyed by lowercase address
+ * Addresses without one are left out
+ */
+export async function getFarcasterProfiles(addresses: string[]): Promise<Map<string, FarcasterProfile>> {
+  const keys = [...new Set(addresses.map((address) => address.toLowerCase()))];
+  const profiles = new Map<string, FarcasterProfile>();
+  if (keys.length === 0) {
+    return profiles;
+  }
+  for (const [address, entry] of await getCachedNames(keys)) {
+    const profile = toFarcasterProfile(entry);
+    if (profile) profiles.set(address, profile);
+  }
+  return profiles;
+}
@@ -1,3 +1,5 @@
+import { FarcasterProfile } from '@feydar/shared/types';
+
 /**
  * Send notifications to all subscribed users for a new token deployment
  * Uses Neynar's API to send notifications to all users who have added the miniapp
@@ -16,6 +18,7 @@ export async function sendDeploymentNotifications(
     deployer?: string;
     deployerBasename?: string | null;
     deployerENS?: string | null;
+    deployerFarcaster?: FarcasterProfile | null;
   }
 ): Promise<{ sent: number; failed: number }> {
   const neynarApiKey = process.env.NEYNAR_API_KEY;
@@ -25,8 +28,10 @@ export async function sendDeploymentNotifications(
     return { sent: 0, failed: 0 };
   }
 
-  // Format deployer name (prefer basename, then ENS, then truncated address)
-  const deployerName = deployment.deployerBasename 
+  // Format deployer name (prefer Farcaster username, then basename, then ENS, then truncated address)
+  const deployerName = deployment.deployerFarcaster
+    ? `@${deployment.deployerFarcaster.username}`
+    : deployment.deployerBasename 
     ? `${deployment.deployerBasename}.base.eth`
     : deployment.deployerENS 
     ? deployment.deployerENS
@@ -1,4 +1,5 @@
 import { ethers } from 'ethers';
+import { getSharedProvider } from './provider';
 
 // Uniswap V4 StateView ABI
 const STATE_VIEW_ABI = [
@@ -199,7 +200,7 @@ export async function queryPoolData(
   tokenAddress: string,
   poolId: string | null,
   feyTokenAddress: string | null, // FEY token address (all tokens are paired with FEY)
-  provider: ethers.Provider
+  provider: ethers.Provider = getSharedProvider()
 ): Promise<PoolData> {
   const result: PoolData = {
     price: null,
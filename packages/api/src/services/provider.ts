@@ -1,23 +1,50 @@
-import { ethers } from 'ethers';
+import { ProviderPool } from '@feydar/shared/providerPool';
+import { BASE_CHAIN_ID } from '@feydar/shared/constants';
 
-// Singleton provider instance - reuse across all requests to save Compute Units
-let sharedProvider: ethers.JsonRpcProvider | null = null;
+// Singleton provider pool - reuse across all requests to save Compute Units
+// and so endpoint health is shared by every caller
+let sharedProvider: ProviderPool | null = null;
 
 /**
- * Get or create a shared Alchemy provider instance
- * This prevents creating new providers for each request, which consumes excessive Compute Units
+ * Base RPC endpoints for the pool: RPC_URLS (comma-separated) plus Alchemy when ALCHEMY_API_KEY is set
  */
-export function getSharedProvider(): ethers.JsonRpcProvider {
-  if (!sharedProvider && process.env.ALCHEMY_API_KEY) {
-    sharedProvider = new ethers.JsonRpcProvider(
-      `https://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`
-    );
+function getRpcUrls(): string[] {
+  const urls = (process.env.RPC_URLS || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean);
+
+  if (process.env.ALCHEMY_API_KEY) {
+    urls.unshift(`https://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`);
+  }
+
+  return urls;
+}
+
+/**
+ * Get or create the shared Base provider pool
+ * Calls are routed to the healthiest endpoint with automatic failover
+ */
+export function getSharedProvider(): ProviderPool {
+  if (!sharedProvider) {
+    const urls = getRpcUrls();
+    if (urls.length > 0) {
+      sharedProvider = new ProviderPool(urls, BASE_CHAIN_ID, {
+        timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10),
+      });
+    }
   }
   
   if (!sharedProvider) {
-    throw new Error('ALCHEMY_API_KEY not configured');
+    throw new Error('No RPC endpoints configured (set RPC_URLS or ALCHEMY_API_KEY)');
   }
   
   return sharedProvider;
 }
 
+/**
+ * Health stats for the shared pool, or null if it hasn't been created yet
+ */
+export function getProviderStats() {
+  return sharedProvider ? sharedProvider.getStats() : null;
+}
@@ -0,0 +1,55 @@
+/**
+ * Public Address Service
+ * Keeps outbound requests to user-supplied URLs (token images, webhooks) off the server's own network
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Loopback, private, link-local, CGNAT, multicast and reserved addresses - never connected to
+ */
+export function isPrivateAddress(address: string): boolean {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) {
+    return isPrivateAddress(lower.slice('::ffff:'.length));
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+}
+
+/**
+ * Resolves a host to one public address, which the request then connects to directly
+ * (so the check can't be sidestepped by the name resolving differently a second time)
+ * @throws if the host doesn't resolve or any of its addresses isn't public
+ */
+export async function resolvePublicAddress(hostname: string): Promise<{ address: string; family: number }> {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some((entry) => isPrivateAddress(entry.address))) {
+    throw new Error(`Refusing to connect to ${hostname}`);
+  }
+  return addresses[0];
+}
+
+/**
+ * `lookup` option for http(s).request that always answers with an address from resolvePublicAddress
+ */
+export function pinnedLookup(address: string, family: number): any {
+  return (_hostname: string, options: any, callback: any) => {
+    if (options?.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+}
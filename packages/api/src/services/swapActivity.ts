@@ -0,0 +1,77 @@
+/**
+ * Swap Activity Service
+ * 24h trading activity from the bot's on-chain index of Uniswap v4 swaps
+ */
+
+import { prisma } from '../db/client';
+import { getExternalPriceData } from './externalPrice';
+
+const ACTIVITY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export interface SwapActivity {
+  volume24h: number | null;
+  txns24h: number;
+  buys24h: number;
+  sells24h: number;
+  buyVolume24h: number | null;
+  sellVolume24h: number | null;
+  buyers24h: number;
+  sellers24h: number;
+  makers24h: number;
+}
+
+/**
+ * Activity over the last 24h from indexed swaps
+ * Volumes are in USD, priced from the paired token (null if it has no price)
+ * @returns null when the index doesn't cover the whole window - the caller should use aggregator data instead
+ */
+export async function getSwapActivity(tokenAddress: string): Promise<SwapActivity | null> {
+  const deployment = await prisma.deployment.findFirst({
+    where: { tokenAddress: { equals: tokenAddress, mode: 'insensitive' } },
+    select: { tokenAddress: true, pairedToken: true, createdAt: true, swapsIndexedFrom: true },
+  });
+  if (!deployment?.swapsIndexedFrom || !deployment.pairedToken) {
+    return null;
+  }
+
+  // Complete if indexed since launch, or for at least the whole window
+  const since = new Date(Date.now() - ACTIVITY_WINDOW_MS);
+  if (deployment.swapsIndexedFrom > deployment.createdAt && deployment.swapsIndexedFrom > since) {
+    return null;
+  }
+
+  const [bySide, makers] = await Promise.all([
+    prisma.$queryRaw<Array<{ side: string; count: number; volume: number; traders: number }>>`
+      SELECT side, COUNT(*)::int AS count, COALESCE(SUM("pairedValue"), 0)::float AS volume, COUNT(DISTINCT trader)::int AS traders
+      FROM swaps
+      WHERE "tokenAddress" = ${deployment.tokenAddress} AND "swappedAt" >= ${since}
+      GROUP BY side
+    `,
+    prisma.$queryRaw<Array<{ makers: number }>>`
+      SELECT COUNT(DISTINCT trader)::int AS makers
+      FROM swaps
+      WHERE "tokenAddress" = ${deployment.tokenAddress} AND "swappedAt" >= ${since}
+    `,
+  ]);
+
+  const buys = bySide.find((row) => row.side === 'buy');
+  const sells = bySide.find((row) => row.side === 'sell');
+
+  // Paired token USD price (cached by the external price service)
+  const pairedPrice = (await getExternalPriceData(deployment.pairedToken.toLowerCase(), null)).price;
+  const toUsd = (pairedValue: number) => (pairedPrice !== null ? pairedValue * pairedPrice : null);
+  const buyVolume = buys?.volume ?? 0;
+  const sellVolume = sells?.volume ?? 0;
+
+  return {
+    volume24h: toUsd(buyVolume + sellVolume),
+    txns24h: (buys?.count ?? 0) + (sells?.count ?? 0),
+    buys24h: buys?.count ?? 0,
+    sells24h: sells?.count ?? 0,
+    buyVolume24h: toUsd(buyVolume),
+    sellVolume24h: toUsd(sellVolume),
+    buyers24h: buys?.traders ?? 0,
+    sellers24h: sells?.traders ?? 0,
+    makers24h: makers[0]?.makers ?? 0,
+  };
+}
@@ -0,0 +1,295 @@
+/**
+ * Webhook Service
+ * Matches deployments against registered webhooks and delivers signed POSTs with retries
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../db/client';
+import { TokenDeployment, DeploymentWebhookPayload } from '@feydar/shared/types';
+import { getDevBuyPercent } from '@feydar/shared/utils';
+import { pinnedLookup, resolvePublicAddress } from './publicAddress';
+
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '2000', 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+// Attempts per delivery before it is marked failed
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+// Retry delay doubles per attempt, starting here (10s, 20s, 40s ... capped at 1 hour)
+const WEBHOOK_BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '10000', 10);
+const WEBHOOK_BACKOFF_MAX_MS = 60 * 60 * 1000;
+// Consecutive failed attempts (across deliveries) before a subscription is disabled
+const WEBHOOK_DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES || '25', 10);
+// A delivery still "delivering" after this long was interrupted by a restart
+const WEBHOOK_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const WEBHOOK_BATCH_SIZE = 20;
+
+export const WEBHOOK_EVENTS = {
+  DEPLOYMENT_CREATED: 'deployment.created',
+} as const;
+
+/**
+ * Deployment data sent with deployment.created (before the delivery envelope is added)
+ */
+export type DeploymentWebhookData = DeploymentWebhookPayload['data'];
+
+/**
+ * Signs a webhook body - receivers recompute this to verify the request came from us
+ */
+export function signWebhookPayload(secret: string, timestamp: string, body: string): string {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+export function generateWebhookSecret(): string {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Creates a pending delivery for every enabled subscription whose filters match
+ * Subscriptions that already have a delivery for this deployment are skipped
+ * @returns Number of deliveries queued
+ */
+export async function queueDeploymentWebhooks(
+  deployment: TokenDeployment,
+  devBuy: { tokensReceived: string | null; tokensSpent: string | null }
+): Promise<number> {
+  const data: DeploymentWebhookData = {
+    ...deployment,
+    tokensReceived: devBuy.tokensReceived,
+    tokensSpent: devBuy.tokensSpent,
+    devBuyPercent: getDevBuyPercent(devBuy.tokensReceived),
+  };
+
+  const subscriptions = await prisma.webhookSubscription.findMany({
+    where: { enabled: true },
+  });
+
+  const matching = subscriptions.filter((subscription) => {
+    if (subscription.deployer && subscription.deployer.toLowerCase() !== deployment.deployer.toLowerCase()) {
+      return false;
+    }
+    if (subscription.verifiedOnly && deployment.isVerified !== true) {
+      return false;
+    }
+    if (subscription.minDevBuyPercent !== null && (data.devBuyPercent ?? 0) < subscription.minDevBuyPercent) {
+      return false;
+    }
+    return true;
+  });
+
+  if (matching.length === 0) {
+    return 0;
+  }
+
+  // The bot's dispatch job is at-least-once - the unique (subscriptionId, event, tokenAddress) key
+  // makes a repeated dispatch queue nothing new
+  const { count } = await prisma.webhookDelivery.createMany({
+    data: matching.map((subscription) => ({
+      subscriptionId: subscription.id,
+      event: WEBHOOK_EVENTS.DEPLOYMENT_CREATED,
+      tokenAddress: deployment.tokenAddress.toLowerCase(),
+      payload: JSON.parse(JSON.stringify(data)),
+    })),
+    skipDuplicates: true,
+  });
+
+  console.log(`[Webhooks] Queued ${count} delivery(ies) for ${deployment.tokenAddress}`);
+  wakeWebhookWorker();
+  return count;
+}
+
+let workerTimer: NodeJS.Timeout | null = null;
+let isProcessing = false;
+let wakeRequested = false;
+
+/**
+ * Starts the background delivery loop (one per API process)
+ */
+export function startWebhookWorker(): void {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => processDueDeliveries(), WEBHOOK_POLL_INTERVAL_MS);
+  processDueDeliveries();
+}
+
+export function stopWebhookWorker(): void {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+function wakeWebhookWorker(): void {
+  if (isProcessing) {
+    wakeRequested = true;
+    return;
+  }
+  setImmediate(() => processDueDeliveries());
+}
+
+async function processDueDeliveries(): Promise<void> {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    do {
+      wakeRequested = false;
+      const now = new Date();
+      const candidates = await prisma.webhookDelivery.findMany({
+        where: {
+          OR: [
+            { status: 'pending', nextAttemptAt: { lte: now } },
+            { status: 'delivering', lockedAt: { lt: new Date(now.getTime() - WEBHOOK_LOCK_TIMEOUT_MS) } },
+          ],
+        },
+        include: { subscription: true },
+        orderBy: { id: 'asc' },
+        take: WEBHOOK_BATCH_SIZE,
+      });
+
+      for (const delivery of candidates) {
+        // Conditional claim so two API instances never send the same attempt
+        const { count } = await prisma.webhookDelivery.updateMany({
+          where: { id: delivery.id, status: delivery.status, lockedAt: delivery.lockedAt },
+          data: { status: 'delivering', lockedAt: now, attempts: { increment: 1 } },
+        });
+        if (count === 1) {
+          await attemptDelivery({ ...delivery, attempts: delivery.attempts + 1 });
+        }
+      }
+
+      if (candidates.length === WEBHOOK_BATCH_SIZE) {
+        wakeRequested = true;
+      }
+    } while (wakeRequested && workerTimer);
+  } catch (error: any) {
+    console.error('[Webhooks] Delivery loop error:', error?.message || error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * POSTs a delivery to a subscriber, connecting only to a public address of its host
+ * Redirects aren't followed - a 3xx counts as a failed attempt
+ * @returns The response status code
+ */
+async function postWebhook(url: string, headers: Record<string, string>, body: string): Promise<number> {
+  const target = new URL(url);
+  const { address, family } = await resolvePublicAddress(target.hostname);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise<number>((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body).toString() },
+      lookup: pinnedLookup(address, family),
+      timeout: WEBHOOK_TIMEOUT_MS,
+    }, (response) => {
+      // The body isn't used - drain it so the socket is released
+      response.resume();
+      resolve(response.statusCode || 0);
+    });
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+type DeliveryWithSubscription = Prisma.WebhookDeliveryGetPayload<{ include: { subscription: true } }>;
+
+async function attemptDelivery(delivery: DeliveryWithSubscription): Promise<void> {
+  const { subscription } = delivery;
+
+  if (!subscription.enabled) {
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'failed', lockedAt: null, lastError: 'Subscription disabled' },
+    });
+    return;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const body = JSON.stringify({
+    event: delivery.event,
+    deliveryId: delivery.id,
+    timestamp: new Date().toISOString(),
+    data: delivery.payload,
+  });
+
+  let statusCode: number | null = null;
+  let error: string | null = null;
+
+  try {
+    statusCode = await postWebhook(subscription.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Feydar-Webhooks/1.0',
+      'X-Feydar-Event': delivery.event,
+      'X-Feydar-Delivery': delivery.id.toString(),
+      'X-Feydar-Timestamp': timestamp,
+      'X-Feydar-Signature': signWebhookPayload(subscription.secret, timestamp, body),
+    }, body);
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `HTTP ${statusCode}`;
+    }
+  } catch (requestError: any) {
+    error = requestError?.message || 'Request failed';
+  }
+
+  if (!error) {
+    await prisma.$transaction([
+      prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'delivered', deliveredAt: new Date(), lockedAt: null, lastStatusCode: statusCode, lastError: null },
+      }),
+      prisma.webhookSubscription.update({
+        where: { id: subscription.id },
+        data: { consecutiveFailures: 0 },
+      }),
+    ]);
+    return;
+  }
+
+  const isFinalAttempt = delivery.attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const retryInMs = Math.min(WEBHOOK_BACKOFF_BASE_MS * Math.pow(2, delivery.attempts - 1), WEBHOOK_BACKOFF_MAX_MS);
+
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: isFinalAttempt ? 'failed' : 'pending',
+      nextAttemptAt: isFinalAttempt ? undefined : new Date(Date.now() + retryInMs),
+      lockedAt: null,
+      lastStatusCode: statusCode,
+      lastError: error,
+    },
+  });
+
+  const updated = await prisma.webhookSubscription.update({
+    where: { id: subscription.id },
+    data: { consecutiveFailures: { increment: 1 } },
+  });
+
+  console.warn(`[Webhooks] Delivery ${delivery.id} to subscription ${subscription.id} failed (attempt ${delivery.attempts}/${WEBHOOK_MAX_ATTEMPTS}): ${error}`);
+
+  if (updated.enabled && updated.consecutiveFailures >= WEBHOOK_DISABLE_AFTER_FAILURES) {
+    await disableSubscription(subscription.id, `Disabled after ${updated.consecutiveFailures} consecutive failed attempts (last: ${error})`);
+  }
+}
+
+/**
+ * Disables a subscription and fails its outstanding deliveries
+ */
+async function disableSubscription(subscriptionId: number, reason: string): Promise<void> {
+  await prisma.$transaction([
+    prisma.webhookSubscription.update({
+      where: { id: subscriptionId },
+      data: { enabled: false, disabledAt: new Date(), disabledReason: reason },
+    }),
+    prisma.webhookDelivery.updateMany({
+      where: { subscriptionId, status: 'pending' },
+      data: { status: 'failed', lastError: 'Subscription disabled' },
+    }),
+  ]);
+  console.warn(`[Webhooks] Subscription ${subscriptionId} disabled: ${reason}`);
+}
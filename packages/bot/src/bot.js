@@ -1,6 +1,8 @@
 require('dotenv').config();
+// ALCHEMY_API_KEY is optional in polling mode when RPC_HTTP_URL points at another node
+const isPollingWithCustomRpc = process.env.INGESTION_MODE === 'polling' && !!process.env.RPC_HTTP_URL;
 if (!process.env.DISCORD_TOKEN || 
-    !process.env.ALCHEMY_API_KEY || 
+    (!process.env.ALCHEMY_API_KEY && !isPollingWithCustomRpc) || 
     !process.env.DISCORD_CHANNEL_ID || 
     !process.env.FEY_FACTORY_ADDRESS) {
     console.error('Missing required environment variables: DISCORD_TOKEN, ALCHEMY_API_KEY, DISCORD_CHANNEL_ID, or FEY_FACTORY_ADDRESS');
@@ -10,16 +12,58 @@ if (!process.env.DISCORD_TOKEN ||
 const ethers = require('ethers');
 const { Client, GatewayIntentBits } = require('discord.js');
 const { handleError } = require('./handlers/errorHandler');
-const { handleTokenDeployment } = require('./handlers/tokenHandler');
+const { handleTokenDeployment, retractDeployment } = require('./handlers/tokenHandler');
 const logger = require('./utils/logger');
 const FEYContractHelper = require('./contracts/helpers/FEYContractHelper');
 const { formatSupplyWithCommas } = require('@feydar/shared/utils');
+const { prisma } = require('./db/client');
+const { TOKEN_CREATED_CURSOR, getCursor, saveCursor } = require('./services/blockCursor');
+const ConfirmationTracker = require('./services/confirmationTracker');
+const { OutboxWorker, JOB_TYPES, JOB_STATUS } = require('./services/outbox');
+const { outboxHandlers } = require('./handlers/outboxHandlers');
+const TokenStateIndexer = require('./services/tokenStateIndexer');
+const SwapIndexer = require('./services/swapIndexer');
+const HolderIndexer = require('./services/holderIndexer');
+const NameRefresher = require('./services/nameRefresher');
+const { getBaseProviderPool } = require('./services/rpcPool');
+const { TOKEN_REWARD_CONTRACT, decodeDeployment, decodeTokenCreated } = require('./contracts/decoders/deploymentDecoder');
+const { registerSlashCommands, handleCommandInteraction } = require('./commands');
 
 const MAX_RETRIES = 5;
+const PROCESSED_LOGS_LIMIT = 1000;
+// Backoff for TokenCreated logs whose handling failed (doubles per attempt up to the max)
+const FAILED_LOG_RETRY_BASE_MS = 15000;
+const FAILED_LOG_RETRY_MAX_MS = 600000;
+// Failures before a log is dead-lettered to the outbox and stops holding the block cursor back (~40 minutes)
+const FAILED_LOG_MAX_ATTEMPTS = 8;
+
+// Gap replay configuration
+// Alchemy free tier limits eth_getLogs to 10 blocks per request, so default to 9 like the backfill script
+const REPLAY_BLOCK_WINDOW = parseInt(process.env.REPLAY_BLOCK_WINDOW || '9', 10);
+const REPLAY_REQUEST_DELAY_MS = parseInt(process.env.REPLAY_REQUEST_DELAY_MS || '100', 10);
+// How often the live cursor is checkpointed to the database
+const CURSOR_CHECKPOINT_INTERVAL_MS = parseInt(process.env.CURSOR_CHECKPOINT_INTERVAL_MS || '60000', 10);
+
+// Reorg handling configuration
+// Blocks (including the deployment's own) before a deployment is posted and saved
+const CONFIRMATION_BLOCKS = parseInt(process.env.CONFIRMATION_BLOCKS || '3', 10);
+// How many blocks a posted deployment keeps being checked for reorgs
+const REORG_WATCH_DEPTH = parseInt(process.env.REORG_WATCH_DEPTH || '64', 10);
+const CONFIRMATION_POLL_INTERVAL_MS = parseInt(process.env.CONFIRMATION_POLL_INTERVAL_MS || '2000', 10);
+
+// Ingestion configuration
+// 'websocket' subscribes over Alchemy wss://, 'polling' calls eth_getLogs over HTTP on an interval
+const INGESTION_MODE = process.env.INGESTION_MODE === 'polling' ? 'polling' : 'websocket';
+const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '4000', 10);
+const POLL_BLOCK_WINDOW = parseInt(process.env.POLL_BLOCK_WINDOW || '9', 10);
+// Switch to polling when the socket reconnects this many times within the window
+const WS_FALLBACK_RECONNECTS = parseInt(process.env.WS_FALLBACK_RECONNECTS || '3', 10);
+const WS_FALLBACK_WINDOW_MS = parseInt(process.env.WS_FALLBACK_WINDOW_MS || '900000', 10);
 
 class FeydarBot {
     constructor() {
-        this.provider = null;
+        this.provider = null; // Ingestion provider (WebSocket subscription or HTTP polling)
+        this.rpcPool = null; // Pooled HTTP provider for all other reads
         this.discord = null;
         this.isReconnecting = false;
         this.isShuttingDown = false;
@@ -27,6 +71,33 @@ class FeydarBot {
         this.healthCheckInterval = null;
         this.reconnectAttempts = 0;
         this.initCount = 0;
+        this.processedLogs = new Set();
+        this.inFlightBlocks = new Map();
+        this.failedLogs = new Map(); // logKey -> { blockNumber, attempts, timer }
+        this.cursorCheckpointInterval = null;
+        this.pendingCheckpointBlock = null;
+        this.ingestionMode = INGESTION_MODE;
+        this.pollInterval = null;
+        this.isPolling = false;
+        this.lastPollTime = Date.now();
+        this.recentReconnects = [];
+        this.confirmations = new ConfirmationTracker({
+            confirmations: CONFIRMATION_BLOCKS,
+            watchDepth: REORG_WATCH_DEPTH,
+            pollIntervalMs: CONFIRMATION_POLL_INTERVAL_MS,
+            onConfirmed: (log, source) => this.processTokenCreatedLog(log, source),
+            onRetracted: (log) => this.retractTokenCreatedLog(log)
+        });
+        this.outboxWorker = new OutboxWorker({
+            ...outboxHandlers,
+            // Only ever queued dead - `pnpm outbox retry <id>` runs the log through the pipeline again
+            [JOB_TYPES.RETRY_TOKEN_CREATED_LOG]: ({ log }) => this.handleTokenCreatedLog(log, 'DEAD LETTER'),
+        });
+        this.tokenStateIndexer = new TokenStateIndexer();
+        this.swapIndexer = new SwapIndexer();
+        this.holderIndexer = new HolderIndexer();
+        this.nameRefresher = new NameRefresher();
+        this.slashCommandsRegistered = false;
         
         this.setupCleanupHandlers();
         this.initialize();
@@ -92,139 +163,12 @@ class FeydarBot {
         try {
             logger.section('🚀 Initializing Feydar Bot');
 
-            logger.detail('Starting WebSocket Provider...');
-            
-            // Check for rate limit errors (429) during connection
-            let providerCreated = false;
-            try {
-                this.provider = new ethers.WebSocketProvider(
-                    `wss://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-                    {
-                        name: 'base',
-                        chainId: 8453
-                    }
-                );
-                providerCreated = true;
-                
-                // Wait a moment for websocket to be initialized (it may not be available immediately)
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-                // Track connection state to detect premature closures
-                let connectionClosed = false;
-                let closeCode = null;
-                let closeReason = null;
-                
-                // Set up error handler for WebSocket connection errors
-                if (this.provider.websocket) {
-                    this.provider.websocket.on('error', (error) => {
-                        const errorMessage = error.message || error.toString();
-                        if (errorMessage.includes('429') || errorMessage.includes('Unexpected server response: 429')) {
-                            logger.error('Rate limit error (429) from Alchemy. This may indicate multiple instances running or too many connection attempts.');
-                            logger.warn('Waiting before retry...');
-                        } else {
-                            logger.error(`WebSocket error: ${errorMessage}`);
-                        }
-                    });
-                    
-                    // Log connection state changes
-                    this.provider.websocket.on('open', () => {
-                        logger.detail('WebSocket connection opened');
-                    });
-                    
-                    this.provider.websocket.on('close', (code, reason) => {
-                        connectionClosed = true;
-                        closeCode = code;
-                        closeReason = reason;
-                        logger.warn(`WebSocket connection closed: code=${code}, reason=${reason || 'none'}`);
-                        
-                        // If closed with 429 or abnormal closure right after connection, this is a rate limit issue
-                        if (code === 1006 || code === 429) {
-                            logger.error('WebSocket closed immediately after connection - likely rate limited');
-                        }
-                    });
-                } else {
-                    logger.warn('WebSocket not available immediately, will wait for provider.ready...');
-                }
-                
-                // Add timeout to provider.ready to prevent hanging
-                const CONNECTION_TIMEOUT = 30000; // 30 seconds
-                logger.detail(`Waiting for provider connection (timeout: ${CONNECTION_TIMEOUT/1000}s)...`);
-                
-                const readyPromise = this.provider.ready;
-                const timeoutPromise = new Promise((_, reject) => {
-                    setTimeout(() => {
-                        reject(new Error(`Provider connection timeout after ${CONNECTION_TIMEOUT/1000} seconds. The WebSocket may not be establishing properly.`));
-                    }, CONNECTION_TIMEOUT);
-                });
-                
-                await Promise.race([readyPromise, timeoutPromise]);
-                logger.detail('✅ Provider Connected');
-                
-                // Verify connection is stable - wait a moment and check if it's still open
-                logger.detail('Verifying WebSocket connection stability...');
-                await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
-                
-                // Check if WebSocket closed immediately after connection (rate limit issue)
-                if (connectionClosed) {
-                    const errorMsg = `WebSocket closed immediately after connection (code: ${closeCode}). This indicates a rate limit (429) or connection rejection from Alchemy.`;
-                    logger.error(errorMsg);
-                    
-                    // Clean up
-                    if (this.provider) {
-                        try {
-                            if (this.provider.websocket) {
-                                this.provider.websocket.removeAllListeners();
-                                this.provider.websocket.terminate();
-                            }
-                            await this.provider.destroy();
-                        } catch (cleanupError) {
-                            // Ignore cleanup errors
-                        }
-                        this.provider = null;
-                    }
-                    
-                    throw new Error('RATE_LIMIT_429');
-                }
-                
-                // Verify WebSocket is still open
-                if (this.provider.websocket && this.provider.websocket.readyState !== 1) {
-                    const state = this.provider.websocket.readyState;
-                    const states = { 0: 'CONNECTING', 1: 'OPEN', 2: 'CLOSING', 3: 'CLOSED' };
-                    throw new Error(`WebSocket not in OPEN state after connection. State: ${states[state] || state}`);
-                }
-                
-                logger.detail('✅ WebSocket connection verified and stable');
-            } catch (connectionError) {
-                const errorMessage = connectionError.message || connectionError.toString();
-                const isRateLimit = errorMessage.includes('429') || 
-                                   errorMessage.includes('Unexpected server response: 429') ||
-                                   connectionError.code === 429;
-                
-                if (isRateLimit) {
-                    logger.error('Rate limit error (429) when connecting to Alchemy WebSocket');
-                    logger.warn('This may indicate:');
-                    logger.warn('  - Multiple bot instances are running (check Railway for duplicate services)');
-                    logger.warn('  - Too many connection attempts in a short time');
-                    logger.warn('  - Alchemy API key rate limits exceeded');
-                    
-                    // Clean up the provider if it was created
-                    if (providerCreated && this.provider) {
-                        try {
-                            if (this.provider.websocket) {
-                                this.provider.websocket.removeAllListeners();
-                                this.provider.websocket.terminate();
-                            }
-                            await this.provider.destroy();
-                        } catch (cleanupError) {
-                            // Ignore cleanup errors
-                        }
-                        this.provider = null;
-                    }
-                    
-                    // Use longer delay for rate limit errors
-                    throw new Error('RATE_LIMIT_429');
-                }
-                throw connectionError;
+            if (this.ingestionMode === 'polling') {
+                logger.detail('Starting HTTP Provider (log polling mode)...');
+                await this.connectHttpProvider();
+            } else {
+                logger.detail('Starting WebSocket Provider...');
+                await this.connectWebSocketProvider();
             }
 
             await this.initializeDiscord();
@@ -232,11 +176,32 @@ class FeydarBot {
             logger.sectionEnd();
 
             logger.section('🔄 Initializing Contract Monitoring');
+            // Contract reads, receipts and name lookups go through the RPC pool so a single
+            // provider outage doesn't take them down with ingestion
+            this.rpcPool = getBaseProviderPool();
             this.feyContracts = new FEYContractHelper(
-                this.provider,
+                this.rpcPool,
                 process.env.FEY_FACTORY_ADDRESS
             );
             logger.detail('✅ FEY Factory contract initialized');
+            this.confirmations.setProvider(this.provider);
+            logger.detail('Confirmation depth', `${CONFIRMATION_BLOCKS} block(s), reorg watch ${REORG_WATCH_DEPTH} block(s)`);
+            // Delivers broadcasts, notifications and contract data refreshes queued with each save
+            // (including any left over from before a restart)
+            this.outboxWorker.start();
+            logger.detail('✅ Outbox worker started');
+            // Admin, image, metadata and verification changes on FEY tokens (reads via the RPC pool)
+            this.tokenStateIndexer.start();
+            logger.detail('✅ Token state indexer started');
+            // Trades on FEY Uniswap v4 pools, for launch-minute activity the aggregators don't have yet
+            this.swapIndexer.start();
+            logger.detail('✅ Swap indexer started');
+            // Running balances from Transfer events, for holder counts and concentration
+            this.holderIndexer.start();
+            logger.detail('✅ Holder indexer started');
+            // Basenames / ENS names that timed out at launch, were registered later or were asked for by the API
+            this.nameRefresher.start();
+            logger.detail('✅ Name refresher started');
             logger.sectionEnd();
 
             logger.section('🔍 Verifying Contract Deployment');
@@ -244,11 +209,24 @@ class FeydarBot {
             logger.detail('✅ Contract verified successfully');
             logger.sectionEnd();
 
+            logger.section('⏪ Replaying Missed Blocks');
+            await this.replayMissedBlocks();
+            logger.sectionEnd();
+
             logger.section('🎯 Setting up Event Listeners');
             await this.setupEventListeners();
             logger.detail('✅ Event listeners set up successfully');
             logger.sectionEnd();
 
+            // Catch anything emitted between the replay and the subscription going live
+            // (polling mode picks these up on its next tick and saves the cursor itself)
+            if (this.ingestionMode === 'websocket') {
+                logger.section('⏪ Catching Up to Live Subscription');
+                await this.replayMissedBlocks();
+                this.startCursorCheckpoints();
+                logger.sectionEnd();
+            }
+
             logger.section('🔍 Starting Health Checks');
             this.startHealthCheck();
             logger.detail('✅ Health checks started (Alchemy SDK handles ping/pong automatically)');
@@ -299,6 +277,168 @@ class FeydarBot {
         }
     }
 
+    /**
+     * Connects a plain HTTP JSON-RPC provider for log polling mode
+     * Works with any endpoint (RPC_HTTP_URL), including a local Anvil node
+     */
+    async connectHttpProvider() {
+        const rpcUrl = process.env.RPC_HTTP_URL || `https://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`;
+
+        // Detect the network once - no need to re-check it on every poll
+        this.provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+
+        const CONNECTION_TIMEOUT = 30000; // 30 seconds
+        const network = await Promise.race([
+            this.provider.getNetwork(),
+            new Promise((_, reject) => {
+                setTimeout(() => {
+                    reject(new Error(`HTTP provider did not respond within ${CONNECTION_TIMEOUT/1000} seconds`));
+                }, CONNECTION_TIMEOUT);
+            })
+        ]);
+
+        // Only log the host - the URL usually contains an API key
+        logger.detail('✅ Provider Connected', `${new URL(rpcUrl).host} (chainId ${network.chainId})`);
+    }
+
+    /**
+     * Connects the Alchemy WebSocket provider and verifies the socket stays open
+     */
+    async connectWebSocketProvider() {
+        // Check for rate limit errors (429) during connection
+        let providerCreated = false;
+        try {
+            this.provider = new ethers.WebSocketProvider(
+                `wss://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+                {
+                    name: 'base',
+                    chainId: 8453
+                }
+            );
+            providerCreated = true;
+            
+            // Wait a moment for websocket to be initialized (it may not be available immediately)
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            // Track connection state to detect premature closures
+            let connectionClosed = false;
+            let closeCode = null;
+            let closeReason = null;
+            
+            // Set up error handler for WebSocket connection errors
+            if (this.provider.websocket) {
+                this.provider.websocket.on('error', (error) => {
+                    const errorMessage = error.message || error.toString();
+                    if (errorMessage.includes('429') || errorMessage.includes('Unexpected server response: 429')) {
+                        logger.error('Rate limit error (429) from Alchemy. This may indicate multiple instances running or too many connection attempts.');
+                        logger.warn('Waiting before retry...');
+                    } else {
+                        logger.error(`WebSocket error: ${errorMessage}`);
+                    }
+                });
+                
+                // Log connection state changes
+                this.provider.websocket.on('open', () => {
+                    logger.detail('WebSocket connection opened');
+                });
+                
+                this.provider.websocket.on('close', (code, reason) => {
+                    connectionClosed = true;
+                    closeCode = code;
+                    closeReason = reason;
+                    logger.warn(`WebSocket connection closed: code=${code}, reason=${reason || 'none'}`);
+                    
+                    // If closed with 429 or abnormal closure right after connection, this is a rate limit issue
+                    if (code === 1006 || code === 429) {
+                        logger.error('WebSocket closed immediately after connection - likely rate limited');
+                    }
+                });
+            } else {
+                logger.warn('WebSocket not available immediately, will wait for provider.ready...');
+            }
+            
+            // Add timeout to provider.ready to prevent hanging
+            const CONNECTION_TIMEOUT = 30000; // 30 seconds
+            logger.detail(`Waiting for provider connection (timeout: ${CONNECTION_TIMEOUT/1000}s)...`);
+            
+            const readyPromise = this.provider.ready;
+            const timeoutPromise = new Promise((_, reject) => {
+                setTimeout(() => {
+                    reject(new Error(`Provider connection timeout after ${CONNECTION_TIMEOUT/1000} seconds. The WebSocket may not be establishing properly.`));
+                }, CONNECTION_TIMEOUT);
+            });
+            
+            await Promise.race([readyPromise, timeoutPromise]);
+            logger.detail('✅ Provider Connected');
+            
+            // Verify connection is stable - wait a moment and check if it's still open
+            logger.detail('Verifying WebSocket connection stability...');
+            await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
+            
+            // Check if WebSocket closed immediately after connection (rate limit issue)
+            if (connectionClosed) {
+                const errorMsg = `WebSocket closed immediately after connection (code: ${closeCode}). This indicates a rate limit (429) or connection rejection from Alchemy.`;
+                logger.error(errorMsg);
+                
+                // Clean up
+                if (this.provider) {
+                    try {
+                        if (this.provider.websocket) {
+                            this.provider.websocket.removeAllListeners();
+                            this.provider.websocket.terminate();
+                        }
+                        await this.provider.destroy();
+                    } catch (cleanupError) {
+                        // Ignore cleanup errors
+                    }
+                    this.provider = null;
+                }
+                
+                throw new Error('RATE_LIMIT_429');
+            }
+            
+            // Verify WebSocket is still open
+            if (this.provider.websocket && this.provider.websocket.readyState !== 1) {
+                const state = this.provider.websocket.readyState;
+                const states = { 0: 'CONNECTING', 1: 'OPEN', 2: 'CLOSING', 3: 'CLOSED' };
+                throw new Error(`WebSocket not in OPEN state after connection. State: ${states[state] || state}`);
+            }
+            
+            logger.detail('✅ WebSocket connection verified and stable');
+        } catch (connectionError) {
+            const errorMessage = connectionError.message || connectionError.toString();
+            const isRateLimit = errorMessage.includes('429') || 
+                               errorMessage.includes('Unexpected server response: 429') ||
+                               connectionError.code === 429;
+            
+            if (isRateLimit) {
+                logger.error('Rate limit error (429) when connecting to Alchemy WebSocket');
+                logger.warn('This may indicate:');
+                logger.warn('  - Multiple bot instances are running (check Railway for duplicate services)');
+                logger.warn('  - Too many connection attempts in a short time');
+                logger.warn('  - Alchemy API key rate limits exceeded');
+                
+                // Clean up the provider if it was created
+                if (providerCreated && this.provider) {
+                    try {
+                        if (this.provider.websocket) {
+                            this.provider.websocket.removeAllListeners();
+                            this.provider.websocket.terminate();
+                        }
+                        await this.provider.destroy();
+                    } catch (cleanupError) {
+                        // Ignore cleanup errors
+                    }
+                    this.provider = null;
+                }
+                
+                // Use longer delay for rate limit errors
+                throw new Error('RATE_LIMIT_429');
+            }
+            throw connectionError;
+        }
+    }
+
     async initializeDiscord() {
         return new Promise((resolve, reject) => {
             this.discord = new Client({
@@ -308,10 +448,21 @@ class FeydarBot {
                 ]
             });
             
-            this.discord.once('clientReady', () => {
+            this.discord.once('clientReady', async () => {
+                // Commands persist on Discord's side, so register once per process rather than per reconnect
+                if (!this.slashCommandsRegistered) {
+                    try {
+                        await registerSlashCommands(this.discord);
+                        this.slashCommandsRegistered = true;
+                    } catch (error) {
+                        handleError(error, 'Slash Command Registration');
+                    }
+                }
                 resolve();
             });
 
+            this.discord.on('interactionCreate', (interaction) => handleCommandInteraction(interaction));
+
             this.discord.on('error', (error) => {
                 handleError(error, 'Discord Client');
                 if (!this.isReconnecting) {
@@ -324,514 +475,497 @@ class FeydarBot {
     }
 
     async verifyContract() {
-        const code = await this.provider.getCode(this.feyContracts.feyFactory.target);
+        const code = await this.rpcPool.getCode(this.feyContracts.feyFactory.target);
         if (code === '0x' || code.length < 10) {
             throw new Error(`FEY Factory contract not found or invalid at ${this.feyContracts.feyFactory.target}`);
         }
         logger.detail('FEY Factory verified', this.feyContracts.feyFactory.target);
     }
 
-    async setupEventListeners() {
-        const factoryAddress = this.feyContracts.feyFactory.target;
-        
-        const filter = {
-            address: factoryAddress,
+    getTokenCreatedFilter() {
+        return {
+            address: this.feyContracts.feyFactory.target,
             topics: [
                 ethers.id('TokenCreated(address,address,address,string,string,string,string,string,int24,address,bytes32,address,address,address,uint256,address[])')
             ]
         };
+    }
+
+    async setupEventListeners() {
+        if (this.ingestionMode === 'polling') {
+            if (this.pollInterval) {
+                clearInterval(this.pollInterval);
+            }
+            this.lastPollTime = Date.now();
+            this.pollInterval = setInterval(() => this.pollLogs(), POLL_INTERVAL_MS);
+
+            logger.detail('FEY Factory Monitor', `TokenCreated events via eth_getLogs every ${POLL_INTERVAL_MS}ms (${POLL_BLOCK_WINDOW} block window)`);
+            return;
+        }
+
+        const filter = this.getTokenCreatedFilter();
         
         this.provider.on(filter, async (log) => {
+            this.lastEventTime = Date.now();
+            // Note: ethers routes removed logs to orphan subscriptions rather than this listener,
+            // so reorgs on the live path are caught by the tracker's block hash checks
+            await this.confirmations.track(log, 'REAL-TIME');
+        });
+
+        logger.detail('FEY Factory Monitor', 'TokenCreated events (from deployToken transactions)');
+    }
+
+    /**
+     * Decodes a confirmed TokenCreated log and runs it through handleTokenDeployment
+     * Shared by the live subscription and gap replay, so a log seen by both is only handled once
+     * @param {ethers.Log} log - TokenCreated log from the FEY Factory
+     * @param {string} source - Where the log came from (for logging)
+     */
+    async processTokenCreatedLog(log, source = 'REAL-TIME') {
+        const logKey = ConfirmationTracker.getLogKey(log);
+        if (this.processedLogs.has(logKey)) {
+            return;
+        }
+        this.processedLogs.add(logKey);
+        this.inFlightBlocks.set(logKey, log.blockNumber);
+        
+        // Keep the dedupe set bounded - replay windows only ever overlap recent logs
+        if (this.processedLogs.size > PROCESSED_LOGS_LIMIT) {
+            this.processedLogs.delete(this.processedLogs.values().next().value);
+        }
+        
+        try {
+            await this.handleTokenCreatedLog(log, source);
+            this.forgetFailedLog(logKey);
+        } catch (error) {
+            handleError(error, 'TokenCreated Event Handler');
+            // The log stays in processedLogs so replays don't race the retry, and its block
+            // holds the cursor back until a retry succeeds or the log is dead-lettered
+            await this.scheduleLogRetry(logKey, log, error);
+        } finally {
+            this.inFlightBlocks.delete(logKey);
+        }
+    }
+
+    /**
+     * Decodes a TokenCreated log, fetches its receipt and saves the deployment
+     * Throws if handling fails - also run directly by the outbox for dead-lettered logs
+     */
+    async handleTokenCreatedLog(log, source) {
+        const eventTime = new Date().toISOString();
+        logger.detail(`🚨 TokenCreated event detected (${source})`, log.transactionHash);
+        logger.detail('Event timestamp', eventTime);
+        logger.detail('Block number', log.blockNumber);
+        
+        if (!decodeTokenCreated(log)) {
+            return;
+        }
+        
+        // Retry receipt fetch with exponential backoff
+        // Note: Receipt should be available since event log is in the block, but retry for reliability
+        let receipt = null;
+        let receiptRetries = 0;
+        const maxReceiptRetries = 3;
+        while (receiptRetries < maxReceiptRetries && !receipt) {
             try {
-                this.lastEventTime = Date.now();
-                const eventTime = new Date().toISOString();
-                logger.detail('🚨 TokenCreated event detected (REAL-TIME)', log.transactionHash);
-                logger.detail('Event timestamp', eventTime);
-                logger.detail('Block number', log.blockNumber);
-                
-                const tokenCreatedEvent = this.feyContracts.feyFactory.interface.parseLog({
-                    topics: log.topics,
-                    data: log.data
-                });
-                
-                if (tokenCreatedEvent && tokenCreatedEvent.name === 'TokenCreated') {
-                    logger.section('📊 Complete TokenCreated Event Data');
-                    logger.detail('Event Name', tokenCreatedEvent.name);
-                    logger.detail('Total Args', tokenCreatedEvent.args.length.toString());
-                    
-                    const argNames = [
-                        'msgSender',
-                        'tokenAddress (indexed)',
-                        'tokenAdmin (indexed)',
-                        'tokenImage',
-                        'tokenName',
-                        'tokenSymbol',
-                        'tokenMetadata',
-                        'tokenContext',
-                        'startingTick',
-                        'poolHook',
-                        'poolId',
-                        'pairedToken',
-                        'locker',
-                        'mevModule',
-                        'extensionsSupply',
-                        'extensions'
-                    ];
-                    
-                    tokenCreatedEvent.args.forEach((arg, index) => {
-                        const argName = argNames[index] || `arg[${index}]`;
-                        let value = arg;
-                        
-                        if (Array.isArray(arg)) {
-                            value = `[${arg.length} items: ${arg.join(', ')}]`;
-                        } else if (typeof arg === 'bigint') {
-                            value = arg.toString();
-                        } else if (typeof arg === 'string' && arg.startsWith('0x') && arg.length === 66) {
-                            value = arg;
-                        }
-                        
-                        logger.detail(`  ${argName}`, value);
-                    });
-                    
-                    logger.detail('---');
-                    logger.detail('Transaction Hash', log.transactionHash);
-                    logger.detail('Block Number', log.blockNumber.toString());
-                    logger.detail('Block Hash', log.blockHash);
-                    logger.detail('Log Index', log.index.toString());
-                    logger.detail('Transaction Index', log.transactionIndex.toString());
-                    
-                    let receipt = null;
-                    let tokensReceived = null;
-                    let tokensSpent = null;
-                    let feeSplit = null;
-                    
-                    try {
-                        // Retry receipt fetch with exponential backoff
-                        // Note: Receipt should be available since event log is in the block, but retry for reliability
-                        let receiptRetries = 0;
-                        const maxReceiptRetries = 3;
-                        while (receiptRetries < maxReceiptRetries && !receipt) {
-                            try {
-                                receipt = await this.provider.getTransactionReceipt(log.transactionHash);
-                                if (!receipt && receiptRetries < maxReceiptRetries - 1) {
-                                    const delay = 500 * (receiptRetries + 1);
-                                    logger.detail(`  Receipt not available, retrying in ${delay}ms...`);
-                                    await new Promise(resolve => setTimeout(resolve, delay));
-                                }
-                            } catch (receiptError) {
-                                if (receiptRetries < maxReceiptRetries - 1) {
-                                    const delay = 500 * (receiptRetries + 1);
-                                    logger.detail(`  Receipt fetch error, retrying in ${delay}ms: ${receiptError.message}`);
-                                    await new Promise(resolve => setTimeout(resolve, delay));
-                                } else {
-                                    logger.warn(`Could not fetch transaction receipt after ${maxReceiptRetries} attempts: ${receiptError.message}`);
-                                }
-                            }
-                            receiptRetries++;
-                        }
-                        
-                        if (receipt) {
-                            logger.detail('---');
-                            logger.detail('Transaction From', receipt.from);
-                            logger.detail('Transaction To', receipt.to || 'Contract Creation');
-                            logger.detail('Gas Used', receipt.gasUsed.toString());
-                            logger.detail('Status', receipt.status === 1 ? 'Success' : 'Failed');
-                            logger.detail('Effective Gas Price', receipt.gasPrice?.toString() || 'N/A');
-
-                            logger.detail('---');
-                            logger.detail('Scanning for TokenRewardAdded event (fee split)...');
-                            
-                            const TOKEN_REWARD_CONTRACT = '0x282B4e72a79ebe79c1bd295c5ebd72940e50e836';
-                            const TOKEN_REWARD_ADDED_TOPIC = '0xc9b03d1b68674b3ca5738b69c14e4dbcfcb7f474303edd540b1d7dfa785d27ff';
-                            
-                            const interfaceVariations = [
-                                'event TokenRewardAdded(address token, tuple(address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, uint256 poolSupply, uint256 positionId, uint256 numPositions, uint16[] rewardBps, address[] rewardAdmins, address[] rewardRecipients, int24[] tickLower, int24[] tickUpper, uint16[] positionBps)',
-                                'event TokenRewardAdded(address token, tuple(address token0, address token1, uint24 fee, int24 tickSpacing) poolKey, uint256 poolSupply, uint256 positionId, uint256 numPositions, uint16[] rewardBps, address[] rewardAdmins, address[] rewardRecipients, int24[] tickLower, int24[] tickUpper, uint16[] positionBps)',
-                                'event TokenRewardAdded(address token, tuple(address,address,uint24,int24,address) poolKey, uint256 poolSupply, uint256 positionId, uint256 numPositions, uint16[] rewardBps, address[] rewardAdmins, address[] rewardRecipients, int24[] tickLower, int24[] tickUpper, uint16[] positionBps)',
-                                'event TokenRewardAdded(address token, tuple(address,address,uint24,int24) poolKey, uint256 poolSupply, uint256 positionId, uint256 numPositions, uint16[] rewardBps, address[] rewardAdmins, address[] rewardRecipients, int24[] tickLower, int24[] tickUpper, uint16[] positionBps)'
-                            ];
-                            
-                            logger.detail('  Looking for contract:', TOKEN_REWARD_CONTRACT);
-                            logger.detail('  Total logs in receipt:', receipt.logs.length);
-                            
-                            let logsFromContract = 0;
-                            let parsedEvent = null;
-                            
-                            for (const logEntry of receipt.logs) {
-                                if (logEntry.address.toLowerCase() === TOKEN_REWARD_CONTRACT.toLowerCase()) {
-                                    logsFromContract++;
-                                    logger.detail(`  Found log #${logsFromContract} from token reward contract`);
-                                    logger.detail('    Topic[0] (event sig):', logEntry.topics[0]);
-                                    
-                                    // First, check if the topic matches the actual event signature
-                                    if (logEntry.topics[0].toLowerCase() === TOKEN_REWARD_ADDED_TOPIC.toLowerCase()) {
-                                        logger.detail('  ✅ Topic hash matches TokenRewardAdded event!');
-                                        
-                                        // Try to parse with different interface variations
-                                        for (const eventSig of interfaceVariations) {
-                                            try {
-                                                const iface = new ethers.Interface([eventSig]);
-                                                const parsed = iface.parseLog({
-                                                    topics: logEntry.topics,
-                                                    data: logEntry.data
-                                                });
-                                                
-                                                if (parsed && parsed.name === 'TokenRewardAdded') {
-                                                    parsedEvent = parsed;
-                                                    logger.detail('  ✅ Successfully parsed TokenRewardAdded event!');
-                                                    logger.detail('    Token', parsed.args.token);
-                                                    logger.detail('    Num Positions', parsed.args.numPositions.toString());
-                                                    logger.detail('    Reward Recipients', parsed.args.rewardRecipients.length);
-                                                    logger.detail('    RewardBps length', parsed.args.rewardBps?.length || 0);
-                                                    
-                                                    if (parsed.args.rewardBps) {
-                                                        logger.detail('    RewardBps values:', parsed.args.rewardBps.map((v) => v.toString()).join(', '));
-                                                    }
-                                                    
-                                                    break; // Found working interface
-                                                }
-                                            } catch (e) {
-                                                // Try next variation
-                                                continue;
-                                            }
-                                        }
-                                        
-                                        // If parsing failed with all variations, try manual decoding using AbiCoder
-                                        // Since the interface doesn't match the topic hash, we need to manually decode
-                                        if (!parsedEvent) {
-                                            logger.warn('  ⚠️  Could not parse with any interface variation, trying manual decode...');
-                                            try {
-                                                const abiCoder = ethers.AbiCoder.defaultAbiCoder();
-                                                const data = logEntry.data;
-                                                
-                                                // ABI encoding for dynamic arrays: offset (uint256) points to where array data starts
-                                                // The data structure is:
-                                                // - Fixed params come first (token, poolKey tuple, poolSupply, positionId, numPositions)
-                                                // - Then offsets for dynamic arrays (rewardBps, rewardAdmins, rewardRecipients, tickLower, tickUpper, positionBps)
-                                                // - Then the actual array data
-                                                
-                                                // Uniswap v4 PoolKey structure:
-                                                // - Currency currency0 (typically encoded as address = 32 bytes)
-                                                // - Currency currency1 (typically encoded as address = 32 bytes)
-                                                // - uint24 fee (32 bytes, padded)
-                                                // - int24 tickSpacing (32 bytes, padded)
-                                                // - IHooks hooks (address = 32 bytes)
-                                                // Total poolKey = 5 * 32 = 160 bytes
-                                                
-                                                // Fixed params breakdown:
-                                                // token (address) = 32 bytes
-                                                // poolKey tuple (v4) = 5 * 32 = 160 bytes (currency0, currency1, fee, tickSpacing, hooks)
-                                                // poolSupply (uint256) = 32 bytes
-                                                // positionId (uint256) = 32 bytes  
-                                                // numPositions (uint256) = 32 bytes
-                                                // Total fixed params = 32 + 160 + 32 + 32 + 32 = 288 bytes = 9 * 32 bytes
-                                                
-                                                // After fixed params, we have 6 offsets (each 32 bytes) for the 6 dynamic arrays
-                                                // rewardBps offset is at position 9 (0-indexed, so byte 288)
-                                                
-                                                try {
-                                                    // Decode the rewardBps offset (6th parameter, after fixed params)
-                                                    // Fixed params: 9 * 32 = 288 bytes (token + v4 PoolKey + poolSupply + positionId + numPositions)
-                                                    // Offset for rewardBps is at byte 288 (9 * 32)
-                                                    const REWARD_BPS_OFFSET_POSITION = 288; // bytes (updated for Uniswap v4 PoolKey)
-                                                    const HEX_CHARS_PER_BYTE = 2;
-                                                    const BYTES_PER_UINT256 = 32;
-                                                    const HEX_CHARS_PER_UINT256 = BYTES_PER_UINT256 * HEX_CHARS_PER_BYTE;
-                                                    
-                                                    // Calculate position in hex string (account for '0x' prefix)
-                                                    const HEX_PREFIX_LENGTH = 2;
-                                                    const offsetStart = HEX_PREFIX_LENGTH + REWARD_BPS_OFFSET_POSITION * HEX_CHARS_PER_BYTE;
-                                                    
-                                                    if (data.length < offsetStart + HEX_CHARS_PER_UINT256) {
-                                                        throw new Error(`Data too short: expected at least ${offsetStart + HEX_CHARS_PER_UINT256} chars, got ${data.length}`);
-                                                    }
-                                                    
-                                                    const rewardBpsOffsetHex = data.slice(offsetStart, offsetStart + HEX_CHARS_PER_UINT256);
-                                                    const rewardBpsOffset = Number(BigInt('0x' + rewardBpsOffsetHex));
-                                                    
-                                                    if (rewardBpsOffset < 0 || rewardBpsOffset > data.length) {
-                                                        throw new Error(`Invalid offset: ${rewardBpsOffset} (data length: ${data.length})`);
-                                                    }
-                                                    
-                                                    logger.detail('    rewardBps offset:', rewardBpsOffset, 'bytes');
-                                                    
-                                                    // The offset is in bytes, convert to hex string position
-                                                    const rewardBpsDataStart = HEX_PREFIX_LENGTH + rewardBpsOffset * HEX_CHARS_PER_BYTE;
-                                                    
-                                                    if (data.length < rewardBpsDataStart + HEX_CHARS_PER_UINT256) {
-                                                        throw new Error(`Array data starts beyond data length`);
-                                                    }
-                                                    
-                                                    // Decode the array: first 32 bytes is length, then the values
-                                                    const arrayLengthHex = data.slice(rewardBpsDataStart, rewardBpsDataStart + HEX_CHARS_PER_UINT256);
-                                                    const arrayLength = Number(BigInt('0x' + arrayLengthHex));
-                                                    
-                                                    logger.detail('    rewardBps array length:', arrayLength);
-                                                    
-                                                    // Validate array length (should be at least 1, reasonable max is 100)
-                                                    if (arrayLength < 1 || arrayLength > 100) {
-                                                        throw new Error(`Invalid array length: ${arrayLength} (expected 1-100)`);
-                                                    }
-                                                    
-                                                    // Decode the first value
-                                                    const value1Start = rewardBpsDataStart + HEX_CHARS_PER_UINT256;
-                                                    
-                                                    if (data.length < value1Start + HEX_CHARS_PER_UINT256) {
-                                                        throw new Error(`Not enough data for array value`);
-                                                    }
-                                                    
-                                                    const value1Hex = data.slice(value1Start, value1Start + HEX_CHARS_PER_UINT256);
-                                                    const value1 = Number(BigInt('0x' + value1Hex));
-                                                    
-                                                    const MAX_BPS = 10000;
-                                                    if (value1 < 0 || value1 > MAX_BPS) {
-                                                        throw new Error(`Invalid BPS value: ${value1} (expected 0-${MAX_BPS})`);
-                                                    }
-                                                    
-                                                    let creatorBps, feyStakersBps;
-                                                    
-                                                    if (arrayLength >= 2) {
-                                                        // Two elements: [creatorBps, feyStakersBps]
-                                                        const value2Start = value1Start + HEX_CHARS_PER_UINT256;
-                                                        
-                                                        if (data.length < value2Start + HEX_CHARS_PER_UINT256) {
-                                                            throw new Error(`Not enough data for second array value`);
-                                                        }
-                                                        
-                                                        const value2Hex = data.slice(value2Start, value2Start + HEX_CHARS_PER_UINT256);
-                                                        const value2 = Number(BigInt('0x' + value2Hex));
-                                                        
-                                                        if (value2 < 0 || value2 > MAX_BPS) {
-                                                            throw new Error(`Invalid BPS value: ${value2} (expected 0-${MAX_BPS})`);
-                                                        }
-                                                        
-                                                        creatorBps = value1;
-                                                        feyStakersBps = value2;
-                                                    } else {
-                                                        // Single element: [feyStakersBps] - creator gets the remainder
-                                                        feyStakersBps = value1;
-                                                        creatorBps = 10000 - value1;
-                                                    }
-                                                    
-                                                    logger.detail('    Creator BPS (manual decode):', creatorBps);
-                                                    logger.detail('    FEY Stakers BPS (manual decode):', feyStakersBps);
-                                                    
-                                                    feeSplit = {
-                                                        creatorBps,
-                                                        feyStakersBps
-                                                    };
-                                                    
-                                                    parsedEvent = { args: { rewardBps: [creatorBps, feyStakersBps] } }; // Mock for logging
-                                                    logger.detail('  ✅ Successfully decoded fee split manually!');
-                                                } catch (decodeError) {
-                                                    logger.warn('    Manual decode error:', decodeError.message);
-                                                    if (process.env.NODE_ENV === 'development') {
-                                                        logger.detail('    Data length:', data.length);
-                                                        logger.detail('    Data preview (first 200 chars):', data.substring(0, 200));
-                                                    }
-                                                }
-                                            } catch (e) {
-                                                logger.warn('    Manual decode failed:', e.message);
-                                            }
-                                        }
-                                        
-                                        break; // Found the event, no need to check other logs
-                                    }
-                                }
-                            }
-                            
-                            if (logsFromContract === 0) {
-                                logger.warn(`  ⚠️  No logs found from token reward contract (${TOKEN_REWARD_CONTRACT}) in this transaction`);
-                            } else if (!parsedEvent) {
-                                logger.warn('  ⚠️  Found logs from contract but could not parse TokenRewardAdded event');
-                                if (process.env.NODE_ENV === 'development') {
-                                    logger.detail('  Total logs in receipt:', receipt.logs.length);
-                                    logger.detail('  Logs from reward contract:', logsFromContract);
-                                }
-                            }
-                            
-                            // Extract fee split from parsed event
-                            // The rewardBps array can have 1 or 2 elements:
-                            // - If 2 elements: [creatorBps, feyStakersBps]
-                            // - If 1 element: [feyStakersBps] where creatorBps = 10000 - feyStakersBps
-                            if (parsedEvent && parsedEvent.args.rewardBps && parsedEvent.args.rewardBps.length >= 1) {
-                                let creatorBps, feyStakersBps;
-                                
-                                if (parsedEvent.args.rewardBps.length >= 2) {
-                                    // Two elements: [creatorBps, feyStakersBps]
-                                    creatorBps = Number(parsedEvent.args.rewardBps[0]);
-                                    feyStakersBps = Number(parsedEvent.args.rewardBps[1]);
-                                } else {
-                                    // One element: [feyStakersBps] - creator gets the remainder
-                                    feyStakersBps = Number(parsedEvent.args.rewardBps[0]);
-                                    creatorBps = 10000 - feyStakersBps; // Total is 10000 bps (100%)
-                                    logger.detail('  Single rewardBps element detected, calculating creator share...');
-                                }
-                                
-                                feeSplit = {
-                                    creatorBps,
-                                    feyStakersBps
-                                };
-                                
-                                logger.detail('  Creator Fee (bps)', creatorBps.toString());
-                                logger.detail('  FEY Stakers Fee (bps)', feyStakersBps.toString());
-                                logger.detail('  Creator Fee (%)', (creatorBps / 100).toFixed(2) + '%');
-                                logger.detail('  FEY Stakers Fee (%)', (feyStakersBps / 100).toFixed(2) + '%');
-                            } else if (parsedEvent) {
-                                logger.warn('  ⚠️  rewardBps array is empty or missing');
-                                if (process.env.NODE_ENV === 'development') {
-                                    logger.detail('  Parsed event args:', Object.keys(parsedEvent.args || {}));
-                                }
-                            }
-                            
-                            if (feeSplit) {
-                                logger.detail('---');
-                                logger.detail('✅ Fee split data extracted successfully');
-                            } else {
-                                logger.warn('⚠️  TokenRewardAdded event not found or fee split could not be extracted');
-                                if (process.env.NODE_ENV === 'development') {
-                                    logger.detail('  Transaction hash:', log.transactionHash);
-                                    logger.detail('  Receipt status:', receipt ? (receipt.status === 1 ? 'Success' : 'Failed') : 'Not available');
-                                }
-                            }
-                        } else {
-                            logger.warn('⚠️  Transaction receipt not available - fee split cannot be extracted');
-                            if (process.env.NODE_ENV === 'development') {
-                                logger.detail('  Transaction hash:', log.transactionHash);
-                                logger.detail('  Block number:', log.blockNumber);
-                            }
-                        }
-                    } catch (e) {
-                        logger.warn(`Could not fetch transaction receipt: ${e.message}`);
-                        if (process.env.NODE_ENV === 'development') {
-                            logger.detail('  Transaction hash:', log.transactionHash);
-                            logger.detail('  Error:', e.message);
-                        }
-                    }
-                    
-                    // Extract event data for processing
-                    const msgSender = tokenCreatedEvent.args[0];
-                    const tokenAddress = ethers.getAddress(tokenCreatedEvent.args[1]);
-                    const tokenAdmin = ethers.getAddress(tokenCreatedEvent.args[2]);
-                    const tokenImage = tokenCreatedEvent.args[3];
-                    const tokenName = tokenCreatedEvent.args[4];
-                    const tokenSymbol = tokenCreatedEvent.args[5];
-                    const tokenMetadata = tokenCreatedEvent.args[6];
-                    const tokenContext = tokenCreatedEvent.args[7];
-                    const startingTick = tokenCreatedEvent.args[8];
-                    const poolHook = tokenCreatedEvent.args[9];
-                    const poolId = tokenCreatedEvent.args[10];
-                    const pairedToken = ethers.getAddress(tokenCreatedEvent.args[11]);
-                    const locker = ethers.getAddress(tokenCreatedEvent.args[12]);
-                    const mevModule = ethers.getAddress(tokenCreatedEvent.args[13]);
-                    const extensionsSupply = tokenCreatedEvent.args[14];
-                    const extensions = tokenCreatedEvent.args[15];
-
-                    // Look for initial purchase: Transfer events showing deployer received tokens
-                    if (receipt) {
-                        logger.detail('---');
-                        logger.detail('Scanning for initial purchase...');
-                        
-                        let pairedTokenDecimals = 18;
-                        // Get paired token decimals for formatting
-                        try {
-                            const pairedTokenContract = this.feyContracts.getTokenContract(pairedToken);
-                            pairedTokenDecimals = await pairedTokenContract.decimals();
-                        } catch (e) {
-                            // Default to 18
-                        }
-                        
-                        // Transfer event signature: Transfer(address indexed from, address indexed to, uint256 value)
-                        const transferTopic = ethers.id('Transfer(address,address,uint256)');
-                        const tokenAddressLower = tokenAddress.toLowerCase();
-                        const pairedTokenLower = pairedToken.toLowerCase();
-                        const deployerLower = tokenAdmin.toLowerCase();
-                        
-                        for (const logEntry of receipt.logs) {
-                            // Check if this is a Transfer event
-                            if (logEntry.topics[0] === transferTopic) {
-                                try {
-                                    const transferIface = new ethers.Interface([
-                                        'event Transfer(address indexed from, address indexed to, uint256 value)'
-                                    ]);
-                                    const parsed = transferIface.parseLog({
-                                        topics: logEntry.topics,
-                                        data: logEntry.data
-                                    });
-                                    
-                                    if (parsed && parsed.name === 'Transfer') {
-                                        const from = parsed.args.from.toLowerCase();
-                                        const to = parsed.args.to.toLowerCase();
-                                        const value = parsed.args.value;
-                                        const logAddress = logEntry.address.toLowerCase();
-                                        
-                                        // If deployer received new tokens (from pool/contract to deployer)
-                                        if (logAddress === tokenAddressLower && 
-                                            to === deployerLower && 
-                                            from !== deployerLower) {
-                                            tokensReceived = value;
-                                            logger.detail(`  ✅ Deployer received: ${formatSupplyWithCommas(value)} ${tokenSymbol}`);
-                                        }
-                                        
-                                        // If deployer spent paired token (from deployer to pool/contract)
-                                        if (logAddress === pairedTokenLower && 
-                                            from === deployerLower && 
-                                            to !== deployerLower) {
-                                            tokensSpent = value;
-                                            logger.detail(`  ✅ Deployer spent: ${formatSupplyWithCommas(value, pairedTokenDecimals)} paired token`);
-                                        }
-                                    }
-                                } catch (e) {
-                                    // Continue searching
-                                }
-                            }
-                        }
-                        
-                        if (tokensReceived || tokensSpent) {
-                            logger.detail('---');
-                            logger.detail('✅ Initial purchase data found');
-                        }
-                    }
-                    
-                    // Note: All FEY tokens have 100b supply, so we don't need to fetch it
-                    logger.sectionEnd();
-                    
-                    await handleTokenDeployment({
-                        tokenAddress: tokenAddress,
-                        name: tokenName,
-                        symbol: tokenSymbol,
-                        deployer: tokenAdmin, // tokenAdmin is the deployer/admin
-                        transactionHash: log.transactionHash,
-                        blockNumber: log.blockNumber,
-                        provider: this.provider,
-                        discord: this.discord,
-                        feyContracts: this.feyContracts, // Pass contract helper for async contract data fetching
-                        // Pass all additional data for potential use
-                        fullEventData: {
-                            msgSender,
-                            tokenImage,
-                            tokenMetadata,
-                            tokenContext,
-                            startingTick,
-                            poolHook,
-                            poolId,
-                            pairedToken,
-                            locker,
-                            mevModule,
-                            extensionsSupply,
-                            extensions,
-                            tokensReceived, // Initial purchase: tokens received
-                            tokensSpent,    // Initial purchase: paired tokens spent
-                            feeSplit        // Fee split from TokenRewardAdded event (Creator vs FEY Stakers)
-                        }
-                    });
+                receipt = await this.rpcPool.getTransactionReceipt(log.transactionHash);
+                if (!receipt && receiptRetries < maxReceiptRetries - 1) {
+                    const delay = 500 * (receiptRetries + 1);
+                    logger.detail(`  Receipt not available, retrying in ${delay}ms...`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            } catch (receiptError) {
+                if (receiptRetries < maxReceiptRetries - 1) {
+                    const delay = 500 * (receiptRetries + 1);
+                    logger.detail(`  Receipt fetch error, retrying in ${delay}ms: ${receiptError.message}`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                } else {
+                    logger.warn(`Could not fetch transaction receipt after ${maxReceiptRetries} attempts: ${receiptError.message}`);
                 }
+            }
+            receiptRetries++;
+        }
+        
+        const deployment = decodeDeployment(log, receipt);
+        await this.logDeployment(deployment, receipt);
+        
+        await handleTokenDeployment({
+            tokenAddress: deployment.tokenAddress,
+            name: deployment.tokenName,
+            symbol: deployment.tokenSymbol,
+            deployer: deployment.tokenAdmin, // tokenAdmin is the deployer/admin
+            transactionHash: log.transactionHash,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            provider: this.rpcPool,
+            // Pass all additional data for potential use
+            fullEventData: {
+                msgSender: deployment.msgSender,
+                tokenImage: deployment.tokenImage,
+                tokenMetadata: deployment.tokenMetadata,
+                tokenContext: deployment.tokenContext,
+                startingTick: deployment.startingTick,
+                poolHook: deployment.poolHook,
+                poolId: deployment.poolId,
+                pairedToken: deployment.pairedToken,
+                locker: deployment.locker,
+                mevModule: deployment.mevModule,
+                extensionsSupply: deployment.extensionsSupply,
+                extensions: deployment.extensions,
+                tokensReceived: deployment.tokensReceived, // Initial purchase: tokens received
+                tokensSpent: deployment.tokensSpent,       // Initial purchase: paired tokens spent
+                feeSplit: deployment.feeSplit,             // Fee split from TokenRewardAdded event (Creator vs FEY Stakers)
+                rewards: deployment.rewards,               // Full reward config: every recipient and the LP positions
+                hasReceipt: receipt !== null               // Without it the dev buy and fee split are unknown
+            }
+        });
+    }
+
+    /**
+     * Retries a TokenCreated log whose handling failed, with exponential backoff
+     * Until it succeeds the log's block is kept out of the block cursor by getCursorCeiling. After
+     * FAILED_LOG_MAX_ATTEMPTS failures it's dead-lettered instead, so one bad log can't pin the cursor for good
+     */
+    async scheduleLogRetry(logKey, log, error) {
+        const previous = this.failedLogs.get(logKey);
+        const attempts = (previous?.attempts ?? 0) + 1;
+        const delay = Math.min(FAILED_LOG_RETRY_BASE_MS * Math.pow(2, attempts - 1), FAILED_LOG_RETRY_MAX_MS);
+
+        if (previous) {
+            clearTimeout(previous.timer);
+        }
+        if (attempts >= FAILED_LOG_MAX_ATTEMPTS && await this.deadLetterLog(log, error, attempts)) {
+            this.failedLogs.delete(logKey);
+            return;
+        }
+        const timer = setTimeout(() => {
+            this.processedLogs.delete(logKey);
+            this.processTokenCreatedLog(log, 'RETRY');
+        }, delay);
+
+        this.failedLogs.set(logKey, { blockNumber: log.blockNumber, attempts, timer });
+        logger.warn(`TokenCreated log ${log.transactionHash} failed (attempt ${attempts}), retrying in ${Math.round(delay / 1000)}s - block cursor held below ${log.blockNumber}`);
+    }
+
+    /**
+     * Stores a log that keeps failing as a dead outbox job, so it can be inspected and retried with `pnpm outbox`
+     * @returns {Promise<boolean>} - false if it couldn't be stored (e.g. the database is down) and must keep being retried
+     */
+    async deadLetterLog(log, error, attempts) {
+        try {
+            const job = await prisma.outboxJob.create({
+                data: {
+                    type: JOB_TYPES.RETRY_TOKEN_CREATED_LOG,
+                    status: JOB_STATUS.DEAD,
+                    payload: {
+                        log: {
+                            address: log.address,
+                            topics: [...log.topics],
+                            data: log.data,
+                            transactionHash: log.transactionHash,
+                            blockNumber: log.blockNumber,
+                            blockHash: log.blockHash,
+                            index: log.index,
+                        },
+                    },
+                    attempts,
+                    maxAttempts: attempts,
+                    lastError: error.message,
+                },
+            });
+            logger.error(`TokenCreated log ${log.transactionHash} failed ${attempts} times, moved to outbox dead letters as job #${job.id} - block cursor released. Retry with: pnpm outbox retry ${job.id}`);
+            return true;
+        } catch (deadLetterError) {
+            logger.warn(`Could not dead-letter TokenCreated log ${log.transactionHash}: ${deadLetterError.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Drops a log's pending retry once it has been handled or its block was reorged out
+     */
+    forgetFailedLog(logKey) {
+        const failed = this.failedLogs.get(logKey);
+        if (failed) {
+            clearTimeout(failed.timer);
+            this.failedLogs.delete(logKey);
+        }
+    }
+
+    /**
+     * Caps a block the cursor is about to be saved at, so it never moves past a log that isn't done -
+     * one still awaiting confirmations, being processed or waiting on a retry
+     */
+    getCursorCeiling(blockNumber) {
+        let ceiling = blockNumber;
+        const lowestPending = this.confirmations.getLowestPendingBlock();
+        if (lowestPending !== null) {
+            ceiling = Math.min(ceiling, lowestPending - 1);
+        }
+        for (const inFlight of this.inFlightBlocks.values()) {
+            ceiling = Math.min(ceiling, inFlight - 1);
+        }
+        for (const failed of this.failedLogs.values()) {
+            ceiling = Math.min(ceiling, failed.blockNumber - 1);
+        }
+        return ceiling;
+    }
+
+    /**
+     * Logs a decoded deployment (event fields, receipt, fee split and initial purchase)
+     */
+    async logDeployment(deployment, receipt) {
+        logger.section('📊 Complete TokenCreated Event Data');
+        
+        const eventFields = [
+            'msgSender',
+            'tokenAddress',
+            'tokenAdmin',
+            'tokenImage',
+            'tokenName',
+            'tokenSymbol',
+            'tokenMetadata',
+            'tokenContext',
+            'startingTick',
+            'poolHook',
+            'poolId',
+            'pairedToken',
+            'locker',
+            'mevModule',
+            'extensionsSupply',
+            'extensions'
+        ];
+        
+        for (const field of eventFields) {
+            const value = deployment[field];
+            logger.detail(`  ${field}`, Array.isArray(value) ? `[${value.length} items: ${value.join(', ')}]` : String(value));
+        }
+        
+        logger.detail('---');
+        logger.detail('Transaction Hash', deployment.transactionHash);
+        logger.detail('Block Number', deployment.blockNumber.toString());
+        logger.detail('Block Hash', deployment.blockHash);
+        logger.detail('Log Index', deployment.logIndex.toString());
+        
+        if (!receipt) {
+            logger.warn('⚠️  Transaction receipt not available - fee split and initial purchase cannot be extracted');
+            logger.sectionEnd();
+            return;
+        }
+        
+        logger.detail('---');
+        logger.detail('Transaction From', receipt.from);
+        logger.detail('Transaction To', receipt.to || 'Contract Creation');
+        logger.detail('Gas Used', receipt.gasUsed.toString());
+        logger.detail('Status', receipt.status === 1 ? 'Success' : 'Failed');
+        
+        logger.detail('---');
+        if (deployment.feeSplit) {
+            const { creatorBps, feyStakersBps } = deployment.feeSplit;
+            logger.detail(`✅ Fee split extracted (${deployment.rewards.decodedWith} decode)`);
+            logger.detail('  Creator Fee (%)', (creatorBps / 100).toFixed(2) + '%');
+            logger.detail('  FEY Stakers Fee (%)', (feyStakersBps / 100).toFixed(2) + '%');
+            if (deployment.rewards.rewardRecipients.length > 0) {
+                logger.detail('  Reward Recipients', deployment.rewards.rewardRecipients.join(', '));
+            }
+        } else if (deployment.rewards) {
+            logger.warn('⚠️  Found TokenRewardAdded event but could not decode the fee split');
+        } else {
+            logger.warn(`⚠️  No TokenRewardAdded event from ${TOKEN_REWARD_CONTRACT} in this transaction`);
+        }
+        
+        if (deployment.tokensReceived) {
+            logger.detail(`✅ Deployer received: ${formatSupplyWithCommas(deployment.tokensReceived)} ${deployment.tokenSymbol}`);
+        }
+        if (deployment.tokensSpent) {
+            let pairedTokenDecimals = 18;
+            try {
+                pairedTokenDecimals = await this.feyContracts.getTokenContract(deployment.pairedToken).decimals();
+            } catch (e) {
+                // Default to 18
+            }
+            logger.detail(`✅ Deployer spent: ${formatSupplyWithCommas(deployment.tokensSpent, pairedTokenDecimals)} paired token`);
+        }
+        
+        // Note: All FEY tokens have 100b supply, so we don't need to fetch it
+        logger.sectionEnd();
+    }
+
+    /**
+     * Replays TokenCreated logs from the persisted block cursor up to the chain head
+     * Runs on startup and after every reconnect so launches emitted while the socket was down aren't lost
+     */
+    async replayMissedBlocks() {
+        const head = await this.provider.getBlockNumber();
+        const cursor = await getCursor(TOKEN_CREATED_CURSOR);
+
+        if (cursor === null) {
+            // First run - historical deployments are the backfill script's job, so just start tracking from here
+            logger.detail('No block cursor found, starting from head', head);
+            await saveCursor(TOKEN_CREATED_CURSOR, head);
+            return;
+        }
+
+        if (cursor >= head) {
+            logger.detail('Block cursor is at head', cursor);
+            return;
+        }
+
+        logger.detail('Replaying blocks', `${cursor + 1} → ${head} (${head - cursor} blocks)`);
+        const replayed = await this.syncLogs(cursor + 1, head, 'REPLAY', REPLAY_BLOCK_WINDOW);
+
+        this.pendingCheckpointBlock = null;
+        logger.detail('✅ Replay complete', `${replayed} missed deployment(s) queued for confirmation`);
+    }
+
+    /**
+     * Pulls TokenCreated logs for a block range in windows, queues unseen ones for confirmation
+     * and advances the block cursor as it goes. Used by gap replay and by each log polling tick.
+     * @returns {Promise<number>} - Number of logs queued
+     */
+    async syncLogs(fromBlock, toBlock, source, blockWindow) {
+        const filter = this.getTokenCreatedFilter();
+        let queued = 0;
+
+        for (let windowStart = fromBlock; windowStart <= toBlock; windowStart += blockWindow) {
+            if (this.isShuttingDown) break;
+
+            const windowEnd = Math.min(windowStart + blockWindow - 1, toBlock);
+            const logs = await this.getLogsWithRetry({ ...filter, fromBlock: windowStart, toBlock: windowEnd });
+
+            for (const log of logs) {
+                if (!log.removed && await this.isKnownDeployment(log)) {
+                    continue;
+                }
+                await this.confirmations.track(log, source);
+                queued++;
+            }
+
+            // Don't move past logs that aren't handled yet - they'd be lost on a restart
+            await saveCursor(TOKEN_CREATED_CURSOR, this.getCursorCeiling(windowEnd));
+
+            if (windowEnd < toBlock && REPLAY_REQUEST_DELAY_MS > 0) {
+                await new Promise(resolve => setTimeout(resolve, REPLAY_REQUEST_DELAY_MS));
+            }
+        }
+
+        return queued;
+    }
+
+    /**
+     * One tick of log polling mode: syncs from the block cursor to the current head
+     */
+    async pollLogs() {
+        if (this.isPolling || this.isShuttingDown || this.isReconnecting || !this.provider) return;
+
+        this.isPolling = true;
+        try {
+            const head = await this.provider.getBlockNumber();
+            const cursor = await getCursor(TOKEN_CREATED_CURSOR);
+
+            if (cursor === null) {
+                await saveCursor(TOKEN_CREATED_CURSOR, head);
+            } else if (cursor < head) {
+                const queued = await this.syncLogs(cursor + 1, head, 'POLLING', POLL_BLOCK_WINDOW);
+                if (queued > 0) {
+                    this.lastEventTime = Date.now();
+                }
+            }
+
+            this.lastPollTime = Date.now();
+        } catch (error) {
+            logger.warn(`Log poll failed: ${error.message}`);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Fetches logs for a block range, backing off on rate limits
+     */
+    async getLogsWithRetry(filter, maxRetries = 5) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.provider.getLogs(filter);
             } catch (error) {
-                handleError(error, 'TokenCreated Event Handler');
+                const isRateLimit = error.message && (
+                    error.message.includes('429') ||
+                    error.message.includes('rate limit') ||
+                    error.message.includes('compute units') ||
+                    error.message.includes('throughput')
+                );
+
+                if (attempt >= maxRetries - 1) {
+                    throw error;
+                }
+
+                const delay = (isRateLimit ? 2000 : 500) * Math.pow(2, attempt);
+                logger.warn(`getLogs failed for blocks ${filter.fromBlock}-${filter.toBlock} (attempt ${attempt + 1}/${maxRetries}): ${error.message}. Retrying in ${delay}ms...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
+        }
+    }
+
+    /**
+     * Checks whether a TokenCreated log's token is already stored
+     * tokenAddress is the first indexed topic, so no decoding is needed
+     */
+    async isKnownDeployment(log) {
+        const tokenAddress = ethers.getAddress(ethers.dataSlice(log.topics[1], 12)).toLowerCase();
+        const existing = await prisma.deployment.findUnique({
+            where: { tokenAddress },
+            select: { id: true }
         });
+        return !!existing;
+    }
 
-        logger.detail('FEY Factory Monitor', 'TokenCreated events (from deployToken transactions)');
+    /**
+     * Periodically persists the block cursor while the live subscription is healthy
+     * The head seen on one tick is only committed on the next, so logs still in flight
+     * over the socket get a full interval to arrive before their block is marked processed
+     */
+    startCursorCheckpoints() {
+        if (this.cursorCheckpointInterval) {
+            clearInterval(this.cursorCheckpointInterval);
+        }
+
+        this.pendingCheckpointBlock = null;
+        this.cursorCheckpointInterval = setInterval(async () => {
+            if (this.isShuttingDown || this.isReconnecting) return;
+            if (this.provider?.websocket?.readyState !== 1) {
+                // Socket isn't healthy - don't vouch for anything seen since the last tick
+                this.pendingCheckpointBlock = null;
+                return;
+            }
+
+            try {
+                if (this.pendingCheckpointBlock !== null) {
+                    // Never checkpoint past a log that is awaiting confirmations, being processed or waiting on a retry
+                    await saveCursor(TOKEN_CREATED_CURSOR, this.getCursorCeiling(this.pendingCheckpointBlock));
+                }
+
+                this.pendingCheckpointBlock = await this.provider.getBlockNumber();
+            } catch (error) {
+                logger.warn(`Cursor checkpoint failed: ${error.message}`);
+            }
+        }, CURSOR_CHECKPOINT_INTERVAL_MS);
+    }
+
+    /**
+     * Rolls back a promoted TokenCreated log whose block was reorged out
+     */
+    async retractTokenCreatedLog(log) {
+        // Forget the log so it's processed again if the transaction lands in a new block
+        const logKey = ConfirmationTracker.getLogKey(log);
+        this.processedLogs.delete(logKey);
+        this.forgetFailedLog(logKey);
+
+        await retractDeployment({
+            tokenAddress: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+            transactionHash: log.transactionHash,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash
+        });
     }
 
     startHealthCheck() {
@@ -843,8 +977,16 @@ class FeydarBot {
             if (this.isShuttingDown || this.isReconnecting) return;
 
             try {
-                // Check WebSocket connection
-                if (this.provider?.websocket?.readyState !== 1) {
+                if (this.ingestionMode === 'polling') {
+                    // Polling has a real liveness signal - the last successful poll
+                    const timeSinceLastPoll = Date.now() - this.lastPollTime;
+                    if (timeSinceLastPoll > Math.max(POLL_INTERVAL_MS * 10, 60000)) {
+                        logger.warn(`No successful log poll for ${Math.round(timeSinceLastPoll / 1000)}s, reconnecting...`);
+                        await this.handleDisconnect();
+                        return;
+                    }
+                } else if (this.provider?.websocket?.readyState !== 1) {
+                    // Check WebSocket connection
                     logger.warn('WebSocket not in OPEN state, reconnecting...');
                     await this.handleDisconnect();
                     return;
@@ -881,6 +1023,18 @@ class FeydarBot {
 
         logger.warn('Connection lost, attempting to reconnect...');
 
+        // A socket that keeps flapping is worse than polling - fall back until the next restart
+        if (this.ingestionMode === 'websocket') {
+            const now = Date.now();
+            this.recentReconnects = this.recentReconnects.filter(time => now - time < WS_FALLBACK_WINDOW_MS);
+            this.recentReconnects.push(now);
+
+            if (this.recentReconnects.length >= WS_FALLBACK_RECONNECTS) {
+                logger.warn(`WebSocket reconnected ${this.recentReconnects.length} times in ${WS_FALLBACK_WINDOW_MS / 60000} minutes, falling back to HTTP log polling`);
+                this.ingestionMode = 'polling';
+            }
+        }
+
         try {
             await this.cleanup(false);
             this.isShuttingDown = false;
@@ -924,7 +1078,32 @@ class FeydarBot {
 
             // Remove unhandled rejection handler to prevent logging during cleanup
             process.removeAllListeners('unhandledRejection');
-            
+
+            // Stop checkpointing/polling - the next initialize() replays from the last saved cursor
+            if (this.cursorCheckpointInterval) {
+                clearInterval(this.cursorCheckpointInterval);
+                this.cursorCheckpointInterval = null;
+            }
+            if (this.pollInterval) {
+                clearInterval(this.pollInterval);
+                this.pollInterval = null;
+            }
+
+            // Pause confirmation checks until a new provider is ready (tracked logs are kept)
+            this.confirmations.setProvider(null);
+
+            // Outbox jobs and the indexers don't depend on the ingestion provider - keep them running across reconnects
+            if (shouldExit) {
+                for (const logKey of [...this.failedLogs.keys()]) {
+                    this.forgetFailedLog(logKey);
+                }
+                this.outboxWorker.stop();
+                this.tokenStateIndexer.stop();
+                this.swapIndexer.stop();
+                this.holderIndexer.stop();
+                this.nameRefresher.stop();
+            }
+
             // Clean up factory listeners
             if (this.feyContracts?.feyFactory) {
                 this.feyContracts.feyFactory.removeAllListeners();
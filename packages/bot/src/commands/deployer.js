@@ -0,0 +1,83 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { ethers } = require('ethers');
+const { prisma } = require('../db/client');
+const { getMainnetProviderPool } = require('../services/rpcPool');
+const { createDeploymentListEmbed } = require('../utils/discordMessenger');
+const logger = require('../utils/logger');
+
+const MAX_LISTED_LAUNCHES = 10;
+
+const data = new SlashCommandBuilder()
+    .setName('deployer')
+    .setDescription('List a wallet\'s FEY token launches')
+    .addStringOption(option => option
+        .setName('wallet')
+        .setDescription('Address, basename (name or name.base.eth) or ENS name')
+        .setRequired(true));
+
+/**
+ * Resolves a wallet query to a lowercase address
+ * Names are matched against the deployer names already stored, then resolved onchain
+ */
+async function resolveDeployerAddress(query) {
+    if (ethers.isAddress(query)) {
+        return query.toLowerCase();
+    }
+
+    const name = query.toLowerCase();
+    const basename = name.endsWith('.base.eth') ? name.slice(0, -'.base.eth'.length) : (name.includes('.') ? null : name);
+
+    const known = await prisma.deployment.findFirst({
+        where: basename
+            ? { deployerBasename: { equals: basename, mode: 'insensitive' } }
+            : { deployerENS: { equals: name, mode: 'insensitive' } },
+        select: { deployer: true },
+    });
+    if (known) {
+        return known.deployer;
+    }
+
+    try {
+        const address = await getMainnetProviderPool().resolveName(basename ? `${basename}.base.eth` : name);
+        return address ? address.toLowerCase() : null;
+    } catch (error) {
+        logger.warn(`Name resolution failed for ${query}: ${error.message}`);
+        return null;
+    }
+}
+
+async function execute(interaction) {
+    const query = interaction.options.getString('wallet', true).trim();
+    const deployer = await resolveDeployerAddress(query);
+
+    if (!deployer) {
+        await interaction.editReply(`Couldn't resolve \`${query}\` to an address`);
+        return;
+    }
+
+    const [deployments, total] = await Promise.all([
+        prisma.deployment.findMany({
+            where: { deployer },
+            orderBy: { createdAt: 'desc' },
+            take: MAX_LISTED_LAUNCHES,
+        }),
+        prisma.deployment.count({ where: { deployer } }),
+    ]);
+
+    if (total === 0) {
+        await interaction.editReply(`No FEY launches from \`${deployer}\``);
+        return;
+    }
+
+    const summary = [
+        `**${total}** launch${total === 1 ? '' : 'es'} from \`${ethers.getAddress(deployer)}\``,
+        total > deployments.length ? `Showing the latest ${deployments.length}` : null,
+        `**[Basescan](https://basescan.org/address/${deployer})**`
+    ].filter(Boolean).join('\n');
+
+    await interaction.editReply({
+        embeds: [createDeploymentListEmbed(`👤 Deployer: ${query}`, deployments, summary)],
+    });
+}
+
+module.exports = { data, execute };
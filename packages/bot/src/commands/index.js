@@ -0,0 +1,59 @@
+const { Collection, MessageFlags } = require('discord.js');
+const { handleError } = require('../handlers/errorHandler');
+const logger = require('../utils/logger');
+
+const commands = new Collection();
+for (const command of [
+    require('./token'),
+    require('./deployer'),
+    require('./latest'),
+    require('./stats'),
+]) {
+    commands.set(command.data.name, command);
+}
+
+/**
+ * Registers the slash commands with Discord
+ * DISCORD_GUILD_ID registers them to one server (instant); otherwise they are global (can take up to an hour to appear)
+ */
+async function registerSlashCommands(discord) {
+    const definitions = commands.map(command => command.data.toJSON());
+    const guildId = process.env.DISCORD_GUILD_ID;
+
+    if (guildId) {
+        await discord.application.commands.set(definitions, guildId);
+    } else {
+        await discord.application.commands.set(definitions);
+    }
+    logger.detail('Slash commands registered', `${definitions.map(d => `/${d.name}`).join(', ')} (${guildId ? `guild ${guildId}` : 'global'})`);
+}
+
+/**
+ * Runs the slash command behind an interaction
+ * Replies are deferred first since lookups can outlast Discord's 3 second reply window
+ */
+async function handleCommandInteraction(interaction) {
+    if (!interaction.isChatInputCommand()) return;
+
+    const command = commands.get(interaction.commandName);
+    if (!command) return;
+
+    try {
+        await interaction.deferReply();
+        await command.execute(interaction);
+    } catch (error) {
+        handleError(error, `Slash Command /${interaction.commandName}`);
+        const reply = { content: 'Something went wrong running that command, please try again.', flags: MessageFlags.Ephemeral };
+        try {
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: reply.content, embeds: [] });
+            } else {
+                await interaction.reply(reply);
+            }
+        } catch (replyError) {
+            logger.warn(`Could not report /${interaction.commandName} failure: ${replyError.message}`);
+        }
+    }
+}
+
+module.exports = { registerSlashCommands, handleCommandInteraction };
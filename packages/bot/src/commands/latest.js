@@ -0,0 +1,30 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { prisma } = require('../db/client');
+const { createDeploymentListEmbed } = require('../utils/discordMessenger');
+
+const DEFAULT_COUNT = 5;
+const MAX_COUNT = 15;
+
+const data = new SlashCommandBuilder()
+    .setName('latest')
+    .setDescription('Show the most recent FEY token launches')
+    .addIntegerOption(option => option
+        .setName('n')
+        .setDescription(`Number of launches (default ${DEFAULT_COUNT}, max ${MAX_COUNT})`)
+        .setMinValue(1)
+        .setMaxValue(MAX_COUNT));
+
+async function execute(interaction) {
+    const count = interaction.options.getInteger('n') ?? DEFAULT_COUNT;
+
+    const deployments = await prisma.deployment.findMany({
+        orderBy: { createdAt: 'desc' },
+        take: count,
+    });
+
+    await interaction.editReply({
+        embeds: [createDeploymentListEmbed(`🆕 Latest ${deployments.length} FEY Launch${deployments.length === 1 ? '' : 'es'}`, deployments)],
+    });
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,55 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { prisma } = require('../db/client');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const data = new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('FEY token launches in the last 24 hours');
+
+async function execute(interaction) {
+    const now = Date.now();
+    const since = new Date(now - DAY_MS);
+    const previousSince = new Date(now - 2 * DAY_MS);
+
+    const [launches, previousLaunches, verified, deployers, total] = await Promise.all([
+        prisma.deployment.count({ where: { createdAt: { gte: since } } }),
+        prisma.deployment.count({ where: { createdAt: { gte: previousSince, lt: since } } }),
+        prisma.deployment.count({ where: { createdAt: { gte: since }, isVerified: true } }),
+        prisma.deployment.groupBy({
+            by: ['deployer'],
+            where: { createdAt: { gte: since } },
+            _count: { _all: true },
+            orderBy: { _count: { deployer: 'desc' } },
+        }),
+        prisma.deployment.count(),
+    ]);
+
+    const change = launches - previousLaunches;
+    const topDeployer = deployers[0];
+
+    const fields = [
+        { name: 'Launches (24h)', value: `${launches} (${change >= 0 ? '+' : ''}${change} vs previous 24h)`, inline: false },
+        { name: 'Unique Deployers', value: `${deployers.length}`, inline: true },
+        { name: 'Verified', value: `${verified}`, inline: true },
+        { name: 'All Time', value: `${total}`, inline: true }
+    ];
+
+    if (topDeployer && topDeployer._count._all > 1) {
+        fields.push({
+            name: 'Most Active Deployer',
+            value: `\`${topDeployer.deployer}\` (${topDeployer._count._all} launches)`,
+            inline: false
+        });
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle('📊 FEY Launches - Last 24h')
+        .addFields(fields)
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,80 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { ethers } = require('ethers');
+const { prisma } = require('../db/client');
+const { getTokenPrice } = require('../services/apiClient');
+const { getCachedFarcasterProfile } = require('../services/nameCache');
+const { createTokenEmbed, createMarketDataFields, deploymentToTokenData } = require('../utils/discordMessenger');
+const logger = require('../utils/logger');
+
+// Other tokens sharing a symbol that are listed under the match
+const MAX_SYMBOL_MATCHES = 5;
+
+const data = new SlashCommandBuilder()
+    .setName('token')
+    .setDescription('Look up a FEY token with live market data')
+    .addStringOption(option => option
+        .setName('query')
+        .setDescription('Token address or symbol')
+        .setRequired(true));
+
+/**
+ * Finds deployments by address, or by symbol (newest first) when the query isn't an address
+ */
+async function findDeployments(query) {
+    if (ethers.isAddress(query)) {
+        const deployment = await prisma.deployment.findUnique({
+            where: { tokenAddress: query.toLowerCase() },
+        });
+        return deployment ? [deployment] : [];
+    }
+
+    return prisma.deployment.findMany({
+        where: { symbol: { equals: query.replace(/^\$/, ''), mode: 'insensitive' } },
+        orderBy: { createdAt: 'desc' },
+        take: MAX_SYMBOL_MATCHES + 1,
+    });
+}
+
+async function execute(interaction) {
+    const query = interaction.options.getString('query', true).trim();
+    const [deployment, ...others] = await findDeployments(query);
+
+    if (!deployment) {
+        await interaction.editReply(`No FEY token found for \`${query}\``);
+        return;
+    }
+
+    // Market data is best-effort - the stored deployment is still worth showing without it
+    let priceData = null;
+    try {
+        priceData = await getTokenPrice(deployment.tokenAddress);
+    } catch (error) {
+        logger.warn(`Price lookup failed for ${deployment.tokenAddress}: ${error.message}`);
+    }
+
+    const deployerFarcaster = await getCachedFarcasterProfile(deployment.deployer);
+    const embed = createTokenEmbed({ ...deploymentToTokenData(deployment), deployerFarcaster }, `${deployment.name} ($${deployment.symbol})`)
+        .addFields(
+            createMarketDataFields(priceData).concat({
+                name: 'Deployed',
+                value: `<t:${Math.floor(deployment.createdAt.getTime() / 1000)}:R>`,
+                inline: false
+            })
+        )
+        .setTimestamp(deployment.createdAt);
+
+    if (others.length > 0) {
+        embed.addFields({
+            name: `Also using $${deployment.symbol}`,
+            value: others
+                .slice(0, MAX_SYMBOL_MATCHES - 1)
+                .map(other => `${other.name} \`${other.tokenAddress}\``)
+                .join('\n'),
+            inline: false
+        });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,277 @@
+const { ethers } = require('ethers');
+
+/**
+ * Pure decoding for FEY token deployments
+ *
+ * Takes a TokenCreated log plus its transaction receipt and returns everything we store
+ * about a launch. No RPC calls and no logging, so the live bot and the backfill always
+ * produce the same record for the same transaction.
+ */
+
+const factoryInterface = new ethers.Interface(require('../abis/FEYFactory.json'));
+
+// Fee locker that emits TokenRewardAdded in the deployment transaction
+const TOKEN_REWARD_CONTRACT = '0x282B4e72a79ebe79c1bd295c5ebd72940e50e836';
+
+// Uniswap v4 PoolKey (currency0, currency1, fee, tickSpacing, hooks)
+const rewardInterface = new ethers.Interface([
+    'event TokenRewardAdded(address token, tuple(address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, uint256 poolSupply, uint256 positionId, uint256 numPositions, uint16[] rewardBps, address[] rewardAdmins, address[] rewardRecipients, int24[] tickLower, int24[] tickUpper, uint16[] positionBps)'
+]);
+const TOKEN_REWARD_ADDED_TOPIC = rewardInterface.getEvent('TokenRewardAdded').topicHash;
+
+const transferInterface = new ethers.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+const TRANSFER_TOPIC = transferInterface.getEvent('Transfer').topicHash;
+
+const MAX_BPS = 10000;
+
+// Manual rewardBps decode layout: 9 fixed words (token + 5-word PoolKey + poolSupply + positionId + numPositions)
+// come before the rewardBps offset
+const REWARD_BPS_OFFSET_POSITION = 288;
+const MAX_REWARD_BPS_LENGTH = 100;
+
+/**
+ * Decodes a TokenCreated log
+ * @returns {Object|null} Event fields, or null if the log isn't a TokenCreated event
+ */
+function decodeTokenCreated(log) {
+    let parsed;
+    try {
+        parsed = factoryInterface.parseLog({ topics: log.topics, data: log.data });
+    } catch (e) {
+        return null;
+    }
+
+    if (!parsed || parsed.name !== 'TokenCreated') {
+        return null;
+    }
+
+    const args = parsed.args;
+    return {
+        msgSender: ethers.getAddress(args[0]),
+        tokenAddress: ethers.getAddress(args[1]),
+        tokenAdmin: ethers.getAddress(args[2]),
+        tokenImage: args[3],
+        tokenName: args[4],
+        tokenSymbol: args[5],
+        tokenMetadata: args[6],
+        tokenContext: args[7],
+        startingTick: Number(args[8]),
+        poolHook: ethers.getAddress(args[9]),
+        poolId: args[10],
+        pairedToken: ethers.getAddress(args[11]),
+        locker: ethers.getAddress(args[12]),
+        mevModule: ethers.getAddress(args[13]),
+        extensionsSupply: args[14],
+        extensions: args[15].map(address => ethers.getAddress(address)),
+    };
+}
+
+/**
+ * Splits rewardBps into creator and FEY stakers shares
+ * - 2+ elements: [creatorBps, feyStakersBps]
+ * - 1 element: [feyStakersBps], creator gets the remainder
+ */
+function toFeeSplit(rewardBps) {
+    if (!rewardBps || rewardBps.length === 0) {
+        return null;
+    }
+
+    if (rewardBps.length >= 2) {
+        return {
+            creatorBps: Number(rewardBps[0]),
+            feyStakersBps: Number(rewardBps[1]),
+        };
+    }
+
+    const feyStakersBps = Number(rewardBps[0]);
+    return {
+        creatorBps: MAX_BPS - feyStakersBps,
+        feyStakersBps,
+    };
+}
+
+/**
+ * Reads just the rewardBps array straight out of the log data
+ * Fallback for reward logs the ABI can't fully decode
+ * @returns {number[]|null}
+ */
+function decodeRewardBpsManually(data) {
+    try {
+        const bytes = ethers.getBytes(data);
+        const readWord = (offset) => {
+            if (offset + 32 > bytes.length) {
+                throw new Error('Data too short');
+            }
+            return ethers.toBigInt(bytes.slice(offset, offset + 32));
+        };
+
+        const arrayOffset = Number(readWord(REWARD_BPS_OFFSET_POSITION));
+        const arrayLength = Number(readWord(arrayOffset));
+        if (arrayLength < 1 || arrayLength > MAX_REWARD_BPS_LENGTH) {
+            return null;
+        }
+
+        const values = [];
+        for (let i = 0; i < Math.min(arrayLength, 2); i++) {
+            const value = Number(readWord(arrayOffset + 32 * (i + 1)));
+            if (value > MAX_BPS) {
+                return null;
+            }
+            values.push(value);
+        }
+        return values;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Finds and decodes the TokenRewardAdded event in a deployment receipt
+ * @returns {Object|null} Reward config, or null if the receipt has no reward event
+ */
+function decodeRewards(receipt) {
+    const rewardLog = receipt.logs.find(logEntry =>
+        logEntry.address.toLowerCase() === TOKEN_REWARD_CONTRACT.toLowerCase() &&
+        logEntry.topics[0]?.toLowerCase() === TOKEN_REWARD_ADDED_TOPIC
+    );
+
+    if (!rewardLog) {
+        return null;
+    }
+
+    let parsed = null;
+    try {
+        parsed = rewardInterface.parseLog({ topics: rewardLog.topics, data: rewardLog.data });
+    } catch (e) {
+        // Fall through to the manual decode
+    }
+
+    if (!parsed) {
+        const rewardBps = decodeRewardBpsManually(rewardLog.data);
+        return {
+            decodedWith: rewardBps ? 'manual' : null,
+            feeSplit: toFeeSplit(rewardBps),
+            rewardBps: rewardBps || [],
+            poolKey: null,
+            poolSupply: null,
+            positionId: null,
+            numPositions: null,
+            rewardAdmins: [],
+            rewardRecipients: [],
+            positions: [],
+        };
+    }
+
+    const args = parsed.args;
+    const rewardBps = args.rewardBps.map(Number);
+    return {
+        decodedWith: 'abi',
+        feeSplit: toFeeSplit(rewardBps),
+        rewardBps,
+        poolKey: {
+            currency0: ethers.getAddress(args.poolKey.currency0),
+            currency1: ethers.getAddress(args.poolKey.currency1),
+            fee: Number(args.poolKey.fee),
+            tickSpacing: Number(args.poolKey.tickSpacing),
+            hooks: ethers.getAddress(args.poolKey.hooks),
+        },
+        poolSupply: args.poolSupply,
+        positionId: args.positionId,
+        numPositions: Number(args.numPositions),
+        rewardAdmins: args.rewardAdmins.map(address => ethers.getAddress(address)),
+        rewardRecipients: args.rewardRecipients.map(address => ethers.getAddress(address)),
+        positions: args.tickLower.map((tickLower, i) => ({
+            tickLower: Number(tickLower),
+            tickUpper: Number(args.tickUpper[i]),
+            positionBps: Number(args.positionBps[i]),
+        })),
+    };
+}
+
+/**
+ * Finds the deployer's initial purchase in a deployment receipt
+ * - tokensReceived: new tokens transferred to the deployer
+ * - tokensSpent: paired token transferred from the deployer
+ * The last matching transfer wins, so multi-hop buys report the final leg
+ */
+function decodeInitialPurchase(receipt, { tokenAddress, pairedToken, deployer }) {
+    const tokenAddressLower = tokenAddress.toLowerCase();
+    const pairedTokenLower = pairedToken.toLowerCase();
+    const deployerLower = deployer.toLowerCase();
+
+    let tokensReceived = null;
+    let tokensSpent = null;
+
+    for (const logEntry of receipt.logs) {
+        if (logEntry.topics[0] !== TRANSFER_TOPIC) {
+            continue;
+        }
+
+        let parsed;
+        try {
+            parsed = transferInterface.parseLog({ topics: logEntry.topics, data: logEntry.data });
+        } catch (e) {
+            // ERC-721 transfers share the topic but not the layout
+            continue;
+        }
+
+        const from = parsed.args.from.toLowerCase();
+        const to = parsed.args.to.toLowerCase();
+        const logAddress = logEntry.address.toLowerCase();
+
+        if (logAddress === tokenAddressLower && to === deployerLower && from !== deployerLower) {
+            tokensReceived = parsed.args.value;
+        }
+
+        if (logAddress === pairedTokenLower && from === deployerLower && to !== deployerLower) {
+            tokensSpent = parsed.args.value;
+        }
+    }
+
+    return { tokensReceived, tokensSpent };
+}
+
+/**
+ * Decodes a deployment from its TokenCreated log and transaction receipt
+ * @param {ethers.Log} log - TokenCreated log
+ * @param {ethers.TransactionReceipt|null} receipt - Receipt for log.transactionHash (null skips fee split and dev buy)
+ * @returns {Object|null} Deployment record, or null if the log isn't a TokenCreated event
+ */
+function decodeDeployment(log, receipt) {
+    const event = decodeTokenCreated(log);
+    if (!event) {
+        return null;
+    }
+
+    const rewards = receipt ? decodeRewards(receipt) : null;
+    const purchase = receipt
+        ? decodeInitialPurchase(receipt, {
+            tokenAddress: event.tokenAddress,
+            pairedToken: event.pairedToken,
+            deployer: event.tokenAdmin,
+        })
+        : { tokensReceived: null, tokensSpent: null };
+
+    return {
+        ...event,
+        transactionHash: log.transactionHash,
+        blockNumber: Number(log.blockNumber),
+        blockHash: log.blockHash,
+        logIndex: log.index,
+        feeSplit: rewards?.feeSplit || null,
+        rewards,
+        tokensReceived: purchase.tokensReceived,
+        tokensSpent: purchase.tokensSpent,
+    };
+}
+
+module.exports = {
+    TOKEN_REWARD_CONTRACT,
+    TOKEN_REWARD_ADDED_TOPIC,
+    decodeDeployment,
+    decodeTokenCreated,
+    decodeRewards,
+    decodeInitialPurchase
+};
@@ -0,0 +1,85 @@
+const { ethers } = require('ethers');
+const { UNISWAP_V4_POOL_MANAGER: DEFAULT_POOL_MANAGER } = require('@feydar/shared/constants');
+
+/**
+ * Pure decoding for Uniswap v4 PoolManager Swap events
+ *
+ * Every v4 pool lives in the one PoolManager, so logs are fetched by topic and the
+ * caller decides which poolIds belong to FEY tokens.
+ */
+
+// Uniswap v4 PoolManager on Base
+const UNISWAP_V4_POOL_MANAGER = process.env.UNISWAP_V4_POOL_MANAGER || DEFAULT_POOL_MANAGER;
+
+const poolManagerInterface = new ethers.Interface([
+    'event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)'
+]);
+const SWAP_TOPIC = poolManagerInterface.getEvent('Swap').topicHash;
+
+// FEY tokens always have 18 decimals
+const TOKEN_DECIMALS = 18;
+
+/**
+ * Decodes a PoolManager Swap log
+ * @returns {Object|null} Swap record, or null if the log isn't a Swap event
+ */
+function decodeSwap(log) {
+    let parsed;
+    try {
+        parsed = poolManagerInterface.parseLog({ topics: log.topics, data: log.data });
+    } catch {
+        return null;
+    }
+    if (!parsed || parsed.name !== 'Swap') {
+        return null;
+    }
+
+    return {
+        poolId: parsed.args.id.toLowerCase(),
+        sender: parsed.args.sender.toLowerCase(),
+        amount0: parsed.args.amount0,
+        amount1: parsed.args.amount1,
+        sqrtPriceX96: parsed.args.sqrtPriceX96,
+        tick: Number(parsed.args.tick),
+        blockNumber: Number(log.blockNumber),
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+    };
+}
+
+/**
+ * Turns a decoded swap into a trade of the token against its paired token
+ * v4 deltas are from the swapper's side: positive is what the swapper received
+ * @param {Object} swap - From decodeSwap
+ * @param {{ tokenAddress: string, pairedToken: string, pairedDecimals?: number }} pool
+ * @returns {Object|null} Trade, or null if either side of the swap is zero
+ */
+function toTrade(swap, { tokenAddress, pairedToken, pairedDecimals = 18 }) {
+    // Pool currencies are sorted by address
+    const tokenIsCurrency0 = BigInt(tokenAddress) < BigInt(pairedToken);
+    const tokenDelta = tokenIsCurrency0 ? swap.amount0 : swap.amount1;
+    const pairedDelta = tokenIsCurrency0 ? swap.amount1 : swap.amount0;
+    if (tokenDelta === 0n || pairedDelta === 0n) {
+        return null;
+    }
+
+    const tokenAmount = tokenDelta < 0n ? -tokenDelta : tokenDelta;
+    const pairedAmount = pairedDelta < 0n ? -pairedDelta : pairedDelta;
+    const pairedValue = Number(ethers.formatUnits(pairedAmount, pairedDecimals));
+
+    return {
+        side: tokenDelta > 0n ? 'buy' : 'sell',
+        tokenAmount: tokenAmount.toString(),
+        pairedAmount: pairedAmount.toString(),
+        pairedValue,
+        price: pairedValue / Number(ethers.formatUnits(tokenAmount, TOKEN_DECIMALS)),
+    };
+}
+
+module.exports = {
+    UNISWAP_V4_POOL_MANAGER,
+    SWAP_TOPIC,
+    decodeSwap,
+    toTrade
+};
@@ -0,0 +1,74 @@
+const { ethers } = require('ethers');
+
+/**
+ * Pure decoding for token contract state changes (admin, image, metadata, verification)
+ *
+ * Every FEY token emits these from its own address, so logs are fetched by topic and the
+ * caller decides which addresses are FEY tokens.
+ */
+
+const tokenInterface = new ethers.Interface(require('../abis/Token.json'));
+
+// Event name -> TokenStateChange field
+const STATE_CHANGE_EVENTS = {
+    UpdateAdmin: 'admin',
+    UpdateImage: 'image',
+    UpdateMetadata: 'metadata',
+    Verified: 'verified',
+};
+
+// Any of these in topic0 (an OR filter for eth_getLogs)
+const TOKEN_STATE_TOPICS = Object.keys(STATE_CHANGE_EVENTS).map(name => tokenInterface.getEvent(name).topicHash);
+
+/**
+ * Decodes a token state change log
+ * oldValue is only known from the event for admin changes; other fields need the previously stored value
+ * @returns {Object|null} Change record, or null if the log isn't a state change event
+ */
+function decodeTokenStateChange(log) {
+    let parsed;
+    try {
+        parsed = tokenInterface.parseLog({ topics: log.topics, data: log.data });
+    } catch {
+        return null;
+    }
+    if (!parsed || !STATE_CHANGE_EVENTS[parsed.name]) {
+        return null;
+    }
+
+    const field = STATE_CHANGE_EVENTS[parsed.name];
+    let oldValue;
+    let newValue;
+
+    switch (parsed.name) {
+        case 'UpdateAdmin':
+            oldValue = parsed.args.oldAdmin.toLowerCase();
+            newValue = parsed.args.newAdmin.toLowerCase();
+            break;
+        case 'UpdateImage':
+            newValue = parsed.args.image;
+            break;
+        case 'UpdateMetadata':
+            newValue = parsed.args.metadata;
+            break;
+        case 'Verified':
+            newValue = 'true';
+            break;
+    }
+
+    return {
+        tokenAddress: log.address.toLowerCase(),
+        field,
+        oldValue,
+        newValue: newValue === '' ? null : newValue,
+        blockNumber: Number(log.blockNumber),
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+    };
+}
+
+module.exports = {
+    TOKEN_STATE_TOPICS,
+    decodeTokenStateChange
+};
@@ -0,0 +1,76 @@
+const { ethers } = require('ethers');
+
+/**
+ * Pure decoding for ERC-20 Transfer events on FEY tokens
+ *
+ * Transfers are far too common on Base to pull by topic alone, so the caller fetches them
+ * for a list of token addresses and folds them into balance changes here.
+ */
+
+const erc20Interface = new ethers.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+const TRANSFER_TOPIC = erc20Interface.getEvent('Transfer').topicHash;
+
+/**
+ * Decodes an ERC-20 Transfer log
+ * @returns {Object|null} Transfer record, or null if the log isn't a Transfer event
+ */
+function decodeTransfer(log) {
+    let parsed;
+    try {
+        parsed = erc20Interface.parseLog({ topics: log.topics, data: log.data });
+    } catch {
+        return null;
+    }
+    if (!parsed || parsed.name !== 'Transfer') {
+        return null;
+    }
+
+    return {
+        tokenAddress: log.address.toLowerCase(),
+        from: parsed.args.from.toLowerCase(),
+        to: parsed.args.to.toLowerCase(),
+        value: parsed.args.value,
+        blockNumber: Number(log.blockNumber),
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+    };
+}
+
+/**
+ * Net balance change per token and holder
+ * The zero address is skipped on both sides - mints and burns aren't held by anyone
+ * @param {Array} transfers - From decodeTransfer
+ * @returns {Map<string, Map<string, bigint>>} tokenAddress -> holder -> change (wei), zero changes left out
+ */
+function toBalanceChanges(transfers) {
+    const changes = new Map();
+    const add = (tokenAddress, holder, amount) => {
+        if (holder === ethers.ZeroAddress) return;
+        if (!changes.has(tokenAddress)) {
+            changes.set(tokenAddress, new Map());
+        }
+        const holders = changes.get(tokenAddress);
+        holders.set(holder, (holders.get(holder) ?? 0n) + amount);
+    };
+
+    for (const transfer of transfers) {
+        add(transfer.tokenAddress, transfer.from, -transfer.value);
+        add(transfer.tokenAddress, transfer.to, transfer.value);
+    }
+
+    for (const [tokenAddress, holders] of changes) {
+        for (const [holder, amount] of holders) {
+            if (amount === 0n) holders.delete(holder);
+        }
+        if (holders.size === 0) changes.delete(tokenAddress);
+    }
+    return changes;
+}
+
+module.exports = {
+    TRANSFER_TOPIC,
+    decodeTransfer,
+    toBalanceChanges
+};
@@ -0,0 +1,283 @@
+const { JOB_TYPES, JOB_STATUS, enqueue, wakeOutbox } = require('../services/outbox');
+const { broadcastDeployment, broadcastRetraction, broadcastTokenStateChange, sendDeploymentNotifications, dispatchWebhooks, getTokenPrice } = require('../services/apiClient');
+const { getBaseProviderPool } = require('../services/rpcPool');
+const { sendTelegramDeploymentMessage } = require('../utils/telegramMessenger');
+const { sendTokenDeploymentMessage, updateTokenDeploymentMessage } = require('../utils/discordMessenger');
+const FEYContractHelper = require('../contracts/helpers/FEYContractHelper');
+const SwapIndexer = require('../services/swapIndexer');
+const { findSnipers } = require('../services/sniperDetector');
+const { scoreDeployment } = require('../services/riskScorer');
+const { parseTokenMetadata } = require('@feydar/shared/utils');
+const { prisma } = require('../db/client');
+const logger = require('../utils/logger');
+
+// Minimum time between edits of the same Discord post
+const DISCORD_EDIT_MIN_INTERVAL_MS = parseInt(process.env.DISCORD_EDIT_MIN_INTERVAL_MS || '30000', 10);
+
+let feyContracts = null;
+
+function getFeyContracts() {
+    if (!feyContracts) {
+        feyContracts = new FEYContractHelper(getBaseProviderPool(), process.env.FEY_FACTORY_ADDRESS);
+    }
+    return feyContracts;
+}
+
+/**
+ * Queues an edit of the deployment's Discord post, no sooner than DISCORD_EDIT_MIN_INTERVAL_MS after the last one
+ * Edits render the latest stored data, so one already waiting covers this change too
+ * @param {Object} tx - Prisma client or interactive transaction client
+ */
+async function queueDiscordEmbedUpdate(tx, tokenAddress) {
+    const deployment = await tx.deployment.findUnique({
+        where: { tokenAddress },
+        select: { discordMessageId: true, discordEditedAt: true },
+    });
+    if (!deployment?.discordMessageId) return;
+
+    const waiting = await tx.outboxJob.findFirst({
+        where: {
+            type: JOB_TYPES.UPDATE_DISCORD_EMBED,
+            status: JOB_STATUS.PENDING,
+            payload: { path: ['tokenAddress'], equals: tokenAddress },
+        },
+        select: { id: true },
+    });
+    if (waiting) return;
+
+    const nextEditAt = deployment.discordEditedAt
+        ? deployment.discordEditedAt.getTime() + DISCORD_EDIT_MIN_INTERVAL_MS
+        : 0;
+    await enqueue(tx, JOB_TYPES.UPDATE_DISCORD_EMBED, { tokenAddress }, {
+        runAt: new Date(Math.max(Date.now(), nextEditAt)),
+    });
+}
+
+/**
+ * Queues a rescore of the deployment's risk, for when one of its inputs has changed
+ * Scoring reads the latest stored data, so one already waiting covers this change too
+ * @param {Object} tx - Prisma client or interactive transaction client
+ */
+async function queueRiskScore(tx, tokenAddress) {
+    const waiting = await tx.outboxJob.findFirst({
+        where: {
+            type: JOB_TYPES.SCORE_RISK,
+            status: JOB_STATUS.PENDING,
+            payload: { path: ['tokenAddress'], equals: tokenAddress },
+        },
+        select: { id: true },
+    });
+    if (waiting) return;
+
+    await enqueue(tx, JOB_TYPES.SCORE_RISK, { tokenAddress });
+}
+
+/**
+ * Outbox job handlers - each one throws on failure so the job is retried
+ */
+const outboxHandlers = {
+    [JOB_TYPES.BROADCAST_DEPLOYMENT]: async (deployment) => {
+        await broadcastDeployment(deployment);
+        logger.detail('✅ Broadcasted via API', deployment.tokenAddress);
+    },
+
+    [JOB_TYPES.BROADCAST_RETRACTION]: async (retraction) => {
+        await broadcastRetraction(retraction);
+        logger.detail('✅ Retraction broadcasted via API', retraction.tokenAddress);
+    },
+
+    [JOB_TYPES.BROADCAST_STATE_CHANGE]: async (change) => {
+        await broadcastTokenStateChange(change);
+        logger.detail(`✅ Token ${change.field} change broadcasted via API`, change.tokenAddress);
+    },
+
+    [JOB_TYPES.SEND_NOTIFICATIONS]: async (deployment) => {
+        const result = await sendDeploymentNotifications(deployment);
+        if (result) {
+            logger.detail(`✅ Sent notifications: ${result.sent} sent, ${result.failed} failed`);
+        }
+    },
+
+    // Webhooks are queued from here (not alongside the save) so their filters see the refreshed verification state
+    [JOB_TYPES.REFRESH_CONTRACT_DATA]: async ({ tokenAddress, webhookDispatch }) => {
+        const contractData = await getFeyContracts().fetchTokenContractData(tokenAddress);
+        await prisma.$transaction(async (tx) => {
+            // updateMany so a deployment retracted in the meantime isn't an error
+            await tx.deployment.updateMany({
+                where: { tokenAddress },
+                data: {
+                    currentAdmin: contractData.currentAdmin,
+                    currentImageUrl: contractData.currentImageUrl,
+                    metadata: contractData.metadata,
+                    context: contractData.context,
+                    isVerified: contractData.isVerified,
+                    deployingInterface: parseTokenMetadata(null, contractData.context).deployingInterface,
+                },
+            });
+            if (webhookDispatch) {
+                await enqueue(tx, JOB_TYPES.DISPATCH_WEBHOOKS, { tokenAddress, ...webhookDispatch });
+            }
+            await queueDiscordEmbedUpdate(tx, tokenAddress);
+            await queueRiskScore(tx, tokenAddress);
+        });
+        logger.detail(`✅ Updated contract data for ${tokenAddress}`);
+        wakeOutbox();
+    },
+
+    [JOB_TYPES.DISPATCH_WEBHOOKS]: async (dispatch) => {
+        const result = await dispatchWebhooks(dispatch);
+        logger.detail(`✅ Queued ${result?.queued ?? 0} webhook delivery(ies)`, dispatch.tokenAddress);
+    },
+
+    [JOB_TYPES.MARKET_SNAPSHOT]: async ({ tokenAddress, label }) => {
+        const deployment = await prisma.deployment.findUnique({ where: { tokenAddress }, select: { id: true } });
+        if (!deployment) {
+            logger.detail(`Skipping +${label} market snapshot, deployment no longer exists`, tokenAddress);
+            return;
+        }
+
+        const priceData = await getTokenPrice(tokenAddress);
+        const snapshot = {
+            price: priceData.price ?? null,
+            marketCap: priceData.marketCap ?? null,
+            liquidity: priceData.liquidity ?? null,
+            volume24h: priceData.volume24h ?? null,
+            takenAt: new Date(),
+        };
+
+        await prisma.$transaction(async (tx) => {
+            await tx.marketSnapshot.upsert({
+                where: { tokenAddress_label: { tokenAddress, label } },
+                update: snapshot,
+                create: { tokenAddress, label, ...snapshot },
+            });
+            await queueDiscordEmbedUpdate(tx, tokenAddress);
+        });
+        logger.detail(`✅ Saved +${label} market snapshot`, `${tokenAddress} (MC: ${snapshot.marketCap ?? 'n/a'})`);
+        wakeOutbox();
+    },
+
+    [JOB_TYPES.UPDATE_DISCORD_EMBED]: async ({ tokenAddress }) => {
+        const deployment = await prisma.deployment.findUnique({
+            where: { tokenAddress },
+            include: {
+                marketSnapshots: { orderBy: { takenAt: 'asc' } },
+                snipers: { select: { priorSnipes: true } },
+            },
+        });
+        if (!deployment?.discordMessageId) return;
+
+        // Another edit landed since this one was queued - try again once the interval has passed
+        if (deployment.discordEditedAt && Date.now() - deployment.discordEditedAt.getTime() < DISCORD_EDIT_MIN_INTERVAL_MS) {
+            await queueDiscordEmbedUpdate(prisma, tokenAddress);
+            return;
+        }
+
+        const updated = await updateTokenDeploymentMessage(deployment);
+        await prisma.deployment.update({
+            where: { tokenAddress },
+            data: updated ? { discordEditedAt: new Date() } : { discordMessageId: null, discordChannelId: null },
+        });
+        logger.detail(updated ? '✅ Discord embed updated' : 'Discord post no longer exists, stopped updating it', tokenAddress);
+    },
+
+    [JOB_TYPES.SYNC_POOL_SWAPS]: async (pool) => {
+        const recorded = await new SwapIndexer().syncPool(pool);
+        logger.detail(`✅ Synced launch swaps (${recorded} recorded)`, pool.tokenAddress);
+    },
+
+    // Throws until the swap indexer has covered the launch window, so the retries wait for it
+    [JOB_TYPES.DETECT_SNIPERS]: async ({ tokenAddress }) => {
+        const result = await findSnipers(tokenAddress);
+        if (!result) {
+            logger.detail('Skipping sniper check, deployment no longer exists', tokenAddress);
+            return;
+        }
+
+        await prisma.$transaction(async (tx) => {
+            // Replaced rather than merged, so a rerun can't leave stale wallets behind
+            await tx.sniper.deleteMany({ where: { tokenAddress } });
+            await tx.sniper.createMany({ data: result.snipers });
+            await tx.deployment.update({
+                where: { tokenAddress },
+                data: { sniperCount: result.sniperCount, snipedPercent: result.snipedPercent },
+            });
+            await queueDiscordEmbedUpdate(tx, tokenAddress);
+            await queueRiskScore(tx, tokenAddress);
+        });
+        logger.detail(`✅ Sniper check: ${result.sniperCount} wallet(s), ${result.snipedPercent}% of supply`, tokenAddress);
+        wakeOutbox();
+    },
+
+    [JOB_TYPES.SCORE_RISK]: async ({ tokenAddress }) => {
+        const result = await scoreDeployment(tokenAddress);
+        if (!result) {
+            logger.detail('Skipping risk score, deployment no longer exists', tokenAddress);
+            return;
+        }
+
+        await prisma.$transaction(async (tx) => {
+            await tx.deployment.update({
+                where: { tokenAddress },
+                data: { riskScore: result.score, riskFactors: result.factors },
+            });
+            await queueDiscordEmbedUpdate(tx, tokenAddress);
+        });
+        logger.detail(`✅ Risk score: ${result.score}/100`, tokenAddress);
+        wakeOutbox();
+    },
+
+    // Posts once - a rerun after the message id was saved does nothing
+    [JOB_TYPES.SEND_DISCORD]: async ({ tokenAddress, tokenData }) => {
+        const deployment = await prisma.deployment.findUnique({
+            where: { tokenAddress },
+            select: { discordMessageId: true },
+        });
+        if (!deployment) {
+            logger.detail('Skipping Discord post, deployment no longer exists', tokenAddress);
+            return;
+        }
+        if (deployment.discordMessageId) {
+            logger.detail('Discord post already sent', tokenAddress);
+            return;
+        }
+
+        const message = await sendTokenDeploymentMessage(tokenData);
+        await prisma.$transaction(async (tx) => {
+            await tx.deployment.update({
+                where: { tokenAddress },
+                data: { discordMessageId: message.id, discordChannelId: message.channel_id, discordEditedAt: null },
+            });
+            // Contract data, snipers or a risk score may have landed before there was a post to edit
+            await queueDiscordEmbedUpdate(tx, tokenAddress);
+        });
+        logger.detail('✅ Discord message sent', `${tokenData.symbol} (${message.id})`);
+        wakeOutbox();
+    },
+
+    // One job per chat, so a failing chat doesn't resend to the others. Posts once per chat - a replayed
+    // deployment or a rerun after the post was recorded does nothing
+    [JOB_TYPES.SEND_TELEGRAM]: async ({ chatId, tokenData }) => {
+        const tokenAddress = tokenData.tokenAddress;
+        const deployment = await prisma.deployment.findUnique({
+            where: { tokenAddress },
+            select: { telegramPosts: { where: { chatId }, select: { id: true } } },
+        });
+        if (!deployment) {
+            logger.detail('Skipping Telegram post, deployment no longer exists', tokenAddress);
+            return;
+        }
+        if (deployment.telegramPosts.length > 0) {
+            logger.detail('Telegram post already sent', `${tokenData.symbol} → ${chatId}`);
+            return;
+        }
+
+        const message = await sendTelegramDeploymentMessage(tokenData, chatId);
+        await prisma.telegramPost.create({
+            data: { tokenAddress, chatId, messageId: message.message_id },
+        });
+        logger.detail('✅ Telegram message sent', `${tokenData.symbol} → ${chatId}`);
+    },
+};
+
+module.exports = { outboxHandlers, queueDiscordEmbedUpdate, queueRiskScore };
@@ -1,46 +1,70 @@
-const { sendTokenDeploymentMessage } = require('../utils/discordMessenger');
+const { getTelegramChatIds } = require('../utils/telegramMessenger');
 const { handleError } = require('./errorHandler');
-const { resolveAddressName } = require('../services/nameResolver');
+const { getAddressName } = require('../services/nameCache');
 const logger = require('../utils/logger');
-const { formatSupplyWithCommas } = require('@feydar/shared/utils');
+const { formatSupplyWithCommas, getDevBuyPercent } = require('@feydar/shared/utils');
 const { prisma } = require('../db/client');
 const { ethers } = require('ethers');
+const { JOB_TYPES, enqueue, wakeOutbox } = require('../services/outbox');
+const { SNIPER_BLOCK_WINDOW } = require('../services/sniperDetector');
+const { queueRiskScore } = require('./outboxHandlers');
 
-async function broadcastDeployment(deployment) {
-    const apiUrl = process.env.API_URL || 'http://localhost:3001';
-    try {
-        const response = await fetch(`${apiUrl}/api/broadcast`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(deployment),
-        });
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        return true;
-    } catch (error) {
-        logger.warn(`Failed to broadcast deployment: ${error.message}`);
-        return false;
-    }
+// Market data captured after each deployment and added to its Discord post
+const MARKET_SNAPSHOTS = [
+    { label: '5m', delayMs: 5 * 60 * 1000 },
+    { label: '1h', delayMs: 60 * 60 * 1000 },
+];
+
+const toLowerOrNull = (address) => (address ? address.toLowerCase() : null);
+
+/**
+ * Maps the rest of a decoded TokenCreated payload and the dev buy to Deployment columns
+ * Shared with the data integrity script so backfilled rows match live ones
+ */
+function toPayloadFields(eventData) {
+    const tokensReceived = eventData?.tokensReceived != null ? eventData.tokensReceived.toString() : null;
+    return {
+        msgSender: toLowerOrNull(eventData?.msgSender),
+        startingTick: eventData?.startingTick != null ? Number(eventData.startingTick) : null,
+        poolHook: toLowerOrNull(eventData?.poolHook),
+        pairedToken: toLowerOrNull(eventData?.pairedToken),
+        locker: toLowerOrNull(eventData?.locker),
+        mevModule: toLowerOrNull(eventData?.mevModule),
+        extensionsSupply: eventData?.extensionsSupply != null ? eventData.extensionsSupply.toString() : null,
+        extensions: (eventData?.extensions || []).map(extension => extension.toLowerCase()),
+        tokensReceived,
+        tokensSpent: eventData?.tokensSpent != null ? eventData.tokensSpent.toString() : null,
+        // No transfer to the deployer means no dev buy - unless the receipt couldn't be read at all
+        devBuyPercent: tokensReceived !== null ? getDevBuyPercent(tokensReceived) : (eventData?.hasReceipt === false ? null : 0),
+    };
 }
 
-async function sendDeploymentNotifications(deployment) {
-    const apiUrl = process.env.API_URL || 'http://localhost:3001';
-    try {
-        const response = await fetch(`${apiUrl}/api/notifications/send`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(deployment),
-        });
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        const result = await response.json();
-        return result;
-    } catch (error) {
-        logger.warn(`Failed to send notifications: ${error.message}`);
+/**
+ * Maps a decoded TokenRewardAdded config to FeeRecipient and LiquidityPosition rows
+ * @returns {{ feeRecipients: Object[], liquidityPositions: Object[] }|null} Null unless the full config was decoded
+ */
+function toRewardRows(tokenAddress, rewards) {
+    // The manual fallback only recovers rewardBps, not who receives them
+    if (rewards?.decodedWith !== 'abi') {
         return null;
     }
+
+    return {
+        feeRecipients: rewards.rewardRecipients.map((recipient, slot) => ({
+            tokenAddress,
+            slot,
+            recipient: recipient.toLowerCase(),
+            admin: (rewards.rewardAdmins[slot] || recipient).toLowerCase(),
+            bps: rewards.rewardBps[slot] ?? 0,
+        })),
+        liquidityPositions: rewards.positions.map((position, slot) => ({
+            tokenAddress,
+            slot,
+            tickLower: position.tickLower,
+            tickUpper: position.tickUpper,
+            positionBps: position.positionBps,
+        })),
+    };
 }
 
 /**
@@ -53,10 +77,9 @@ async function handleTokenDeployment({
     deployer,
     transactionHash,
     blockNumber,
+    blockHash,
     provider,
-    discord,
-    fullEventData,
-    feyContracts // FEYContractHelper instance for fetching contract data
+    fullEventData
 }) {
     const startTime = Date.now();
 
@@ -73,8 +96,8 @@ async function handleTokenDeployment({
         
         logger.detail('---');
         logger.detail('Resolving deployer names...');
-        const deployerInfo = await resolveAddressName(deployer, provider);
-        logger.detail('Deployer resolved', `Basename: ${deployerInfo.basename || 'none'}, ENS: ${deployerInfo.ens || 'none'}, Display: ${deployerInfo.name}`);
+        const deployerInfo = await getAddressName(deployer, provider);
+        logger.detail('Deployer resolved', `Basename: ${deployerInfo.basename || 'none'}, ENS: ${deployerInfo.ens || 'none'}, Farcaster: ${deployerInfo.farcaster ? `@${deployerInfo.farcaster.username}` : 'none'}, Display: ${deployerInfo.name}`);
 
         // All FEY tokens have 100b supply
         const TOTAL_SUPPLY_TOKENS = 100_000_000_000n; // 100 billion tokens (in wei: 100b * 10^18)
@@ -104,21 +127,20 @@ async function handleTokenDeployment({
         
         const initialPurchaseText = `Dev bought: ${percentageText} of supply (${tokensReceivedFormatted} ${symbol})`;
 
-        logger.detail('---');
-        logger.detail('Sending Discord message...');
-        await sendTokenDeploymentMessage({
+        // Message content shared by Discord and Telegram
+        const messageData = {
             tokenAddress,
             name,
             symbol,
             deployer,
             deployerBasename: deployerInfo.basename,
             deployerENS: deployerInfo.ens,
+            deployerFarcaster: deployerInfo.farcaster,
             transactionHash,
             tokenImage: fullEventData?.tokenImage,
             feeSplit: fullEventData?.feeSplit,
             initialPurchase: initialPurchaseText
-        }, discord);
-        logger.detail('✅ Discord message sent');
+        };
 
         logger.detail('---');
         logger.detail('Saving to database...');
@@ -185,111 +207,155 @@ async function handleTokenDeployment({
                 throw new Error('Missing blockNumber or provider - cannot determine deployment timestamp');
             }
 
-            const savedDeployment = await prisma.deployment.upsert({
-                where: { tokenAddress },
-                                                update: {
-                                                    name: truncatedName,
-                                                    symbol: truncatedSymbol,
-                                                    deployer,
-                                                    deployerBasename: truncatedDeployerBasename,
-                                                    deployerENS: truncatedDeployerENS,
-                    transactionHash,
-                    tokenImage: fullEventData?.tokenImage,
-                                                    creatorBps,
-                                                    feyStakersBps,
-                                                    poolId,
-                                                    blockNumber: BigInt(blockNumber || 0),
-                                                    createdAt,
-                                                },
-                                                create: {
-                                                    tokenAddress,
-                                                    name: truncatedName,
-                                                    symbol: truncatedSymbol,
-                                                    deployer,
-                                                    deployerBasename: truncatedDeployerBasename,
-                                                    deployerENS: truncatedDeployerENS,
-                                                    transactionHash,
-                                                    tokenImage: fullEventData?.tokenImage,
-                                                    creatorBps,
-                                                    feyStakersBps,
-                                                    poolId,
-                                                    blockNumber: BigInt(blockNumber || 0),
-                                                    createdAt,
-                                                },
-            });
-            logger.detail('✅ Saved to database');
-
-            // Use the saved deployment record which includes id and all fields
-            const deploymentData = {
-                id: savedDeployment.id,
-                tokenAddress: savedDeployment.tokenAddress,
-                name: savedDeployment.name,
-                symbol: savedDeployment.symbol,
-                deployer: savedDeployment.deployer,
-                deployerBasename: deployerInfo.basename, // Use resolved name from nameResolver
-                deployerENS: deployerInfo.ens, // Use resolved ENS from nameResolver
-                transactionHash: savedDeployment.transactionHash,
-                tokenImage: savedDeployment.tokenImage,
-                creatorBps: savedDeployment.creatorBps,
-                feyStakersBps: savedDeployment.feyStakersBps,
-                poolId: savedDeployment.poolId,
-                blockNumber: Number(savedDeployment.blockNumber),
-                createdAt: savedDeployment.createdAt,
+            const deploymentFields = {
+                name: truncatedName,
+                symbol: truncatedSymbol,
+                deployer,
+                deployerBasename: truncatedDeployerBasename,
+                deployerENS: truncatedDeployerENS,
+                transactionHash,
+                tokenImage: fullEventData?.tokenImage,
+                creatorBps,
+                feyStakersBps,
+                poolId,
+                blockNumber: BigInt(blockNumber || 0),
+                blockHash: blockHash || null,
+                createdAt,
+                ...toPayloadFields(fullEventData),
             };
 
-            try {
-                await broadcastDeployment(deploymentData);
-                logger.detail('✅ Broadcasted via API');
-            } catch (wsError) {
-                logger.warn(`Broadcast error: ${wsError.message}`);
-            }
+            // The deployment and its side effects (Discord and Telegram posts, broadcast, notifications, contract data
+            // refresh, market snapshots) are written together, so a crash or API outage can't lose them. A failed save
+            // is rethrown so the log is retried; nothing has been posted yet
+            const savedDeployment = await prisma.$transaction(async (tx) => {
+                const saved = await tx.deployment.upsert({
+                    where: { tokenAddress },
+                    update: deploymentFields,
+                    create: { tokenAddress, ...deploymentFields },
+                });
 
-            // Send Farcaster notifications (non-blocking)
-            try {
-                const notificationResult = await sendDeploymentNotifications(deploymentData);
-                if (notificationResult) {
-                    logger.detail(`✅ Sent notifications: ${notificationResult.sent} sent, ${notificationResult.failed} failed`);
+                // Replaced rather than merged, so a replayed deployment can't leave stale slots behind
+                const rewardRows = toRewardRows(tokenAddress, fullEventData?.rewards);
+                if (rewardRows) {
+                    await tx.feeRecipient.deleteMany({ where: { tokenAddress } });
+                    await tx.liquidityPosition.deleteMany({ where: { tokenAddress } });
+                    await tx.feeRecipient.createMany({ data: rewardRows.feeRecipients });
+                    await tx.liquidityPosition.createMany({ data: rewardRows.liquidityPositions });
                 }
-            } catch (notifError) {
-                logger.warn(`Notification error: ${notifError.message}`);
-            }
 
-            // Fetch contract data asynchronously after initial save
-            if (feyContracts) {
-                feyContracts.fetchTokenContractData(tokenAddress)
-                    .then(async (contractData) => {
-                        try {
-                            await prisma.deployment.update({
-                                where: { tokenAddress },
-                                data: {
-                                    currentAdmin: contractData.currentAdmin,
-                                    currentImageUrl: contractData.currentImageUrl,
-                                    metadata: contractData.metadata,
-                                    context: contractData.context,
-                                    isVerified: contractData.isVerified,
-                                },
-                            });
-                            logger.detail(`✅ Updated contract data for ${tokenAddress}`);
-                        } catch (updateError) {
-                            logger.warn(`Failed to update contract data for ${tokenAddress}: ${updateError.message}`);
-                        }
-                    })
-                    .catch((error) => {
-                        logger.warn(`Background contract data fetch failed for ${tokenAddress}: ${error.message}`);
+                // Use the saved deployment record which includes id and all fields
+                const deploymentData = {
+                    id: saved.id,
+                    tokenAddress: saved.tokenAddress,
+                    name: saved.name,
+                    symbol: saved.symbol,
+                    deployer: saved.deployer,
+                    deployerBasename: deployerInfo.basename, // Use resolved name from nameResolver
+                    deployerENS: deployerInfo.ens, // Use resolved ENS from nameResolver
+                    deployerFarcaster: deployerInfo.farcaster,
+                    transactionHash: saved.transactionHash,
+                    tokenImage: saved.tokenImage,
+                    creatorBps: saved.creatorBps,
+                    feyStakersBps: saved.feyStakersBps,
+                    poolId: saved.poolId,
+                    blockNumber: Number(saved.blockNumber),
+                    createdAt: saved.createdAt.toISOString(),
+                    msgSender: saved.msgSender,
+                    startingTick: saved.startingTick,
+                    poolHook: saved.poolHook,
+                    pairedToken: saved.pairedToken,
+                    locker: saved.locker,
+                    mevModule: saved.mevModule,
+                    extensionsSupply: saved.extensionsSupply,
+                    extensions: saved.extensions,
+                    tokensReceived: saved.tokensReceived,
+                    tokensSpent: saved.tokensSpent,
+                    devBuyPercent: saved.devBuyPercent,
+                };
+
+                // The post's message id is saved by the job, so a replayed deployment isn't posted twice
+                await enqueue(tx, JOB_TYPES.SEND_DISCORD, { tokenAddress, tokenData: messageData });
+                await enqueue(tx, JOB_TYPES.BROADCAST_DEPLOYMENT, deploymentData);
+                await enqueue(tx, JOB_TYPES.SEND_NOTIFICATIONS, deploymentData);
+                await enqueue(tx, JOB_TYPES.REFRESH_CONTRACT_DATA, {
+                    tokenAddress,
+                    webhookDispatch: {
+                        tokensReceived: fullEventData?.tokensReceived ? fullEventData.tokensReceived.toString() : null,
+                        tokensSpent: fullEventData?.tokensSpent ? fullEventData.tokensSpent.toString() : null,
+                    },
+                });
+                await queueRiskScore(tx, tokenAddress);
+                for (const { label, delayMs } of MARKET_SNAPSHOTS) {
+                    await enqueue(tx, JOB_TYPES.MARKET_SNAPSHOT, { tokenAddress, label }, {
+                        runAt: new Date(createdAt.getTime() + delayMs),
                     });
-            }
+                }
+                // The swap indexer may already be past the launch block, so the pool's first trades are synced separately
+                if (saved.poolId) {
+                    await enqueue(tx, JOB_TYPES.SYNC_POOL_SWAPS, {
+                        tokenAddress,
+                        poolId: saved.poolId.toLowerCase(),
+                        fromBlock: Number(saved.blockNumber),
+                    });
+                    // Base blocks are ~2s apart; retries cover the swap indexer's confirmation lag
+                    await enqueue(tx, JOB_TYPES.DETECT_SNIPERS, { tokenAddress }, {
+                        runAt: new Date(createdAt.getTime() + (SNIPER_BLOCK_WINDOW + 1) * 2000),
+                    });
+                }
+                for (const chatId of getTelegramChatIds()) {
+                    await enqueue(tx, JOB_TYPES.SEND_TELEGRAM, { chatId, tokenData: messageData });
+                }
+
+                return saved;
+            });
+            logger.detail('✅ Saved to database', `deployment #${savedDeployment.id}, side effects queued`);
+            wakeOutbox();
         } catch (dbError) {
             logger.error(`Database save error: ${dbError.message}`);
+            throw dbError;
         }
 
         logger.timing('Total Processing', Date.now() - startTime);
         logger.sectionEnd();
 
     } catch (error) {
-        const isNetworkError = handleError(error, 'Token Deployment Handler');
-        if (isNetworkError) throw error;
+        // Rethrown so the caller retries the log and holds the block cursor below it
+        logger.sectionEnd();
+        throw error;
     }
 }
 
-module.exports = { handleTokenDeployment };
+/**
+ * Rolls back a deployment whose block was reorged out of the canonical chain
+ * Removes it from the database and tells WebSocket clients to drop it from their feeds
+ */
+async function retractDeployment({ tokenAddress, transactionHash, blockNumber, blockHash }) {
+    tokenAddress = tokenAddress.toLowerCase();
+
+    logger.section('↩️ Retracting Reorged Deployment');
+    logger.detail('Address', tokenAddress);
+    logger.detail('Transaction', transactionHash);
+    logger.detail('Orphaned block', `${blockNumber} (${blockHash})`);
+
+    try {
+        const count = await prisma.$transaction(async (tx) => {
+            // Match on the orphaned block's hash - the same transaction may already have been re-saved from the
+            // canonical block, possibly at the same height, and that row has to stay
+            const { count } = await tx.deployment.deleteMany({
+                where: { tokenAddress, transactionHash, blockHash },
+            });
+            await enqueue(tx, JOB_TYPES.BROADCAST_RETRACTION, { tokenAddress, transactionHash, blockNumber, blockHash });
+            return count;
+        });
+        logger.detail(count > 0 ? '✅ Removed from database' : 'Not in database, nothing to remove');
+        logger.detail('✅ Retraction queued for broadcast');
+        wakeOutbox();
+    } catch (error) {
+        handleError(error, 'Deployment Retraction');
+    }
+
+    logger.sectionEnd();
+}
+
+module.exports = { handleTokenDeployment, retractDeployment, toPayloadFields, toRewardRows };
 
@@ -5,17 +5,102 @@ require('dotenv').config();
 const args = process.argv.slice(2);
 const NO_LIMIT_MODE = args.includes('--no-limit') || args.includes('--nolimit');
 
-// Validate required environment variables
-if (!process.env.ALCHEMY_API_KEY || !process.env.FEY_FACTORY_ADDRESS || !process.env.DATABASE_URL) {
-    console.error('Missing required environment variables: ALCHEMY_API_KEY, FEY_FACTORY_ADDRESS, or DATABASE_URL');
+/**
+ * Value of a `--name value` or `--name=value` option
+ */
+function getOption(name) {
+    const prefix = `--${name}=`;
+    const inline = args.find(arg => arg.startsWith(prefix));
+    if (inline) {
+        return inline.slice(prefix.length);
+    }
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * Parses a duration like 30m, 6h, 2d or 1w
+ * @returns {number|null} Seconds, or null if it isn't a valid duration
+ */
+function parseDuration(value) {
+    const match = /^(\d+)([mhdw])$/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const unitSeconds = { m: 60, h: 3600, d: 86400, w: 604800 }[match[2]];
+    return parseInt(match[1], 10) * unitSeconds;
+}
+
+/**
+ * Range, token and output options - exits with a usage error for invalid values
+ */
+function parseRunOptions() {
+    const fail = (message) => {
+        console.error(message);
+        process.exit(1);
+    };
+    const parseBlock = (name) => {
+        const value = getOption(name);
+        if (value === undefined) {
+            return null;
+        }
+        if (!/^\d+$/.test(value)) {
+            fail(`--${name} must be a block number`);
+        }
+        return parseInt(value, 10);
+    };
+
+    const options = {
+        from: parseBlock('from'),
+        to: parseBlock('to'),
+        since: null,
+        sinceLabel: getOption('since') ?? null,
+        token: getOption('token') ?? null,
+        dryRun: args.includes('--dry-run'),
+        restart: args.includes('--restart'),
+        report: getOption('report') ?? null,
+    };
+
+    if (options.sinceLabel !== null) {
+        options.since = parseDuration(options.sinceLabel);
+        if (options.since === null) {
+            fail('--since must be a duration like 30m, 6h, 2d or 1w');
+        }
+        if (options.from !== null) {
+            fail('--since and --from can\'t be used together');
+        }
+    }
+    if (options.from !== null && options.to !== null && options.from > options.to) {
+        fail('--from must not be after --to');
+    }
+    if (options.token !== null) {
+        if (!ethers.isAddress(options.token)) {
+            fail('--token must be a token address');
+        }
+        options.token = options.token.toLowerCase();
+    }
+    return options;
+}
+
+// Validate required environment variables (ALCHEMY_API_KEY is optional when RPC_URLS is set)
+if ((!process.env.ALCHEMY_API_KEY && !process.env.RPC_URLS) || !process.env.FEY_FACTORY_ADDRESS || !process.env.DATABASE_URL) {
+    console.error('Missing required environment variables: ALCHEMY_API_KEY (or RPC_URLS), FEY_FACTORY_ADDRESS, or DATABASE_URL');
     process.exit(1);
 }
 
+const fs = require('fs');
+const path = require('path');
 const ethers = require('ethers');
 const { prisma } = require('../db/client');
 const logger = require('../utils/logger');
 const FEYContractHelper = require('../contracts/helpers/FEYContractHelper');
+const { getAddressName } = require('../services/nameCache');
 const { resolveAddressName } = require('../services/nameResolver');
+const { getBaseProviderPool } = require('../services/rpcPool');
+const { decodeDeployment, decodeTokenCreated } = require('../contracts/decoders/deploymentDecoder');
+const { toPayloadFields, toRewardRows } = require('../handlers/tokenHandler');
+const { JOB_TYPES, enqueue } = require('../services/outbox');
+const { parseTokenMetadata } = require('@feydar/shared/utils');
 
 // Configuration
 const BATCH_SIZE = 1000; // Process events in batches
@@ -49,6 +134,68 @@ if (NO_LIMIT_MODE) {
 
 const MAX_RETRIES = 5; // Maximum retries for rate limit errors
 
+// Base produces a block every 2 seconds (used to turn --since into a block range)
+const BASE_BLOCK_TIME_SECONDS = 2;
+// How often a run's checkpoint is saved - an interrupted run redoes at most this much work
+const CHECKPOINT_INTERVAL_MS = 10000;
+
+// Stored fields compared against the decoded deployment
+const FIELDS_TO_CHECK = [
+    { key: 'name', label: 'Name' },
+    { key: 'symbol', label: 'Symbol' },
+    { key: 'deployer', label: 'Deployer' },
+    { key: 'deployerBasename', label: 'Deployer Basename' },
+    { key: 'deployerENS', label: 'Deployer ENS' },
+    { key: 'tokenImage', label: 'Token Image' },
+    { key: 'currentAdmin', label: 'Current Admin' },
+    { key: 'currentImageUrl', label: 'Current Image URL' },
+    { key: 'metadata', label: 'Metadata' },
+    { key: 'context', label: 'Context' },
+    { key: 'isVerified', label: 'Is Verified' },
+    { key: 'creatorBps', label: 'Creator BPS' },
+    { key: 'feyStakersBps', label: 'FEY Stakers BPS' },
+    { key: 'poolId', label: 'Pool ID' },
+    { key: 'blockHash', label: 'Block Hash' },
+    { key: 'createdAt', label: 'Created At' },
+    { key: 'msgSender', label: 'Msg Sender' },
+    { key: 'startingTick', label: 'Starting Tick' },
+    { key: 'poolHook', label: 'Pool Hook' },
+    { key: 'pairedToken', label: 'Paired Token' },
+    { key: 'locker', label: 'Locker' },
+    { key: 'mevModule', label: 'MEV Module' },
+    { key: 'extensionsSupply', label: 'Extensions Supply' },
+    { key: 'extensions', label: 'Extensions' },
+    { key: 'tokensReceived', label: 'Dev Buy Tokens Received' },
+    { key: 'tokensSpent', label: 'Dev Buy Tokens Spent' },
+    { key: 'devBuyPercent', label: 'Dev Buy %' },
+];
+
+/**
+ * Fee recipients and LP positions without their row ids, for the report
+ */
+function toRewardConfig(recipients, positions) {
+    return {
+        feeRecipients: recipients.map(({ slot, recipient, admin, bps }) => ({ slot, recipient, admin, bps })),
+        liquidityPositions: positions.map(({ slot, tickLower, tickUpper, positionBps }) => ({ slot, tickLower, tickUpper, positionBps })),
+    };
+}
+
+/**
+ * JSON-safe form of a stored or decoded field value (dates as ISO strings, bigints as strings)
+ */
+function toReportValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    return value;
+}
+
 /**
  * Data Integrity Service
  * 
@@ -58,12 +205,19 @@ const MAX_RETRIES = 5; // Maximum retries for rate limit errors
  * - Starts from current chain head (latest block)
  * - Processes backwards to factory deployment block
  * - Adds missing tokens
- * - Updates existing tokens with accurate data (timestamps, names, fee splits, etc.)
+ * - Updates existing tokens with accurate data (timestamps, names, fee splits, dev buys, etc.)
  * - Safe to run multiple times (idempotent)
+ * - Saves a checkpoint as it goes - rerunning the same command after a crash or rate limit exhaustion resumes from it
  * 
  * Usage:
- *   node dataIntegrity.js              # Run with rate limits (default, safe)
- *   node dataIntegrity.js --no-limit   # Run without rate limits (faster, uses more Compute Units)
+ *   node dataIntegrity.js                          # Run with rate limits (default, safe)
+ *   node dataIntegrity.js --no-limit               # Run without rate limits (faster, uses more Compute Units)
+ *   node dataIntegrity.js --from 38200000 --to 38300000   # Only this block range (either bound can be left out)
+ *   node dataIntegrity.js --since 6h               # Only blocks from the last 6 hours (m, h, d or w)
+ *   node dataIntegrity.js --token 0x...            # Only this token's deployment
+ *   node dataIntegrity.js --dry-run                # Write nothing - save a JSON report of what would be added or changed
+ *   node dataIntegrity.js --report report.json     # Also save the report for a normal run (dry runs default to a timestamped file)
+ *   node dataIntegrity.js --restart                # Ignore a saved checkpoint and start the range over
  * 
  * This script is designed to be run:
  * - Manually when needed
@@ -71,7 +225,15 @@ const MAX_RETRIES = 5; // Maximum retries for rate limit errors
  * - To fix data inconsistencies
  */
 class DataIntegrityService {
-    constructor() {
+    /**
+     * @param {Object} [options] - From parseRunOptions: from / to (blocks), since (seconds), token, dryRun, restart, report (path)
+     */
+    constructor(options = {}) {
+        this.options = {
+            from: null, to: null, since: null, sinceLabel: null, token: null,
+            dryRun: false, restart: false, report: null,
+            ...options,
+        };
         this.provider = null;
         this.feyContracts = null;
         this.processedCount = 0;
@@ -79,15 +241,17 @@ class DataIntegrityService {
         this.updatedCount = 0;
         this.errorCount = 0;
         this.errors = []; // Store error details for summary
+        // What was (or in a dry run, would be) written, for the JSON report
+        this.added = [];
+        this.updated = [];
+        this.stopped = false; // Stopped at a range it couldn't finish (exits with 1 so it can be rerun)
     }
 
     async initialize() {
         logger.section('🚀 Initializing Data Integrity Service');
 
-        // Initialize provider (use HTTP for historical queries, more reliable)
-        this.provider = new ethers.JsonRpcProvider(
-            `https://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`
-        );
+        // Initialize provider (pooled HTTP endpoints for historical queries, more reliable)
+        this.provider = getBaseProviderPool();
         logger.detail('✅ Provider Connected');
 
         // Initialize contract helpers
@@ -143,39 +307,12 @@ class DataIntegrityService {
      */
     async processTokenCreatedEvent(log, existingAddresses) {
         try {
-            // Parse the event log
-            const tokenCreatedEvent = this.feyContracts.feyFactory.interface.parseLog({
-                topics: log.topics,
-                data: log.data
-            });
-
-            if (!tokenCreatedEvent || tokenCreatedEvent.name !== 'TokenCreated') {
+            if (!decodeTokenCreated(log)) {
                 return null;
             }
 
-            const tokenAddress = ethers.getAddress(tokenCreatedEvent.args[1]);
-
-            // Extract event data
-            const msgSender = tokenCreatedEvent.args[0];
-            const tokenAdmin = tokenCreatedEvent.args[2];
-            const tokenImage = tokenCreatedEvent.args[3];
-            const tokenName = tokenCreatedEvent.args[4];
-            const tokenSymbol = tokenCreatedEvent.args[5];
-            const tokenMetadata = tokenCreatedEvent.args[6];
-            const tokenContext = tokenCreatedEvent.args[7];
-            const startingTick = tokenCreatedEvent.args[8];
-            const poolHook = tokenCreatedEvent.args[9];
-            const poolId = tokenCreatedEvent.args[10];
-            const locker = tokenCreatedEvent.args[12];
-            const mevModule = tokenCreatedEvent.args[13];
-            const extensionsSupply = tokenCreatedEvent.args[14];
-            const extensions = tokenCreatedEvent.args[15];
-
-            // Extract fee split from TokenRewardAdded event
-            // This is the actual fee split between Creator and FEY Stakers
+            // The receipt carries the fee split (TokenRewardAdded) - the actual split between Creator and FEY Stakers
             // We MUST get this data - retry until we succeed
-            let creatorBps = null;
-            let feyStakersBps = null;
             const MAX_RECEIPT_RETRIES = 50; // Very high limit - we must get this data
             let receiptRetryCount = 0;
             let receiptFetched = false;
@@ -206,126 +343,20 @@ class DataIntegrityService {
                 }
             }
             
-            if (receipt) {
-                try {
-                    // Extract fee split from TokenRewardAdded event
-                    const TOKEN_REWARD_CONTRACT = '0x282B4e72a79ebe79c1bd295c5ebd72940e50e836';
-                    const TOKEN_REWARD_ADDED_TOPIC = '0xc9b03d1b68674b3ca5738b69c14e4dbcfcb7f474303edd540b1d7dfa785d27ff';
-                    
-                    for (const logEntry of receipt.logs) {
-                        if (logEntry.address.toLowerCase() === TOKEN_REWARD_CONTRACT.toLowerCase() &&
-                            logEntry.topics[0].toLowerCase() === TOKEN_REWARD_ADDED_TOPIC.toLowerCase()) {
-                            
-                            // Try to parse with interface variations
-                            const interfaceVariations = [
-                                'event TokenRewardAdded(address token, tuple(address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, uint256 poolSupply, uint256 positionId, uint256 numPositions, uint16[] rewardBps, address[] rewardAdmins, address[] rewardRecipients, int24[] tickLower, int24[] tickUpper, uint16[] positionBps)',
-                                'event TokenRewardAdded(address token, tuple(address token0, address token1, uint24 fee, int24 tickSpacing) poolKey, uint256 poolSupply, uint256 positionId, uint256 numPositions, uint16[] rewardBps, address[] rewardAdmins, address[] rewardRecipients, int24[] tickLower, int24[] tickUpper, uint16[] positionBps)',
-                                'event TokenRewardAdded(address token, tuple(address,address,uint24,int24,address) poolKey, uint256 poolSupply, uint256 positionId, uint256 numPositions, uint16[] rewardBps, address[] rewardAdmins, address[] rewardRecipients, int24[] tickLower, int24[] tickUpper, uint16[] positionBps)',
-                                'event TokenRewardAdded(address token, tuple(address,address,uint24,int24) poolKey, uint256 poolSupply, uint256 positionId, uint256 numPositions, uint16[] rewardBps, address[] rewardAdmins, address[] rewardRecipients, int24[] tickLower, int24[] tickUpper, uint16[] positionBps)'
-                            ];
-                            
-                            let parsedEvent = null;
-                            for (const eventSig of interfaceVariations) {
-                                try {
-                                    const iface = new ethers.Interface([eventSig]);
-                                    const parsed = iface.parseLog({
-                                        topics: logEntry.topics,
-                                        data: logEntry.data
-                                    });
-                                    
-                                    if (parsed && parsed.name === 'TokenRewardAdded') {
-                                        parsedEvent = parsed;
-                                        break;
-                                    }
-                                } catch (e) {
-                                    continue;
-                                }
-                            }
-                            
-                            // If parsing failed, try manual decoding
-                            if (!parsedEvent) {
-                                try {
-                                    const data = logEntry.data;
-                                    const REWARD_BPS_OFFSET_POSITION = 288; // bytes (Uniswap v4 PoolKey)
-                                    const HEX_CHARS_PER_BYTE = 2;
-                                    const BYTES_PER_UINT256 = 32;
-                                    const HEX_CHARS_PER_UINT256 = BYTES_PER_UINT256 * HEX_CHARS_PER_BYTE;
-                                    const HEX_PREFIX_LENGTH = 2;
-                                    
-                                    if (data.length >= HEX_PREFIX_LENGTH + REWARD_BPS_OFFSET_POSITION * HEX_CHARS_PER_BYTE + HEX_CHARS_PER_UINT256) {
-                                        const offsetStart = HEX_PREFIX_LENGTH + REWARD_BPS_OFFSET_POSITION * HEX_CHARS_PER_BYTE;
-                                        const rewardBpsOffsetHex = data.slice(offsetStart, offsetStart + HEX_CHARS_PER_UINT256);
-                                        const rewardBpsOffset = Number(BigInt('0x' + rewardBpsOffsetHex));
-                                        
-                                        if (rewardBpsOffset >= 0 && rewardBpsOffset < data.length) {
-                                            const rewardBpsDataStart = HEX_PREFIX_LENGTH + rewardBpsOffset * HEX_CHARS_PER_BYTE;
-                                            
-                                            if (data.length >= rewardBpsDataStart + HEX_CHARS_PER_UINT256) {
-                                                const arrayLengthHex = data.slice(rewardBpsDataStart, rewardBpsDataStart + HEX_CHARS_PER_UINT256);
-                                                const arrayLength = Number(BigInt('0x' + arrayLengthHex));
-                                                
-                                                if (arrayLength >= 1 && arrayLength <= 100) {
-                                                    const value1Start = rewardBpsDataStart + HEX_CHARS_PER_UINT256;
-                                                    
-                                                    if (data.length >= value1Start + HEX_CHARS_PER_UINT256) {
-                                                        const value1Hex = data.slice(value1Start, value1Start + HEX_CHARS_PER_UINT256);
-                                                        const value1 = Number(BigInt('0x' + value1Hex));
-                                                        
-                                                        const MAX_BPS = 10000;
-                                                        if (value1 >= 0 && value1 <= MAX_BPS) {
-                                                            if (arrayLength >= 2) {
-                                                                // Two elements: [creatorBps, feyStakersBps]
-                                                                const value2Start = value1Start + HEX_CHARS_PER_UINT256;
-                                                                if (data.length >= value2Start + HEX_CHARS_PER_UINT256) {
-                                                                    const value2Hex = data.slice(value2Start, value2Start + HEX_CHARS_PER_UINT256);
-                                                                    const value2 = Number(BigInt('0x' + value2Hex));
-                                                                    
-                                                                    if (value2 >= 0 && value2 <= MAX_BPS) {
-                                                                        creatorBps = value1; // First element is creatorBps
-                                                                        feyStakersBps = value2; // Second element is feyStakersBps
-                                                                    }
-                                                                }
-                                                            } else {
-                                                                // Single element: [feyStakersBps] - creator gets the remainder
-                                                                feyStakersBps = value1; // Single element is feyStakersBps
-                                                                creatorBps = 10000 - value1; // Total is 10000 bps (100%)
-                                                            }
-                                                        }
-                                                    }
-                                                }
-                                            }
-                                        }
-                                    }
-                                } catch (e) {
-                                    // Manual decode failed, continue
-                                }
-                            } else if (parsedEvent.args.rewardBps && parsedEvent.args.rewardBps.length >= 1) {
-                                // Extract from parsed event
-                                // The rewardBps array can have 1 or 2 elements:
-                                // - If 2 elements: [creatorBps, feyStakersBps]
-                                // - If 1 element: [feyStakersBps] where creatorBps = 10000 - feyStakersBps
-                                if (parsedEvent.args.rewardBps.length >= 2) {
-                                    creatorBps = Number(parsedEvent.args.rewardBps[0]);
-                                    feyStakersBps = Number(parsedEvent.args.rewardBps[1]);
-                                } else {
-                                    // Single element: [feyStakersBps] - creator gets the remainder
-                                    feyStakersBps = Number(parsedEvent.args.rewardBps[0]);
-                                    creatorBps = 10000 - feyStakersBps; // Total is 10000 bps (100%)
-                                }
-                            }
-                            
-                            break; // Found the event, no need to continue
-                        }
-                    }
-                } catch (e) {
-                    logger.warn(`  Error extracting fee split from receipt for ${log.transactionHash}: ${e.message}`);
-                    // Fee splits might not exist for all tokens, so we continue with null values
-                    // This is acceptable - not all tokens have fee splits set
-                }
-            } else {
+            if (!receipt) {
                 throw new Error(`Failed to fetch transaction receipt for ${log.transactionHash} - this should not happen`);
             }
 
+            // Same decoder as the live bot, so both always agree on a token's data
+            const deployment = decodeDeployment(log, receipt);
+            const { tokenAddress, tokenAdmin, tokenImage, tokenName, tokenSymbol, poolId } = deployment;
+            const creatorBps = deployment.feeSplit?.creatorBps ?? null;
+            const feyStakersBps = deployment.feeSplit?.feyStakersBps ?? null;
+
+            if (deployment.rewards && !deployment.feeSplit) {
+                logger.warn(`  Could not decode fee split from receipt for ${log.transactionHash}`);
+            }
+
             // Note: All FEY tokens have 100b supply, so we don't need to fetch/store it
 
             // Resolve deployer names with retry logic for data integrity
@@ -339,7 +370,10 @@ class DataIntegrityService {
             while (!nameResolutionSuccess && nameResolutionAttempts < MAX_NAME_RESOLUTION_RETRIES) {
                 try {
                     nameResolutionAttempts++;
-                    const deployerInfo = await resolveAddressName(tokenAdmin, this.provider);
+                    // Dry runs skip the name cache - it writes names onto deployments as well
+                    const deployerInfo = this.options.dryRun
+                        ? await resolveAddressName(tokenAdmin, this.provider)
+                        : await getAddressName(tokenAdmin, this.provider);
                     
                     // Store basename if available
                     if (deployerInfo.basename) {
@@ -473,10 +507,16 @@ class DataIntegrityService {
                 feyStakersBps,
                 poolId: poolIdFormatted,
                 blockNumber: BigInt(log.blockNumber),
+                blockHash: log.blockHash,
                 createdAt,
+                // Rest of the TokenCreated payload and the dev buy, mapped the same way as the live bot
+                ...toPayloadFields({ ...deployment, hasReceipt: true }),
+                // Every fee recipient and LP position, written to their own tables
+                rewardRows: toRewardRows(tokenAddress.toLowerCase(), deployment.rewards),
             };
         } catch (error) {
             logger.error(`Error processing event: ${error.message}`);
+            this.errors.push(`Error processing event in ${log.transactionHash}: ${error.message}`);
             this.errorCount++;
             return null;
         }
@@ -549,6 +589,79 @@ class DataIntegrityService {
         return oldValStr !== newValStr;
     }
 
+    /**
+     * Describes how the stored fee recipients / LP positions differ from the decoded ones
+     * @returns {Object|null} A change entry for logging, or null if they match (or nothing was decoded)
+     */
+    compareRewardRows(existing, rewardRows) {
+        if (!rewardRows) {
+            return null;
+        }
+
+        const describe = (recipients, positions) => JSON.stringify({
+            recipients: recipients.map(({ slot, recipient, admin, bps }) => [slot, recipient.toLowerCase(), admin.toLowerCase(), bps]),
+            positions: positions.map(({ slot, tickLower, tickUpper, positionBps }) => [slot, tickLower, tickUpper, positionBps]),
+        });
+        const oldRecipients = [...(existing.feeRecipients || [])].sort((a, b) => a.slot - b.slot);
+        const oldPositions = [...(existing.liquidityPositions || [])].sort((a, b) => a.slot - b.slot);
+
+        if (describe(oldRecipients, oldPositions) === describe(rewardRows.feeRecipients, rewardRows.liquidityPositions)) {
+            return null;
+        }
+        return {
+            key: 'rewards',
+            field: 'Reward Config',
+            old: `${oldRecipients.length} recipient(s), ${oldPositions.length} position(s)`,
+            new: `${rewardRows.feeRecipients.length} recipient(s), ${rewardRows.liquidityPositions.length} position(s)`,
+            oldValue: toRewardConfig(oldRecipients, oldPositions),
+            newValue: toRewardConfig(rewardRows.feeRecipients, rewardRows.liquidityPositions),
+        };
+    }
+
+    /**
+     * Fields of a stored deployment that differ from the decoded data, plus the reward config
+     * @returns {Object[]} { key, field (label), old / new (for logging), oldValue / newValue (for the report) }
+     */
+    describeChanges(existing, deploymentData, rewardRows) {
+        const changes = [];
+        for (const field of FIELDS_TO_CHECK) {
+            const oldVal = existing[field.key];
+            const newVal = deploymentData[field.key];
+
+            if (this.compareFieldValue(oldVal, newVal, field.key)) {
+                changes.push({
+                    key: field.key,
+                    field: field.label,
+                    old: this.formatFieldValue(oldVal, field.key),
+                    new: this.formatFieldValue(newVal, field.key),
+                    oldValue: toReportValue(oldVal),
+                    newValue: toReportValue(newVal),
+                });
+            }
+        }
+
+        const rewardChange = this.compareRewardRows(existing, rewardRows);
+        if (rewardChange) {
+            changes.push(rewardChange);
+        }
+        return changes;
+    }
+
+    /**
+     * Operations that replace a token's fee recipients and LP positions with the decoded ones
+     */
+    rewardRowOperations(tokenAddress, rewardRows) {
+        if (!rewardRows) {
+            return [];
+        }
+        return [
+            prisma.feeRecipient.deleteMany({ where: { tokenAddress } }),
+            prisma.liquidityPosition.deleteMany({ where: { tokenAddress } }),
+            prisma.feeRecipient.createMany({ data: rewardRows.feeRecipients }),
+            prisma.liquidityPosition.createMany({ data: rewardRows.liquidityPositions }),
+        ];
+    }
+
     /**
      * Format field value for logging
      */
@@ -572,17 +685,21 @@ class DataIntegrityService {
 
     /**
      * Process a range of blocks and ensure data integrity
+     * @returns {Promise<boolean>} false if any of the range couldn't be processed (so a checkpointed run stops before it)
      */
     async processBlockRange(fromBlock, toBlock, existingAddresses, retryCount = 0) {
         const factoryAddress = this.feyContracts.feyFactory.target;
         const filter = {
             address: factoryAddress,
             topics: [
-                ethers.id('TokenCreated(address,address,address,string,string,string,string,string,int24,address,bytes32,address,address,address,uint256,address[])')
+                ethers.id('TokenCreated(address,address,address,string,string,string,string,string,int24,address,bytes32,address,address,address,uint256,address[])'),
+                // tokenAddress is indexed, so --token only fetches its own event
+                ...(this.options.token ? [ethers.zeroPadValue(this.options.token, 32)] : []),
             ],
             fromBlock,
             toBlock,
         };
+        const errorsBefore = this.errorCount;
 
         try {
             // Add delay before making the request to avoid rate limiting
@@ -654,213 +771,151 @@ class DataIntegrityService {
                                 currentImageUrl: deployment.currentImageUrl || null,
                                 metadata: deployment.metadata || null,
                                 context: deployment.context || null,
+                                deployingInterface: parseTokenMetadata(null, deployment.context).deployingInterface,
                                 isVerified: deployment.isVerified !== null && deployment.isVerified !== undefined ? deployment.isVerified : null,
                                 creatorBps: deployment.creatorBps !== null && deployment.creatorBps !== undefined ? deployment.creatorBps : null,
                                 feyStakersBps: deployment.feyStakersBps !== null && deployment.feyStakersBps !== undefined ? deployment.feyStakersBps : null,
                                 poolId: deployment.poolId || null,
                                 blockNumber: deployment.blockNumber,
+                                blockHash: deployment.blockHash,
                                 createdAt: deployment.createdAt,
+                                msgSender: deployment.msgSender,
+                                startingTick: deployment.startingTick,
+                                poolHook: deployment.poolHook,
+                                pairedToken: deployment.pairedToken,
+                                locker: deployment.locker,
+                                mevModule: deployment.mevModule,
+                                extensionsSupply: deployment.extensionsSupply,
+                                extensions: deployment.extensions,
+                                tokensReceived: deployment.tokensReceived,
+                                tokensSpent: deployment.tokensSpent,
+                                devBuyPercent: deployment.devBuyPercent,
                             };
                             
-                            // If record exists by transactionHash, update it
-                            if (existingByTx) {
-                                // Fetch existing record to compare
-                                const existing = await prisma.deployment.findUnique({
+                            // Match by transactionHash first, then by tokenAddress
+                            const existing = existingByTx
+                                ? await prisma.deployment.findUnique({
                                     where: { transactionHash: deployment.transactionHash },
-                                });
-                                
-                                if (existing) {
-                                    // Compare fields to see what changed
-                                    const changes = [];
-                                    const fieldsToCheck = [
-                                        { key: 'name', label: 'Name' },
-                                        { key: 'symbol', label: 'Symbol' },
-                                        { key: 'deployer', label: 'Deployer' },
-                                        { key: 'deployerBasename', label: 'Deployer Basename' },
-                                        { key: 'deployerENS', label: 'Deployer ENS' },
-                                        { key: 'tokenImage', label: 'Token Image' },
-                                        { key: 'currentAdmin', label: 'Current Admin' },
-                                        { key: 'currentImageUrl', label: 'Current Image URL' },
-                                        { key: 'metadata', label: 'Metadata' },
-                                        { key: 'context', label: 'Context' },
-                                        { key: 'isVerified', label: 'Is Verified' },
-                                        { key: 'creatorBps', label: 'Creator BPS' },
-                                        { key: 'feyStakersBps', label: 'FEY Stakers BPS' },
-                                        { key: 'poolId', label: 'Pool ID' },
-                                        { key: 'createdAt', label: 'Created At' },
-                                    ];
-                                    
-                                    for (const field of fieldsToCheck) {
-                                        const oldVal = existing[field.key];
-                                        const newVal = deploymentData[field.key];
-                                        
-                                        if (this.compareFieldValue(oldVal, newVal, field.key)) {
-                                            changes.push({
-                                                field: field.label,
-                                                old: this.formatFieldValue(oldVal, field.key),
-                                                new: this.formatFieldValue(newVal, field.key),
-                                            });
-                                        }
-                                    }
-                                    
-                                    if (changes.length > 0) {
-                                        logger.detail(`  🔄 Updating ${normalizedTokenAddress}:`);
-                                        changes.forEach(change => {
-                                            logger.detail(`     ${change.field}: "${change.old}" → "${change.new}"`);
-                                        });
-                                        
-                                        // Build update data with accurate values
-                                        // Only update fields where we have verified data
-                                        const updateData = {
-                                            name: deploymentData.name,
-                                            symbol: deploymentData.symbol,
-                                            deployer: deploymentData.deployer,
-                                            deployerBasename: deploymentData.deployerBasename,
-                                            deployerENS: deploymentData.deployerENS,
-                                            tokenImage: deploymentData.tokenImage,
-                                            currentAdmin: deploymentData.currentAdmin,
-                                            currentImageUrl: deploymentData.currentImageUrl,
-                                            metadata: deploymentData.metadata,
-                                            context: deploymentData.context,
-                                            isVerified: deploymentData.isVerified,
-                                            // Only update fee splits if we actually found them - if null, skip updating those fields
-                                            ...(deploymentData.creatorBps !== null && deploymentData.creatorBps !== undefined 
-                                                ? { creatorBps: deploymentData.creatorBps } 
-                                                : {}),
-                                            ...(deploymentData.feyStakersBps !== null && deploymentData.feyStakersBps !== undefined 
-                                                ? { feyStakersBps: deploymentData.feyStakersBps } 
-                                                : {}),
-                                            poolId: deploymentData.poolId,
-                                            createdAt: deploymentData.createdAt,
-                                        };
-                                        
-                                        operations.push(
-                                            prisma.deployment.update({
-                                                where: { transactionHash: deployment.transactionHash },
-                                                data: updateData,
-                                            })
-                                        );
-                                        updatedTokens.push(normalizedTokenAddress);
-                                    } else {
-                                        logger.detail(`  ✓ ${normalizedTokenAddress}: Data already accurate (no changes needed)`);
-                                    }
-                                } else {
-                                    // Shouldn't happen, but handle it
-                                    logger.warn(`  ⚠️  Record with txHash ${deployment.transactionHash} not found for update`);
-                                }
-                            } else {
-                                // No record exists by transactionHash - check by tokenAddress
-                                const existingByAddress = await prisma.deployment.findUnique({
+                                    include: { feeRecipients: true, liquidityPositions: true },
+                                })
+                                : await prisma.deployment.findUnique({
                                     where: { tokenAddress: normalizedTokenAddress },
+                                    include: { feeRecipients: true, liquidityPositions: true },
                                 });
-                                
-                                if (existingByAddress) {
-                                    // Compare fields to see what changed
-                                    const changes = [];
-                                    const fieldsToCheck = [
-                                        { key: 'name', label: 'Name' },
-                                        { key: 'symbol', label: 'Symbol' },
-                                        { key: 'deployer', label: 'Deployer' },
-                                        { key: 'deployerBasename', label: 'Deployer Basename' },
-                                        { key: 'deployerENS', label: 'Deployer ENS' },
-                                        { key: 'tokenImage', label: 'Token Image' },
-                                        { key: 'currentAdmin', label: 'Current Admin' },
-                                        { key: 'currentImageUrl', label: 'Current Image URL' },
-                                        { key: 'metadata', label: 'Metadata' },
-                                        { key: 'context', label: 'Context' },
-                                        { key: 'isVerified', label: 'Is Verified' },
-                                        { key: 'creatorBps', label: 'Creator BPS' },
-                                        { key: 'feyStakersBps', label: 'FEY Stakers BPS' },
-                                        { key: 'poolId', label: 'Pool ID' },
-                                        { key: 'createdAt', label: 'Created At' },
-                                    ];
-                                    
-                                    for (const field of fieldsToCheck) {
-                                        const oldVal = existingByAddress[field.key];
-                                        const newVal = deploymentData[field.key];
-                                        
-                                        if (this.compareFieldValue(oldVal, newVal, field.key)) {
-                                            changes.push({
-                                                field: field.label,
-                                                old: this.formatFieldValue(oldVal, field.key),
-                                                new: this.formatFieldValue(newVal, field.key),
-                                            });
-                                        }
-                                    }
-                                    
-                                    if (changes.length > 0) {
-                                        logger.detail(`  🔄 Updating ${normalizedTokenAddress}:`);
-                                        changes.forEach(change => {
-                                            logger.detail(`     ${change.field}: "${change.old}" → "${change.new}"`);
-                                        });
-                                        
-                                        // Build update data with accurate values
-                                        // Only update fields where we have verified data
-                                        const updateData = {
-                                            name: deploymentData.name,
-                                            symbol: deploymentData.symbol,
-                                            deployer: deploymentData.deployer,
-                                            deployerBasename: deploymentData.deployerBasename,
-                                            deployerENS: deploymentData.deployerENS,
-                                            tokenImage: deploymentData.tokenImage,
-                                            currentAdmin: deploymentData.currentAdmin,
-                                            currentImageUrl: deploymentData.currentImageUrl,
-                                            metadata: deploymentData.metadata,
-                                            context: deploymentData.context,
-                                            isVerified: deploymentData.isVerified,
-                                            // Only update fee splits if we actually found them - if null, skip updating those fields
-                                            ...(deploymentData.creatorBps !== null && deploymentData.creatorBps !== undefined 
-                                                ? { creatorBps: deploymentData.creatorBps } 
-                                                : {}),
-                                            ...(deploymentData.feyStakersBps !== null && deploymentData.feyStakersBps !== undefined 
-                                                ? { feyStakersBps: deploymentData.feyStakersBps } 
-                                                : {}),
-                                            poolId: deploymentData.poolId,
-                                            createdAt: deploymentData.createdAt,
-                                        };
-                                        
-                                        operations.push(
-                                            prisma.deployment.update({
-                                                where: { tokenAddress: normalizedTokenAddress },
-                                                data: updateData,
-                                            })
-                                        );
-                                        updatedTokens.push(normalizedTokenAddress);
-                                    } else {
-                                        logger.detail(`  ✓ ${normalizedTokenAddress}: Data already accurate (no changes needed)`);
-                                    }
-                                } else {
-                                    logger.detail(`  ➕ Adding new token: ${normalizedTokenAddress} (${deployment.name || 'N/A'})`);
+
+                            if (existing) {
+                                const changes = this.describeChanges(existing, deploymentData, deployment.rewardRows);
+                                const rewardChange = changes.find(change => change.key === 'rewards');
+
+                                if (changes.length > 0) {
+                                    logger.detail(`  🔄 ${this.options.dryRun ? 'Would update' : 'Updating'} ${normalizedTokenAddress}:`);
+                                    changes.forEach(change => {
+                                        logger.detail(`     ${change.field}: "${change.old}" → "${change.new}"`);
+                                    });
+
+                                    // Build update data with accurate values
+                                    // Only update fields where we have verified data
+                                    const updateData = {
+                                        name: deploymentData.name,
+                                        symbol: deploymentData.symbol,
+                                        deployer: deploymentData.deployer,
+                                        deployerBasename: deploymentData.deployerBasename,
+                                        deployerENS: deploymentData.deployerENS,
+                                        tokenImage: deploymentData.tokenImage,
+                                        currentAdmin: deploymentData.currentAdmin,
+                                        currentImageUrl: deploymentData.currentImageUrl,
+                                        metadata: deploymentData.metadata,
+                                        context: deploymentData.context,
+                                        deployingInterface: deploymentData.deployingInterface,
+                                        isVerified: deploymentData.isVerified,
+                                        // Only update fee splits if we actually found them - if null, skip updating those fields
+                                        ...(deploymentData.creatorBps !== null && deploymentData.creatorBps !== undefined 
+                                            ? { creatorBps: deploymentData.creatorBps } 
+                                            : {}),
+                                        ...(deploymentData.feyStakersBps !== null && deploymentData.feyStakersBps !== undefined 
+                                            ? { feyStakersBps: deploymentData.feyStakersBps } 
+                                            : {}),
+                                        poolId: deploymentData.poolId,
+                                        blockHash: deploymentData.blockHash,
+                                        createdAt: deploymentData.createdAt,
+                                        msgSender: deploymentData.msgSender,
+                                        startingTick: deploymentData.startingTick,
+                                        poolHook: deploymentData.poolHook,
+                                        pairedToken: deploymentData.pairedToken,
+                                        locker: deploymentData.locker,
+                                        mevModule: deploymentData.mevModule,
+                                        extensionsSupply: deploymentData.extensionsSupply,
+                                        extensions: deploymentData.extensions,
+                                        tokensReceived: deploymentData.tokensReceived,
+                                        tokensSpent: deploymentData.tokensSpent,
+                                        devBuyPercent: deploymentData.devBuyPercent,
+                                    };
+
                                     operations.push(
-                                        prisma.deployment.create({
-                                            data: deploymentData,
-                                        })
+                                        prisma.deployment.update({
+                                            where: { id: existing.id },
+                                            data: updateData,
+                                        }),
+                                        ...(rewardChange ? this.rewardRowOperations(normalizedTokenAddress, deployment.rewardRows) : [])
                                     );
-                                    newTokens.push(deployment.tokenAddress);
-                                    existingAddresses.add(deployment.tokenAddress.toLowerCase());
+                                    // Scored by the bot's outbox worker once it picks the job up
+                                    operations.push(enqueue(prisma, JOB_TYPES.SCORE_RISK, { tokenAddress: normalizedTokenAddress }));
+                                    updatedTokens.push({
+                                        tokenAddress: normalizedTokenAddress,
+                                        transactionHash: deployment.transactionHash,
+                                        blockNumber: Number(deployment.blockNumber),
+                                        changes: changes.map(({ key, oldValue, newValue }) => ({ field: key, old: oldValue, new: newValue })),
+                                    });
+                                } else {
+                                    logger.detail(`  ✓ ${normalizedTokenAddress}: Data already accurate (no changes needed)`);
                                 }
+                            } else {
+                                logger.detail(`  ➕ ${this.options.dryRun ? 'Would add' : 'Adding'} new token: ${normalizedTokenAddress} (${deployment.name || 'N/A'})`);
+                                operations.push(
+                                    prisma.deployment.create({
+                                        data: deploymentData,
+                                    }),
+                                    ...this.rewardRowOperations(normalizedTokenAddress, deployment.rewardRows),
+                                    enqueue(prisma, JOB_TYPES.SCORE_RISK, { tokenAddress: normalizedTokenAddress })
+                                );
+                                newTokens.push({
+                                    tokenAddress: normalizedTokenAddress,
+                                    transactionHash: deployment.transactionHash,
+                                    blockNumber: Number(deployment.blockNumber),
+                                    name: deploymentData.name,
+                                    symbol: deploymentData.symbol,
+                                    deployer: normalizedDeployer,
+                                    createdAt: deploymentData.createdAt.toISOString(),
+                                });
+                                existingAddresses.add(normalizedTokenAddress);
                             }
                         }
                         
                         // Execute all operations in a transaction
+                        // Prisma queries only run once awaited, so a dry run just drops them
                         if (operations.length > 0) {
-                            await prisma.$transaction(operations);
+                            if (!this.options.dryRun) {
+                                await prisma.$transaction(operations);
+                            }
                             
                             // Log results summary
                             if (newTokens.length > 0) {
-                                logger.detail(`  ✅ Added ${newTokens.length} new token(s)`);
+                                logger.detail(`  ✅ ${this.options.dryRun ? 'Would add' : 'Added'} ${newTokens.length} new token(s)`);
                             }
                             if (updatedTokens.length > 0) {
-                                logger.detail(`  🔄 Updated ${updatedTokens.length} existing token(s)`);
+                                logger.detail(`  🔄 ${this.options.dryRun ? 'Would update' : 'Updated'} ${updatedTokens.length} existing token(s)`);
                             }
                             
                             this.processedCount += newTokens.length;
                             this.updatedCount += updatedTokens.length;
+                            this.added.push(...newTokens);
+                            this.updated.push(...updatedTokens);
                         } else {
                             logger.detail(`  ✓ All tokens in this batch were already accurate (no database operations needed)`);
                         }
                     } catch (dbError) {
                         logger.error(`Database error: ${dbError.message}`);
+                        this.errors.push(`Database error for blocks ${fromBlock}-${toBlock}: ${dbError.message}`);
                         this.errorCount += deployments.length;
                     }
                 }
@@ -870,6 +925,8 @@ class DataIntegrityService {
             }
 
             logger.sectionEnd();
+            // Events that failed to process and database errors are counted in errorCount
+            return this.errorCount === errorsBefore;
         } catch (error) {
             const errorMessage = error.message || '';
             const errorString = JSON.stringify(error);
@@ -904,15 +961,111 @@ class DataIntegrityService {
                 // Split the range in half and retry
                 logger.warn(`Block range too large (${toBlock - fromBlock + 1} blocks), splitting...`);
                 const midBlock = Math.floor((fromBlock + toBlock) / 2);
-                await this.processBlockRange(fromBlock, midBlock, existingAddresses, 0);
-                await this.processBlockRange(midBlock + 1, toBlock, existingAddresses, 0);
+                const lowerOk = await this.processBlockRange(fromBlock, midBlock, existingAddresses, 0);
+                const upperOk = await this.processBlockRange(midBlock + 1, toBlock, existingAddresses, 0);
+                return lowerOk && upperOk;
+            }
+
+            const errorMsg = `Error querying blocks ${fromBlock}-${toBlock}: ${error.message}`;
+            logger.error(errorMsg);
+            this.errors.push(errorMsg);
+            this.errorCount++;
+            return false;
+        }
+    }
+
+    /**
+     * Block a token was deployed in - from the database, otherwise found by binary search on when its contract
+     * code appeared between lowBlock and highBlock (a few dozen eth_getCode calls, needs an archive RPC)
+     */
+    async findTokenBlock(tokenAddress, lowBlock, highBlock) {
+        const stored = await prisma.deployment.findUnique({
+            where: { tokenAddress },
+            select: { blockNumber: true },
+        });
+        if (stored) {
+            return Number(stored.blockNumber);
+        }
+
+        const hasCode = async (blockNumber) => (await this.provider.getCode(tokenAddress, blockNumber)) !== '0x';
+        if (!(await hasCode(highBlock))) {
+            throw new Error(`No contract at ${tokenAddress} by block ${highBlock}`);
+        }
+        let low = lowBlock;
+        let high = highBlock;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (await hasCode(mid)) {
+                high = mid;
             } else {
-                const errorMsg = `Error querying blocks ${fromBlock}-${toBlock}: ${error.message}`;
-                logger.error(errorMsg);
-                this.errors.push(errorMsg);
-                this.errorCount++;
+                low = mid + 1;
             }
         }
+        return low;
+    }
+
+    /**
+     * Blocks to process: --from (or --since) to --to, defaulting to the factory deployment block and the chain head,
+     * narrowed to the deployment block with --token
+     * @returns {Promise<{ fromBlock: number, toBlock: number }>}
+     */
+    async resolveRange(latestBlock, startingBlock) {
+        const { from, to, since, token } = this.options;
+        const sinceBlock = since !== null ? latestBlock - Math.ceil(since / BASE_BLOCK_TIME_SECONDS) : null;
+        const fromBlock = Math.max(from ?? sinceBlock ?? startingBlock, startingBlock);
+        const toBlock = Math.min(to ?? latestBlock, latestBlock);
+        if (fromBlock > toBlock) {
+            throw new Error(`Nothing to process: block range ${fromBlock} to ${toBlock} is empty`);
+        }
+
+        if (token) {
+            const tokenBlock = await this.findTokenBlock(token, fromBlock, toBlock);
+            return { fromBlock: tokenBlock, toBlock: tokenBlock };
+        }
+        return { fromBlock, toBlock };
+    }
+
+    /**
+     * Checkpoint key for this run's range options, so only the same command resumes it
+     * (--since and an open --to resume the range pinned when the run started)
+     */
+    getCheckpointId() {
+        const { from, to, sinceLabel } = this.options;
+        const start = from !== null ? from : sinceLabel !== null ? `since:${sinceLabel}` : 'factory';
+        return `from=${start},to=${to !== null ? to : 'head'}`;
+    }
+
+    async saveCheckpoint(id, fromBlock, toBlock, nextBlock) {
+        const data = { fromBlock: BigInt(fromBlock), toBlock: BigInt(toBlock), nextBlock: BigInt(nextBlock) };
+        await prisma.integrityCheckpoint.upsert({
+            where: { id },
+            create: { id, ...data },
+            update: data,
+        });
+    }
+
+    /**
+     * Writes the JSON report of what the run added and changed (or would have, in a dry run)
+     */
+    writeReport(reportPath, { fromBlock, toBlock, resumedFrom, completed }) {
+        const report = {
+            dryRun: this.options.dryRun,
+            generatedAt: new Date().toISOString(),
+            range: { fromBlock, toBlock },
+            resumedFrom,
+            token: this.options.token,
+            completed,
+            summary: {
+                added: this.added.length,
+                updated: this.updated.length,
+                errors: this.errorCount,
+            },
+            added: this.added,
+            updated: this.updated,
+            errors: this.errors,
+        };
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        logger.detail(`📝 Report written to ${path.resolve(reportPath)}`);
     }
 
     async run() {
@@ -932,21 +1085,50 @@ class DataIntegrityService {
             
             // DEFAULT BEHAVIOR: Always start from current chain head and process backwards
             // This ensures we capture any missed deployments and fix any data inconsistencies
-            const processFromBlock = latestBlock;
-            const processToBlock = startingBlock;
+            // --from / --to / --since / --token narrow the range
+            const range = await this.resolveRange(latestBlock, startingBlock);
+            let processFromBlock = range.toBlock;
+            let processToBlock = range.fromBlock;
+            let currentBlock = processFromBlock;
+
+            // Single-token runs and dry runs are cheap to redo, and dry runs write nothing - only full ranges checkpoint
+            const checkpointId = this.options.dryRun || this.options.token ? null : this.getCheckpointId();
+            let resumedFrom = null;
+            if (checkpointId) {
+                const checkpoint = this.options.restart
+                    ? null
+                    : await prisma.integrityCheckpoint.findUnique({ where: { id: checkpointId } });
+                if (checkpoint) {
+                    processFromBlock = Number(checkpoint.toBlock);
+                    processToBlock = Number(checkpoint.fromBlock);
+                    currentBlock = Number(checkpoint.nextBlock);
+                    resumedFrom = currentBlock;
+                } else {
+                    await this.saveCheckpoint(checkpointId, processToBlock, processFromBlock, currentBlock);
+                }
+            }
             
             logger.section('🔍 Starting Data Integrity Check');
             logger.detail('📝 Purpose:');
             logger.detail('   • Ensure database has complete historical data');
             logger.detail('   • Add any missing token deployments');
-            logger.detail('   • Update existing tokens with accurate data (timestamps, names, fee splits, etc.)');
+            logger.detail('   • Update existing tokens with accurate data (timestamps, names, fee splits, dev buys, etc.)');
             logger.detail('   • Safe to run multiple times (idempotent)');
+            if (this.options.dryRun) {
+                logger.detail('   • DRY RUN: nothing is written, changes are only reported');
+            }
             logger.detail('');
             logger.detail('📊 Block Range:');
             logger.detail(`   Latest block on chain: ${latestBlock}`);
             logger.detail(`   Latest block in DB: ${latestBlockInDb || 'none'}`);
             logger.detail(`   Factory deployment block: ${startingBlock}`);
+            if (this.options.token) {
+                logger.detail(`   Token ${this.options.token} deployed in block ${processFromBlock}`);
+            }
             logger.detail(`   Processing backwards from block ${processFromBlock} to ${processToBlock}`);
+            if (resumedFrom !== null) {
+                logger.detail(`   ⏩ Resuming from checkpoint at block ${resumedFrom} (--restart to start over)`);
+            }
             
             const totalBlocks = processFromBlock - processToBlock + 1; // +1 to include both endpoints
             logger.detail(`   Total blocks to process: ${totalBlocks}`);
@@ -956,12 +1138,13 @@ class DataIntegrityService {
             }
             logger.sectionEnd();
 
-            // Process in chunks backwards from processFromBlock to startingBlock (factory deployment block)
+            // Process in chunks backwards from processFromBlock to processToBlock
             // This ensures we catch the most recent tokens first (useful for recovery scenarios)
-            let currentBlock = processFromBlock;
-            let processedBlocks = 0;
+            let processedBlocks = processFromBlock - currentBlock;
+            let lastCheckpointAt = Date.now();
+            let stopped = false;
             
-            logger.detail(`Processing backwards from block ${processFromBlock} to ${processToBlock} (${totalBlocks} blocks total)`);
+            logger.detail(`Processing backwards from block ${currentBlock} to ${processToBlock} (${totalBlocks - processedBlocks} blocks remaining)`);
             
             // Process TokenCreated events (backwards, as before)
             // Token images are now queried directly from the contract (current state)
@@ -971,7 +1154,13 @@ class DataIntegrityService {
                 
                 // Process TokenCreated events (deployments)
                 // This will also query the contract directly for the current image URL
-                await this.processBlockRange(fromBlock, toBlock, existingAddresses);
+                const succeeded = await this.processBlockRange(fromBlock, toBlock, existingAddresses);
+
+                // A checkpointed run stops at the first range it couldn't finish, so rerunning retries it
+                if (!succeeded && checkpointId) {
+                    stopped = true;
+                    break;
+                }
                 
                 currentBlock = fromBlock - 1;
 
@@ -979,13 +1168,26 @@ class DataIntegrityService {
                 processedBlocks += (toBlock - fromBlock + 1);
                 const progress = totalBlocks > 0 ? ((processedBlocks / totalBlocks) * 100).toFixed(2) : '100.00';
                 logger.detail(`Progress: ${progress}% (processed ${processedBlocks}/${totalBlocks} blocks, current: ${fromBlock}-${toBlock})`);
+
+                if (checkpointId && Date.now() - lastCheckpointAt >= CHECKPOINT_INTERVAL_MS) {
+                    await this.saveCheckpoint(checkpointId, processToBlock, processFromBlock, currentBlock);
+                    lastCheckpointAt = Date.now();
+                }
+            }
+
+            if (checkpointId) {
+                if (stopped) {
+                    await this.saveCheckpoint(checkpointId, processToBlock, processFromBlock, currentBlock);
+                } else {
+                    await prisma.integrityCheckpoint.delete({ where: { id: checkpointId } }).catch(() => {});
+                }
             }
 
             // Summary
-            logger.section('✅ Data Integrity Check Complete');
-            logger.detail(`Added: ${this.processedCount} new token(s)`);
+            logger.section(stopped ? '⚠️  Data Integrity Check Stopped' : '✅ Data Integrity Check Complete');
+            logger.detail(`${this.options.dryRun ? 'Would add' : 'Added'}: ${this.processedCount} new token(s)`);
             if (this.updatedCount > 0) {
-                logger.detail(`Updated: ${this.updatedCount} existing token(s) with accurate data`);
+                logger.detail(`${this.options.dryRun ? 'Would update' : 'Updated'}: ${this.updatedCount} existing token(s) with accurate data`);
             }
             if (this.skippedCount > 0) {
                 logger.detail(`Skipped: ${this.skippedCount} event(s) (parsing errors or invalid events)`);
@@ -998,22 +1200,39 @@ class DataIntegrityService {
                     logger.detail(`  ${idx + 1}. ${err}`);
                 });
             }
+            if (stopped) {
+                logger.detail('---');
+                logger.detail(`Checkpoint saved at block ${currentBlock} - rerun the same command to resume from there`);
+                logger.detail(`(a range that keeps failing can be skipped with --to ${Math.max(currentBlock - MAX_BLOCKS_PER_QUERY, processToBlock)})`);
+            }
             logger.sectionEnd();
 
+            const reportPath = this.options.report
+                ?? (this.options.dryRun ? `data-integrity-report-${new Date().toISOString().replace(/[:.]/g, '-')}.json` : null);
+            if (reportPath) {
+                this.writeReport(reportPath, {
+                    fromBlock: processToBlock,
+                    toBlock: processFromBlock,
+                    resumedFrom,
+                    completed: !stopped,
+                });
+            }
+            this.stopped = stopped;
+
         } catch (error) {
             logger.error(`Data integrity check failed: ${error.message}`);
             console.error(error);
             process.exit(1);
         } finally {
             await prisma.$disconnect();
-            process.exit(0);
+            process.exit(this.stopped ? 1 : 0);
         }
     }
 }
 
 // Run if called directly
 if (require.main === module) {
-    const service = new DataIntegrityService();
+    const service = new DataIntegrityService(parseRunOptions());
     service.run();
 }
 
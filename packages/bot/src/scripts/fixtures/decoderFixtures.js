@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helpers for the deployment decoder fixtures (see recordDecoderFixture.js and testDecoder.js)
+ */
+
+const FIXTURES_DIR = path.join(__dirname, 'deployments');
+
+// Set by recordDecoderFixture.js on fixtures taken from a real transaction
+const RECORDED_SOURCE = 'base-mainnet';
+
+// Decoding paths that need a recorded fixture checked against BaseScan, not just a synthetic one
+const RECORDED_CASES = [
+    {
+        name: 'two-slot rewardBps ([creatorBps, feyStakersBps])',
+        matches: (expected) => expected.rewards?.decodedWith === 'abi' && expected.rewards.rewardBps.length === 2,
+    },
+    {
+        name: 'one-slot rewardBps ([feyStakersBps])',
+        matches: (expected) => expected.rewards?.decodedWith === 'abi' && expected.rewards.rewardBps.length === 1,
+    },
+    {
+        name: 'dev buy',
+        matches: (expected) => expected.tokensReceived !== null && expected.tokensReceived !== undefined,
+    },
+];
+
+/**
+ * Strips an ethers Log down to the fields the decoder reads
+ */
+function serializeLog(log) {
+    return {
+        address: log.address,
+        topics: [...log.topics],
+        data: log.data,
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        index: log.index,
+    };
+}
+
+/**
+ * Converts bigints to strings so decoded records can be stored and compared as JSON
+ */
+function toPlainValue(value) {
+    return JSON.parse(JSON.stringify(value, (key, val) => typeof val === 'bigint' ? val.toString() : val));
+}
+
+/**
+ * Loads every fixture in the deployments directory
+ * @returns {Array<{ name: string, description: string, log: Object, receipt: Object|null, expected: Object }>}
+ */
+function loadFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => ({
+            name: path.basename(file, '.json'),
+            ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')),
+        }));
+}
+
+/**
+ * Lists the RECORDED_CASES with no recorded fixture marked as verified against BaseScan
+ * @returns {string[]} - Names of the uncovered cases
+ */
+function getMissingRecordedCases(fixtures) {
+    const verified = fixtures.filter(fixture => fixture.source === RECORDED_SOURCE && fixture.verifiedOnBaseScan === true);
+    return RECORDED_CASES
+        .filter(recordedCase => !verified.some(fixture => recordedCase.matches(fixture.expected)))
+        .map(recordedCase => recordedCase.name);
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    RECORDED_SOURCE,
+    serializeLog,
+    toPlainValue,
+    loadFixtures,
+    getMissingRecordedCases
+};
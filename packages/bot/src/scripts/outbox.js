@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect and manage the outbox (queued broadcasts, notifications, contract data refreshes)
+ * Usage:
+ *   pnpm outbox                          Job counts per status and type
+ *   pnpm outbox list [status] [--type=x] [--limit=n]
+ *   pnpm outbox show <id>                Full job, including payload and last error
+ *   pnpm outbox retry <id> [id...]       Requeue specific jobs with fresh attempts
+ *   pnpm outbox retry --dead             Requeue every dead-lettered job
+ *   pnpm outbox purge [days]             Delete done jobs older than N days (default 7)
+ *   pnpm outbox rescore [--all]          Queue risk scoring for unscored deployments (or every deployment)
+ */
+
+require('dotenv').config();
+const { prisma } = require('../db/client');
+const logger = require('../utils/logger');
+const { JOB_TYPES, JOB_STATUS, enqueue, getJobCounts, listJobs, requeueJobs, purgeDoneJobs } = require('../services/outbox');
+
+const args = process.argv.slice(2);
+const flags = Object.fromEntries(
+    args.filter(arg => arg.startsWith('--')).map(arg => {
+        const [key, value] = arg.slice(2).split('=');
+        return [key, value ?? true];
+    })
+);
+const [command = 'stats', ...params] = args.filter(arg => !arg.startsWith('--'));
+
+function formatJob(job) {
+    const due = job.status === JOB_STATUS.PENDING ? ` due ${job.runAt.toISOString()}` : '';
+    const error = job.lastError ? ` - ${job.lastError.substring(0, 120)}` : '';
+    return `#${job.id} ${job.type} [${job.status}] ${job.attempts}/${job.maxAttempts} attempts${due}${error}`;
+}
+
+async function showStats() {
+    const counts = await getJobCounts();
+    logger.section('📬 Outbox');
+    if (Object.keys(counts).length === 0) {
+        logger.detail('Outbox is empty');
+    }
+    for (const status of Object.values(JOB_STATUS)) {
+        if (!counts[status]) continue;
+        const byType = Object.entries(counts[status].byType).map(([type, count]) => `${type}: ${count}`).join(', ');
+        logger.detail(status, `${counts[status].total} (${byType})`);
+    }
+    logger.sectionEnd();
+}
+
+async function showList() {
+    const status = params[0];
+    if (status && !Object.values(JOB_STATUS).includes(status)) {
+        throw new Error(`Unknown status "${status}" (expected ${Object.values(JOB_STATUS).join(', ')})`);
+    }
+
+    const jobs = await listJobs({
+        status,
+        type: typeof flags.type === 'string' ? flags.type : undefined,
+        limit: flags.limit ? parseInt(flags.limit, 10) : 20,
+    });
+
+    logger.section(`📬 Outbox jobs${status ? ` (${status})` : ''}`);
+    if (jobs.length === 0) {
+        logger.detail('No jobs found');
+    }
+    jobs.forEach(job => logger.detail(formatJob(job)));
+    logger.sectionEnd();
+}
+
+async function showJob() {
+    const id = parseInt(params[0], 10);
+    if (!id) {
+        throw new Error('Usage: pnpm outbox show <id>');
+    }
+
+    const job = await prisma.outboxJob.findUnique({ where: { id } });
+    if (!job) {
+        throw new Error(`Job #${id} not found`);
+    }
+
+    logger.section(`📬 Outbox job #${job.id}`);
+    logger.detail('Type', job.type);
+    logger.detail('Status', job.status);
+    logger.detail('Attempts', `${job.attempts}/${job.maxAttempts}`);
+    logger.detail('Created', job.createdAt.toISOString());
+    logger.detail('Next run', job.runAt.toISOString());
+    if (job.completedAt) logger.detail('Completed', job.completedAt.toISOString());
+    if (job.lastError) logger.detail('Last error', job.lastError);
+    logger.detail('Payload', JSON.stringify(job.payload, null, 2));
+    logger.sectionEnd();
+}
+
+async function retry() {
+    let count;
+    if (flags.dead) {
+        count = await requeueJobs();
+    } else {
+        const ids = params.map(id => parseInt(id, 10)).filter(Boolean);
+        if (ids.length === 0) {
+            throw new Error('Usage: pnpm outbox retry <id> [id...] | --dead');
+        }
+        count = await requeueJobs(ids);
+    }
+    logger.detail(`✅ Requeued ${count} job(s) - the bot's outbox worker will pick them up`);
+}
+
+async function purge() {
+    const days = params[0] ? parseInt(params[0], 10) : 7;
+    const count = await purgeDoneJobs(days * 24 * 60 * 60 * 1000);
+    logger.detail(`✅ Deleted ${count} done job(s) older than ${days} day(s)`);
+}
+
+async function rescore() {
+    const deployments = await prisma.deployment.findMany({
+        where: flags.all ? {} : { riskScore: null },
+        select: { tokenAddress: true },
+    });
+    for (const { tokenAddress } of deployments) {
+        await enqueue(prisma, JOB_TYPES.SCORE_RISK, { tokenAddress });
+    }
+    logger.detail(`✅ Queued risk scoring for ${deployments.length} deployment(s) - the bot's outbox worker will pick them up`);
+}
+
+const commands = {
+    stats: showStats,
+    list: showList,
+    show: showJob,
+    retry,
+    purge,
+    rescore,
+};
+
+async function main() {
+    const run = commands[command];
+    if (!run) {
+        throw new Error(`Unknown command "${command}" (expected ${Object.keys(commands).join(', ')})`);
+    }
+    await run();
+}
+
+main()
+    .then(async () => {
+        await prisma.$disconnect();
+        process.exit(0);
+    })
+    .catch(async (error) => {
+        logger.error(error.message);
+        await prisma.$disconnect();
+        process.exit(1);
+    });
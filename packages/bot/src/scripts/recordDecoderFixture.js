@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Records a deployment transaction as a decoder fixture
+ * Usage: pnpm fixture:record <txHash> [fixture-name]
+ *
+ * Fetches the TokenCreated log and receipt, runs them through the decoder and writes
+ * log + receipt + decoded output to src/scripts/fixtures/deployments/<fixture-name>.json.
+ * Check the expected output by hand (BaseScan) and set verifiedOnBaseScan to true before committing it.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { decodeDeployment } = require('../contracts/decoders/deploymentDecoder');
+const { getBaseProviderPool } = require('../services/rpcPool');
+const { FIXTURES_DIR, RECORDED_SOURCE, serializeLog, toPlainValue } = require('./fixtures/decoderFixtures');
+const logger = require('../utils/logger');
+
+const TOKEN_CREATED_TOPIC = ethers.id('TokenCreated(address,address,address,string,string,string,string,string,int24,address,bytes32,address,address,address,uint256,address[])');
+
+async function recordFixture(txHash, fixtureName) {
+    const provider = getBaseProviderPool();
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+        throw new Error(`No receipt found for ${txHash}`);
+    }
+
+    const log = receipt.logs.find(logEntry =>
+        logEntry.topics[0] === TOKEN_CREATED_TOPIC &&
+        logEntry.address.toLowerCase() === process.env.FEY_FACTORY_ADDRESS?.toLowerCase()
+    );
+    if (!log) {
+        throw new Error(`No TokenCreated log from FEY_FACTORY_ADDRESS in ${txHash}`);
+    }
+
+    const fixture = {
+        description: `Recorded from Base mainnet transaction ${txHash}`,
+        source: RECORDED_SOURCE,
+        // Only counts towards test:decoder's recorded coverage once someone has checked `expected` on BaseScan
+        verifiedOnBaseScan: false,
+        log: serializeLog(log),
+        receipt: {
+            from: receipt.from,
+            to: receipt.to,
+            status: receipt.status,
+            gasUsed: receipt.gasUsed.toString(),
+            logs: receipt.logs.map(serializeLog),
+        },
+        expected: toPlainValue(decodeDeployment(log, receipt)),
+    };
+
+    const name = fixtureName || `${fixture.expected.tokenSymbol.toLowerCase()}-${txHash.slice(2, 10)}`;
+    const filePath = path.join(FIXTURES_DIR, `${name}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2) + '\n');
+    logger.detail('✅ Fixture written', path.relative(process.cwd(), filePath));
+
+    // What to compare on BaseScan before setting verifiedOnBaseScan
+    const { expected } = fixture;
+    logger.detail('Check on BaseScan', `https://basescan.org/tx/${txHash}`);
+    logger.detail('Token', `${expected.tokenName} (${expected.tokenSymbol}) ${expected.tokenAddress}`);
+    logger.detail('Reward bps', expected.rewards ? `${JSON.stringify(expected.rewards.rewardBps)} (${expected.rewards.decodedWith})` : 'none');
+    logger.detail('Dev buy', expected.tokensReceived ? `${expected.tokensReceived} tokens for ${expected.tokensSpent} wei` : 'none');
+}
+
+const [txHash, fixtureName] = process.argv.slice(2);
+if (!txHash) {
+    logger.error('Usage: pnpm fixture:record <txHash> [fixture-name]');
+    process.exit(1);
+}
+
+recordFixture(txHash, fixtureName)
+    .then(() => process.exit(0))
+    .catch((error) => {
+        logger.error(`Failed to record fixture: ${error.message}`);
+        process.exit(1);
+    });
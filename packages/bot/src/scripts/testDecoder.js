@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the deployment decoder against every fixture in src/scripts/fixtures/deployments
+ * Usage: pnpm test:decoder
+ *
+ * Each fixture is a TokenCreated log plus its receipt and the record the decoder must
+ * produce. Add new ones with pnpm fixture:record <txHash>. No RPC access needed.
+ * Also fails when a decoding path has no recorded fixture verified against BaseScan.
+ */
+
+const assert = require('assert');
+const { decodeDeployment } = require('../contracts/decoders/deploymentDecoder');
+const { loadFixtures, toPlainValue, getMissingRecordedCases } = require('./fixtures/decoderFixtures');
+const logger = require('../utils/logger');
+
+function testDecoder() {
+    const fixtures = loadFixtures();
+    let failures = 0;
+
+    logger.section(`🧪 Testing deployment decoder (${fixtures.length} fixtures)`);
+
+    for (const fixture of fixtures) {
+        try {
+            const decoded = toPlainValue(decodeDeployment(fixture.log, fixture.receipt));
+            assert.deepStrictEqual(decoded, fixture.expected);
+            logger.detail(`✅ ${fixture.name}`, fixture.description);
+        } catch (error) {
+            failures++;
+            logger.error(`❌ ${fixture.name}: ${error.message}`);
+        }
+    }
+
+    logger.sectionEnd();
+
+    if (failures > 0) {
+        logger.error(`${failures}/${fixtures.length} decoder fixtures failed`);
+        process.exit(1);
+    }
+    logger.detail(`All ${fixtures.length} decoder fixtures passed`);
+
+    const missing = getMissingRecordedCases(fixtures);
+    if (missing.length > 0) {
+        logger.error(`No verified recorded fixture for: ${missing.join(', ')} - record one with pnpm fixture:record <txHash>`);
+        process.exit(1);
+    }
+}
+
+testDecoder();
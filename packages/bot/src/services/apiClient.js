@@ -0,0 +1,106 @@
+/**
+ * HTTP calls from the bot to the API server
+ * Every call throws on failure so the outbox worker can retry it
+ */
+
+const { createTokenImageUrl, formatIPFSUrl, hasTokenImage } = require('@feydar/shared/utils');
+
+function getApiUrl() {
+    return process.env.API_URL || 'http://localhost:3001';
+}
+
+async function postToApi(path, body) {
+    const response = await fetch(`${getApiUrl()}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            // The API only accepts broadcasts, notifications and webhook dispatches with this token
+            ...(process.env.INTERNAL_API_TOKEN ? { Authorization: `Bearer ${process.env.INTERNAL_API_TOKEN}` } : {}),
+        },
+        body: JSON.stringify(body),
+        // The outbox runs one job at a time - a hung request would hold up every job behind it
+        signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${path}`);
+    }
+    return response.json().catch(() => null);
+}
+
+/**
+ * Pushes a saved deployment to WebSocket clients
+ */
+async function broadcastDeployment(deployment) {
+    await postToApi('/api/broadcast', deployment);
+}
+
+/**
+ * Tells WebSocket clients to drop a reorged deployment
+ */
+async function broadcastRetraction(retraction) {
+    await postToApi('/api/broadcast/retraction', retraction);
+}
+
+/**
+ * Pushes a token admin/image/metadata/verification change to WebSocket clients
+ */
+async function broadcastTokenStateChange(change) {
+    await postToApi('/api/broadcast/state-change', change);
+}
+
+/**
+ * Sends Farcaster notifications for a deployment
+ * @returns {Promise<{ sent: number, failed: number }|null>}
+ */
+async function sendDeploymentNotifications(deployment) {
+    return postToApi('/api/notifications/send', deployment);
+}
+
+/**
+ * Queues integrator webhook deliveries for a saved deployment
+ * @param {{ tokenAddress: string, tokensReceived: string|null, tokensSpent: string|null }} dispatch
+ * @returns {Promise<{ queued: number }|null>}
+ */
+async function dispatchWebhooks(dispatch) {
+    return postToApi('/api/broadcast/webhooks', dispatch);
+}
+
+/**
+ * Live price, market cap, liquidity and volume from the API's price service
+ * @returns {Promise<Object>} Price data - fields are null when no market exists yet
+ */
+async function getTokenPrice(tokenAddress) {
+    const response = await fetch(`${getApiUrl()}/api/price/${tokenAddress}`, {
+        signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from /api/price`);
+    }
+    return response.json();
+}
+
+/**
+ * Token image URL for Discord embeds - through the API image proxy when API_PUBLIC_URL is set
+ * (Discord fetches it itself, so API_URL is usually not reachable), otherwise the source image
+ * with ipfs:// mapped to a gateway
+ * @returns {string|null} null if the token has no image
+ */
+function getTokenImageUrl(tokenAddress, imageUrl, width = 1024) {
+    if (!hasTokenImage(imageUrl)) {
+        return null;
+    }
+    if (process.env.API_PUBLIC_URL) {
+        return createTokenImageUrl(process.env.API_PUBLIC_URL, tokenAddress, imageUrl, width);
+    }
+    return formatIPFSUrl(imageUrl.trim());
+}
+
+module.exports = {
+    broadcastDeployment,
+    broadcastRetraction,
+    broadcastTokenStateChange,
+    sendDeploymentNotifications,
+    dispatchWebhooks,
+    getTokenPrice,
+    getTokenImageUrl
+};
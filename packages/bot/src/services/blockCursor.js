@@ -0,0 +1,53 @@
+const { prisma } = require('../db/client');
+
+// Cursor used by the live TokenCreated listener
+const TOKEN_CREATED_CURSOR = 'token-created';
+// Cursor used by the token admin/image/metadata/verification indexer
+const TOKEN_STATE_CURSOR = 'token-state';
+// Cursor used by the Uniswap v4 swap indexer
+const SWAP_CURSOR = 'swaps';
+// Cursor used by the token holder (Transfer) indexer
+const HOLDER_CURSOR = 'holders';
+
+/**
+ * Gets the last fully processed block for a cursor
+ * @param {string} name - Cursor name
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<number|null>} - Block number or null if the cursor has never been saved
+ */
+async function getCursor(name, client = prisma) {
+    const cursor = await client.indexerCursor.findUnique({
+        where: { id: name }
+    });
+
+    return cursor ? Number(cursor.blockNumber) : null;
+}
+
+/**
+ * Persists the last fully processed block for a cursor
+ * Never moves the cursor backwards, so a late writer can't undo newer progress
+ * @param {string} name - Cursor name
+ * @param {number} blockNumber - Last fully processed block
+ * @param {Object} [client] - Prisma client, or a transaction to save the cursor with the block's writes
+ */
+async function saveCursor(name, blockNumber, client = prisma) {
+    const existing = await getCursor(name, client);
+    if (existing !== null && existing >= blockNumber) {
+        return;
+    }
+
+    await client.indexerCursor.upsert({
+        where: { id: name },
+        update: { blockNumber: BigInt(blockNumber) },
+        create: { id: name, blockNumber: BigInt(blockNumber) }
+    });
+}
+
+module.exports = {
+    TOKEN_CREATED_CURSOR,
+    TOKEN_STATE_CURSOR,
+    SWAP_CURSOR,
+    HOLDER_CURSOR,
+    getCursor,
+    saveCursor
+};
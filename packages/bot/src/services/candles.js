@@ -0,0 +1,119 @@
+const { prisma } = require('../db/client');
+const logger = require('../utils/logger');
+const { getTokenPrice } = require('./apiClient');
+const { CANDLE_INTERVALS } = require('@feydar/shared/constants');
+
+const FEY_TOKEN_ADDRESS = process.env.FEY_TOKEN_ADDRESS?.toLowerCase() || null;
+// How long a paired token's USD / FEY rate is reused before asking the API again
+const PAIRED_RATE_TTL_MS = 60 * 1000;
+
+const pairedRates = new Map();
+
+/**
+ * USD and FEY per paired token, from the API's price service
+ * Rates are best-effort - a candle without them still has paired token prices
+ */
+async function getPairedRates(pairedToken) {
+    const cached = pairedRates.get(pairedToken);
+    if (cached && Date.now() - cached.fetchedAt < PAIRED_RATE_TTL_MS) {
+        return cached;
+    }
+
+    let rates = { usd: null, fey: pairedToken === FEY_TOKEN_ADDRESS ? 1 : null };
+    try {
+        const priceData = await getTokenPrice(pairedToken);
+        rates = {
+            usd: priceData.price ?? null,
+            fey: rates.fey ?? priceData.priceInFEY ?? null,
+        };
+    } catch (error) {
+        logger.warn(`Could not price paired token ${pairedToken} for candles: ${error.message}`);
+    }
+
+    const entry = { ...rates, fetchedAt: Date.now() };
+    pairedRates.set(pairedToken, entry);
+    return entry;
+}
+
+function getBucketStart(date, seconds) {
+    const ms = seconds * 1000;
+    return new Date(Math.floor(date.getTime() / ms) * ms);
+}
+
+/**
+ * Rebuilds every candle the given swaps fall in, for every interval
+ * Buckets are recomputed from the swaps table rather than patched, so replays and
+ * late launch backfills can't double count
+ * @param {Array<{ tokenAddress: string, swappedAt: Date }>} swaps - Newly recorded swaps
+ * @param {Map<string, string>} pairedTokens - Paired token per token address
+ */
+async function updateCandles(swaps, pairedTokens) {
+    const buckets = new Map();
+    for (const swap of swaps) {
+        for (const [interval, seconds] of Object.entries(CANDLE_INTERVALS)) {
+            const openTime = getBucketStart(swap.swappedAt, seconds);
+            buckets.set(`${swap.tokenAddress}:${interval}:${openTime.getTime()}`, {
+                tokenAddress: swap.tokenAddress,
+                interval,
+                openTime,
+                closeTime: new Date(openTime.getTime() + seconds * 1000),
+            });
+        }
+    }
+
+    for (const bucket of buckets.values()) {
+        const [candle] = await prisma.$queryRaw`
+            SELECT (array_agg(price ORDER BY "blockNumber", "logIndex"))[1] AS open,
+                   MAX(price) AS high,
+                   MIN(price) AS low,
+                   (array_agg(price ORDER BY "blockNumber" DESC, "logIndex" DESC))[1] AS close,
+                   SUM("pairedValue") AS volume,
+                   COUNT(*)::int AS trades
+            FROM swaps
+            WHERE "tokenAddress" = ${bucket.tokenAddress}
+              AND "swappedAt" >= ${bucket.openTime}
+              AND "swappedAt" < ${bucket.closeTime}
+        `;
+        if (!candle || candle.trades === 0) continue;
+
+        const where = {
+            tokenAddress_interval_openTime: {
+                tokenAddress: bucket.tokenAddress,
+                interval: bucket.interval,
+                openTime: bucket.openTime,
+            },
+        };
+        const existing = await prisma.candle.findUnique({ where, select: { pairedUsd: true, pairedFey: true } });
+        const rates = await getPairedRates(pairedTokens.get(bucket.tokenAddress));
+        const ohlcv = {
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            volume: candle.volume,
+            trades: candle.trades,
+        };
+
+        await prisma.candle.upsert({
+            where,
+            // Keep the rates from when the candle was first built - they're the closest to its trades
+            update: {
+                ...ohlcv,
+                pairedUsd: existing?.pairedUsd ?? rates.usd,
+                pairedFey: existing?.pairedFey ?? rates.fey,
+            },
+            create: {
+                tokenAddress: bucket.tokenAddress,
+                interval: bucket.interval,
+                openTime: bucket.openTime,
+                ...ohlcv,
+                pairedUsd: rates.usd,
+                pairedFey: rates.fey,
+            },
+        });
+    }
+
+    return buckets.size;
+}
+
+module.exports = { updateCandles };
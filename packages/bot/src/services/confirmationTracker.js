@@ -0,0 +1,184 @@
+const logger = require('../utils/logger');
+
+/**
+ * Holds TokenCreated logs until they have enough confirmations, then keeps
+ * watching them for a while in case their block gets reorged out
+ *
+ * - pending: seen but not yet confirmed (nothing has been posted or saved)
+ * - watching: confirmed and processed, re-checked until watchDepth blocks deep
+ */
+class ConfirmationTracker {
+    /**
+     * @param {Object} options
+     * @param {number} options.confirmations - Blocks (including the log's own) required before promotion
+     * @param {number} options.watchDepth - How many blocks a promoted log is re-checked for
+     * @param {number} options.pollIntervalMs - How often the head is checked while logs are tracked
+     * @param {(log: ethers.Log, source: string) => Promise<void>} options.onConfirmed - Called once a log is confirmed
+     * @param {(log: ethers.Log) => Promise<void>} options.onRetracted - Called if a promoted log is reorged out
+     */
+    constructor({ confirmations, watchDepth, pollIntervalMs, onConfirmed, onRetracted }) {
+        this.confirmations = Math.max(1, confirmations);
+        this.watchDepth = watchDepth;
+        this.pollIntervalMs = pollIntervalMs;
+        this.onConfirmed = onConfirmed;
+        this.onRetracted = onRetracted;
+
+        this.provider = null;
+        this.pending = new Map();
+        this.watching = new Map();
+        this.timer = null;
+        this.isTicking = false;
+    }
+
+    /**
+     * Unique key for a log on a specific block - a re-included log gets a new key
+     */
+    static getLogKey(log) {
+        return `${log.blockHash}:${log.index}`;
+    }
+
+    /**
+     * Swaps the provider used for head/hash checks (e.g. after a reconnect)
+     * Tracked logs survive the swap; checks pause while the provider is null
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Starts tracking a log, or handles it as a removal if the node flagged it as removed
+     * @param {ethers.Log} log - TokenCreated log
+     * @param {string} source - Where the log came from (passed through to onConfirmed)
+     */
+    async track(log, source = 'REAL-TIME') {
+        if (log.removed) {
+            await this.remove(log);
+            return;
+        }
+
+        const key = ConfirmationTracker.getLogKey(log);
+        if (this.pending.has(key) || this.watching.has(key)) {
+            return;
+        }
+
+        this.pending.set(key, { log, source });
+        logger.detail('⏳ Awaiting confirmations', `${log.transactionHash} (block ${log.blockNumber}, ${this.confirmations} required)`);
+        this.schedule();
+    }
+
+    /**
+     * Handles a log the node reported as removed
+     */
+    async remove(log) {
+        const key = ConfirmationTracker.getLogKey(log);
+
+        if (this.pending.delete(key)) {
+            logger.warn(`TokenCreated log removed before confirmation: ${log.transactionHash} (block ${log.blockNumber})`);
+            return;
+        }
+
+        if (this.watching.delete(key)) {
+            logger.warn(`TokenCreated log removed after promotion: ${log.transactionHash} (block ${log.blockNumber})`);
+            await this.onRetracted(log);
+        }
+    }
+
+    /**
+     * Lowest block that still has an unconfirmed log, or null
+     * Used to keep the block cursor from moving past logs that haven't been processed yet
+     */
+    getLowestPendingBlock() {
+        let lowest = null;
+        for (const { log } of this.pending.values()) {
+            if (lowest === null || log.blockNumber < lowest) {
+                lowest = log.blockNumber;
+            }
+        }
+        return lowest;
+    }
+
+    schedule() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Promotes logs that have enough confirmations and retracts watched logs whose block hash changed
+     * Only runs while something is tracked, so an idle bot makes no extra RPC calls
+     */
+    async tick() {
+        if (this.isTicking || !this.provider) return;
+
+        if (this.pending.size === 0 && this.watching.size === 0) {
+            this.stop();
+            return;
+        }
+
+        this.isTicking = true;
+        try {
+            const head = await this.provider.getBlockNumber();
+
+            // Canonical hash per height, cached for this tick
+            const canonicalHashes = new Map();
+            const getCanonicalHash = async (blockNumber) => {
+                if (!canonicalHashes.has(blockNumber)) {
+                    const block = await this.provider.getBlock(blockNumber);
+                    canonicalHashes.set(blockNumber, block?.hash || null);
+                }
+                return canonicalHashes.get(blockNumber);
+            };
+
+            for (const [key, { log, source }] of this.pending) {
+                if (head - log.blockNumber + 1 < this.confirmations) {
+                    continue;
+                }
+
+                const canonicalHash = await getCanonicalHash(log.blockNumber);
+                if (!canonicalHash) {
+                    // Node hasn't caught up to this height yet - try again next tick
+                    continue;
+                }
+
+                this.pending.delete(key);
+
+                if (canonicalHash !== log.blockHash) {
+                    logger.warn(`Block ${log.blockNumber} was reorged before confirmation, dropping ${log.transactionHash}`);
+                    continue;
+                }
+
+                this.watching.set(key, log);
+                Promise.resolve(this.onConfirmed(log, source)).catch((error) => {
+                    logger.error(`Failed to process confirmed log ${log.transactionHash}: ${error.message}`);
+                });
+            }
+
+            for (const [key, log] of this.watching) {
+                if (head - log.blockNumber >= this.watchDepth) {
+                    this.watching.delete(key);
+                    continue;
+                }
+
+                const canonicalHash = await getCanonicalHash(log.blockNumber);
+                if (canonicalHash && canonicalHash !== log.blockHash) {
+                    this.watching.delete(key);
+                    logger.warn(`Block ${log.blockNumber} was reorged after promotion (expected ${log.blockHash}, got ${canonicalHash})`);
+                    await this.onRetracted(log);
+                }
+            }
+        } catch (error) {
+            logger.warn(`Confirmation check failed: ${error.message}`);
+        } finally {
+            this.isTicking = false;
+        }
+    }
+}
+
+module.exports = ConfirmationTracker;
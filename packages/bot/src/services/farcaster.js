@@ -0,0 +1,135 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+const NEYNAR_API_URL = process.env.NEYNAR_API_URL || 'https://api.neynar.com';
+// Neynar's bulk-by-address limit
+const MAX_ADDRESSES_PER_REQUEST = 350;
+
+/**
+ * Farcaster lookups go through a provider: { name, lookupByAddresses(addresses) }
+ * lookupByAddresses resolves to a Map of lowercase address -> profile for the addresses that are a
+ * verified address of some account, and throws if the lookup itself failed (so callers can retry)
+ *
+ * A profile is { fid, username, displayName, pfpUrl, followerCount } (FarcasterProfile in @feydar/shared/types)
+ */
+
+function toProfile(user) {
+    return {
+        fid: user.fid,
+        username: user.username,
+        displayName: user.display_name || null,
+        pfpUrl: user.pfp_url || null,
+        followerCount: user.follower_count ?? 0,
+    };
+}
+
+/**
+ * Neynar's hosted API (GET /v2/farcaster/user/bulk-by-address, verified addresses only)
+ */
+function createNeynarProvider({ apiKey, baseUrl = NEYNAR_API_URL, timeoutMs = 5000 }) {
+    return {
+        name: 'neynar',
+        async lookupByAddresses(addresses) {
+            const profiles = new Map();
+            for (let i = 0; i < addresses.length; i += MAX_ADDRESSES_PER_REQUEST) {
+                const batch = addresses.slice(i, i + MAX_ADDRESSES_PER_REQUEST).map(address => address.toLowerCase());
+                const params = new URLSearchParams({ addresses: batch.join(','), address_types: 'verified_address' });
+                const response = await fetch(`${baseUrl}/v2/farcaster/user/bulk-by-address?${params}`, {
+                    headers: { 'x-api-key': apiKey },
+                    signal: AbortSignal.timeout(timeoutMs),
+                });
+                // No account has any of the addresses
+                if (response.status === 404) {
+                    continue;
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} from Neynar`);
+                }
+
+                const data = await response.json();
+                for (const [address, users] of Object.entries(data)) {
+                    if (!Array.isArray(users) || users.length === 0) continue;
+                    // An address verified by several accounts goes to the most followed one
+                    const user = users.reduce((best, candidate) =>
+                        (candidate.follower_count ?? 0) > (best.follower_count ?? 0) ? candidate : best
+                    );
+                    profiles.set(address.toLowerCase(), toProfile(user));
+                }
+            }
+            return profiles;
+        },
+    };
+}
+
+/**
+ * Fixed profiles keyed by address - a stand-in for the hosted API in tests and local development
+ * @param {Object<string, Object>} profilesByAddress - address -> FarcasterProfile
+ */
+function createLocalProvider(profilesByAddress = {}) {
+    const profiles = new Map(
+        Object.entries(profilesByAddress).map(([address, profile]) => [address.toLowerCase(), profile])
+    );
+    return {
+        name: 'local',
+        async lookupByAddresses(addresses) {
+            return new Map(
+                addresses
+                    .map(address => address.toLowerCase())
+                    .filter(address => profiles.has(address))
+                    .map(address => [address, profiles.get(address)])
+            );
+        },
+    };
+}
+
+let provider;
+
+/**
+ * The configured provider: a local one when FARCASTER_PROFILES_FILE is set (JSON of address -> profile),
+ * otherwise Neynar when NEYNAR_API_KEY is set
+ * @returns {Object|null} null when Farcaster lookups aren't configured
+ */
+function getFarcasterProvider() {
+    if (provider !== undefined) {
+        return provider;
+    }
+
+    if (process.env.FARCASTER_PROFILES_FILE) {
+        provider = createLocalProvider(JSON.parse(fs.readFileSync(process.env.FARCASTER_PROFILES_FILE, 'utf8')));
+    } else if (process.env.NEYNAR_API_KEY) {
+        provider = createNeynarProvider({ apiKey: process.env.NEYNAR_API_KEY });
+    } else {
+        logger.warn('NEYNAR_API_KEY is not set - deployers won\'t be resolved to Farcaster accounts');
+        provider = null;
+    }
+    return provider;
+}
+
+/**
+ * Replaces the provider (tests), or with no argument goes back to the configured one
+ */
+function setFarcasterProvider(replacement) {
+    provider = replacement;
+}
+
+/**
+ * Farcaster account an address is a verified address of
+ * @returns {Promise<Object|null>} FarcasterProfile, or null if there's none (or no provider is configured)
+ * @throws if the provider's lookup failed
+ */
+async function lookupFarcasterProfile(address) {
+    const active = getFarcasterProvider();
+    if (!active) {
+        return null;
+    }
+    const profiles = await active.lookupByAddresses([address]);
+    return profiles.get(address.toLowerCase()) ?? null;
+}
+
+module.exports = {
+    createNeynarProvider,
+    createLocalProvider,
+    getFarcasterProvider,
+    setFarcasterProvider,
+    lookupFarcasterProfile,
+};
@@ -0,0 +1,212 @@
+const { prisma } = require('../db/client');
+const logger = require('../utils/logger');
+const { getBaseProviderPool } = require('./rpcPool');
+const { HOLDER_CURSOR, getCursor, saveCursor } = require('./blockCursor');
+const { TRANSFER_TOPIC, decodeTransfer, toBalanceChanges } = require('../contracts/decoders/transferDecoder');
+
+const HOLDER_POLL_INTERVAL_MS = parseInt(process.env.HOLDER_POLL_INTERVAL_MS || '15000', 10);
+// Alchemy free tier limits eth_getLogs to 10 blocks per request
+const HOLDER_BLOCK_WINDOW = parseInt(process.env.HOLDER_BLOCK_WINDOW || '9', 10);
+// Only blocks this deep are indexed, so applied balances never have to be rolled back after a reorg
+const HOLDER_CONFIRMATIONS = parseInt(process.env.HOLDER_CONFIRMATIONS || process.env.CONFIRMATION_BLOCKS || '3', 10);
+// Caps each tick while catching up, so a long gap doesn't hog the RPC pool
+const HOLDER_MAX_BLOCKS_PER_TICK = parseInt(process.env.HOLDER_MAX_BLOCKS_PER_TICK || '450', 10);
+// Blocks of token history replayed per tick for tokens that aren't caught up yet
+const HOLDER_CATCH_UP_BLOCKS_PER_TICK = parseInt(process.env.HOLDER_CATCH_UP_BLOCKS_PER_TICK || '900', 10);
+// Token addresses per eth_getLogs request
+const HOLDER_ADDRESS_BATCH = parseInt(process.env.HOLDER_ADDRESS_BATCH || '100', 10);
+
+const HOUR_MS = 60 * 60 * 1000;
+// A busy window can touch hundreds of balances - more than Prisma's default 5s allows
+const TRANSACTION_OPTIONS = { timeout: 30 * 1000 };
+
+/**
+ * Keeps running balances of every FEY token from ERC-20 Transfer events in token_holders,
+ * with an hourly holder count in holder_counts
+ *
+ * Balances are sums, so each block must be applied exactly once. A token is either caught up
+ * (holdersIndexedFrom set - the main loop applies its transfers) or catching up (replayed from
+ * its launch block, tracked by holdersSyncedBlock), never both. Both run inside one tick, and
+ * balances are written in the same transaction as the cursor they advance.
+ */
+class HolderIndexer {
+    constructor({ pollIntervalMs = HOLDER_POLL_INTERVAL_MS, blockWindow = HOLDER_BLOCK_WINDOW } = {}) {
+        this.pollIntervalMs = pollIntervalMs;
+        this.blockWindow = blockWindow;
+        this.timer = null;
+        this.isTicking = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.isTicking) return;
+        this.isTicking = true;
+
+        try {
+            const provider = getBaseProviderPool();
+            const safeHead = (await provider.getBlockNumber()) - (HOLDER_CONFIRMATIONS - 1);
+            let cursor = await getCursor(HOLDER_CURSOR);
+
+            if (cursor === null) {
+                // First run - every existing token catches up from its launch block instead
+                logger.detail('No holder cursor found, starting from block', safeHead);
+                await saveCursor(HOLDER_CURSOR, safeHead);
+                return;
+            }
+
+            const live = await prisma.deployment.findMany({
+                where: { holdersIndexedFrom: { not: null } },
+                select: { tokenAddress: true },
+            });
+            const liveAddresses = live.map(deployment => deployment.tokenAddress);
+
+            const toBlock = Math.min(safeHead, cursor + HOLDER_MAX_BLOCKS_PER_TICK);
+            for (let windowStart = cursor + 1; windowStart <= toBlock && this.timer; windowStart += this.blockWindow) {
+                const windowEnd = Math.min(windowStart + this.blockWindow - 1, toBlock);
+                await this.syncWindow(provider, windowStart, windowEnd, liveAddresses);
+                cursor = windowEnd;
+            }
+
+            await this.catchUp(provider, cursor);
+        } catch (error) {
+            logger.warn(`Holder sync failed: ${error.message}`);
+        } finally {
+            this.isTicking = false;
+        }
+    }
+
+    /**
+     * Applies one block range of transfers for caught-up tokens and advances the cursor with them
+     */
+    async syncWindow(provider, fromBlock, toBlock, tokenAddresses) {
+        const transfers = await this.getTransfers(provider, tokenAddresses, fromBlock, toBlock);
+        if (transfers.length === 0) {
+            await saveCursor(HOLDER_CURSOR, toBlock);
+            return;
+        }
+
+        const changes = toBalanceChanges(transfers);
+        const countedAt = await getBlockTime(provider, toBlock);
+        await prisma.$transaction(async (tx) => {
+            await applyBalanceChanges(tx, changes, countedAt);
+            await saveCursor(HOLDER_CURSOR, toBlock, tx);
+        }, TRANSACTION_OPTIONS);
+
+        logger.detail('👥 Holder balances updated', `${changes.size} token(s) in blocks ${fromBlock}-${toBlock}`);
+    }
+
+    /**
+     * Replays transfers for tokens that aren't caught up, oldest launch first, up to the cursor
+     * Covers tokens saved after the main loop passed their launch block, and every token on first run
+     */
+    async catchUp(provider, cursor) {
+        const pending = await prisma.deployment.findMany({
+            where: { holdersIndexedFrom: null },
+            orderBy: { blockNumber: 'asc' },
+            select: { tokenAddress: true, deployer: true, blockNumber: true, holdersSyncedBlock: true },
+        });
+
+        let budget = HOLDER_CATCH_UP_BLOCKS_PER_TICK;
+        for (const token of pending) {
+            const launchBlock = Number(token.blockNumber);
+            // The main loop hasn't reached this launch yet - nor any later one
+            if (launchBlock > cursor) return;
+
+            let windowStart = (token.holdersSyncedBlock !== null ? Number(token.holdersSyncedBlock) : launchBlock - 1) + 1;
+            while (windowStart <= cursor) {
+                if (budget <= 0 || !this.timer) return;
+
+                const windowEnd = Math.min(windowStart + this.blockWindow - 1, cursor);
+                const transfers = await this.getTransfers(provider, [token.tokenAddress], windowStart, windowEnd);
+                const countedAt = transfers.length > 0 ? await getBlockTime(provider, windowEnd) : null;
+                const data = { holdersSyncedBlock: BigInt(windowEnd) };
+                if (windowStart <= launchBlock && launchBlock <= windowEnd) {
+                    data.deployerLaunchBalance = getLaunchBalance(transfers, token.deployer, launchBlock).toString();
+                }
+                if (windowEnd === cursor) {
+                    data.holdersIndexedFrom = new Date();
+                }
+
+                await prisma.$transaction(async (tx) => {
+                    if (transfers.length > 0) {
+                        await applyBalanceChanges(tx, toBalanceChanges(transfers), countedAt);
+                    }
+                    await tx.deployment.update({ where: { tokenAddress: token.tokenAddress }, data });
+                }, TRANSACTION_OPTIONS);
+
+                budget -= windowEnd - windowStart + 1;
+                windowStart = windowEnd + 1;
+            }
+
+            logger.detail('👥 Holders caught up', token.tokenAddress);
+        }
+    }
+
+    async getTransfers(provider, tokenAddresses, fromBlock, toBlock) {
+        const transfers = [];
+        for (let i = 0; i < tokenAddresses.length; i += HOLDER_ADDRESS_BATCH) {
+            const logs = await provider.getLogs({
+                address: tokenAddresses.slice(i, i + HOLDER_ADDRESS_BATCH),
+                topics: [TRANSFER_TOPIC],
+                fromBlock,
+                toBlock,
+            });
+            transfers.push(...logs.filter(log => !log.removed).map(decodeTransfer).filter(Boolean));
+        }
+        return transfers;
+    }
+}
+
+async function getBlockTime(provider, blockNumber) {
+    const block = await provider.getBlock(blockNumber);
+    return new Date(Number(block.timestamp) * 1000);
+}
+
+/**
+ * Deployer's balance at the end of the launch block - the token didn't exist before it
+ */
+function getLaunchBalance(transfers, deployer, launchBlock) {
+    const launchTransfers = transfers.filter(transfer => transfer.blockNumber === launchBlock);
+    const changes = toBalanceChanges(launchTransfers);
+    return changes.get(launchTransfers[0]?.tokenAddress)?.get(deployer.toLowerCase()) ?? 0n;
+}
+
+/**
+ * Adds balance changes, drops emptied balances and records each token's holder count for the hour
+ */
+async function applyBalanceChanges(tx, changes, countedAt) {
+    const hour = new Date(Math.floor(countedAt.getTime() / HOUR_MS) * HOUR_MS);
+
+    for (const [tokenAddress, holders] of changes) {
+        for (const [holder, amount] of holders) {
+            await tx.$executeRaw`
+                INSERT INTO token_holders ("tokenAddress", holder, balance, "updatedAt")
+                VALUES (${tokenAddress}, ${holder}, ${amount.toString()}::numeric, NOW())
+                ON CONFLICT ("tokenAddress", holder)
+                DO UPDATE SET balance = token_holders.balance + EXCLUDED.balance, "updatedAt" = NOW()
+            `;
+        }
+        await tx.tokenHolder.deleteMany({ where: { tokenAddress, balance: 0 } });
+
+        const count = await tx.tokenHolder.count({ where: { tokenAddress, balance: { gt: 0 } } });
+        await tx.holderCount.upsert({
+            where: { tokenAddress_hour: { tokenAddress, hour } },
+            update: { holders: count },
+            create: { tokenAddress, hour, holders: count },
+        });
+    }
+}
+
+module.exports = HolderIndexer;
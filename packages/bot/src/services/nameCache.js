@@ -0,0 +1,149 @@
+const { ethers } = require('ethers');
+const { prisma } = require('../db/client');
+const logger = require('../utils/logger');
+const { resolveAddressName } = require('./nameResolver');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a found name is trusted before it's looked up again
+const NAME_TTL_MS = parseInt(process.env.NAME_TTL_MS || String(7 * DAY_MS), 10);
+// How long "no name" is trusted - names registered after launch show up within this
+const NAME_NEGATIVE_TTL_MS = parseInt(process.env.NAME_NEGATIVE_TTL_MS || String(DAY_MS), 10);
+// First retry after a lookup times out, doubled per consecutive timeout up to a day
+const NAME_RETRY_BASE_MS = parseInt(process.env.NAME_RETRY_BASE_MS || String(5 * 60 * 1000), 10);
+
+function toFarcasterProfile(cached) {
+    if (!cached?.farcasterFid || !cached.farcasterUsername) {
+        return null;
+    }
+    return {
+        fid: cached.farcasterFid,
+        username: cached.farcasterUsername,
+        displayName: cached.farcasterDisplayName,
+        pfpUrl: cached.farcasterPfpUrl,
+        followerCount: cached.farcasterFollowers ?? 0,
+    };
+}
+
+function toNameInfo(address, cached) {
+    const checksummedAddress = ethers.getAddress(address);
+    return {
+        basename: cached?.basename ?? null,
+        ens: cached?.ens ?? null,
+        farcaster: toFarcasterProfile(cached),
+        name: cached?.basename || cached?.ens || checksummedAddress,
+        address: checksummedAddress,
+    };
+}
+
+/**
+ * Stores a lookup in resolved_names and copies new names onto the address's deployments
+ * (Farcaster accounts stay in the cache - the API joins them onto deployments)
+ * A lookup that timed out keeps the names already cached, and deployments are only ever given
+ * names (not cleared), since RPC errors inside the resolvers also come back as "no name"
+ */
+async function saveResolution(address, info, cached) {
+    const now = Date.now();
+    const basename = info.basename ?? (info.timedOut ? cached?.basename ?? null : null);
+    const ens = info.ens ?? (info.timedOut ? cached?.ens ?? null : null);
+    const farcaster = info.farcaster ?? (info.timedOut ? toFarcasterProfile(cached) : null);
+    const failures = info.timedOut ? (cached?.failures ?? 0) + 1 : 0;
+    const ttl = info.timedOut
+        ? Math.min(NAME_RETRY_BASE_MS * 2 ** (failures - 1), DAY_MS)
+        : basename || ens || farcaster ? NAME_TTL_MS : NAME_NEGATIVE_TTL_MS;
+
+    const data = {
+        basename,
+        ens,
+        farcasterFid: farcaster?.fid ?? null,
+        farcasterUsername: farcaster?.username?.substring(0, 255) ?? null,
+        farcasterDisplayName: farcaster?.displayName?.substring(0, 255) ?? null,
+        farcasterPfpUrl: farcaster?.pfpUrl ?? null,
+        farcasterFollowers: farcaster?.followerCount ?? null,
+        failures,
+        expiresAt: new Date(now + ttl),
+        ...(info.timedOut ? {} : { resolvedAt: new Date(now) }),
+    };
+    const saved = await prisma.resolvedName.upsert({
+        where: { address },
+        create: { address, ...data },
+        update: data,
+    });
+
+    if ((basename && basename !== cached?.basename) || (ens && ens !== cached?.ens)) {
+        const names = {
+            ...(basename ? { deployerBasename: basename } : {}),
+            ...(ens ? { deployerENS: ens } : {}),
+        };
+        const { count } = await prisma.deployment.updateMany({
+            where: { deployer: { equals: address, mode: 'insensitive' } },
+            data: names,
+        });
+        if (count > 0) {
+            logger.detail('Deployer names updated', `${address} -> ${basename || ens} (${count} deployment(s))`);
+        }
+    }
+
+    return saved;
+}
+
+/**
+ * Basename, ENS and Farcaster account for an address, from resolved_names while the entry is fresh, otherwise
+ * looked up (and cached) - same shape as resolveAddressName
+ * @param {{ timeoutMs?: number, force?: boolean }} [options] - force skips the cache
+ */
+async function getAddressName(address, provider, { timeoutMs, force = false } = {}) {
+    const key = address.toLowerCase();
+    const cached = await prisma.resolvedName.findUnique({ where: { address: key } }).catch((error) => {
+        logger.warn(`Failed to read cached names for ${address}: ${error.message}`);
+        return null;
+    });
+    if (!force && cached?.resolvedAt && cached.expiresAt > new Date()) {
+        return { ...toNameInfo(key, cached), timedOut: false };
+    }
+
+    const info = await resolveAddressName(address, provider, { timeoutMs });
+    try {
+        const saved = await saveResolution(key, info, cached);
+        return { ...toNameInfo(key, saved), timedOut: info.timedOut };
+    } catch (error) {
+        // The lookup itself still counts - caching is best effort
+        logger.warn(`Failed to cache names for ${address}: ${error.message}`);
+        return info;
+    }
+}
+
+/**
+ * Cached Farcaster account for an address, without looking it up
+ * @returns {Promise<Object|null>} FarcasterProfile or null
+ */
+async function getCachedFarcasterProfile(address) {
+    const cached = await prisma.resolvedName.findUnique({ where: { address: address.toLowerCase() } });
+    return toFarcasterProfile(cached);
+}
+
+/**
+ * Expired entries, never-resolved ones (launch timeouts, addresses the API was asked about) first
+ */
+async function getStaleNames(limit) {
+    const now = new Date();
+    const unresolved = await prisma.resolvedName.findMany({
+        where: { resolvedAt: null, expiresAt: { lte: now } },
+        orderBy: { expiresAt: 'asc' },
+        take: limit,
+    });
+    if (unresolved.length >= limit) {
+        return unresolved;
+    }
+    const expired = await prisma.resolvedName.findMany({
+        where: { resolvedAt: { not: null }, expiresAt: { lte: now } },
+        orderBy: { expiresAt: 'asc' },
+        take: limit - unresolved.length,
+    });
+    return [...unresolved, ...expired];
+}
+
+module.exports = {
+    getAddressName,
+    getCachedFarcasterProfile,
+    getStaleNames,
+};
@@ -0,0 +1,56 @@
+const logger = require('../utils/logger');
+const { getBaseProviderPool } = require('./rpcPool');
+const { getAddressName, getStaleNames } = require('./nameCache');
+
+const NAME_REFRESH_INTERVAL_MS = parseInt(process.env.NAME_REFRESH_INTERVAL_MS || '60000', 10);
+// Lookups per tick - each is a handful of RPC calls, run one at a time
+const NAME_REFRESH_BATCH = parseInt(process.env.NAME_REFRESH_BATCH || '20', 10);
+// Off the deployment path there's no post waiting, so lookups get longer than the 2s launch timeout
+const NAME_REFRESH_TIMEOUT_MS = parseInt(process.env.NAME_REFRESH_TIMEOUT_MS || '10000', 10);
+
+/**
+ * Re-resolves expired resolved_names entries in the background: names that timed out at launch,
+ * names registered (or changed) after launch, and addresses the API was asked about.
+ * New names are copied onto the address's deployments as they're found.
+ */
+class NameRefresher {
+    constructor({ pollIntervalMs = NAME_REFRESH_INTERVAL_MS, batchSize = NAME_REFRESH_BATCH } = {}) {
+        this.pollIntervalMs = pollIntervalMs;
+        this.batchSize = batchSize;
+        this.timer = null;
+        this.isTicking = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.isTicking) return;
+        this.isTicking = true;
+
+        try {
+            const stale = await getStaleNames(this.batchSize);
+            const provider = getBaseProviderPool();
+            for (const entry of stale) {
+                if (!this.timer) break;
+                await getAddressName(entry.address, provider, { timeoutMs: NAME_REFRESH_TIMEOUT_MS, force: true });
+            }
+        } catch (error) {
+            logger.warn(`Name refresh failed: ${error.message}`);
+        } finally {
+            this.isTicking = false;
+        }
+    }
+}
+
+module.exports = NameRefresher;
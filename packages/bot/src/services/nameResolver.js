@@ -1,5 +1,7 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
+const { getMainnetProviderPool } = require('./rpcPool');
+const { lookupFarcasterProfile } = require('./farcaster');
 
 const { BASENAME_L2_RESOLVER, BASENAME_REVERSE_RESOLVER, BASENAME_REGISTRY, BASENAME_REVERSE_REGISTRAR, BASE_CHAIN_ID } = require('@feydar/shared/constants');
 
@@ -265,7 +267,7 @@ async function resolveBasename(address, provider) {
  * Resolves ENS name for an address
  * ENS resolution always starts from Ethereum Mainnet (L1)
  * @param {string} address - The address to resolve
- * @param {ethers.Provider} provider - Ethers provider instance (Base provider, we'll create mainnet)
+ * @param {ethers.Provider} provider - Ethers provider instance (Base provider, mainnet comes from the RPC pool)
  * @returns {Promise<string|null>} - The ENS name or null if not found
  */
 async function resolveENS(address, provider) {
@@ -274,15 +276,8 @@ async function resolveENS(address, provider) {
         
         let mainnetProvider;
         try {
-            if (process.env.ALCHEMY_API_KEY) {
-                const alchemyProvider = new ethers.JsonRpcProvider(
-                    `https://eth-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`
-                );
-                await alchemyProvider.getBlockNumber();
-                mainnetProvider = alchemyProvider;
-            } else {
-                mainnetProvider = new ethers.JsonRpcProvider('https://eth.llamarpc.com');
-            }
+            // Pooled mainnet endpoints (Alchemy with a public fallback by default)
+            mainnetProvider = getMainnetProviderPool();
         } catch (e) {
             if (process.env.NODE_ENV === 'development') {
                 logger.detail('Failed to create mainnet provider for ENS', e.message);
@@ -322,31 +317,63 @@ async function resolveENS(address, provider) {
     }
 }
 
+// Per lookup (basename, then ENS) - the deployment post waits on both
+const NAME_RESOLUTION_TIMEOUT_MS = 2000;
+const TIMED_OUT = Symbol('timed out');
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
- * Resolves address to names (basename and ENS separately)
+ * Resolves the Farcaster account an address is a verified address of
+ * A failed lookup comes back as timed out, so it's retried soon rather than cached as "no account"
+ * @param {string} address - The address to resolve
+ * @returns {Promise<Object|null|symbol>} - FarcasterProfile, null if there's none, or TIMED_OUT
+ */
+async function resolveFarcaster(address) {
+    try {
+        return await lookupFarcasterProfile(address);
+    } catch (error) {
+        logger.warn(`Farcaster lookup failed for ${address}: ${error.message}`);
+        return TIMED_OUT;
+    }
+}
+
+/**
+ * Resolves address to names (basename and ENS separately) and its Farcaster account
  * @param {string} address - The address to resolve
  * @param {ethers.Provider} provider - Ethers provider instance
- * @returns {Promise<{basename: string|null, ens: string|null, name: string, address: string}>} - Object with resolved names
+ * @param {{ timeoutMs?: number }} [options] - Time allowed for each lookup
+ * @returns {Promise<{basename: string|null, ens: string|null, farcaster: Object|null, name: string, address: string, timedOut: boolean}>} - Object with resolved names
+ *   (timedOut is set when any lookup ran out of time or failed, so a missing name may just not have been found yet)
  */
-async function resolveAddressName(address, provider) {
+async function resolveAddressName(address, provider, { timeoutMs = NAME_RESOLUTION_TIMEOUT_MS } = {}) {
     try {
         const checksummedAddress = ethers.getAddress(address);
         
-        const basenamePromise = resolveBasename(checksummedAddress, provider);
-        const basenameTimeout = new Promise((resolve) => setTimeout(() => resolve(null), 2000));
-        const basename = await Promise.race([basenamePromise, basenameTimeout]);
-        
-        const ensPromise = resolveENS(checksummedAddress, provider);
-        const ensTimeout = new Promise((resolve) => setTimeout(() => resolve(null), 2000));
-        const ens = await Promise.race([ensPromise, ensTimeout]);
+        // Farcaster is a separate API, so it runs alongside the on-chain lookups
+        const farcasterPromise = withTimeout(resolveFarcaster(checksummedAddress), timeoutMs);
+        const basename = await withTimeout(resolveBasename(checksummedAddress, provider), timeoutMs);
+        const ens = await withTimeout(resolveENS(checksummedAddress, provider), timeoutMs);
+        const farcaster = await farcasterPromise;
+        const timedOut = basename === TIMED_OUT || ens === TIMED_OUT || farcaster === TIMED_OUT;
         
-        const name = basename || ens || checksummedAddress;
+        const resolvedBasename = basename === TIMED_OUT ? null : basename;
+        const resolvedENS = ens === TIMED_OUT ? null : ens;
+        const name = resolvedBasename || resolvedENS || checksummedAddress;
         
         return {
-            basename: basename || null,
-            ens: ens || null,
+            basename: resolvedBasename || null,
+            ens: resolvedENS || null,
+            farcaster: farcaster === TIMED_OUT ? null : farcaster,
             name: name,
-            address: checksummedAddress
+            address: checksummedAddress,
+            timedOut
         };
     } catch (error) {
         logger.warn('Name resolution error', error.message);
@@ -355,15 +382,19 @@ async function resolveAddressName(address, provider) {
             return {
                 basename: null,
                 ens: null,
+                farcaster: null,
                 name: checksummedAddress,
-                address: checksummedAddress
+                address: checksummedAddress,
+                timedOut: false
             };
         } catch (e) {
             return {
                 basename: null,
                 ens: null,
+                farcaster: null,
                 name: address,
-                address: address
+                address: address,
+                timedOut: false
             };
         }
     }
@@ -0,0 +1,264 @@
+const { prisma } = require('../db/client');
+const logger = require('../utils/logger');
+
+// How often the worker looks for due jobs (enqueueing also wakes it straight away)
+const OUTBOX_POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '2000', 10);
+const OUTBOX_BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE || '10', 10);
+// Attempts before a job is moved to the dead-letter state
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '10', 10);
+// Retry delay doubles per attempt, starting here and capped at OUTBOX_BACKOFF_MAX_MS
+const OUTBOX_BACKOFF_BASE_MS = parseInt(process.env.OUTBOX_BACKOFF_BASE_MS || '5000', 10);
+const OUTBOX_BACKOFF_MAX_MS = parseInt(process.env.OUTBOX_BACKOFF_MAX_MS || '3600000', 10);
+// A job still "processing" after this long belonged to a worker that died - run it again
+const OUTBOX_LOCK_TIMEOUT_MS = parseInt(process.env.OUTBOX_LOCK_TIMEOUT_MS || '300000', 10);
+
+const JOB_TYPES = {
+    BROADCAST_DEPLOYMENT: 'broadcast_deployment',
+    BROADCAST_RETRACTION: 'broadcast_retraction',
+    BROADCAST_STATE_CHANGE: 'broadcast_state_change',
+    SEND_NOTIFICATIONS: 'send_notifications',
+    REFRESH_CONTRACT_DATA: 'refresh_contract_data',
+    SEND_DISCORD: 'send_discord',
+    SEND_TELEGRAM: 'send_telegram',
+    DISPATCH_WEBHOOKS: 'dispatch_webhooks',
+    MARKET_SNAPSHOT: 'market_snapshot',
+    UPDATE_DISCORD_EMBED: 'update_discord_embed',
+    SYNC_POOL_SWAPS: 'sync_pool_swaps',
+    DETECT_SNIPERS: 'detect_snipers',
+    SCORE_RISK: 'score_risk',
+    RETRY_TOKEN_CREATED_LOG: 'retry_token_created_log',
+};
+
+const JOB_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    DONE: 'done',
+    DEAD: 'dead',
+};
+
+// Started workers, so enqueueing code can wake them without holding a reference
+const activeWorkers = new Set();
+
+/**
+ * Adds a job to the outbox
+ * Pass the transaction client so the job is only written if the change it belongs to is
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload - JSON-serializable job data
+ */
+function enqueue(tx, type, payload, { runAt = new Date(), maxAttempts = OUTBOX_MAX_ATTEMPTS } = {}) {
+    return tx.outboxJob.create({
+        data: { type, payload, runAt, maxAttempts },
+    });
+}
+
+/**
+ * Runs due jobs in every started worker now rather than on the next poll
+ * Call after the transaction that enqueued them has committed
+ */
+function wakeOutbox() {
+    for (const worker of activeWorkers) {
+        worker.wake();
+    }
+}
+
+function getBackoffMs(attempts) {
+    return Math.min(OUTBOX_BACKOFF_BASE_MS * Math.pow(2, attempts - 1), OUTBOX_BACKOFF_MAX_MS);
+}
+
+/**
+ * Executes outbox jobs with retries, exponential backoff and a dead-letter state
+ *
+ * Delivery is at-least-once: a job is only marked done after its handler resolves, and
+ * jobs left "processing" by a crashed worker are picked up again after OUTBOX_LOCK_TIMEOUT_MS.
+ * Handlers must therefore be safe to run more than once.
+ */
+class OutboxWorker {
+    /**
+     * @param {Object<string, (payload: Object, job: Object) => Promise<void>>} handlers - Handler per job type
+     */
+    constructor(handlers, { pollIntervalMs = OUTBOX_POLL_INTERVAL_MS, batchSize = OUTBOX_BATCH_SIZE } = {}) {
+        this.handlers = handlers;
+        this.pollIntervalMs = pollIntervalMs;
+        this.batchSize = batchSize;
+        this.timer = null;
+        this.isTicking = false;
+        this.wakeRequested = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        activeWorkers.add(this);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        activeWorkers.delete(this);
+    }
+
+    wake() {
+        if (this.isTicking) {
+            // Run another pass as soon as the current one finishes
+            this.wakeRequested = true;
+            return;
+        }
+        setImmediate(() => this.tick());
+    }
+
+    async tick() {
+        if (this.isTicking) return;
+        this.isTicking = true;
+
+        try {
+            do {
+                this.wakeRequested = false;
+                const jobs = await this.claimJobs();
+                for (const job of jobs) {
+                    await this.runJob(job);
+                }
+                // A full batch means there may be more due jobs waiting
+                if (jobs.length === this.batchSize) {
+                    this.wakeRequested = true;
+                }
+            } while (this.wakeRequested && this.timer);
+        } catch (error) {
+            logger.warn(`Outbox poll failed: ${error.message}`);
+        } finally {
+            this.isTicking = false;
+        }
+    }
+
+    /**
+     * Claims due jobs (and stale ones from dead workers) for this worker
+     * Each claim is a conditional update, so two workers never run the same attempt
+     */
+    async claimJobs() {
+        const now = new Date();
+        const candidates = await prisma.outboxJob.findMany({
+            where: {
+                OR: [
+                    { status: JOB_STATUS.PENDING, runAt: { lte: now } },
+                    { status: JOB_STATUS.PROCESSING, lockedAt: { lt: new Date(now.getTime() - OUTBOX_LOCK_TIMEOUT_MS) } },
+                ],
+            },
+            orderBy: { id: 'asc' },
+            take: this.batchSize,
+        });
+
+        const claimed = [];
+        for (const job of candidates) {
+            const { count } = await prisma.outboxJob.updateMany({
+                where: { id: job.id, status: job.status, lockedAt: job.lockedAt },
+                data: { status: JOB_STATUS.PROCESSING, lockedAt: now, attempts: { increment: 1 } },
+            });
+            if (count === 1) {
+                claimed.push({ ...job, attempts: job.attempts + 1 });
+            }
+        }
+        return claimed;
+    }
+
+    async runJob(job) {
+        const handler = this.handlers[job.type];
+
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type "${job.type}"`);
+            }
+
+            await handler(job.payload, job);
+
+            await prisma.outboxJob.update({
+                where: { id: job.id },
+                data: { status: JOB_STATUS.DONE, completedAt: new Date(), lockedAt: null, lastError: null },
+            });
+            logger.detail(`✅ Outbox job #${job.id} (${job.type}) done`);
+        } catch (error) {
+            const isDead = !handler || job.attempts >= job.maxAttempts;
+            const retryInMs = getBackoffMs(job.attempts);
+
+            await prisma.outboxJob.update({
+                where: { id: job.id },
+                data: {
+                    status: isDead ? JOB_STATUS.DEAD : JOB_STATUS.PENDING,
+                    runAt: isDead ? undefined : new Date(Date.now() + retryInMs),
+                    lockedAt: null,
+                    lastError: error.message.substring(0, 2000),
+                },
+            });
+
+            if (isDead) {
+                logger.error(`Outbox job #${job.id} (${job.type}) moved to dead letters after ${job.attempts} attempt(s): ${error.message}`);
+            } else {
+                logger.warn(`Outbox job #${job.id} (${job.type}) failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(retryInMs / 1000)}s: ${error.message}`);
+            }
+        }
+    }
+}
+
+/**
+ * Job counts per status (and per type within each status)
+ */
+async function getJobCounts() {
+    const groups = await prisma.outboxJob.groupBy({
+        by: ['status', 'type'],
+        _count: { _all: true },
+    });
+
+    const counts = {};
+    for (const group of groups) {
+        counts[group.status] = counts[group.status] || { total: 0, byType: {} };
+        counts[group.status].total += group._count._all;
+        counts[group.status].byType[group.type] = group._count._all;
+    }
+    return counts;
+}
+
+async function listJobs({ status, type, limit = 20 } = {}) {
+    return prisma.outboxJob.findMany({
+        where: { status, type },
+        orderBy: { id: 'desc' },
+        take: limit,
+    });
+}
+
+/**
+ * Puts dead (or stuck) jobs back in the queue with a fresh set of attempts
+ * @param {number[]|null} ids - Specific job ids, or null for every dead job
+ * @returns {Promise<number>} Number of jobs requeued
+ */
+async function requeueJobs(ids = null) {
+    const { count } = await prisma.outboxJob.updateMany({
+        where: ids ? { id: { in: ids }, status: { not: JOB_STATUS.DONE } } : { status: JOB_STATUS.DEAD },
+        data: { status: JOB_STATUS.PENDING, attempts: 0, runAt: new Date(), lockedAt: null },
+    });
+    return count;
+}
+
+/**
+ * Deletes finished jobs older than the given age
+ * @returns {Promise<number>} Number of jobs deleted
+ */
+async function purgeDoneJobs(olderThanMs) {
+    const { count } = await prisma.outboxJob.deleteMany({
+        where: { status: JOB_STATUS.DONE, completedAt: { lt: new Date(Date.now() - olderThanMs) } },
+    });
+    return count;
+}
+
+module.exports = {
+    JOB_TYPES,
+    JOB_STATUS,
+    OutboxWorker,
+    enqueue,
+    wakeOutbox,
+    getJobCounts,
+    listJobs,
+    requeueJobs,
+    purgeDoneJobs
+};
@@ -0,0 +1,40 @@
+const { prisma } = require('../db/client');
+const { getRiskScore } = require('@feydar/shared/utils');
+
+/**
+ * Scores a stored deployment from its current data (see getRiskScore for the factors)
+ * @returns {Promise<{ score: number, factors: Object[] }|null>} Null if the deployment no longer exists
+ */
+async function scoreDeployment(tokenAddress) {
+    const deployment = await prisma.deployment.findUnique({
+        where: { tokenAddress },
+        select: {
+            deployer: true,
+            createdAt: true,
+            devBuyPercent: true,
+            creatorBps: true,
+            feyStakersBps: true,
+            currentAdmin: true,
+            isVerified: true,
+            tokenImage: true,
+            currentImageUrl: true,
+            metadata: true,
+            snipedPercent: true,
+        },
+    });
+    if (!deployment) return null;
+
+    // Launches before this one, so the score doesn't drift as the deployer launches more
+    const priorLaunches = await prisma.deployment.count({
+        where: {
+            deployer: { equals: deployment.deployer, mode: 'insensitive' },
+            createdAt: { lt: deployment.createdAt },
+        },
+    });
+
+    return getRiskScore({ ...deployment, priorLaunches });
+}
+
+module.exports = {
+    scoreDeployment
+};
@@ -0,0 +1,85 @@
+const { ProviderPool } = require('@feydar/shared/providerPool');
+const { BASE_CHAIN_ID } = require('@feydar/shared/constants');
+const logger = require('../utils/logger');
+
+// Singleton pools - endpoint health is only useful if it's shared by every caller
+let basePool = null;
+let mainnetPool = null;
+
+function parseUrlList(value) {
+    return (value || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Base mainnet RPC endpoints, healthiest-first routing is handled by the pool
+ * RPC_URLS takes precedence; otherwise RPC_HTTP_URL and/or Alchemy are used
+ */
+function getBaseRpcUrls() {
+    const urls = parseUrlList(process.env.RPC_URLS);
+    if (urls.length > 0) {
+        return urls;
+    }
+
+    if (process.env.RPC_HTTP_URL) {
+        urls.push(process.env.RPC_HTTP_URL);
+    }
+    if (process.env.ALCHEMY_API_KEY) {
+        urls.push(`https://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`);
+    }
+    return urls;
+}
+
+/**
+ * Ethereum mainnet RPC endpoints (ENS resolution)
+ * ETH_MAINNET_RPC_URLS takes precedence; otherwise Alchemy with a public fallback
+ */
+function getMainnetRpcUrls() {
+    const urls = parseUrlList(process.env.ETH_MAINNET_RPC_URLS);
+    if (urls.length > 0) {
+        return urls;
+    }
+
+    if (process.env.ALCHEMY_API_KEY) {
+        urls.push(`https://eth-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`);
+    }
+    urls.push('https://eth.llamarpc.com');
+    return urls;
+}
+
+/**
+ * Shared Base provider pool for all HTTP reads (contracts, receipts, blocks, names, backfill)
+ */
+function getBaseProviderPool() {
+    if (!basePool) {
+        const urls = getBaseRpcUrls();
+        if (urls.length === 0) {
+            throw new Error('No Base RPC endpoints configured (set RPC_URLS, RPC_HTTP_URL or ALCHEMY_API_KEY)');
+        }
+
+        basePool = new ProviderPool(urls, BASE_CHAIN_ID, {
+            timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10)
+        });
+        logger.detail('RPC pool', basePool.getStats().map(stats => stats.name).join(', '));
+    }
+    return basePool;
+}
+
+/**
+ * Shared Ethereum mainnet provider pool for ENS lookups
+ */
+function getMainnetProviderPool() {
+    if (!mainnetPool) {
+        mainnetPool = new ProviderPool(getMainnetRpcUrls(), 1, {
+            timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10)
+        });
+    }
+    return mainnetPool;
+}
+
+module.exports = {
+    getBaseProviderPool,
+    getMainnetProviderPool
+};
@@ -0,0 +1,93 @@
+const { prisma } = require('../db/client');
+const { getSupplyPercent } = require('@feydar/shared/utils');
+const { SWAP_CURSOR, getCursor } = require('./blockCursor');
+
+// Blocks after the launch block in which other wallets' buys count as sniping (0 = launch block only)
+const SNIPER_BLOCK_WINDOW = parseInt(process.env.SNIPER_BLOCK_WINDOW || '3', 10);
+
+/**
+ * Wallets other than the deployer that bought in the launch block or the SNIPER_BLOCK_WINDOW blocks after it
+ * Built from indexed swaps, so it throws until the swap indexer has covered the whole window
+ * @returns {Promise<{ snipers: Object[], sniperCount: number, snipedPercent: number }|null>} Null if the deployment no longer exists
+ */
+async function findSnipers(tokenAddress) {
+    const deployment = await prisma.deployment.findUnique({
+        where: { tokenAddress },
+        select: { deployer: true, msgSender: true, blockNumber: true, createdAt: true, swapsIndexedFrom: true },
+    });
+    if (!deployment) return null;
+
+    const launchBlock = Number(deployment.blockNumber);
+    const lastBlock = launchBlock + SNIPER_BLOCK_WINDOW;
+    const swapCursor = await getCursor(SWAP_CURSOR);
+    // swapsIndexedFrom is set once the launch blocks have been synced; the cursor covers the rest
+    if (!deployment.swapsIndexedFrom || swapCursor === null || swapCursor < lastBlock) {
+        throw new Error(`Swaps not indexed through block ${lastBlock} yet`);
+    }
+
+    // The dev buy is already shown separately
+    const insiders = [deployment.deployer, deployment.msgSender].filter(Boolean).map(address => address.toLowerCase());
+    const buys = await prisma.swap.findMany({
+        where: {
+            tokenAddress,
+            side: 'buy',
+            blockNumber: { lte: BigInt(lastBlock) },
+            trader: { notIn: insiders },
+        },
+        orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }],
+    });
+
+    const byWallet = new Map();
+    for (const buy of buys) {
+        const wallet = byWallet.get(buy.trader) || {
+            wallet: buy.trader,
+            blockOffset: Number(buy.blockNumber) - launchBlock,
+            tokenAmount: 0n,
+            pairedAmount: 0n,
+            buys: 0,
+        };
+        wallet.tokenAmount += BigInt(buy.tokenAmount);
+        wallet.pairedAmount += BigInt(buy.pairedAmount);
+        wallet.buys++;
+        byWallet.set(buy.trader, wallet);
+    }
+
+    // Repeat snipers are the ones to watch
+    const priorSnipes = byWallet.size > 0
+        ? await prisma.sniper.groupBy({
+            by: ['wallet'],
+            where: {
+                wallet: { in: [...byWallet.keys()] },
+                deployment: { createdAt: { lt: deployment.createdAt } },
+            },
+            _count: { _all: true },
+        })
+        : [];
+    const priorSnipesByWallet = new Map(priorSnipes.map(group => [group.wallet, group._count._all]));
+
+    let totalBought = 0n;
+    const snipers = [...byWallet.values()].map(wallet => {
+        totalBought += wallet.tokenAmount;
+        return {
+            tokenAddress,
+            wallet: wallet.wallet,
+            blockOffset: wallet.blockOffset,
+            tokenAmount: wallet.tokenAmount.toString(),
+            pairedAmount: wallet.pairedAmount.toString(),
+            supplyPercent: getSupplyPercent(wallet.tokenAmount) ?? 0,
+            buys: wallet.buys,
+            priorSnipes: priorSnipesByWallet.get(wallet.wallet) ?? 0,
+        };
+    });
+
+    return {
+        snipers,
+        sniperCount: snipers.length,
+        snipedPercent: getSupplyPercent(totalBought) ?? 0,
+    };
+}
+
+module.exports = {
+    SNIPER_BLOCK_WINDOW,
+    findSnipers
+};
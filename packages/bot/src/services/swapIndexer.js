@@ -0,0 +1,201 @@
+const { ethers } = require('ethers');
+const { prisma } = require('../db/client');
+const logger = require('../utils/logger');
+const { getBaseProviderPool } = require('./rpcPool');
+const { SWAP_CURSOR, getCursor, saveCursor } = require('./blockCursor');
+const { UNISWAP_V4_POOL_MANAGER, SWAP_TOPIC, decodeSwap, toTrade } = require('../contracts/decoders/swapDecoder');
+const { updateCandles } = require('./candles');
+
+const SWAP_POLL_INTERVAL_MS = parseInt(process.env.SWAP_POLL_INTERVAL_MS || '5000', 10);
+// Alchemy free tier limits eth_getLogs to 10 blocks per request
+const SWAP_BLOCK_WINDOW = parseInt(process.env.SWAP_BLOCK_WINDOW || '9', 10);
+// Only blocks this deep are indexed, so recorded swaps never have to be rolled back after a reorg
+const SWAP_CONFIRMATIONS = parseInt(process.env.SWAP_CONFIRMATIONS || process.env.CONFIRMATION_BLOCKS || '3', 10);
+// Caps each tick while catching up, so a long gap doesn't hog the RPC pool
+const SWAP_MAX_BLOCKS_PER_TICK = parseInt(process.env.SWAP_MAX_BLOCKS_PER_TICK || '450', 10);
+
+const erc20Abi = ['function decimals() view returns (uint8)'];
+
+// Paired token decimals never change, so they're read once per process
+const pairedDecimalsCache = new Map();
+
+/**
+ * Indexes trades on FEY tokens' Uniswap v4 pools from PoolManager Swap events into swaps
+ *
+ * Swap logs are pulled for the whole PoolManager and matched against stored poolIds, since a
+ * per-pool filter would grow with every launch. A new pool's first blocks can be passed before
+ * its deployment is saved, so each launch also queues a sync_pool_swaps job (see syncPool).
+ */
+class SwapIndexer {
+    constructor({ pollIntervalMs = SWAP_POLL_INTERVAL_MS, blockWindow = SWAP_BLOCK_WINDOW } = {}) {
+        this.pollIntervalMs = pollIntervalMs;
+        this.blockWindow = blockWindow;
+        this.timer = null;
+        this.isTicking = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.isTicking) return;
+        this.isTicking = true;
+
+        try {
+            const provider = getBaseProviderPool();
+            const safeHead = await this.getSafeHead(provider);
+            const cursor = await getCursor(SWAP_CURSOR);
+
+            if (cursor === null) {
+                // First run - earlier swaps were never indexed, so existing pools are only complete from now on
+                logger.detail('No swap cursor found, starting from block', safeHead);
+                await prisma.deployment.updateMany({
+                    where: { swapsIndexedFrom: null },
+                    data: { swapsIndexedFrom: new Date() },
+                });
+                await saveCursor(SWAP_CURSOR, safeHead);
+                return;
+            }
+
+            const toBlock = Math.min(safeHead, cursor + SWAP_MAX_BLOCKS_PER_TICK);
+            for (let windowStart = cursor + 1; windowStart <= toBlock && this.timer; windowStart += this.blockWindow) {
+                const windowEnd = Math.min(windowStart + this.blockWindow - 1, toBlock);
+                await this.syncWindow(provider, windowStart, windowEnd);
+                await saveCursor(SWAP_CURSOR, windowEnd);
+            }
+        } catch (error) {
+            logger.warn(`Swap sync failed: ${error.message}`);
+        } finally {
+            this.isTicking = false;
+        }
+    }
+
+    async getSafeHead(provider) {
+        return (await provider.getBlockNumber()) - (SWAP_CONFIRMATIONS - 1);
+    }
+
+    /**
+     * Indexes one pool from its launch block up to the safe head, then marks its swaps complete
+     * Covers blocks the main loop passed before the deployment was saved
+     */
+    async syncPool({ tokenAddress, poolId, fromBlock }) {
+        const deployment = await prisma.deployment.findUnique({
+            where: { tokenAddress },
+            select: { createdAt: true, swapsIndexedFrom: true },
+        });
+        if (!deployment || deployment.swapsIndexedFrom) return 0;
+
+        const provider = getBaseProviderPool();
+        const safeHead = await this.getSafeHead(provider);
+        let recorded = 0;
+        for (let windowStart = fromBlock; windowStart <= safeHead; windowStart += this.blockWindow) {
+            recorded += await this.syncWindow(provider, windowStart, Math.min(windowStart + this.blockWindow - 1, safeHead), poolId);
+        }
+
+        await prisma.deployment.updateMany({
+            where: { tokenAddress },
+            data: { swapsIndexedFrom: deployment.createdAt },
+        });
+        return recorded;
+    }
+
+    /**
+     * Records swaps on FEY pools in one block range
+     * @param {string|null} poolId - Only this pool, or every pool when null
+     * @returns {Promise<number>} Swaps recorded (already recorded ones are skipped)
+     */
+    async syncWindow(provider, fromBlock, toBlock, poolId = null) {
+        const logs = await provider.getLogs({
+            address: UNISWAP_V4_POOL_MANAGER,
+            topics: poolId ? [SWAP_TOPIC, poolId] : [SWAP_TOPIC],
+            fromBlock,
+            toBlock,
+        });
+        const swaps = logs
+            .filter(log => !log.removed)
+            .map(decodeSwap)
+            .filter(Boolean);
+        if (swaps.length === 0) return 0;
+
+        // Most v4 pools aren't FEY pools - only keep stored ones
+        const pools = await prisma.deployment.findMany({
+            where: { poolId: { in: [...new Set(swaps.map(swap => swap.poolId))] } },
+            select: { tokenAddress: true, poolId: true, pairedToken: true },
+        });
+        const poolsById = new Map(pools.map(pool => [pool.poolId.toLowerCase(), pool]));
+
+        const blockTimestamps = new Map();
+        const traders = new Map();
+        const rows = [];
+
+        for (const swap of swaps) {
+            const pool = poolsById.get(swap.poolId);
+            // Deployments saved before the paired token was stored need the data integrity script first
+            if (!pool?.pairedToken) continue;
+
+            const trade = toTrade(swap, {
+                tokenAddress: pool.tokenAddress,
+                pairedToken: pool.pairedToken,
+                pairedDecimals: await getPairedDecimals(provider, pool.pairedToken),
+            });
+            if (!trade) continue;
+
+            if (!blockTimestamps.has(swap.blockNumber)) {
+                const block = await provider.getBlock(swap.blockNumber);
+                blockTimestamps.set(swap.blockNumber, new Date(Number(block.timestamp) * 1000));
+            }
+            if (!traders.has(swap.transactionHash)) {
+                // The PoolManager only sees the router, so the trader is whoever sent the transaction
+                const transaction = await provider.getTransaction(swap.transactionHash);
+                traders.set(swap.transactionHash, transaction?.from ? transaction.from.toLowerCase() : swap.sender);
+            }
+
+            rows.push({
+                tokenAddress: pool.tokenAddress,
+                poolId: swap.poolId,
+                side: trade.side,
+                trader: traders.get(swap.transactionHash),
+                tokenAmount: trade.tokenAmount,
+                pairedAmount: trade.pairedAmount,
+                pairedValue: trade.pairedValue,
+                price: trade.price,
+                blockNumber: BigInt(swap.blockNumber),
+                blockHash: swap.blockHash,
+                transactionHash: swap.transactionHash,
+                logIndex: swap.logIndex,
+                swappedAt: blockTimestamps.get(swap.blockNumber),
+            });
+        }
+
+        if (rows.length === 0) return 0;
+
+        const { count } = await prisma.swap.createMany({ data: rows, skipDuplicates: true });
+        if (count > 0) {
+            logger.detail('💱 Swaps recorded', `${count} in blocks ${fromBlock}-${toBlock}`);
+        }
+
+        // Rebuilt even when every swap was already recorded, in case a failed pass saved swaps but not candles
+        await updateCandles(rows, new Map(pools.filter(pool => pool.pairedToken).map(pool => [pool.tokenAddress, pool.pairedToken.toLowerCase()])));
+        return count;
+    }
+}
+
+async function getPairedDecimals(provider, pairedToken) {
+    if (!pairedDecimalsCache.has(pairedToken)) {
+        const decimals = await new ethers.Contract(pairedToken, erc20Abi, provider).decimals();
+        pairedDecimalsCache.set(pairedToken, Number(decimals));
+    }
+    return pairedDecimalsCache.get(pairedToken);
+}
+
+module.exports = SwapIndexer;
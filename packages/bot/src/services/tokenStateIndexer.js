@@ -0,0 +1,219 @@
+const { ethers } = require('ethers');
+const { prisma } = require('../db/client');
+const logger = require('../utils/logger');
+const { getBaseProviderPool } = require('./rpcPool');
+const { TOKEN_STATE_CURSOR, getCursor, saveCursor } = require('./blockCursor');
+const { JOB_TYPES, enqueue, wakeOutbox } = require('./outbox');
+const { TOKEN_STATE_TOPICS, decodeTokenStateChange } = require('../contracts/decoders/tokenStateDecoder');
+const { queueDiscordEmbedUpdate, queueRiskScore } = require('../handlers/outboxHandlers');
+
+const TOKEN_STATE_POLL_INTERVAL_MS = parseInt(process.env.TOKEN_STATE_POLL_INTERVAL_MS || '15000', 10);
+// Alchemy free tier limits eth_getLogs to 10 blocks per request
+const TOKEN_STATE_BLOCK_WINDOW = parseInt(process.env.TOKEN_STATE_BLOCK_WINDOW || '9', 10);
+// Only blocks this deep are indexed, so recorded changes never have to be rolled back after a reorg
+const TOKEN_STATE_CONFIRMATIONS = parseInt(process.env.TOKEN_STATE_CONFIRMATIONS || process.env.CONFIRMATION_BLOCKS || '3', 10);
+// Caps each tick while catching up, so a long gap doesn't hog the RPC pool
+const TOKEN_STATE_MAX_BLOCKS_PER_TICK = parseInt(process.env.TOKEN_STATE_MAX_BLOCKS_PER_TICK || '450', 10);
+
+// Deployment column kept in sync with each field's latest value
+const DEPLOYMENT_COLUMNS = {
+    admin: 'currentAdmin',
+    image: 'currentImageUrl',
+    metadata: 'metadata',
+    verified: 'isVerified',
+};
+
+/**
+ * Indexes admin, image, metadata and verification changes emitted by FEY token contracts
+ * into token_state_changes, keeping the Deployment columns current
+ *
+ * Logs are pulled by topic from every contract and matched against stored deployments,
+ * since a per-address filter would grow with every launch. Each recorded change is pushed
+ * to WebSocket clients through the outbox.
+ */
+class TokenStateIndexer {
+    constructor({ pollIntervalMs = TOKEN_STATE_POLL_INTERVAL_MS, blockWindow = TOKEN_STATE_BLOCK_WINDOW } = {}) {
+        this.pollIntervalMs = pollIntervalMs;
+        this.blockWindow = blockWindow;
+        this.timer = null;
+        this.isTicking = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.isTicking) return;
+        this.isTicking = true;
+
+        try {
+            const provider = getBaseProviderPool();
+            const safeHead = (await provider.getBlockNumber()) - (TOKEN_STATE_CONFIRMATIONS - 1);
+            const cursor = await getCursor(TOKEN_STATE_CURSOR);
+
+            if (cursor === null) {
+                // First run - contract data for existing tokens comes from the refresh at deployment and the data integrity script
+                logger.detail('No token state cursor found, starting from block', safeHead);
+                await saveCursor(TOKEN_STATE_CURSOR, safeHead);
+                return;
+            }
+
+            const toBlock = Math.min(safeHead, cursor + TOKEN_STATE_MAX_BLOCKS_PER_TICK);
+            for (let windowStart = cursor + 1; windowStart <= toBlock && this.timer; windowStart += this.blockWindow) {
+                const windowEnd = Math.min(windowStart + this.blockWindow - 1, toBlock);
+                await this.syncWindow(provider, windowStart, windowEnd);
+                await saveCursor(TOKEN_STATE_CURSOR, windowEnd);
+            }
+        } catch (error) {
+            logger.warn(`Token state sync failed: ${error.message}`);
+        } finally {
+            this.isTicking = false;
+        }
+    }
+
+    /**
+     * Records state changes for FEY tokens in one block range
+     */
+    async syncWindow(provider, fromBlock, toBlock) {
+        const logs = await provider.getLogs({ topics: [TOKEN_STATE_TOPICS], fromBlock, toBlock });
+        const changes = logs
+            .filter(log => !log.removed)
+            .map(decodeTokenStateChange)
+            .filter(Boolean);
+        if (changes.length === 0) return;
+
+        // Other token factories emit the same events - only keep FEY tokens
+        const known = await prisma.deployment.findMany({
+            where: { tokenAddress: { in: [...new Set(changes.map(change => change.tokenAddress))] } },
+            select: { tokenAddress: true },
+        });
+        const knownAddresses = new Set(known.map(deployment => deployment.tokenAddress));
+
+        const blockTimestamps = new Map();
+        let recorded = 0;
+
+        for (const change of changes) {
+            if (!knownAddresses.has(change.tokenAddress)) continue;
+
+            if (!blockTimestamps.has(change.blockNumber)) {
+                const block = await provider.getBlock(change.blockNumber);
+                blockTimestamps.set(change.blockNumber, new Date(Number(block.timestamp) * 1000));
+            }
+
+            if (await this.recordChange({ ...change, changedAt: blockTimestamps.get(change.blockNumber) })) {
+                recorded++;
+            }
+        }
+
+        if (recorded > 0) {
+            logger.detail('🔁 Token state changes recorded', `${recorded} in blocks ${fromBlock}-${toBlock}`);
+            wakeOutbox();
+        }
+    }
+
+    /**
+     * Saves one change, updates the deployment and queues its broadcast
+     * @returns {Promise<boolean>} false if the change was already recorded
+     */
+    async recordChange(change) {
+        return prisma.$transaction(async (tx) => {
+            const existing = await tx.tokenStateChange.findUnique({
+                where: { transactionHash_logIndex: { transactionHash: change.transactionHash, logIndex: change.logIndex } },
+                select: { id: true },
+            });
+            if (existing) return false;
+
+            const oldValue = change.oldValue !== undefined ? change.oldValue : await getPreviousValue(tx, change);
+
+            const saved = await tx.tokenStateChange.create({
+                data: {
+                    tokenAddress: change.tokenAddress,
+                    field: change.field,
+                    oldValue,
+                    newValue: change.newValue,
+                    blockNumber: BigInt(change.blockNumber),
+                    blockHash: change.blockHash,
+                    transactionHash: change.transactionHash,
+                    logIndex: change.logIndex,
+                    changedAt: change.changedAt,
+                },
+            });
+
+            await tx.deployment.update({
+                where: { tokenAddress: change.tokenAddress },
+                data: { [DEPLOYMENT_COLUMNS[change.field]]: toColumnValue(change) },
+            });
+
+            await enqueue(tx, JOB_TYPES.BROADCAST_STATE_CHANGE, {
+                id: saved.id,
+                tokenAddress: saved.tokenAddress,
+                field: saved.field,
+                oldValue: saved.oldValue,
+                newValue: saved.newValue,
+                blockNumber: change.blockNumber,
+                transactionHash: saved.transactionHash,
+                logIndex: saved.logIndex,
+                changedAt: saved.changedAt.toISOString(),
+            });
+
+            // The Discord post shows the image and verified badge
+            if (change.field === 'image' || change.field === 'verified') {
+                await queueDiscordEmbedUpdate(tx, change.tokenAddress);
+            }
+            // Every indexed field is a risk input
+            await queueRiskScore(tx, change.tokenAddress);
+
+            logger.detail(`Token ${change.field} changed`, `${change.tokenAddress} (tx ${change.transactionHash})`);
+            return true;
+        });
+    }
+}
+
+/**
+ * Value a field had before this change: the last recorded change, otherwise the value from deployment
+ */
+async function getPreviousValue(tx, change) {
+    const previous = await tx.tokenStateChange.findFirst({
+        where: { tokenAddress: change.tokenAddress, field: change.field },
+        orderBy: [{ blockNumber: 'desc' }, { logIndex: 'desc' }],
+        select: { newValue: true },
+    });
+    if (previous) {
+        return previous.newValue;
+    }
+
+    if (change.field === 'verified') {
+        return 'false';
+    }
+
+    const deployment = await tx.deployment.findUnique({
+        where: { tokenAddress: change.tokenAddress },
+        select: { tokenImage: true, metadata: true },
+    });
+    // Image is the one from the TokenCreated event; metadata was read right after launch
+    return change.field === 'image' ? deployment.tokenImage : deployment.metadata;
+}
+
+function toColumnValue(change) {
+    switch (change.field) {
+        case 'admin':
+            // Stored checksummed, like fetchTokenContractData
+            return ethers.getAddress(change.newValue);
+        case 'verified':
+            return change.newValue === 'true';
+        default:
+            return change.newValue;
+    }
+}
+
+module.exports = TokenStateIndexer;
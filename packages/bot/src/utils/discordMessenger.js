@@ -1,7 +1,9 @@
-const { EmbedBuilder } = require('discord.js');
+const { EmbedBuilder, REST, Routes, RESTJSONErrorCodes } = require('discord.js');
 const { handleError } = require('../handlers/errorHandler');
 const logger = require('./logger');
-const { createTradeLinks } = require('@feydar/shared/constants');
+const { createTradeLinks, createFarcasterProfileLink } = require('@feydar/shared/constants');
+const { formatCompactNumber, getRiskLevel, parseTokenMetadata } = require('@feydar/shared/utils');
+const { getTokenImageUrl } = require('../services/apiClient');
 
 /**
  * Formats a percentage value with up to 3 decimal places, removing trailing zeros
@@ -22,13 +24,18 @@ function formatPercentage(percentage) {
 }
 
 /**
- * Formats deployer address with all available names (basename, ENS, hex) and explorer links
+ * Formats deployer address with all available names (Farcaster, basename, ENS, hex) and explorer links
  */
-function formatDeployerField(address, basename, ens) {
+function formatDeployerField(address, basename, ens, farcaster) {
     try {
         const checksummedAddress = require('ethers').getAddress(address);
         const lines = [];
         
+        if (farcaster) {
+            const displayName = farcaster.displayName ? ` ${farcaster.displayName}` : '';
+            lines.push(`**[@${farcaster.username}](${createFarcasterProfileLink(farcaster.username)})**${displayName} · ${formatCompactNumber(farcaster.followerCount)} followers`);
+        }
+        
         if (basename && basename.toLowerCase() !== address.toLowerCase()) {
             lines.push(`**${basename}.base.eth**`);
         }
@@ -81,7 +88,7 @@ function createTokenEmbedFields(tokenData) {
             value: `${tokenData.tokenAddress}\n${explorerLinksRow}`, 
             inline: false 
         },
-        { name: 'Deployer', value: formatDeployerField(tokenData.deployer, tokenData.deployerBasename, tokenData.deployerENS), inline: false }
+        { name: 'Deployer', value: formatDeployerField(tokenData.deployer, tokenData.deployerBasename, tokenData.deployerENS, tokenData.deployerFarcaster), inline: false }
     ];
 
     // Always show Initial Purchase field (will show 0% if no purchase was made)
@@ -114,31 +121,262 @@ function createTokenEmbedFields(tokenData) {
     return fields;
 }
 
+const DEPLOYMENT_EMBED_TITLE = '🚀 New FEY Token Deployed';
+
 /**
- * Sends Discord message for new token deployment
+ * Builds the token embed used for deployment posts and slash command replies
+ */
+function createTokenEmbed(tokenData, title = DEPLOYMENT_EMBED_TITLE) {
+    const embed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle(title)
+        .addFields(createTokenEmbedFields(tokenData))
+        .setTimestamp();
+
+    const imageUrl = getTokenImageUrl(tokenData.tokenAddress, tokenData.tokenImage);
+    if (imageUrl) {
+        embed.setImage(imageUrl);
+    }
+
+    return embed;
+}
+
+/**
+ * Formats a USD amount compactly (e.g., "$1.2M", "$0.00001234")
+ */
+function formatUsd(value) {
+    if (value === null || value === undefined || isNaN(value)) {
+        return 'N/A';
+    }
+    if (value >= 1) {
+        return `$${new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 2 }).format(value)}`;
+    }
+    return `$${Number(value.toPrecision(4))}`;
+}
+
+function formatChange(change) {
+    if (change === null || change === undefined || isNaN(change)) {
+        return 'N/A';
+    }
+    return `${change >= 0 ? '🟢 +' : '🔴 '}${change.toFixed(2)}%`;
+}
+
+/**
+ * Creates embed fields for live market data from the API's price endpoint
+ */
+function createMarketDataFields(priceData) {
+    if (!priceData || priceData.price === null || priceData.price === undefined) {
+        return [{ name: 'Market', value: 'No market data yet', inline: false }];
+    }
+
+    return [
+        { name: 'Price', value: formatUsd(priceData.price), inline: true },
+        { name: 'Market Cap', value: formatUsd(priceData.marketCap), inline: true },
+        { name: 'Liquidity', value: formatUsd(priceData.liquidity), inline: true },
+        { name: '1h', value: formatChange(priceData.priceChange1h), inline: true },
+        { name: '24h', value: formatChange(priceData.priceChange24h), inline: true },
+        { name: 'Volume 24h', value: formatUsd(priceData.volume24h), inline: true }
+    ];
+}
+
+/**
+ * Builds an embed listing deployments, one line each, newest first
+ */
+function createDeploymentListEmbed(title, deployments, description = null) {
+    const lines = deployments.map((deployment) => {
+        const deployedAt = Math.floor(new Date(deployment.createdAt).getTime() / 1000);
+        const deployerName = deployment.deployerBasename
+            ? `${deployment.deployerBasename}.base.eth`
+            : deployment.deployerENS || `${deployment.deployer.slice(0, 6)}...${deployment.deployer.slice(-4)}`;
+        return `**[${deployment.name} ($${deployment.symbol})](https://basescan.org/token/${deployment.tokenAddress})** <t:${deployedAt}:R>\n\`${deployment.tokenAddress}\` by ${deployerName}`;
+    });
+
+    const body = [description, lines.join('\n\n')].filter(Boolean).join('\n\n');
+
+    return new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle(title)
+        // Embed descriptions are capped at 4096 characters
+        .setDescription(body.substring(0, 4096) || 'No deployments found')
+        .setTimestamp();
+}
+
+/**
+ * Maps a stored deployment to the fields createTokenEmbedFields expects
+ */
+function deploymentToTokenData(deployment) {
+    return {
+        tokenAddress: deployment.tokenAddress,
+        name: deployment.name,
+        symbol: deployment.symbol,
+        deployer: deployment.deployer,
+        deployerBasename: deployment.deployerBasename,
+        deployerENS: deployment.deployerENS,
+        transactionHash: deployment.transactionHash,
+        tokenImage: deployment.currentImageUrl || deployment.tokenImage,
+        feeSplit: deployment.creatorBps !== null && deployment.feyStakersBps !== null
+            ? { creatorBps: deployment.creatorBps, feyStakersBps: deployment.feyStakersBps }
+            : null
+    };
+}
+
+/**
+ * Formats the token's onchain metadata (description and social links) for an embed field
+ * @returns {string|null} - null when there is nothing readable to show
+ */
+function formatMetadataField(metadata) {
+    const parsed = parseTokenMetadata(metadata, null);
+
+    const lines = [];
+    if (parsed.description) {
+        lines.push(parsed.description.substring(0, 700));
+    }
+
+    const links = [
+        ['Website', parsed.website],
+        ['X', parsed.x],
+        ['Farcaster', parsed.farcaster],
+        ['Telegram', parsed.telegram],
+        ...parsed.otherLinks.map(link => [link.label, link.url]),
+    ]
+        .filter(([, url]) => url)
+        .map(([label, url]) => `**[${label}](${url})**`);
+    if (links.length > 0) {
+        lines.push(links.join(' | '));
+    }
+
+    return lines.length > 0 ? lines.join('\n').substring(0, 1024) : null;
+}
+
+/**
+ * Replaces the field with the same name, or appends it
+ */
+function upsertEmbedField(embed, field) {
+    const fields = embed.data.fields || [];
+    const index = fields.findIndex(existing => existing.name === field.name);
+    if (index === -1) {
+        embed.addFields(field);
+    } else {
+        embed.spliceFields(index, 1, field);
+    }
+}
+
+let restClient = null;
+
+// Edits go through the REST client rather than the gateway client so they keep working while it reconnects
+function getRestClient() {
+    if (!restClient) {
+        restClient = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+    }
+    return restClient;
+}
+
+/**
+ * Launch sniping summary, e.g. "Sniped: 12.5% of supply by 4 wallets (1 repeat sniper)"
+ */
+function formatSnipersField(deployment) {
+    if (deployment.sniperCount === 0) {
+        return 'No other wallets bought at launch';
+    }
+
+    const wallets = deployment.sniperCount === 1 ? 'wallet' : 'wallets';
+    const repeat = (deployment.snipers || []).filter(sniper => sniper.priorSnipes > 0).length;
+    const repeatNote = repeat > 0 ? ` (${repeat} repeat sniper${repeat === 1 ? '' : 's'})` : '';
+    return `🎯 Sniped: ${formatPercentage(deployment.snipedPercent ?? 0)} of supply by ${deployment.sniperCount} ${wallets}${repeatNote}`;
+}
+
+const RISK_BADGES = { low: '🟢 Low risk', medium: '🟠 Medium risk', high: '🔴 High risk' };
+
+/**
+ * Risk score with the factors that added to it, e.g. "🟠 Medium risk (33/100)\nDev buy +15 · Snipers +12 · Deployer history +5"
+ */
+function formatRiskField(deployment) {
+    const contributing = (deployment.riskFactors || [])
+        .filter(factor => factor.points > 0)
+        .sort((a, b) => b.points - a.points)
+        .map(factor => `${factor.label} +${factor.points}`);
+    const badge = `${RISK_BADGES[getRiskLevel(deployment.riskScore)]} (${deployment.riskScore}/100)`;
+    return contributing.length > 0 ? `${badge}\n${contributing.join(' · ')}` : badge;
+}
+
+/**
+ * Edits a posted deployment embed with data that arrived after it was sent
+ * Fields already on the post (e.g., Initial Purchase) are kept; enrichment fields are replaced by name
+ * @param {Object} deployment - Stored deployment with discordChannelId, discordMessageId and marketSnapshots
+ * @returns {Promise<boolean>} - false if the post no longer exists
  */
-async function sendTokenDeploymentMessage(tokenData, discord) {
+async function updateTokenDeploymentMessage(deployment) {
+    const rest = getRestClient();
+    const route = Routes.channelMessage(deployment.discordChannelId, deployment.discordMessageId);
+
+    let message;
     try {
-        const channel = await discord.channels.fetch(process.env.DISCORD_CHANNEL_ID);
-        if (!channel) {
-            throw new Error('Discord channel not found');
+        message = await rest.get(route);
+    } catch (error) {
+        if (error.code === RESTJSONErrorCodes.UnknownMessage || error.code === RESTJSONErrorCodes.UnknownChannel) {
+            return false;
         }
+        throw error;
+    }
 
-        const embed = new EmbedBuilder()
-            .setColor('#0099ff')
-            .setTitle('🚀 New FEY Token Deployed')
-            .addFields(createTokenEmbedFields(tokenData))
-            .setTimestamp();
-
-        if (tokenData.tokenImage && tokenData.tokenImage.trim() !== '') {
-            let imageUrl = tokenData.tokenImage;
-            if (imageUrl.startsWith('ipfs://')) {
-                imageUrl = imageUrl.replace('ipfs://', 'https://ipfs.io/ipfs/');
-            }
-            embed.setImage(imageUrl);
-        }
+    if (!message.embeds || message.embeds.length === 0) {
+        return false;
+    }
+
+    const embed = EmbedBuilder.from(message.embeds[0]);
+
+    if (deployment.isVerified) {
+        embed.setTitle(`${DEPLOYMENT_EMBED_TITLE} ✅`);
+        upsertEmbedField(embed, { name: 'Verified', value: '✅ Verified by FEY', inline: false });
+    }
+
+    const imageUrl = getTokenImageUrl(deployment.tokenAddress, deployment.currentImageUrl);
+    if (imageUrl) {
+        embed.setImage(imageUrl);
+    }
+
+    const about = formatMetadataField(deployment.metadata);
+    if (about) {
+        upsertEmbedField(embed, { name: 'About', value: about, inline: false });
+    }
+
+    if (deployment.sniperCount !== null && deployment.sniperCount !== undefined) {
+        upsertEmbedField(embed, { name: 'Snipers', value: formatSnipersField(deployment), inline: false });
+    }
+
+    if (deployment.riskScore !== null && deployment.riskScore !== undefined) {
+        upsertEmbedField(embed, { name: 'Risk', value: formatRiskField(deployment), inline: false });
+    }
 
-        await channel.send({ embeds: [embed] });
+    for (const snapshot of deployment.marketSnapshots || []) {
+        upsertEmbedField(embed, {
+            name: `Market +${snapshot.label}`,
+            value: snapshot.price === null
+                ? 'No market data yet'
+                : `MC ${formatUsd(snapshot.marketCap)} | Liq ${formatUsd(snapshot.liquidity)} | Vol ${formatUsd(snapshot.volume24h)}`,
+            inline: true
+        });
+    }
+
+    await rest.patch(route, { body: { embeds: [embed.toJSON()] } });
+    return true;
+}
+
+/**
+ * Sends Discord message for new token deployment
+ * The nonce comes from the token address and Discord enforces it, so a retry of a send whose
+ * response was lost returns the existing post instead of creating another (for a few minutes)
+ * @returns {Promise<{ id: string, channel_id: string }>} - The posted message, so it can be edited later
+ */
+async function sendTokenDeploymentMessage(tokenData) {
+    try {
+        return await getRestClient().post(Routes.channelMessages(process.env.DISCORD_CHANNEL_ID), {
+            body: {
+                embeds: [createTokenEmbed(tokenData).toJSON()],
+                nonce: tokenData.tokenAddress.slice(-25),
+                enforce_nonce: true,
+            },
+        });
     } catch (error) {
         handleError(error, 'Discord Message');
         throw error;
@@ -146,6 +384,10 @@ async function sendTokenDeploymentMessage(tokenData, discord) {
 }
 
 module.exports = { 
-    sendTokenDeploymentMessage
+    sendTokenDeploymentMessage,
+    updateTokenDeploymentMessage,
+    createTokenEmbed,
+    createMarketDataFields,
+    createDeploymentListEmbed,
+    deploymentToTokenData
 };
-
@@ -0,0 +1,172 @@
+const logger = require('./logger');
+const { createTradeLinks, createExplorerLinks, createAddressLink, createFarcasterProfileLink } = require('@feydar/shared/constants');
+const { formatIPFSUrl, formatFeeBps, formatCompactNumber } = require('@feydar/shared/utils');
+
+// Telegram caps photo captions at 1024 characters (messages at 4096)
+const MAX_CAPTION_LENGTH = 1024;
+
+/**
+ * Telegram chats to post deployments to (TELEGRAM_CHAT_IDS, comma-separated)
+ * Empty unless TELEGRAM_BOT_TOKEN is also set
+ */
+function getTelegramChatIds() {
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+        return [];
+    }
+    return (process.env.TELEGRAM_CHAT_IDS || '')
+        .split(',')
+        .map(chatId => chatId.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Escapes text for Telegram MarkdownV2
+ */
+function escapeMarkdownV2(text) {
+    return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+/**
+ * Escapes a URL for the (...) part of a MarkdownV2 link
+ */
+function escapeMarkdownV2Url(url) {
+    return String(url).replace(/[)\\]/g, '\\$&');
+}
+
+/**
+ * Escapes text for a MarkdownV2 `code` span
+ */
+function escapeMarkdownV2Code(text) {
+    return String(text).replace(/[`\\]/g, '\\$&');
+}
+
+function link(text, url) {
+    return `[${escapeMarkdownV2(text)}](${escapeMarkdownV2Url(url)})`;
+}
+
+/**
+ * Builds the MarkdownV2 message body for a token deployment
+ * Uses the same data as the Discord embed (names, dev buy, fee split, links)
+ */
+function formatTokenDeploymentMessage(tokenData) {
+    const explorerLinks = createExplorerLinks(tokenData.tokenAddress, tokenData.transactionHash);
+    const lines = [
+        '🚀 *New FEY Token Deployed*',
+        '',
+        `*${escapeMarkdownV2(tokenData.name.substring(0, 100))}* \\(${escapeMarkdownV2(tokenData.symbol.substring(0, 32))}\\)`,
+        `\`${escapeMarkdownV2Code(tokenData.tokenAddress)}\``,
+        '',
+    ];
+
+    const deployerNames = [];
+    if (tokenData.deployerBasename) deployerNames.push(`${tokenData.deployerBasename}.base.eth`);
+    if (tokenData.deployerENS) deployerNames.push(tokenData.deployerENS);
+    lines.push(`*Deployer:* ${deployerNames.length > 0 ? escapeMarkdownV2(deployerNames.join(' / ')) + ' ' : ''}${link('Basescan', createAddressLink(tokenData.deployer))}`);
+    lines.push(`\`${escapeMarkdownV2Code(tokenData.deployer)}\``);
+    if (tokenData.deployerFarcaster) {
+        const { username, followerCount } = tokenData.deployerFarcaster;
+        lines.push(`*Farcaster:* ${link(`@${username}`, createFarcasterProfileLink(username))} ${escapeMarkdownV2(`· ${formatCompactNumber(followerCount)} followers`)}`);
+    }
+
+    if (tokenData.initialPurchase) {
+        lines.push(`*Initial Purchase:* ${escapeMarkdownV2(tokenData.initialPurchase)}`);
+    }
+
+    if (tokenData.feeSplit && tokenData.feeSplit.creatorBps !== undefined && tokenData.feeSplit.feyStakersBps !== undefined) {
+        lines.push(`*Fee Split:* ${escapeMarkdownV2(`Creator ${formatFeeBps(tokenData.feeSplit.creatorBps)} | FEY Stakers ${formatFeeBps(tokenData.feeSplit.feyStakersBps)}`)}`);
+    }
+
+    lines.push('');
+    lines.push([
+        link('Basescan', explorerLinks.basescan),
+        link('Dexscreener', explorerLinks.dexscreener),
+        link('Defined', explorerLinks.defined),
+        link('GeckoTerminal', explorerLinks.geckoterminal),
+    ].join(' \\| '));
+
+    if (explorerLinks.transaction) {
+        lines.push(link('View transaction', explorerLinks.transaction));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Trade buttons shown under the message
+ */
+function createTradeKeyboard(tokenAddress) {
+    const tradeLinks = createTradeLinks(tokenAddress);
+    return {
+        inline_keyboard: [[
+            { text: 'FEY', url: tradeLinks.fey },
+            { text: 'Matcha', url: tradeLinks.matcha },
+            { text: 'Uniswap', url: tradeLinks.uniswap },
+        ]],
+    };
+}
+
+/**
+ * Calls a Telegram Bot API method
+ * Throws on any failure (including 429s) so the outbox retries the send
+ */
+async function callTelegram(method, body) {
+    const response = await fetch(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        // The outbox runs one job at a time - a stalled connection would hold up every job behind it.
+        // Longer than the API calls since sendPhoto waits for Telegram to download the image
+        signal: AbortSignal.timeout(30000),
+    });
+    const result = await response.json().catch(() => null);
+
+    if (!response.ok || !result?.ok) {
+        const error = new Error(`Telegram ${method} failed: HTTP ${response.status}${result?.description ? ` - ${result.description}` : ''}`);
+        error.status = response.status;
+        throw error;
+    }
+    return result.result;
+}
+
+/**
+ * Posts a token deployment to a Telegram chat
+ * Sent as a photo with caption when the token has an image, otherwise as a text message
+ * @returns {Promise<Object>} - The sent Telegram message
+ */
+async function sendTelegramDeploymentMessage(tokenData, chatId) {
+    const text = formatTokenDeploymentMessage(tokenData);
+    const replyMarkup = createTradeKeyboard(tokenData.tokenAddress);
+
+    if (tokenData.tokenImage && tokenData.tokenImage.trim() !== '' && text.length <= MAX_CAPTION_LENGTH) {
+        try {
+            return await callTelegram('sendPhoto', {
+                chat_id: chatId,
+                photo: formatIPFSUrl(tokenData.tokenImage),
+                caption: text,
+                parse_mode: 'MarkdownV2',
+                reply_markup: replyMarkup,
+            });
+        } catch (error) {
+            // 400 means Telegram couldn't use the image (unreachable, wrong type, too large) - send without it
+            if (error.status !== 400) {
+                throw error;
+            }
+            logger.warn(`Telegram rejected image for ${tokenData.tokenAddress}, sending text only: ${error.message}`);
+        }
+    }
+
+    return callTelegram('sendMessage', {
+        chat_id: chatId,
+        text,
+        parse_mode: 'MarkdownV2',
+        link_preview_options: { is_disabled: true },
+        reply_markup: replyMarkup,
+    });
+}
+
+module.exports = {
+    getTelegramChatIds,
+    escapeMarkdownV2,
+    formatTokenDeploymentMessage,
+    sendTelegramDeploymentMessage
+};
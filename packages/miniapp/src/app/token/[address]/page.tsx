@@ -4,6 +4,7 @@ import { useQuery } from '@tanstack/react-query';
 import { fetchDeploymentByAddress, getAdjacentTokens } from '@/lib/api';
 import { DeploymentCard } from '@/components/DeploymentCard';
 import { BuyButtonRef } from '@/components/BuyButton';
+import { PriceChart } from '@/components/PriceChart';
 import { useParams, useRouter, useSearchParams } from 'next/navigation';
 import { Button } from '@/components/ui/button';
 import { ArrowLeft, ChevronLeft, ChevronRight } from 'lucide-react';
@@ -160,6 +161,10 @@ export default function TokenPage() {
       </div>
 
       <DeploymentCard ref={buyButtonRef} deployment={data} priority />
+
+      <div className="mt-6">
+        <PriceChart tokenAddress={data.tokenAddress} deployedAt={data.createdAt} />
+      </div>
     </div>
   );
 }
@@ -0,0 +1,52 @@
+'use client';
+
+import { FarcasterProfile } from '@feydar/shared/types';
+import { formatCompactNumber } from '@feydar/shared/utils';
+import { createFarcasterProfileLink } from '@feydar/shared/constants';
+import { sdk } from '@farcaster/miniapp-sdk';
+import Image from 'next/image';
+import { getFarcasterPfpUrl } from '@/lib/api';
+
+interface FarcasterAccountProps {
+  profile: FarcasterProfile;
+}
+
+/**
+ * Opens the profile in the Farcaster client, or on farcaster.xyz outside of one
+ */
+async function openProfile(profile: FarcasterProfile) {
+  try {
+    if (typeof sdk !== 'undefined' && sdk.actions?.viewProfile) {
+      await sdk.actions.viewProfile({ fid: profile.fid });
+      return;
+    }
+  } catch (error) {
+    console.error('Error opening profile in Farcaster client:', error);
+  }
+  if (typeof window !== 'undefined') {
+    window.open(createFarcasterProfileLink(profile.username), '_blank', 'noopener,noreferrer');
+  }
+}
+
+/**
+ * Deployer's Farcaster account - picture, username, display name and followers, opening the profile
+ */
+export function FarcasterAccount({ profile }: FarcasterAccountProps) {
+  const pfpUrl = getFarcasterPfpUrl(profile, 20);
+
+  return (
+    <button
+      onClick={() => openProfile(profile)}
+      className="flex items-center gap-1.5 text-xs text-left hover:underline"
+    >
+      {pfpUrl && (
+        <Image src={pfpUrl} alt="" width={20} height={20} className="h-5 w-5 rounded-full object-cover" unoptimized />
+      )}
+      <span className="text-primary font-medium">@{profile.username}</span>
+      {profile.displayName && profile.displayName !== profile.username && (
+        <span className="text-muted-foreground truncate max-w-[8rem]">{profile.displayName}</span>
+      )}
+      <span className="text-muted-foreground whitespace-nowrap">· {formatCompactNumber(profile.followerCount)} followers</span>
+    </button>
+  );
+}
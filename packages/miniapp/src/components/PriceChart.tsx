@@ -0,0 +1,274 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useTheme } from 'next-themes';
+import {
+  createChart,
+  createSeriesMarkers,
+  CandlestickSeries,
+  HistogramSeries,
+  LineSeries,
+  IChartApi,
+  ISeriesApi,
+  ISeriesMarkersPluginApi,
+  SeriesType,
+  Time,
+  UTCTimestamp,
+} from 'lightweight-charts';
+import { Candle, CandleInterval } from '@feydar/shared/types';
+import { CANDLE_INTERVALS } from '@feydar/shared/constants';
+import { fetchCandles } from '@/lib/price';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+
+interface PriceChartProps {
+  tokenAddress: string;
+  deployedAt: Date | string;
+}
+
+type ChartStyle = 'candles' | 'line';
+type Quote = 'usd' | 'fey';
+
+const INTERVALS = Object.keys(CANDLE_INTERVALS) as CandleInterval[];
+
+// Candles are rebuilt as the bot indexes swaps, a few blocks behind the chain head
+const REFRESH_INTERVAL_MS = 15 * 1000;
+
+// Concrete colours for the canvas - matches the theme's muted, border, primary and destructive
+const THEME_COLORS = {
+  light: { text: '#737373', grid: '#e5e5e5', up: '#3EA34B', down: '#EF4444' },
+  dark: { text: '#a6a6a6', grid: '#333333', up: '#4FC65F', down: '#CF3030' },
+};
+
+/**
+ * Four significant digits without exponent notation - FEY token prices are often below $0.000001
+ */
+function formatChartPrice(value: number): string {
+  if (value === 0 || !isFinite(value)) return '0';
+  const decimals = Math.min(20, Math.max(2, 3 - Math.floor(Math.log10(Math.abs(value)))));
+  return value.toFixed(decimals);
+}
+
+function formatQuote(value: number, quote: Quote): string {
+  return quote === 'usd' ? `$${formatChartPrice(value)}` : `${formatChartPrice(value)} FEY`;
+}
+
+export function PriceChart({ tokenAddress, deployedAt }: PriceChartProps) {
+  const { resolvedTheme } = useTheme();
+  const [candleInterval, setCandleInterval] = useState<CandleInterval>('5m');
+  const [quote, setQuote] = useState<Quote>('usd');
+  const [style, setStyle] = useState<ChartStyle>('candles');
+  const [hovered, setHovered] = useState<Candle | null>(null);
+
+  const containerRef = useRef<HTMLDivElement>(null);
+  const chartRef = useRef<IChartApi | null>(null);
+  const priceSeriesRef = useRef<ISeriesApi<SeriesType> | null>(null);
+  const volumeSeriesRef = useRef<ISeriesApi<'Histogram'> | null>(null);
+  const markersRef = useRef<ISeriesMarkersPluginApi<Time> | null>(null);
+  const candlesByTimeRef = useRef<Map<number, Candle>>(new Map());
+  // What's drawn, so polls can update the last bars instead of redrawing
+  const renderedRef = useRef<{ key: string; lastTime: number } | null>(null);
+
+  const colors = THEME_COLORS[resolvedTheme === 'dark' ? 'dark' : 'light'];
+  // Read when the chart or a price series is created; the theme effect keeps it current and recolours what exists
+  const colorsRef = useRef(colors);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['candles', tokenAddress, candleInterval, quote],
+    queryFn: () => fetchCandles(tokenAddress, candleInterval, quote),
+    enabled: !!tokenAddress,
+    refetchInterval: REFRESH_INTERVAL_MS,
+  });
+
+  // Chart and volume series live for the component's lifetime
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const { text, grid } = colorsRef.current;
+    const chart = createChart(containerRef.current, {
+      autoSize: true,
+      layout: { background: { color: 'transparent' }, textColor: text },
+      grid: { vertLines: { color: grid }, horzLines: { color: grid } },
+      rightPriceScale: { borderVisible: false, scaleMargins: { top: 0.1, bottom: 0.25 } },
+      timeScale: { borderVisible: false, timeVisible: true, secondsVisible: false },
+    });
+    const volumeSeries = chart.addSeries(HistogramSeries, {
+      priceScaleId: '',
+      priceFormat: { type: 'volume' },
+      lastValueVisible: false,
+      priceLineVisible: false,
+    });
+    volumeSeries.priceScale().applyOptions({ scaleMargins: { top: 0.8, bottom: 0 } });
+
+    chart.subscribeCrosshairMove((param) => {
+      setHovered(param.time !== undefined ? candlesByTimeRef.current.get(param.time as number) ?? null : null);
+    });
+
+    chartRef.current = chart;
+    volumeSeriesRef.current = volumeSeries;
+
+    return () => {
+      chart.remove();
+      chartRef.current = null;
+      volumeSeriesRef.current = null;
+      priceSeriesRef.current = null;
+      markersRef.current = null;
+      renderedRef.current = null;
+    };
+  }, []);
+
+  // Price series is swapped when switching between candles and line
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+
+    const { up, down } = colorsRef.current;
+    const priceFormat = { type: 'custom' as const, formatter: formatChartPrice, minMove: 1e-15 };
+    const series =
+      style === 'candles'
+        ? chart.addSeries(CandlestickSeries, {
+            priceFormat,
+            upColor: up,
+            downColor: down,
+            wickUpColor: up,
+            wickDownColor: down,
+            borderVisible: false,
+          })
+        : chart.addSeries(LineSeries, { priceFormat, color: up, lineWidth: 2 });
+
+    priceSeriesRef.current = series;
+    markersRef.current = createSeriesMarkers(series);
+    renderedRef.current = null;
+
+    return () => {
+      if (chartRef.current) {
+        chartRef.current.removeSeries(series);
+      }
+      priceSeriesRef.current = null;
+      markersRef.current = null;
+    };
+  }, [style]);
+
+  // Follow the light / dark theme
+  useEffect(() => {
+    colorsRef.current = colors;
+    chartRef.current?.applyOptions({
+      layout: { textColor: colors.text },
+      grid: { vertLines: { color: colors.grid }, horzLines: { color: colors.grid } },
+    });
+    priceSeriesRef.current?.applyOptions(
+      style === 'candles'
+        ? { upColor: colors.up, downColor: colors.down, wickUpColor: colors.up, wickDownColor: colors.down }
+        : { color: colors.up }
+    );
+    renderedRef.current = null;
+  }, [colors, style]);
+
+  // Draw candles - a full redraw when the interval, quote or style changes, otherwise just the newest bars
+  useEffect(() => {
+    const priceSeries = priceSeriesRef.current;
+    const volumeSeries = volumeSeriesRef.current;
+    if (!data || !priceSeries || !volumeSeries) return;
+
+    const { candles } = data;
+    candlesByTimeRef.current = new Map(candles.map((candle) => [candle.time, candle]));
+
+    const toPriceBar = (candle: Candle) =>
+      style === 'candles'
+        ? { time: candle.time as UTCTimestamp, open: candle.open, high: candle.high, low: candle.low, close: candle.close }
+        : { time: candle.time as UTCTimestamp, value: candle.close };
+    const toVolumeBar = (candle: Candle) => ({
+      time: candle.time as UTCTimestamp,
+      value: candle.volume,
+      color: `${candle.close >= candle.open ? colors.up : colors.down}80`,
+    });
+
+    const key = `${candleInterval}:${quote}:${style}`;
+    const rendered = renderedRef.current;
+    if (rendered?.key === key) {
+      for (const candle of candles) {
+        if (candle.time < rendered.lastTime) continue;
+        priceSeries.update(toPriceBar(candle));
+        volumeSeries.update(toVolumeBar(candle));
+      }
+    } else {
+      priceSeries.setData(candles.map(toPriceBar));
+      volumeSeries.setData(candles.map(toVolumeBar));
+
+      const seconds = CANDLE_INTERVALS[candleInterval];
+      const deployedTime = Math.floor(new Date(deployedAt).getTime() / 1000 / seconds) * seconds;
+      markersRef.current?.setMarkers(
+        candlesByTimeRef.current.has(deployedTime)
+          ? [{ time: deployedTime as UTCTimestamp, position: 'belowBar', shape: 'arrowUp', color: colors.up, text: 'Deployed' }]
+          : []
+      );
+      chartRef.current?.timeScale().fitContent();
+    }
+
+    if (candles.length > 0) {
+      renderedRef.current = { key, lastTime: candles[candles.length - 1].time };
+    }
+  }, [data, candleInterval, quote, style, colors, deployedAt]);
+
+  const legendCandle = hovered ?? data?.candles[data.candles.length - 1] ?? null;
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle className="text-base">Chart</CardTitle>
+          <div className="flex flex-wrap items-center gap-1">
+            {INTERVALS.map((value) => (
+              <Button
+                key={value}
+                variant={candleInterval === value ? 'default' : 'ghost'}
+                size="sm"
+                className="h-7 px-2 text-xs"
+                onClick={() => setCandleInterval(value)}
+              >
+                {value}
+              </Button>
+            ))}
+            <span className="mx-1 h-4 w-px bg-border" />
+            <Button variant="outline" size="sm" className="h-7 px-2 text-xs" onClick={() => setQuote(quote === 'usd' ? 'fey' : 'usd')}>
+              {quote === 'usd' ? 'USD' : 'FEY'}
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-7 px-2 text-xs"
+              onClick={() => setStyle(style === 'candles' ? 'line' : 'candles')}
+            >
+              {style === 'candles' ? 'Candles' : 'Line'}
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="min-h-[1rem] mb-2 text-xs text-muted-foreground font-mono flex flex-wrap gap-x-3">
+          {legendCandle && (
+            <>
+              <span>O {formatQuote(legendCandle.open, quote)}</span>
+              <span>H {formatQuote(legendCandle.high, quote)}</span>
+              <span>L {formatQuote(legendCandle.low, quote)}</span>
+              <span>C {formatQuote(legendCandle.close, quote)}</span>
+              <span>Vol {formatQuote(legendCandle.volume, quote)}</span>
+              <span>Trades {legendCandle.trades}</span>
+            </>
+          )}
+        </div>
+        <div className="relative h-[280px]">
+          <div ref={containerRef} className="absolute inset-0" />
+          {(isLoading || error || data?.candles.length === 0) && (
+            <div className="absolute inset-0 flex items-center justify-center">
+              <p className={`text-sm ${error ? 'text-destructive' : 'text-muted-foreground'}`}>
+                {isLoading ? 'Loading chart...' : error ? 'Chart data unavailable.' : 'No trades indexed yet.'}
+              </p>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
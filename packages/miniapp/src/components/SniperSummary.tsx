@@ -0,0 +1,74 @@
+'use client';
+
+import { useQuery } from '@tanstack/react-query';
+import { ResolvedName, Sniper } from '@feydar/shared/types';
+import { truncateAddress } from '@feydar/shared/utils';
+import { fetchNames } from '@/lib/api';
+
+interface SniperSummaryProps {
+  sniperCount: number;
+  snipedPercent: number;
+  snipers?: Sniper[];
+}
+
+function formatShare(percent: number): string {
+  return `${percent < 0.01 && percent > 0 ? '<0.01' : percent.toFixed(2)}%`;
+}
+
+function formatName(name: ResolvedName | undefined): string | null {
+  if (name?.basename) return `${name.basename}.base.eth`;
+  return name?.ens ?? null;
+}
+
+/**
+ * Launch sniping summary, with the wallets listed when they're loaded (token page)
+ */
+export function SniperSummary({ sniperCount, snipedPercent, snipers = [] }: SniperSummaryProps) {
+  const repeatSnipers = snipers.filter((sniper) => sniper.priorSnipes > 0).length;
+
+  // Basenames / ENS names for the listed wallets - asked again while the API is still resolving some
+  const wallets = snipers.map((sniper) => sniper.wallet.toLowerCase());
+  const { data: names } = useQuery({
+    queryKey: ['names', wallets],
+    queryFn: () => fetchNames(wallets),
+    enabled: wallets.length > 0,
+    staleTime: 10 * 60 * 1000,
+    refetchInterval: (query) => (query.state.data?.some((name) => name.pending) ? 30 * 1000 : false),
+    refetchOnWindowFocus: false,
+  });
+  const namesByWallet = new Map(names?.map((name) => [name.address, name]));
+
+  return (
+    <div>
+      <p className="text-sm text-foreground mb-2">Snipers</p>
+      {sniperCount === 0 ? (
+        <p className="text-xs text-muted-foreground">No other wallets bought at launch</p>
+      ) : (
+        <p className="text-xs text-foreground">
+          Sniped: <span className="font-semibold text-destructive">{formatShare(snipedPercent)}</span> of supply by{' '}
+          {sniperCount} {sniperCount === 1 ? 'wallet' : 'wallets'}
+          {repeatSnipers > 0 && (
+            <span className="text-muted-foreground"> ({repeatSnipers} repeat)</span>
+          )}
+        </p>
+      )}
+
+      {snipers.length > 0 && (
+        <div className="mt-2 space-y-1">
+          {snipers.map((sniper) => (
+            <div key={sniper.wallet} className="flex items-center justify-between gap-2 text-xs">
+              <span className="text-primary font-mono">
+                {formatName(namesByWallet.get(sniper.wallet.toLowerCase())) ?? truncateAddress(sniper.wallet)}
+              </span>
+              <span className="text-muted-foreground">
+                {sniper.blockOffset === 0 ? 'same block' : `+${sniper.blockOffset} block${sniper.blockOffset === 1 ? '' : 's'}`}
+                {sniper.priorSnipes > 0 && ` · sniped ${sniper.priorSnipes} before`}
+              </span>
+              <span className="text-foreground font-semibold shrink-0">{formatShare(sniper.supplyPercent)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,8 @@
 'use client';
 
 import { useQuery } from '@tanstack/react-query';
-import { fetchDeploymentByAddress } from '@/lib/api';
+import { fetchDeploymentByAddress, getTokenImageUrl } from '@/lib/api';
 import { fetchTokenPrice, formatCompactCurrency } from '@/lib/price';
-import { formatIPFSUrl } from '@feydar/shared/utils';
 import { BuyButton } from './BuyButton';
 import { Card } from './ui/card';
 import Image from 'next/image';
@@ -50,20 +49,9 @@ export function TokenPromo() {
   const tokenName = deployment?.name || 'Feydar';
   const tokenSymbol = deployment?.symbol || 'FEYDAR';
   
-  // Robust image URL handling (same as DeploymentCard)
-  const imageUrl = deployment?.currentImageUrl || deployment?.tokenImage;
-  const formattedUrl = imageUrl ? formatIPFSUrl(imageUrl) : '';
-  const isPlaceholderUrl = formattedUrl.includes('placehold.co');
-  const isValidImageUrl = imageUrl && 
-    typeof imageUrl === 'string' && 
-    imageUrl.trim().length > 0 && 
-    formattedUrl.trim().length > 0 &&
-    formattedUrl !== 'https://ipfs.io/ipfs/' && // Catch empty IPFS URLs
-    !isPlaceholderUrl && // Catch placeholder service URLs
-    !imageError;
-  
-  // Use token image if valid, otherwise fallback to logo
-  const tokenImage = isValidImageUrl ? formattedUrl : '/feydar-logo.png';
+  // Token image through the API image proxy (80px box)
+  const tokenImageUrl = deployment ? getTokenImageUrl(deployment, 80) : null;
+  const isValidImageUrl = tokenImageUrl && !imageError;
 
   return (
     <Card className="mb-6 overflow-hidden">
@@ -72,7 +60,7 @@ export function TokenPromo() {
         <div className="relative w-16 h-16 sm:w-20 sm:h-20 flex-shrink-0 rounded-lg overflow-hidden bg-black">
           {isValidImageUrl && !imageError ? (
             <Image
-              src={formattedUrl}
+              src={tokenImageUrl}
               alt={tokenName}
               fill
               className="object-cover"
@@ -80,7 +68,7 @@ export function TokenPromo() {
               priority
               loading="eager"
               onError={(e) => {
-                console.warn('[TokenPromo] Image failed to load:', formattedUrl);
+                console.warn('[TokenPromo] Image failed to load:', tokenImageUrl);
                 setImageError(true);
               }}
             />
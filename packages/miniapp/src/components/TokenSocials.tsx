@@ -0,0 +1,68 @@
+'use client';
+
+import { TokenMetadataFields } from '@feydar/shared/types';
+import { Globe, Twitter, MessageCircle, Send, Link2 } from 'lucide-react';
+import { sdk } from '@farcaster/miniapp-sdk';
+
+interface TokenSocialsProps {
+  fields: TokenMetadataFields;
+  showDescription?: boolean; // Single token pages have room for the description
+}
+
+/**
+ * Opens a link through the Farcaster client, or a new tab outside of one
+ */
+async function openLink(url: string) {
+  try {
+    if (typeof sdk !== 'undefined' && sdk.actions?.openUrl) {
+      await sdk.actions.openUrl(url);
+      return;
+    }
+  } catch (error) {
+    console.error('Error opening link in Farcaster client:', error);
+  }
+  if (typeof window !== 'undefined') {
+    window.open(url, '_blank', 'noopener,noreferrer');
+  }
+}
+
+/**
+ * Socials row from the token's parsed metadata, plus the interface it was launched from
+ * URLs are already validated by the API's parser
+ */
+export function TokenSocials({ fields, showDescription = false }: TokenSocialsProps) {
+  const links = [
+    { label: 'Website', url: fields.website, Icon: Globe },
+    { label: 'X', url: fields.x, Icon: Twitter },
+    { label: 'Farcaster', url: fields.farcaster, Icon: MessageCircle },
+    { label: 'Telegram', url: fields.telegram, Icon: Send },
+    ...fields.otherLinks.map((link) => ({ label: link.label, url: link.url, Icon: Link2 })),
+  ].filter((link): link is { label: string; url: string; Icon: typeof Globe } => !!link.url);
+
+  if (links.length === 0 && !fields.deployingInterface && !(showDescription && fields.description)) {
+    return null;
+  }
+
+  return (
+    <div className="mb-2 space-y-1.5">
+      {showDescription && fields.description && (
+        <p className="text-sm text-muted-foreground whitespace-pre-line break-words">{fields.description}</p>
+      )}
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs">
+        {links.map(({ label, url, Icon }) => (
+          <button
+            key={url}
+            onClick={() => openLink(url)}
+            className="flex items-center gap-1 text-muted-foreground hover:text-foreground transition-colors"
+          >
+            <Icon className="h-3.5 w-3.5" />
+            {label}
+          </button>
+        ))}
+        {fields.deployingInterface && (
+          <span className="text-muted-foreground">via {fields.deployingInterface}</span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
-import { TokenDeployment, DeploymentsResponse, DeploymentsQuery } from '@feydar/shared/types';
+import { FarcasterProfile, TokenDeployment, DeploymentsResponse, DeploymentsQuery, HoldersResponse, DeployerProfile, ResolvedName, ResolvedNamesResponse } from '@feydar/shared/types';
+import { createFarcasterPfpUrl, createTokenImageUrl } from '@feydar/shared/utils';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
@@ -18,6 +19,13 @@ export async function fetchDeployments(
   if (query.pageSize) params.append('pageSize', query.pageSize.toString());
   if (query.deployer) params.append('deployer', query.deployer);
   if (query.search) params.append('search', query.search);
+  if (query.minDevBuy !== undefined) params.append('minDevBuy', query.minDevBuy.toString());
+  if (query.minRisk !== undefined) params.append('minRisk', query.minRisk.toString());
+  if (query.maxRisk !== undefined) params.append('maxRisk', query.maxRisk.toString());
+  if (query.poolHook) params.append('poolHook', query.poolHook);
+  if (query.locker) params.append('locker', query.locker);
+  if (query.deployingInterface) params.append('interface', query.deployingInterface);
+  if (query.sort) params.append('sort', query.sort);
 
   const url = `${API_URL}/token?${params.toString()}`;
   
@@ -137,3 +145,66 @@ export async function sendDeploymentNotifications(
   }
 }
 
+/**
+ * Get holder count, top holders and concentration for a token
+ * Returns null if the token isn't found or the request fails
+ */
+export async function fetchHolders(
+  tokenAddress: string,
+  limit: number = 10
+): Promise<HoldersResponse | null> {
+  try {
+    const response = await fetch(`${API_URL}/token/${tokenAddress}/holders?limit=${limit}`);
+    if (!response.ok) {
+      console.error('[fetchHolders] API response not ok:', response.status, response.statusText);
+      return null;
+    }
+    return response.json();
+  } catch (error) {
+    console.error('[fetchHolders] Error fetching holders:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a deployer's launch stats
+ * Throws if the request fails (404 when the address has never launched a token)
+ */
+export async function fetchDeployerProfile(address: string): Promise<DeployerProfile> {
+  const response = await fetch(`${API_URL}/deployer/${address}`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch deployer profile: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Cached Basename / ENS names for up to 100 addresses - ones the API hasn't resolved yet come back pending
+ */
+export async function fetchNames(addresses: string[]): Promise<ResolvedName[]> {
+  const response = await fetch(`${API_URL}/names?addresses=${addresses.join(',')}`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch names: ${response.status} ${response.statusText}`);
+  }
+  const data: ResolvedNamesResponse = await response.json();
+  return data.names;
+}
+
+/**
+ * Token image through the API image proxy, sized for `width` CSS pixels (doubled for high-DPI screens)
+ * @returns null if the token has no image
+ */
+export function getTokenImageUrl(
+  deployment: Pick<TokenDeployment, 'tokenAddress' | 'currentImageUrl' | 'tokenImage'>,
+  width: number
+): string | null {
+  return createTokenImageUrl(API_URL, deployment.tokenAddress, deployment.currentImageUrl || deployment.tokenImage, width * 2);
+}
+
+/**
+ * Farcaster profile picture through the API image proxy, sized like getTokenImageUrl
+ * @returns null if the account has no picture
+ */
+export function getFarcasterPfpUrl(profile: FarcasterProfile, width: number): string | null {
+  return createFarcasterPfpUrl(API_URL, profile, width * 2);
+}
@@ -18,6 +18,16 @@ export const BASENAME_REGISTRY = '0xe05003e439f087eca56a28574b4790b6f35d49df';
  */
 export const BASENAME_REVERSE_REGISTRAR = '0x0000000000D8e504002cC26E3Ec46D81971C1664';
 
+/**
+ * Uniswap v4 PoolManager (Base Mainnet) - holds the tokens in every v4 pool
+ */
+export const UNISWAP_V4_POOL_MANAGER = '0x498581ff718922c3f8e6a244956af099b2652b2b';
+
+/**
+ * Conventional burn address (tokens sent to the zero address are burned outright)
+ */
+export const DEAD_ADDRESS = '0x000000000000000000000000000000000000dead';
+
 /**
  * Base chain ID
  */
@@ -29,6 +39,25 @@ export const BASE_CHAIN_ID = 8453;
 export const DEFAULT_PAGE_SIZE = 20;
 export const MAX_PAGE_SIZE = 100;
 
+/**
+ * Candle intervals and their length in seconds
+ */
+export const CANDLE_INTERVALS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '1h': 60 * 60,
+  '4h': 4 * 60 * 60,
+  '1d': 24 * 60 * 60,
+} as const;
+export const MAX_CANDLES = 1000;
+
+/**
+ * Widths (px) the API image proxy renders - requested widths are rounded up to one of these
+ */
+export const IMAGE_WIDTHS = [64, 128, 256, 512, 1024] as const;
+export const DEFAULT_IMAGE_WIDTH = 512;
+
 /**
  * Trade links templates
  */
@@ -58,6 +87,13 @@ export function createExplorerLinks(tokenAddress: string, transactionHash?: stri
   return links;
 }
 
+/**
+ * Farcaster profile link
+ */
+export function createFarcasterProfileLink(username: string): string {
+  return `https://farcaster.xyz/${username}`;
+}
+
 /**
  * Address explorer link
  */
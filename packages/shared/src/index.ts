@@ -7,3 +7,5 @@ export * from './constants';
 // Utilities
 export * from './utils';
 
+// Provider pool is only exported from '@feydar/shared/providerPool'
+// so the frontends don't pull ethers in through this entry point
@@ -0,0 +1,227 @@
+import {
+  AbstractProvider,
+  FetchRequest,
+  JsonRpcProvider,
+  Network,
+  Networkish,
+  PerformActionRequest,
+} from 'ethers';
+
+/**
+ * Provider pool options
+ */
+export interface ProviderPoolOptions {
+  /** Per-request timeout before an endpoint is treated as failed (default: 10s) */
+  timeoutMs?: number;
+  /** Maximum endpoints tried for a single call (default: all of them) */
+  maxAttempts?: number;
+  /** Cooldown after a rate-limit response, doubled for each consecutive one (default: 30s) */
+  cooldownMs?: number;
+  /** Upper bound for the rate-limit cooldown (default: 5 minutes) */
+  maxCooldownMs?: number;
+}
+
+/**
+ * Health snapshot for one endpoint in the pool
+ */
+export interface RpcEndpointStats {
+  name: string; // Host only - full URLs usually contain API keys
+  requests: number;
+  errors: number;
+  rateLimits: number;
+  latencyMs: number | null; // Moving average of successful requests
+  errorRate: number; // Moving average, 0-1
+  coolingDownUntil: Date | null;
+  score: number; // Lower is healthier
+}
+
+interface Endpoint {
+  name: string;
+  provider: JsonRpcProvider;
+  requests: number;
+  errors: number;
+  rateLimits: number;
+  consecutiveRateLimits: number;
+  latencyMs: number | null;
+  errorRate: number;
+  coolingDownUntil: number;
+}
+
+// Weight of the newest sample in the moving averages
+const EWMA_ALPHA = 0.2;
+// How many milliseconds of latency a 100% error rate is worth when ranking endpoints
+const ERROR_RATE_PENALTY_MS = 5000;
+
+// Errors that come from the call itself (reverts, bad input) - every endpoint would return the same thing
+const DETERMINISTIC_ERROR_CODES = new Set([
+  'CALL_EXCEPTION',
+  'INVALID_ARGUMENT',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+]);
+
+/**
+ * Detects rate-limit responses (HTTP 429, Alchemy compute unit / throughput limits)
+ */
+export function isRateLimitError(error: any): boolean {
+  const message = `${error?.message || ''} ${error?.error?.message || ''}`.toLowerCase();
+  return (
+    message.includes('429') ||
+    message.includes('too many requests') ||
+    message.includes('rate limit') ||
+    message.includes('compute units') ||
+    message.includes('throughput')
+  );
+}
+
+function getEndpointName(url: string, index: number): string {
+  const host = url.match(/^[a-z]+:\/\/(?:[^@/]*@)?([^/?#]+)/i)?.[1];
+  return `${host || 'endpoint'}#${index}`;
+}
+
+/**
+ * Ethers provider that spreads calls over several JSON-RPC endpoints
+ *
+ * Each endpoint's latency, error rate and rate-limit responses are tracked, and every
+ * call goes to the healthiest endpoint first, failing over to the next one on
+ * network errors, timeouts or rate limits. Rate-limited endpoints sit out a cooldown.
+ * Reverts and other deterministic errors are returned straight away.
+ */
+export class ProviderPool extends AbstractProvider {
+  readonly #network: Network;
+  readonly #endpoints: Endpoint[];
+  readonly #maxAttempts: number;
+  readonly #cooldownMs: number;
+  readonly #maxCooldownMs: number;
+
+  constructor(urls: string[], network: Networkish, options: ProviderPoolOptions = {}) {
+    const staticNetwork = Network.from(network);
+    super(staticNetwork);
+
+    if (urls.length === 0) {
+      throw new Error('ProviderPool requires at least one RPC URL');
+    }
+
+    this.#network = staticNetwork;
+    this.#maxAttempts = options.maxAttempts ?? urls.length;
+    this.#cooldownMs = options.cooldownMs ?? 30_000;
+    this.#maxCooldownMs = options.maxCooldownMs ?? 300_000;
+
+    this.#endpoints = urls.map((url, index) => {
+      const request = new FetchRequest(url);
+      request.timeout = options.timeoutMs ?? 10_000;
+      // Fail over instead of letting ethers retry a throttled endpoint
+      request.setThrottleParams({ maxAttempts: 1 });
+
+      return {
+        name: getEndpointName(url, index),
+        provider: new JsonRpcProvider(request, staticNetwork, { staticNetwork }),
+        requests: 0,
+        errors: 0,
+        rateLimits: 0,
+        consecutiveRateLimits: 0,
+        latencyMs: null,
+        errorRate: 0,
+        coolingDownUntil: 0,
+      };
+    });
+  }
+
+  async _detectNetwork(): Promise<Network> {
+    return this.#network;
+  }
+
+  async _perform<T = any>(req: PerformActionRequest): Promise<T> {
+    const candidates = this.#rankEndpoints().slice(0, this.#maxAttempts);
+    let lastError: any = null;
+
+    for (const endpoint of candidates) {
+      const startTime = Date.now();
+      endpoint.requests++;
+
+      try {
+        const result = await endpoint.provider._perform(req);
+        this.#recordSuccess(endpoint, Date.now() - startTime);
+        return result;
+      } catch (error: any) {
+        if (DETERMINISTIC_ERROR_CODES.has(error?.code)) {
+          // The endpoint answered fine - the call itself failed
+          this.#recordSuccess(endpoint, Date.now() - startTime);
+          throw error;
+        }
+
+        this.#recordFailure(endpoint, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Current health of every endpoint, healthiest first
+   */
+  getStats(): RpcEndpointStats[] {
+    return this.#rankEndpoints().map((endpoint) => ({
+      name: endpoint.name,
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      rateLimits: endpoint.rateLimits,
+      latencyMs: endpoint.latencyMs !== null ? Math.round(endpoint.latencyMs) : null,
+      errorRate: Math.round(endpoint.errorRate * 1000) / 1000,
+      coolingDownUntil: endpoint.coolingDownUntil > Date.now() ? new Date(endpoint.coolingDownUntil) : null,
+      score: Math.round(this.#score(endpoint)),
+    }));
+  }
+
+  destroy(): void {
+    for (const endpoint of this.#endpoints) {
+      endpoint.provider.destroy();
+    }
+    super.destroy();
+  }
+
+  /**
+   * Endpoints ordered healthiest first; ones cooling down after a rate limit go last
+   * so they're only used when everything else has failed
+   */
+  #rankEndpoints(): Endpoint[] {
+    const now = Date.now();
+    const available = this.#endpoints.filter((endpoint) => endpoint.coolingDownUntil <= now);
+    const coolingDown = this.#endpoints.filter((endpoint) => endpoint.coolingDownUntil > now);
+
+    available.sort((a, b) => this.#score(a) - this.#score(b));
+    coolingDown.sort((a, b) => a.coolingDownUntil - b.coolingDownUntil);
+
+    return [...available, ...coolingDown];
+  }
+
+  #score(endpoint: Endpoint): number {
+    // Untried endpoints score 0 so they get sampled
+    return (endpoint.latencyMs ?? 0) + endpoint.errorRate * ERROR_RATE_PENALTY_MS;
+  }
+
+  #recordSuccess(endpoint: Endpoint, latencyMs: number) {
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : endpoint.latencyMs * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA;
+    endpoint.errorRate *= 1 - EWMA_ALPHA;
+    endpoint.consecutiveRateLimits = 0;
+  }
+
+  #recordFailure(endpoint: Endpoint, error: any) {
+    endpoint.errors++;
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_ALPHA) + EWMA_ALPHA;
+
+    if (isRateLimitError(error)) {
+      endpoint.rateLimits++;
+      endpoint.consecutiveRateLimits++;
+      const cooldown = Math.min(
+        this.#cooldownMs * Math.pow(2, endpoint.consecutiveRateLimits - 1),
+        this.#maxCooldownMs
+      );
+      endpoint.coolingDownUntil = Date.now() + cooldown;
+    }
+  }
+}
@@ -9,6 +9,7 @@ export interface TokenDeployment {
   deployer: string;
   deployerBasename?: string;
   deployerENS?: string;
+  deployerFarcaster?: FarcasterProfile | null; // Farcaster account with the deployer as a verified address
   transactionHash: string;
   tokenImage?: string;
   currentAdmin?: string;
@@ -21,6 +22,113 @@ export interface TokenDeployment {
   poolId?: string;
   blockNumber: number;
   createdAt: Date;
+
+  // Full TokenCreated payload
+  msgSender?: string | null;
+  startingTick?: number | null;
+  poolHook?: string | null;
+  pairedToken?: string | null;
+  locker?: string | null;
+  mevModule?: string | null;
+  extensionsSupply?: string | null; // wei
+  extensions?: string[];
+
+  // Initial dev buy, from the deployment transaction's transfers
+  tokensReceived?: string | null; // Tokens received by the deployer (wei)
+  tokensSpent?: string | null; // Paired token spent by the deployer (wei)
+  devBuyPercent?: number | null; // tokensReceived as % of total supply
+
+  // Wallets other than the deployer buying in the first blocks (null until checked, shortly after launch)
+  sniperCount?: number | null;
+  snipedPercent?: number | null; // Bought by those wallets, % of total supply
+
+  // Normalized from metadata and context (see parseTokenMetadata)
+  parsedMetadata?: TokenMetadataFields;
+  deployingInterface?: string | null; // Interface or app the token was launched from
+
+  // Launch risk score, 0 (lowest) to 100, with the points each factor added (null until first scored)
+  riskScore?: number | null;
+  riskFactors?: RiskFactor[] | null;
+
+  // Full reward configuration from TokenRewardAdded (only returned by GET /token/:address)
+  feeRecipients?: FeeRecipient[];
+  liquidityPositions?: LiquidityPosition[];
+  snipers?: Sniper[];
+}
+
+/**
+ * One reward slot - its recipient, the account that can change it and its share of LP fees
+ */
+export interface FeeRecipient {
+  slot: number;
+  recipient: string;
+  admin: string;
+  bps: number;
+}
+
+/**
+ * Link from a token's metadata that isn't one of the known socials
+ */
+export interface TokenLink {
+  label: string;
+  url: string;
+}
+
+/**
+ * A token's metadata and context, parsed into typed fields
+ * Every URL is validated - only http(s) links survive
+ */
+export interface TokenMetadataFields {
+  description: string | null;
+  website: string | null;
+  x: string | null;
+  farcaster: string | null;
+  telegram: string | null;
+  otherLinks: TokenLink[];
+  deployingInterface: string | null; // e.g. an app or bot the token was launched through
+  contextPlatform: string | null; // Where the launch was requested, e.g. farcaster
+  contextMessageId: string | null; // Message or cast that requested the launch
+  contextUserId: string | null; // Requesting user on that platform, e.g. a FID
+}
+
+export type RiskFactorKey = 'devBuy' | 'feeSplit' | 'deployerHistory' | 'admin' | 'verification' | 'metadata' | 'snipers';
+
+export type RiskLevel = 'low' | 'medium' | 'high';
+
+/**
+ * One input to a deployment's risk score
+ * pending is true while the data it needs hasn't arrived - it scores 0 until then
+ */
+export interface RiskFactor {
+  key: RiskFactorKey;
+  label: string;
+  points: number;
+  maxPoints: number;
+  detail: string;
+  pending: boolean;
+}
+
+/**
+ * Wallet that bought in the launch block or the few blocks after it
+ */
+export interface Sniper {
+  wallet: string;
+  blockOffset: number; // Blocks after the launch block of its first buy (0 = same block)
+  tokenAmount: string; // Tokens bought (wei)
+  pairedAmount: string; // Paired token spent (wei)
+  supplyPercent: number;
+  buys: number;
+  priorSnipes: number; // Earlier FEY launches this wallet sniped
+}
+
+/**
+ * One initial LP position - its tick range and share of the pool supply
+ */
+export interface LiquidityPosition {
+  slot: number;
+  tickLower: number;
+  tickUpper: number;
+  positionBps: number;
 }
 
 /**
@@ -59,6 +167,190 @@ export interface DeploymentsQuery {
   pageSize?: number;
   deployer?: string;
   search?: string;
+  minDevBuy?: number; // Minimum dev buy, % of supply
+  poolHook?: string;
+  locker?: string;
+  deployingInterface?: string;
+  minRisk?: number; // Risk score range, 0-100
+  maxRisk?: number;
+  sort?: 'newest' | 'devBuy';
+}
+
+/**
+ * Deployment rolled back because its block was reorged out of the chain
+ */
+export interface DeploymentRetraction {
+  tokenAddress: string;
+  transactionHash: string;
+  blockNumber: number;
+  blockHash?: string;
+}
+
+/**
+ * Token contract field changed after deployment
+ * - admin: UpdateAdmin (values are addresses)
+ * - image: UpdateImage
+ * - metadata: UpdateMetadata
+ * - verified: Verified (values are "true" / "false")
+ */
+export type TokenStateChangeField = 'admin' | 'image' | 'metadata' | 'verified';
+
+/**
+ * One onchain change to a token's admin, image, metadata or verification
+ */
+export interface TokenStateChange {
+  id?: number;
+  tokenAddress: string;
+  field: TokenStateChangeField;
+  oldValue: string | null;
+  newValue: string | null;
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+  changedAt: Date; // Block timestamp
+}
+
+/**
+ * Holder of a token from indexed Transfer events
+ * label marks addresses that aren't really holders (pool liquidity, burned) or are the deployer
+ */
+export interface TokenHolder {
+  address: string;
+  balance: string; // wei
+  percent: number; // % of total supply
+  label: 'pool' | 'burn' | 'deployer' | null;
+}
+
+/**
+ * Holder count at the end of an hour
+ */
+export interface HolderCountPoint {
+  time: string;
+  holders: number;
+}
+
+/**
+ * API response for GET /token/:address/holders
+ * indexedFrom is null while the token's transfers are still being caught up - counts are partial until then
+ */
+export interface HoldersResponse {
+  tokenAddress: string;
+  indexedFrom: string | null;
+  holderCount: number;
+  topHolders: TokenHolder[];
+  concentration: {
+    top10Percent: number; // Top 10 holders' share, excluding the pool and burn addresses
+    deployerPercent: number; // Deployer's current share
+    deployerLaunchPercent: number | null; // Deployer's share at the end of the launch block
+  };
+  history: HolderCountPoint[];
+}
+
+/**
+ * Farcaster account an address is a verified address of
+ */
+export interface FarcasterProfile {
+  fid: number;
+  username: string;
+  displayName: string | null;
+  pfpUrl: string | null;
+  followerCount: number;
+}
+
+/**
+ * Cached Basename, ENS and Farcaster names for an address (GET /names)
+ * Addresses the API hasn't seen are queued for the bot's name refresher and come back pending
+ */
+export interface ResolvedName {
+  address: string; // Lowercase
+  basename: string | null; // Without the .base.eth suffix
+  ens: string | null;
+  farcaster: FarcasterProfile | null;
+  resolvedAt: string | null; // Last completed lookup
+  pending: boolean; // A lookup is queued but hasn't completed yet - ask again shortly
+}
+
+/**
+ * API response for GET /names?addresses=
+ */
+export interface ResolvedNamesResponse {
+  names: ResolvedName[];
+}
+
+/**
+ * API response for GET /deployer/:address
+ * Names come from the name cache, falling back to the deployer's most recent launch that resolved one
+ */
+export interface DeployerProfile {
+  address: string;
+  basename: string | null;
+  ens: string | null;
+  farcaster: FarcasterProfile | null;
+  totalLaunches: number;
+  firstLaunchAt: string;
+  lastLaunchAt: string;
+  verifiedPercent: number; // Share of launches the protocol has verified
+  avgDevBuyPercent: number | null; // Mean dev buy (% of supply) over launches with a decoded dev buy
+  marketCap: number | null; // Sum of the current USD market caps of the tokens with a traded price
+  pricedTokens: number; // Tokens included in marketCap
+}
+
+/**
+ * Body of a `deployment.created` webhook delivery
+ * Signed with the subscription secret: X-Feydar-Signature = sha256=HMAC_SHA256(secret, `${X-Feydar-Timestamp}.${body}`)
+ */
+export interface DeploymentWebhookPayload {
+  event: 'deployment.created';
+  deliveryId: number;
+  timestamp: string;
+  data: TokenDeployment & {
+    tokensReceived: string | null; // Dev buy: tokens received by the deployer (wei)
+    tokensSpent: string | null; // Dev buy: paired token spent by the deployer (wei)
+    devBuyPercent: number | null; // Dev buy as % of total supply
+  };
+}
+
+/**
+ * Webhook subscription as returned by the API (the secret is only returned on creation)
+ */
+export interface WebhookSubscriptionInfo {
+  id: number;
+  url: string;
+  description: string | null;
+  deployer: string | null;
+  verifiedOnly: boolean;
+  minDevBuyPercent: number | null;
+  enabled: boolean;
+  consecutiveFailures: number;
+  disabledAt: string | null;
+  disabledReason: string | null;
+  createdAt: string;
+}
+
+export type CandleInterval = '1m' | '5m' | '15m' | '1h' | '4h' | '1d';
+
+/**
+ * One OHLCV candle - time is the bucket start in unix seconds, volume is in the quote currency
+ * Buckets without trades carry the previous close with zero volume
+ */
+export interface Candle {
+  time: number;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+  trades: number;
+}
+
+/**
+ * API response for GET /api/price/:tokenAddress/candles
+ */
+export interface CandlesResponse {
+  tokenAddress: string;
+  interval: CandleInterval;
+  quote: 'usd' | 'fey';
+  candles: Candle[];
 }
 
 /**
@@ -66,6 +358,8 @@ export interface DeploymentsQuery {
  */
 export type WebSocketMessage =
   | { type: 'deployment'; data: TokenDeployment }
+  | { type: 'retraction'; data: DeploymentRetraction }
+  | { type: 'tokenStateChange'; data: TokenStateChange }
   | { type: 'ping' }
   | { type: 'pong' }
   | { type: 'error'; message: string };
@@ -1,3 +1,6 @@
+import { FarcasterProfile, RiskFactor, RiskLevel, TokenMetadataFields } from './types';
+import { IMAGE_WIDTHS } from './constants';
+
 /**
  * Formats supply with commas
  */
@@ -36,6 +39,70 @@ export function formatIPFSUrl(ipfsUrl: string): string {
   return ipfsUrl;
 }
 
+/**
+ * Whether a token image URL points at an actual image (not empty, a bare IPFS prefix or a placeholder service)
+ */
+export function hasTokenImage(imageUrl: string | null | undefined): imageUrl is string {
+  if (!imageUrl || imageUrl.trim() === '') {
+    return false;
+  }
+  const formattedUrl = formatIPFSUrl(imageUrl.trim());
+  return formattedUrl !== 'https://ipfs.io/ipfs/' && !formattedUrl.includes('placehold.co');
+}
+
+/**
+ * Rounds a requested width up to the nearest width the image proxy renders
+ */
+export function getImageWidth(width: number): number {
+  return IMAGE_WIDTHS.find((size) => size >= width) ?? IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1];
+}
+
+/**
+ * Short hash telling image versions apart (FNV-1a) - proxy URLs change with their source URL,
+ * so each version can be cached forever
+ */
+function getImageVersion(imageUrl: string): string {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < imageUrl.length; i++) {
+    hash ^= imageUrl.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * A token's image through the API image proxy (GET /img/:tokenAddress), or null if the token has no image
+ */
+export function createTokenImageUrl(apiUrl: string, tokenAddress: string, imageUrl: string | null | undefined, width: number): string | null {
+  if (!hasTokenImage(imageUrl)) {
+    return null;
+  }
+  return `${apiUrl.replace(/\/+$/, '')}/img/${tokenAddress.toLowerCase()}?w=${getImageWidth(width)}&v=${getImageVersion(imageUrl)}`;
+}
+
+/**
+ * A Farcaster profile picture through the API image proxy (GET /img/farcaster/:fid), or null if there isn't one
+ */
+export function createFarcasterPfpUrl(apiUrl: string, profile: FarcasterProfile, width: number): string | null {
+  if (!hasTokenImage(profile.pfpUrl)) {
+    return null;
+  }
+  return `${apiUrl.replace(/\/+$/, '')}/img/farcaster/${profile.fid}?w=${getImageWidth(width)}&v=${getImageVersion(profile.pfpUrl)}`;
+}
+
+/**
+ * Compact count (e.g., 950, 12.3k, 1.2M)
+ */
+export function formatCompactNumber(value: number): string {
+  if (value >= 999_950) {
+    return `${(value / 1_000_000).toFixed(1).replace(/\.0$/, '')}M`;
+  }
+  if (value >= 1_000) {
+    return `${(value / 1_000).toFixed(1).replace(/\.0$/, '')}k`;
+  }
+  return String(value);
+}
+
 /**
  * Formats fee from basis points to percentage
  */
@@ -53,3 +120,349 @@ export function truncateAddress(address: string, start: number = 6, end: number
   return `${address.slice(0, start)}...${address.slice(-end)}`;
 }
 
+
+// All FEY tokens have a fixed 100b supply (18 decimals)
+const TOTAL_SUPPLY_WEI = 100_000_000_000n * 10n ** 18n;
+
+/**
+ * Token amount (wei) as a percentage of total supply, to 4 decimal places
+ */
+export function getSupplyPercent(amount: bigint | string | null | undefined): number | null {
+  if (amount === null || amount === undefined || amount === '') {
+    return null;
+  }
+  try {
+    const wei = typeof amount === 'bigint' ? amount : BigInt(amount);
+    return Number((wei * 1_000_000n) / TOTAL_SUPPLY_WEI) / 10_000;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Dev buy (tokens received by the deployer at launch) as a percentage of total supply, to 4 decimal places
+ */
+export function getDevBuyPercent(tokensReceived: bigint | string | null | undefined): number | null {
+  return getSupplyPercent(tokensReceived);
+}
+
+type SocialKind = 'website' | 'x' | 'farcaster' | 'telegram';
+
+const SOCIAL_HOSTS: Record<string, SocialKind> = {
+  'x.com': 'x',
+  'twitter.com': 'x',
+  'farcaster.xyz': 'farcaster',
+  'warpcast.com': 'farcaster',
+  't.me': 'telegram',
+  'telegram.me': 'telegram',
+};
+
+const SOCIAL_PLATFORMS: Record<string, SocialKind> = {
+  website: 'website',
+  web: 'website',
+  site: 'website',
+  homepage: 'website',
+  x: 'x',
+  twitter: 'x',
+  farcaster: 'farcaster',
+  warpcast: 'farcaster',
+  telegram: 'telegram',
+  tg: 'telegram',
+};
+
+// Where a bare handle points for each social
+const HANDLE_URLS: Record<Exclude<SocialKind, 'website'>, string> = {
+  x: 'https://x.com/',
+  farcaster: 'https://farcaster.xyz/',
+  telegram: 'https://t.me/',
+};
+
+const MAX_OTHER_LINKS = 10;
+
+/**
+ * Trimmed text without control characters (newlines are kept), or null if nothing is left
+ */
+function cleanText(value: unknown, maxLength: number): string | null {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const text = String(value).replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, '').trim();
+  return text === '' ? null : text.slice(0, maxLength);
+}
+
+function parseJsonObject(text: string | null | undefined): Record<string, any> | null {
+  if (!text) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * An absolute http(s) URL with any credentials removed, or null if the value isn't one
+ * Bare domains ("example.com/page") are read as https
+ */
+export function sanitizeUrl(value: unknown): string | null {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  let text = value.trim();
+  if (text === '' || text.length > 2048) {
+    return null;
+  }
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(text)) {
+    text = `https://${text}`;
+  }
+  try {
+    const url = new URL(text);
+    if ((url.protocol !== 'https:' && url.protocol !== 'http:') || !url.hostname.includes('.')) {
+      return null;
+    }
+    url.username = '';
+    url.password = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves one metadata link to a URL and the social it belongs to (by host first, then by the stated platform)
+ * Handles like "@name" are accepted for X, Farcaster and Telegram
+ */
+function toSocialLink(platform: unknown, value: unknown): { kind: SocialKind | null; label: string; url: string } | null {
+  const platformName = typeof platform === 'string' ? platform.trim().toLowerCase() : '';
+  const platformKind = SOCIAL_PLATFORMS[platformName] ?? null;
+
+  const isHandle = platformKind !== null && platformKind !== 'website' && typeof value === 'string' && /^@?[a-z0-9_-]{1,64}$/i.test(value.trim());
+  const url = isHandle
+    ? `${HANDLE_URLS[platformKind as Exclude<SocialKind, 'website'>]}${(value as string).trim().replace(/^@/, '')}`
+    : sanitizeUrl(value);
+  if (!url) {
+    return null;
+  }
+
+  const host = new URL(url).hostname.toLowerCase().replace(/^(www|mobile)\./, '');
+  const kind = SOCIAL_HOSTS[host] ?? platformKind;
+  return { kind, label: cleanText(platform, 50) ?? host, url };
+}
+
+/**
+ * Normalizes a token's metadata and context strings into typed fields
+ * Metadata is usually JSON ({ description, socialMediaUrls: [{ platform, url }] }) but plain text is kept as the description.
+ * Context is JSON ({ interface, platform, messageId, id }); anything else is ignored.
+ * The first link found for each social wins - the rest are returned as otherLinks.
+ */
+export function parseTokenMetadata(metadata: string | null | undefined, context: string | null | undefined): TokenMetadataFields {
+  const fields: TokenMetadataFields = {
+    description: null,
+    website: null,
+    x: null,
+    farcaster: null,
+    telegram: null,
+    otherLinks: [],
+    deployingInterface: null,
+    contextPlatform: null,
+    contextMessageId: null,
+    contextUserId: null,
+  };
+
+  const parsedMetadata = parseJsonObject(metadata);
+  if (parsedMetadata) {
+    fields.description = cleanText(parsedMetadata.description, 1000);
+
+    const candidates: Array<[unknown, unknown]> = [];
+    if (Array.isArray(parsedMetadata.socialMediaUrls)) {
+      for (const link of parsedMetadata.socialMediaUrls) {
+        candidates.push(typeof link === 'string' ? ['', link] : [link?.platform, link?.url]);
+      }
+    }
+    // Some launchers put the socials at the top level instead
+    for (const key of ['website', 'x', 'twitter', 'farcaster', 'telegram']) {
+      if (parsedMetadata[key] !== undefined) {
+        candidates.push([key, parsedMetadata[key]]);
+      }
+    }
+
+    const seen = new Set<string>();
+    for (const [platform, value] of candidates) {
+      const link = toSocialLink(platform, value);
+      if (!link || seen.has(link.url)) continue;
+      seen.add(link.url);
+
+      if (link.kind && fields[link.kind] === null) {
+        fields[link.kind] = link.url;
+      } else if (fields.otherLinks.length < MAX_OTHER_LINKS) {
+        fields.otherLinks.push({ label: link.label, url: link.url });
+      }
+    }
+  } else {
+    fields.description = cleanText(metadata, 1000);
+  }
+
+  const parsedContext = parseJsonObject(context);
+  if (parsedContext) {
+    fields.deployingInterface = cleanText(parsedContext.interface, 100);
+    fields.contextPlatform = cleanText(parsedContext.platform, 50);
+    fields.contextMessageId = cleanText(parsedContext.messageId, 100);
+    fields.contextUserId = cleanText(parsedContext.id, 100);
+  }
+
+  return fields;
+}
+
+/**
+ * Everything a deployment's risk score is built from
+ * null means the value hasn't arrived yet
+ */
+export interface RiskInputs {
+  deployer: string;
+  devBuyPercent: number | null;
+  creatorBps: number | null;
+  feyStakersBps: number | null;
+  priorLaunches: number; // The deployer's launches before this one
+  currentAdmin: string | null;
+  isVerified: boolean | null;
+  tokenImage: string | null;
+  currentImageUrl: string | null;
+  metadata: string | null;
+  snipedPercent: number | null;
+}
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Points for the first threshold the value reaches - thresholds are [minimum, points], highest first
+ */
+function pointsFor(value: number, thresholds: Array<[number, number]>): number {
+  const match = thresholds.find(([minimum]) => value >= minimum);
+  return match ? match[1] : 0;
+}
+
+function hasMetadataContent(metadata: string | null): boolean {
+  const parsed = parseTokenMetadata(metadata, null);
+  return !!(parsed.description || parsed.website || parsed.x || parsed.farcaster || parsed.telegram || parsed.otherLinks.length > 0);
+}
+
+/**
+ * Launch risk score from 0 (lowest) to 100, as the sum of each factor's points
+ * Every factor is returned, including the ones that added nothing, so the score can be explained
+ */
+export function getRiskScore(inputs: RiskInputs): { score: number; factors: RiskFactor[] } {
+  const factors: RiskFactor[] = [];
+
+  // A large dev buy can be dumped on buyers
+  if (inputs.devBuyPercent === null) {
+    factors.push({ key: 'devBuy', label: 'Dev buy', points: 0, maxPoints: 25, detail: 'Not decoded', pending: true });
+  } else {
+    factors.push({
+      key: 'devBuy',
+      label: 'Dev buy',
+      points: pointsFor(inputs.devBuyPercent, [[25, 25], [10, 15], [5, 8]]),
+      maxPoints: 25,
+      detail: `${inputs.devBuyPercent.toFixed(2)}% of supply`,
+      pending: false,
+    });
+  }
+
+  // Nearly all fees to the creator, or shares that don't add up to the whole fee
+  if (inputs.creatorBps === null || inputs.feyStakersBps === null) {
+    factors.push({ key: 'feeSplit', label: 'Fee split', points: 0, maxPoints: 10, detail: 'Unknown', pending: true });
+  } else {
+    const unusual = inputs.creatorBps + inputs.feyStakersBps !== 10000 || inputs.creatorBps >= 9000;
+    factors.push({
+      key: 'feeSplit',
+      label: 'Fee split',
+      points: unusual ? 10 : 0,
+      maxPoints: 10,
+      detail: `${inputs.creatorBps / 100}% creator / ${inputs.feyStakersBps / 100}% FEY stakers`,
+      pending: false,
+    });
+  }
+
+  // Serial launchers are the usual source of abandoned tokens; a first launch has no track record
+  factors.push({
+    key: 'deployerHistory',
+    label: 'Deployer history',
+    points: inputs.priorLaunches === 0 ? 5 : pointsFor(inputs.priorLaunches, [[10, 15], [3, 8]]),
+    maxPoints: 15,
+    detail: inputs.priorLaunches === 0
+      ? 'First launch'
+      : `${inputs.priorLaunches} previous launch${inputs.priorLaunches === 1 ? '' : 'es'}`,
+    pending: false,
+  });
+
+  // The admin can change the token's image and metadata - renouncing removes that, handing it on is a flag
+  if (inputs.currentAdmin === null) {
+    factors.push({ key: 'admin', label: 'Admin', points: 0, maxPoints: 10, detail: 'Not loaded', pending: true });
+  } else {
+    const admin = inputs.currentAdmin.toLowerCase();
+    const renounced = admin === ZERO_ADDRESS;
+    const transferred = !renounced && admin !== inputs.deployer.toLowerCase();
+    factors.push({
+      key: 'admin',
+      label: 'Admin',
+      points: transferred ? 10 : 0,
+      maxPoints: 10,
+      detail: renounced ? 'Renounced' : transferred ? 'Transferred away from the deployer' : 'Held by the deployer',
+      pending: false,
+    });
+  }
+
+  if (inputs.isVerified === null) {
+    factors.push({ key: 'verification', label: 'Verification', points: 0, maxPoints: 10, detail: 'Not loaded', pending: true });
+  } else {
+    factors.push({
+      key: 'verification',
+      label: 'Verification',
+      points: inputs.isVerified ? 0 : 10,
+      maxPoints: 10,
+      detail: inputs.isVerified ? 'Verified by FEY' : 'Not verified',
+      pending: false,
+    });
+  }
+
+  const hasImage = !!(inputs.currentImageUrl || inputs.tokenImage);
+  const hasMetadata = hasMetadataContent(inputs.metadata);
+  const missing = [!hasImage && 'image', !hasMetadata && 'description or links'].filter(Boolean);
+  factors.push({
+    key: 'metadata',
+    label: 'Image & metadata',
+    points: (hasImage ? 0 : 5) + (hasMetadata ? 0 : 5),
+    maxPoints: 10,
+    detail: missing.length > 0 ? `No ${missing.join(' or ')}` : 'Image and metadata set',
+    pending: false,
+  });
+
+  // Supply bought by other wallets in the launch blocks
+  if (inputs.snipedPercent === null) {
+    factors.push({ key: 'snipers', label: 'Snipers', points: 0, maxPoints: 20, detail: 'Not checked', pending: true });
+  } else {
+    factors.push({
+      key: 'snipers',
+      label: 'Snipers',
+      points: pointsFor(inputs.snipedPercent, [[20, 20], [10, 12], [3, 6]]),
+      maxPoints: 20,
+      detail: `${inputs.snipedPercent.toFixed(2)}% of supply sniped`,
+      pending: false,
+    });
+  }
+
+  return {
+    score: factors.reduce((sum, factor) => sum + factor.points, 0),
+    factors,
+  };
+}
+
+/**
+ * Buckets a risk score for badges: under 25 low, under 50 medium, otherwise high
+ */
+export function getRiskLevel(score: number): RiskLevel {
+  if (score >= 50) return 'high';
+  if (score >= 25) return 'medium';
+  return 'low';
+}
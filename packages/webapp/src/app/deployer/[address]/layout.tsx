@@ -0,0 +1,69 @@
+import { Metadata } from 'next';
+import { truncateAddress } from '@feydar/shared/utils';
+
+// Ensure URL has protocol
+function ensureProtocol(url: string): string {
+  if (!url) return 'https://feydar.app';
+  if (url.startsWith('http://') || url.startsWith('https://')) {
+    return url;
+  }
+  return `https://${url}`;
+}
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+const APP_URL = ensureProtocol(process.env.NEXT_PUBLIC_APP_URL || 'https://feydar.app');
+
+async function getDeployerProfile(address: string) {
+  try {
+    const response = await fetch(`${API_URL}/deployer/${address}`, {
+      next: { revalidate: 60 }, // Revalidate every minute
+    });
+    if (!response.ok) return null;
+    return response.json();
+  } catch {
+    return null;
+  }
+}
+
+export async function generateMetadata({
+  params,
+}: {
+  params: Promise<{ address: string }>;
+}): Promise<Metadata> {
+  const { address } = await params;
+  const profile = await getDeployerProfile(address);
+
+  if (!profile) {
+    return {
+      title: 'Deployer Not Found - Feydar',
+    };
+  }
+
+  const name = profile.basename ? `${profile.basename}.base.eth` : profile.ens || truncateAddress(profile.address);
+  const description = `${profile.totalLaunches} token ${profile.totalLaunches === 1 ? 'launch' : 'launches'} on FEY Protocol`;
+
+  return {
+    metadataBase: new URL(APP_URL),
+    title: `${name} - Feydar`,
+    description,
+    openGraph: {
+      title: name,
+      description,
+      images: [`${APP_URL}/feydar-cover.png`],
+    },
+    twitter: {
+      card: 'summary_large_image',
+      title: name,
+      description,
+      images: [`${APP_URL}/feydar-cover.png`],
+    },
+  };
+}
+
+export default function DeployerLayout({
+  children,
+}: {
+  children: React.ReactNode;
+}) {
+  return <>{children}</>;
+}
@@ -0,0 +1,162 @@
+'use client';
+
+import { useInfiniteQuery, useQuery } from '@tanstack/react-query';
+import { fetchDeployerProfile, fetchDeployments } from '@/lib/api';
+import { formatCompactCurrency } from '@/lib/price';
+import { formatRelativeTime, formatAbsoluteTime } from '@/lib/utils';
+import { DeploymentCard } from '@/components/DeploymentCard';
+import { FarcasterAccount } from '@/components/FarcasterAccount';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { createAddressLink } from '@feydar/shared/constants';
+import { truncateAddress } from '@feydar/shared/utils';
+import { useParams } from 'next/navigation';
+import Link from 'next/link';
+import { ArrowLeft, ExternalLink } from 'lucide-react';
+
+const PAGE_SIZE = 12;
+
+export default function DeployerPage() {
+  const params = useParams();
+  const address = params.address as string;
+
+  const { data: profile, isLoading, error } = useQuery({
+    queryKey: ['deployerProfile', address],
+    queryFn: () => fetchDeployerProfile(address),
+    enabled: !!address,
+    staleTime: 60000,
+  });
+
+  const {
+    data: tokens,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+    isLoading: isLoadingTokens,
+  } = useInfiniteQuery({
+    queryKey: ['deployments', 'deployer', address],
+    queryFn: ({ pageParam = 1 }) => fetchDeployments({ deployer: address, page: pageParam, pageSize: PAGE_SIZE }),
+    getNextPageParam: (lastPage) => (lastPage.hasMore ? lastPage.page + 1 : undefined),
+    initialPageParam: 1,
+    enabled: !!profile,
+  });
+
+  const navigation = (
+    <div className="flex items-center justify-between mb-6 gap-4">
+      <Link href="/">
+        <Button variant="ghost" size="sm">
+          <ArrowLeft className="mr-2 h-4 w-4" /> Back to Feed
+        </Button>
+      </Link>
+    </div>
+  );
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        {navigation}
+        <div className="flex items-center justify-center min-h-[300px]">
+          <p className="text-muted-foreground">Loading deployer...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !profile) {
+    return (
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        {navigation}
+        <div className="flex items-center justify-center min-h-[300px]">
+          <p className="text-destructive">No launches found for this address.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const names = [
+    profile.basename ? `${profile.basename}.base.eth` : null,
+    profile.ens,
+  ].filter((name): name is string => !!name);
+
+  const stats = [
+    { label: 'Launches', value: profile.totalLaunches.toLocaleString() },
+    { label: 'Verified', value: `${Math.round(profile.verifiedPercent)}%` },
+    { label: 'Avg Dev Buy', value: profile.avgDevBuyPercent !== null ? `${profile.avgDevBuyPercent.toFixed(2)}%` : 'N/A' },
+    { label: 'Combined MC', value: formatCompactCurrency(profile.marketCap) },
+  ];
+
+  const deployments = tokens?.pages.flatMap((page) => page.deployments) ?? [];
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      {navigation}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-xl">{names[0] ?? truncateAddress(profile.address)}</CardTitle>
+          {profile.farcaster && <FarcasterAccount profile={profile.farcaster} />}
+          <div className="flex flex-col gap-0.5 text-xs font-mono text-muted-foreground">
+            {names.slice(1).map((name) => (
+              <span key={name}>{name}</span>
+            ))}
+            <a
+              href={createAddressLink(profile.address)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-primary hover:underline flex items-center gap-1"
+            >
+              {profile.address} <ExternalLink className="h-3 w-3" />
+            </a>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {stats.map((stat) => (
+              <div key={stat.label}>
+                <p className="text-xs text-muted-foreground mb-1.5 font-medium">{stat.label}</p>
+                <p className="text-sm font-semibold">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+          <div className="mt-4 grid grid-cols-2 gap-4 text-xs text-muted-foreground">
+            <div>
+              <p className="mb-1 font-medium">First Launch</p>
+              <p className="text-foreground">{formatRelativeTime(profile.firstLaunchAt)} ago</p>
+              <p>{formatAbsoluteTime(profile.firstLaunchAt)}</p>
+            </div>
+            <div>
+              <p className="mb-1 font-medium">Last Launch</p>
+              <p className="text-foreground">{formatRelativeTime(profile.lastLaunchAt)} ago</p>
+              <p>{formatAbsoluteTime(profile.lastLaunchAt)}</p>
+            </div>
+          </div>
+          {profile.marketCap !== null && profile.pricedTokens < profile.totalLaunches && (
+            <p className="mt-4 text-xs text-muted-foreground">
+              Combined market cap covers the {profile.pricedTokens} of {profile.totalLaunches} tokens that have traded.
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      <h2 className="text-lg font-semibold mt-8 mb-4">Launches</h2>
+      {deployments.length > 0 ? (
+        <>
+          <div className="grid gap-6 md:grid-cols-2">
+            {deployments.map((deployment) => (
+              <DeploymentCard key={deployment.tokenAddress} deployment={deployment} />
+            ))}
+          </div>
+          {hasNextPage && (
+            <div className="flex justify-center mt-8">
+              <Button variant="outline" onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+                {isFetchingNextPage ? 'Loading...' : 'Load more'}
+              </Button>
+            </div>
+          )}
+        </>
+      ) : (
+        <p className="text-muted-foreground">{isLoadingTokens ? 'Loading launches...' : 'No launches found.'}</p>
+      )}
+    </div>
+  );
+}
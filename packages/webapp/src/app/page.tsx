@@ -6,7 +6,7 @@ import { DeploymentCard } from '@/components/DeploymentCard';
 import { useEffect, useRef, useState } from 'react';
 import { deploymentWS } from '@/lib/websocket';
 import { useQueryClient } from '@tanstack/react-query';
-import { TokenDeployment } from '@feydar/shared/types';
+import { TokenDeployment, DeploymentRetraction } from '@feydar/shared/types';
 import { ArrowUp } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { ThemeToggle } from '@/components/ThemeToggle';
@@ -112,9 +112,27 @@ export default function HomePage() {
       });
     });
 
+    // Drop deployments whose block was reorged out
+    const unsubscribeRetractions = deploymentWS.subscribeRetractions((retraction: DeploymentRetraction) => {
+      queryClient.setQueryData(['deployments', 'infinite'], (old: any) => {
+        if (!old) return old;
+
+        return {
+          ...old,
+          pages: old.pages.map((page: any) => ({
+            ...page,
+            deployments: page.deployments.filter(
+              (d: TokenDeployment) => d.tokenAddress.toLowerCase() !== retraction.tokenAddress.toLowerCase()
+            ),
+          })),
+        };
+      });
+    });
+
     return () => {
       clearTimeout(connectTimeout);
       unsubscribe();
+      unsubscribeRetractions();
       // Only disconnect if this is the last listener
       // In React Strict Mode, this will run twice, but we want to keep the connection
       // So we'll only disconnect if there are no more listeners
@@ -1,5 +1,5 @@
 import { Metadata } from 'next';
-import { formatIPFSUrl } from '@feydar/shared/utils';
+import { createTokenImageUrl } from '@feydar/shared/utils';
 
 // Ensure URL has protocol
 function ensureProtocol(url: string): string {
@@ -39,10 +39,13 @@ export async function generateMetadata({
     };
   }
 
-  // Use token image if available, otherwise use default cover image
-  const tokenImageUrl = deployment.currentImageUrl || deployment.tokenImage
-    ? formatIPFSUrl(deployment.currentImageUrl || deployment.tokenImage || '')
-    : `${APP_URL}/feydar-cover.png`;
+  // Token image through the API image proxy if available, otherwise the default cover image
+  const tokenImageUrl = createTokenImageUrl(
+    API_URL,
+    deployment.tokenAddress,
+    deployment.currentImageUrl || deployment.tokenImage,
+    1024
+  ) ?? `${APP_URL}/feydar-cover.png`;
 
   // Use token image for embeds, fallback to cover image
   const embedImageUrl = tokenImageUrl;
@@ -3,6 +3,7 @@
 import { useQuery } from '@tanstack/react-query';
 import { fetchDeploymentByAddress, getAdjacentTokens } from '@/lib/api';
 import { DeploymentCard } from '@/components/DeploymentCard';
+import { PriceChart } from '@/components/PriceChart';
 import { useParams } from 'next/navigation';
 import Link from 'next/link';
 import { Button } from '@/components/ui/button';
@@ -142,6 +143,10 @@ export default function TokenPage() {
       </div>
 
       <DeploymentCard deployment={data} priority />
+
+      <div className="mt-6">
+        <PriceChart tokenAddress={data.tokenAddress} deployedAt={data.createdAt} />
+      </div>
     </div>
   );
 }
@@ -1,16 +1,23 @@
 import { TokenDeployment } from '@feydar/shared/types';
-import { formatIPFSUrl, truncateAddress } from '@feydar/shared/utils';
+import { truncateAddress } from '@feydar/shared/utils';
 import { createAddressLink } from '@feydar/shared/constants';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { TradeLinks } from './TradeLinks';
 import { ExplorerLinks } from './ExplorerLinks';
 import Image from 'next/image';
+import Link from 'next/link';
 import { ExternalLink, Copy, Check, ChevronDown } from 'lucide-react';
 import { useQuery } from '@tanstack/react-query';
 import { fetchTokenPrice, formatPrice, formatCurrency, formatCompactCurrency, formatPercentChange } from '@/lib/price';
 import { formatRelativeTime, formatAbsoluteTime } from '@/lib/utils';
+import { fetchHolders, getTokenImageUrl } from '@/lib/api';
 import { useEffect, useState, useRef } from 'react';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/tooltip';
+import { FeeBreakdown } from './FeeBreakdown';
+import { SniperSummary } from './SniperSummary';
+import { RiskBadge } from './RiskBadge';
+import { TokenSocials } from './TokenSocials';
+import { FarcasterAccount } from './FarcasterAccount';
 
 interface DeploymentCardProps {
   deployment: TokenDeployment;
@@ -41,6 +48,20 @@ export function DeploymentCard({ deployment, priority = false }: DeploymentCardP
     retryDelay: 2000, // Wait 2s before retry
   });
 
+  // Holder stats load with the price data
+  const { data: holdersData } = useQuery({
+    queryKey: ['tokenHolders', deployment.tokenAddress],
+    queryFn: () => fetchHolders(deployment.tokenAddress),
+    enabled: shouldFetchPrice,
+    refetchInterval: 5 * 60 * 1000,
+    staleTime: 2 * 60 * 1000,
+    retry: 1,
+  });
+  // Counts are partial until the token's transfers have been replayed from launch
+  const holders = holdersData?.indexedFrom ? holdersData : null;
+  const formatShare = (value: number | null | undefined) =>
+    value === null || value === undefined ? '-' : `${value.toFixed(2)}%`;
+
   // Update relative time - every second if under 1 minute, otherwise every minute
   const [relativeTime, setRelativeTime] = useState(() => 
     formatRelativeTime(deployment.createdAt)
@@ -170,9 +191,14 @@ export function DeploymentCard({ deployment, priority = false }: DeploymentCardP
         <div className="flex items-start justify-between gap-4">
           <div className="flex-1">
             <div className="flex items-start justify-between gap-4 mb-2">
-              <CardTitle className="text-xl">
-                {deployment.name} ({deployment.symbol})
-              </CardTitle>
+              <div className="flex flex-col items-start gap-1.5">
+                <CardTitle className="text-xl">
+                  {deployment.name} ({deployment.symbol})
+                </CardTitle>
+                {deployment.riskScore != null && (
+                  <RiskBadge score={deployment.riskScore} factors={deployment.riskFactors} />
+                )}
+              </div>
               {/* Deployment Time Display - Top Right */}
               {deployment.createdAt && (
                 <div className="flex flex-col items-end">
@@ -209,24 +235,18 @@ export function DeploymentCard({ deployment, priority = false }: DeploymentCardP
                 <ExternalLink className="h-3.5 w-3.5" />
               </a>
             </div>
+            {deployment.parsedMetadata && (
+              <TokenSocials fields={deployment.parsedMetadata} showDescription={priority} />
+            )}
             <div className="mt-2 relative w-full aspect-square rounded-lg overflow-hidden bg-black">
               {(() => {
-                const imageUrl = deployment.currentImageUrl || deployment.tokenImage;
-                const formattedUrl = imageUrl ? formatIPFSUrl(imageUrl) : '';
-                // Check if URL is a placeholder service (placehold.co)
-                const isPlaceholderUrl = formattedUrl.includes('placehold.co');
-                const isValidImageUrl = imageUrl && 
-                  typeof imageUrl === 'string' && 
-                  imageUrl.trim().length > 0 && 
-                  formattedUrl.trim().length > 0 &&
-                  formattedUrl !== 'https://ipfs.io/ipfs/' && // Catch empty IPFS URLs
-                  !isPlaceholderUrl && // Catch placeholder service URLs
-                  !imageError;
+                const imageUrl = getTokenImageUrl(deployment, 512);
+                const isValidImageUrl = imageUrl && !imageError;
                 
                 if (isValidImageUrl) {
                   return (
                     <Image
-                      src={formattedUrl}
+                      src={imageUrl}
                       alt={deployment.name}
                       fill
                       className="object-cover"
@@ -234,7 +254,7 @@ export function DeploymentCard({ deployment, priority = false }: DeploymentCardP
                       loading={priority ? "eager" : "lazy"}
                       priority={priority}
                       onError={() => {
-                        console.warn('Image failed to load:', formattedUrl);
+                        console.warn('Image failed to load:', imageUrl);
                         setImageError(true);
                       }}
                     />
@@ -455,6 +475,40 @@ export function DeploymentCard({ deployment, priority = false }: DeploymentCardP
                       </div>
                     </div>
                   </div>
+
+                  {/* Holders */}
+                  <div>
+                    <p className="text-xs text-muted-foreground mb-3 font-medium">Holders</p>
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                      <div className="text-center">
+                        <p className="text-[10px] text-muted-foreground mb-1.5 uppercase tracking-wide">Holders</p>
+                        <p className={`text-sm font-semibold ${!holders ? 'text-muted-foreground' : ''}`}>
+                          {holders ? holders.holderCount.toLocaleString() : '-'}
+                        </p>
+                      </div>
+                      <div className="text-center">
+                        <p className="text-[10px] text-muted-foreground mb-1.5 uppercase tracking-wide">Top 10</p>
+                        <p className={`text-sm font-semibold ${!holders ? 'text-muted-foreground' : ''}`}>
+                          {formatShare(holders?.concentration.top10Percent)}
+                        </p>
+                      </div>
+                      <div className="text-center">
+                        <p className="text-[10px] text-muted-foreground mb-1.5 uppercase tracking-wide">Dev Now</p>
+                        <p className={`text-sm font-semibold ${
+                          !holders ? 'text-muted-foreground' :
+                          holders.concentration.deployerLaunchPercent !== null && holders.concentration.deployerPercent < holders.concentration.deployerLaunchPercent ? 'text-destructive' : ''
+                        }`}>
+                          {formatShare(holders?.concentration.deployerPercent)}
+                        </p>
+                      </div>
+                      <div className="text-center">
+                        <p className="text-[10px] text-muted-foreground mb-1.5 uppercase tracking-wide">Dev at Launch</p>
+                        <p className={`text-sm font-semibold ${!holders || holders.concentration.deployerLaunchPercent === null ? 'text-muted-foreground' : ''}`}>
+                          {formatShare(holders?.concentration.deployerLaunchPercent)}
+                        </p>
+                      </div>
+                    </div>
+                  </div>
                 </div>
                 </div>
               </div>
@@ -464,21 +518,52 @@ export function DeploymentCard({ deployment, priority = false }: DeploymentCardP
         <div className="grid grid-cols-2 gap-4 text-sm">
           <div>
             <p className="text-sm text-foreground mb-2">Creator</p>
-            <a
-              href={createAddressLink(deployment.deployer)}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="text-primary hover:underline font-mono text-xs flex flex-col items-start gap-0.5"
-            >
+            {deployment.deployerFarcaster && (
+              <div className="mb-1">
+                <FarcasterAccount profile={deployment.deployerFarcaster} />
+              </div>
+            )}
+            {/* Names open the deployer's profile, the icon opens the explorer */}
+            <div className="font-mono text-xs flex flex-col items-start gap-0.5">
               {deployerLines.map((line, index) => (
                 <span key={index} className="flex items-center gap-1">
-                  {line} {index === deployerLines.length - 1 && <ExternalLink className="h-3 w-3" />}
+                  <Link href={`/deployer/${deployment.deployer}`} className="text-primary hover:underline">
+                    {line}
+                  </Link>
+                  {index === deployerLines.length - 1 && (
+                    <a
+                      href={createAddressLink(deployment.deployer)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-primary"
+                    >
+                      <ExternalLink className="h-3 w-3" />
+                    </a>
+                  )}
                 </span>
               ))}
-            </a>
+            </div>
           </div>
-          {/* Fee Split Display */}
-          {deployment.creatorBps != null && 
+          {/* Launch sniping - checked a few blocks after launch, wallets listed on the token page */}
+          {deployment.sniperCount != null && (
+            <div className={deployment.snipers && deployment.snipers.length > 0 ? 'col-span-2' : ''}>
+              <SniperSummary
+                sniperCount={deployment.sniperCount}
+                snipedPercent={deployment.snipedPercent ?? 0}
+                snipers={deployment.snipers}
+              />
+            </div>
+          )}
+          {/* Fee Split Display - full breakdown when the reward config is loaded (token page), two-way split otherwise */}
+          {deployment.feeRecipients && deployment.feeRecipients.length > 0 ? (
+            <div className="col-span-2">
+              <FeeBreakdown
+                feeRecipients={deployment.feeRecipients}
+                liquidityPositions={deployment.liquidityPositions}
+                deployer={deployment.deployer}
+              />
+            </div>
+          ) : deployment.creatorBps != null && 
            deployment.feyStakersBps != null && 
            typeof deployment.creatorBps === 'number' && 
            typeof deployment.feyStakersBps === 'number' ? (
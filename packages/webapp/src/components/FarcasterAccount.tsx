@@ -0,0 +1,34 @@
+import { FarcasterProfile } from '@feydar/shared/types';
+import { formatCompactNumber } from '@feydar/shared/utils';
+import { createFarcasterProfileLink } from '@feydar/shared/constants';
+import Image from 'next/image';
+import { getFarcasterPfpUrl } from '@/lib/api';
+
+interface FarcasterAccountProps {
+  profile: FarcasterProfile;
+}
+
+/**
+ * Deployer's Farcaster account - picture, username, display name and followers, linking to the profile
+ */
+export function FarcasterAccount({ profile }: FarcasterAccountProps) {
+  const pfpUrl = getFarcasterPfpUrl(profile, 20);
+
+  return (
+    <a
+      href={createFarcasterProfileLink(profile.username)}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="flex items-center gap-1.5 text-xs hover:underline"
+    >
+      {pfpUrl && (
+        <Image src={pfpUrl} alt="" width={20} height={20} className="h-5 w-5 rounded-full object-cover" unoptimized />
+      )}
+      <span className="text-primary font-medium">@{profile.username}</span>
+      {profile.displayName && profile.displayName !== profile.username && (
+        <span className="text-muted-foreground truncate max-w-[8rem]">{profile.displayName}</span>
+      )}
+      <span className="text-muted-foreground whitespace-nowrap">· {formatCompactNumber(profile.followerCount)} followers</span>
+    </a>
+  );
+}
@@ -0,0 +1,92 @@
+import { FeeRecipient, LiquidityPosition } from '@feydar/shared/types';
+import { truncateAddress } from '@feydar/shared/utils';
+import { createAddressLink } from '@feydar/shared/constants';
+import { ExternalLink } from 'lucide-react';
+
+interface FeeBreakdownProps {
+  feeRecipients: FeeRecipient[];
+  liquidityPositions?: LiquidityPosition[];
+  deployer: string;
+}
+
+// Segment colours, cycled when there are more recipients than colours
+const SEGMENT_CLASSES = ['bg-green-dark', 'bg-primary', 'bg-green-medium', 'bg-green-light', 'bg-muted-foreground'];
+
+/**
+ * On a standard deployment the deployer's slot is the creator and slot 1 is FEY stakers - other slots are numbered
+ */
+function getRecipientLabel(recipient: FeeRecipient, deployer: string): string {
+  if (recipient.recipient.toLowerCase() === deployer.toLowerCase()) {
+    return 'Creator';
+  }
+  if (recipient.slot === 1) {
+    return 'FEY Stakers';
+  }
+  return `Recipient ${recipient.slot + 1}`;
+}
+
+function formatBps(bps: number): string {
+  const percent = bps / 100;
+  return `${Number.isInteger(percent) ? percent : percent.toFixed(2)}%`;
+}
+
+export function FeeBreakdown({ feeRecipients, liquidityPositions = [], deployer }: FeeBreakdownProps) {
+  const totalBps = feeRecipients.reduce((sum, recipient) => sum + recipient.bps, 0) || 1;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-sm text-foreground mb-2">1% Fee Split</p>
+        <div className="flex w-full h-4 rounded-full overflow-hidden bg-muted">
+          {feeRecipients.map((recipient, index) => (
+            <div
+              key={recipient.slot}
+              className={`h-full ${SEGMENT_CLASSES[index % SEGMENT_CLASSES.length]} ${index > 0 ? 'border-l-2 border-foreground' : ''}`}
+              style={{ width: `${(recipient.bps / totalBps) * 100}%` }}
+            />
+          ))}
+        </div>
+        <div className="mt-2 space-y-1.5">
+          {feeRecipients.map((recipient, index) => (
+            <div key={recipient.slot} className="flex items-start justify-between gap-2 text-xs">
+              <div className="flex items-start gap-2 min-w-0">
+                <span className={`mt-0.5 h-2.5 w-2.5 shrink-0 rounded-full ${SEGMENT_CLASSES[index % SEGMENT_CLASSES.length]}`} />
+                <div className="min-w-0">
+                  <p className="text-foreground">{getRecipientLabel(recipient, deployer)}</p>
+                  <a
+                    href={createAddressLink(recipient.recipient)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-primary hover:underline font-mono flex items-center gap-1"
+                  >
+                    {truncateAddress(recipient.recipient)} <ExternalLink className="h-3 w-3" />
+                  </a>
+                  {recipient.admin.toLowerCase() !== recipient.recipient.toLowerCase() && (
+                    <p className="text-muted-foreground font-mono">Admin: {truncateAddress(recipient.admin)}</p>
+                  )}
+                </div>
+              </div>
+              <span className="text-foreground font-semibold shrink-0">{formatBps(recipient.bps)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {liquidityPositions.length > 0 && (
+        <div>
+          <p className="text-sm text-foreground mb-2">Liquidity Positions</p>
+          <div className="space-y-1">
+            {liquidityPositions.map((position) => (
+              <div key={position.slot} className="flex items-center justify-between text-xs">
+                <span className="text-muted-foreground font-mono">
+                  Ticks {position.tickLower} → {position.tickUpper}
+                </span>
+                <span className="text-foreground font-semibold">{formatBps(position.positionBps)} of supply</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
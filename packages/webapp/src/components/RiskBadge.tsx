@@ -0,0 +1,48 @@
+import { RiskFactor, RiskLevel } from '@feydar/shared/types';
+import { getRiskLevel } from '@feydar/shared/utils';
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/tooltip';
+
+interface RiskBadgeProps {
+  score: number;
+  factors?: RiskFactor[] | null;
+}
+
+const LEVEL_STYLES: Record<RiskLevel, { label: string; className: string }> = {
+  low: { label: 'Low risk', className: 'bg-green-medium/15 text-green-medium dark:text-green-light' },
+  medium: { label: 'Medium risk', className: 'bg-orange-light/15 text-orange-dark dark:text-orange-light' },
+  high: { label: 'High risk', className: 'bg-destructive/15 text-destructive' },
+};
+
+/**
+ * Launch risk score badge, with each factor's points on hover
+ */
+export function RiskBadge({ score, factors }: RiskBadgeProps) {
+  const level = LEVEL_STYLES[getRiskLevel(score)];
+
+  return (
+    <TooltipProvider>
+      <Tooltip>
+        <TooltipTrigger asChild>
+          <span className={`inline-flex items-center rounded-full px-2 py-0.5 text-xs font-semibold cursor-help whitespace-nowrap ${level.className}`}>
+            {level.label} · {score}
+          </span>
+        </TooltipTrigger>
+        <TooltipContent>
+          <div className="space-y-1 text-xs">
+            <p className="font-semibold">Risk score {score}/100</p>
+            {(factors ?? []).map((factor) => (
+              <div key={factor.key} className="flex items-center justify-between gap-4">
+                <span className={factor.pending ? 'text-muted-foreground' : ''}>
+                  {factor.label}: {factor.detail}
+                </span>
+                <span className="font-mono">
+                  {factor.pending ? '…' : `+${factor.points}`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </TooltipContent>
+      </Tooltip>
+    </TooltipProvider>
+  );
+}
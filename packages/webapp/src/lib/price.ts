@@ -1,3 +1,5 @@
+import { CandleInterval, CandlesResponse } from '@feydar/shared/types';
+
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
 export interface TokenPriceData {
@@ -77,6 +79,28 @@ export async function fetchTokenPrice(tokenAddress: string): Promise<TokenPriceD
   }
 }
 
+/**
+ * Fetches OHLCV candles via API server
+ * @param tokenAddress Token contract address on Base
+ * @param interval Candle interval
+ * @param quote Currency prices and volumes are in
+ */
+export async function fetchCandles(
+  tokenAddress: string,
+  interval: CandleInterval,
+  quote: 'usd' | 'fey'
+): Promise<CandlesResponse> {
+  const response = await fetch(
+    `${API_URL}/api/price/${tokenAddress}/candles?interval=${interval}&quote=${quote}`
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch candles: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
 /**
  * Formats a number as currency
  */
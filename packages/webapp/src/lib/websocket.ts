@@ -1,4 +1,4 @@
-import { WebSocketMessage, TokenDeployment } from '@feydar/shared/types';
+import { WebSocketMessage, TokenDeployment, DeploymentRetraction, TokenStateChange } from '@feydar/shared/types';
 
 const WS_URL = process.env.NEXT_PUBLIC_WS_URL || 'ws://localhost:3001';
 
@@ -8,6 +8,8 @@ export class DeploymentWebSocket {
   private maxReconnectAttempts = 5;
   private reconnectDelay = 1000;
   private listeners: Set<(deployment: TokenDeployment) => void> = new Set();
+  private retractionListeners: Set<(retraction: DeploymentRetraction) => void> = new Set();
+  private stateChangeListeners: Set<(change: TokenStateChange) => void> = new Set();
   private reconnectTimeout: NodeJS.Timeout | null = null;
   private isConnecting = false;
   private shouldReconnect = true;
@@ -40,6 +42,10 @@ export class DeploymentWebSocket {
 
           if (message.type === 'deployment') {
             this.listeners.forEach((listener) => listener(message.data));
+          } else if (message.type === 'retraction') {
+            this.retractionListeners.forEach((listener) => listener(message.data));
+          } else if (message.type === 'tokenStateChange') {
+            this.stateChangeListeners.forEach((listener) => listener(message.data));
           }
         } catch (error) {
           console.error('Error parsing WebSocket message:', error);
@@ -108,8 +114,22 @@ export class DeploymentWebSocket {
     };
   }
 
+  subscribeRetractions(listener: (retraction: DeploymentRetraction) => void) {
+    this.retractionListeners.add(listener);
+    return () => {
+      this.retractionListeners.delete(listener);
+    };
+  }
+
+  subscribeTokenStateChanges(listener: (change: TokenStateChange) => void) {
+    this.stateChangeListeners.add(listener);
+    return () => {
+      this.stateChangeListeners.delete(listener);
+    };
+  }
+
   hasListeners(): boolean {
-    return this.listeners.size > 0;
+    return this.listeners.size > 0 || this.retractionListeners.size > 0 || this.stateChangeListeners.size > 0;
   }
 
   disconnect() {
@@ -127,6 +147,8 @@ export class DeploymentWebSocket {
     
     this.isConnecting = false;
     this.listeners.clear();
+    this.retractionListeners.clear();
+    this.stateChangeListeners.clear();
   }
 }
 